@@ -55,7 +55,7 @@ const defs = {
 
   evidence: {
     type: "object",
-    description: "Evidence record supporting a measurement.",
+    description: "Evidence supporting a measurement. With an evidence_bundle, evidence_id is one of its records and source_id one of its sources.",
     additionalProperties: false,
     required: ["evidence_id", "evidence_type"],
     properties: {
@@ -109,9 +109,158 @@ const defs = {
       system_name: { type: "string" },
       system_type: {
         type: "string",
-        enum: ["crm", "email", "calendar", "spreadsheet", "call_tracking", "custom_app", "database", "analytics", "portal", "phone", "sms", "forms", "property_management", "erp", "ticketing", "chat", "other"]
+        enum: ["crm", "email", "calendar", "spreadsheet", "call_tracking", "custom_app", "database", "analytics", "portal", "phone", "sms", "forms", "property_management", "erp", "ticketing", "chat", "marketing_automation", "payment", "ecommerce", "other"]
       },
-      environment: { type: "string", enum: ["prod", "staging", "dev", "unknown"] }
+      environment: { type: "string", enum: ["prod", "staging", "dev", "unknown"] },
+      intake_name: { type: "string", description: "Name as given in the intake." },
+      catalog_id: { type: ["string", "null"], description: "system_catalog.json entry; null when the type was inferred from keywords." },
+      integrations: {
+        type: ["object", "null"],
+        description: "Integration capabilities from the catalog; null when unknown.",
+        additionalProperties: false,
+        properties: {
+          api: { type: "boolean" },
+          webhooks: { type: "boolean" },
+          native_connectors: { type: "array", items: { type: "string" }, description: "Catalog ids of systems it syncs with out of the box." },
+          notes: { type: "string" }
+        }
+      }
+    }
+  },
+
+  integration_gap: {
+    type: "object",
+    description: "Manual handoff between two systems and how it can be automated (system_catalog.js).",
+    additionalProperties: false,
+    required: ["gap_id", "from_system", "to_system", "automatable", "method"],
+    properties: {
+      gap_id: { type: "string" },
+      workflow_id: { type: "string" },
+      from_system: { type: "string" },
+      to_system: { type: "string" },
+      source: { type: "string", enum: ["steps", "intake_text"], description: "Found between step systems, or in the manual-transfer answer." },
+      step_ids: { type: "array", items: { type: "string" } },
+      automatable: { type: "boolean" },
+      method: { type: "string", enum: ["native_connector", "webhook", "api", "none", "unknown"] },
+      detail: { type: "string" },
+      display: { type: "string" },
+      fix_ids: { type: "array", items: { type: "string" }, description: "Fixes whose solution covers this handoff." }
+    }
+  },
+
+  evidence_source: {
+    type: "object",
+    description: "Input as received, with its hash (evidence_bundle.js, intake procedure §2.1).",
+    additionalProperties: false,
+    required: ["source_id", "source_type", "sha256_hash"],
+    properties: {
+      source_id: { type: "string" },
+      source_type: { type: "string", enum: ["form", "file", "transcript", "screenshot", "email", "api"] },
+      original_filename: { type: ["string", "null"] },
+      original_ref: { type: ["string", "null"], description: "Path or reference the input was read from." },
+      stored_ref: { type: "string", description: "Copy of the input, relative to the saved bundle." },
+      content_type: { type: "string" },
+      char_length: { type: "integer", minimum: 0 },
+      sha256_hash: { type: "string" },
+      received_at: { type: "string", format: "date-time" },
+      received_by: { type: "string" },
+      redaction_status: { type: "string", enum: ["none", "pending", "complete"] }
+    }
+  },
+
+  evidence_record: {
+    type: "object",
+    description: "Quote the extractor cited, located in its source (evidence_bundle.js, intake procedure §2.2).",
+    additionalProperties: false,
+    required: ["evidence_id", "source_id", "sha256_hash", "extracted_text", "match"],
+    properties: {
+      evidence_id: { type: "string" },
+      bundle_ref: { type: "string" },
+      source_id: { type: "string" },
+      source_type: { type: "string" },
+      original_ref: { type: ["string", "null"] },
+      sha256_hash: { type: "string", description: "Hash of extracted_text." },
+      captured_at: { type: "string", format: "date-time" },
+      captured_by: { type: "string" },
+      content_type: { type: "string" },
+      extracted_text: { type: "string", description: "Source text at the span (the cited quote when it was not found)." },
+      span: {
+        type: ["object", "null"],
+        description: "Character offsets in the source (end exclusive), with the 1-based line and column of start.",
+        additionalProperties: false,
+        properties: {
+          start: { type: "integer", minimum: 0 },
+          end: { type: "integer", minimum: 0 },
+          line: { type: "integer", minimum: 1 },
+          column: { type: "integer", minimum: 1 }
+        }
+      },
+      match: { type: "string", enum: ["exact", "normalized", "not_found"], description: "How the quote was found in the source." },
+      extraction_method: { type: "string", enum: ["manual", "ocr", "whisper", "llm"] },
+      extraction_confidence: { type: "number", minimum: 0, maximum: 1 },
+      redaction_applied: { type: "boolean" },
+      tags: { type: "array", items: { type: "string" } },
+      linked_to: {
+        type: "array",
+        items: {
+          type: "object",
+          additionalProperties: false,
+          properties: {
+            type: { type: "string", enum: ["measurement", "assumption"] },
+            id: { type: "string" }
+          }
+        }
+      }
+    }
+  },
+
+  evidence_conflict: {
+    type: "object",
+    description: "Value merged sources disagree on, left for a person to resolve (source_merge.js, intake procedure §8.2).",
+    additionalProperties: false,
+    required: ["conflict_id", "field_path", "label", "values", "used_source_id", "resolution"],
+    properties: {
+      conflict_id: { type: "string" },
+      field_path: { type: "string", description: "Path of the value in the extraction (intake / measurements)." },
+      subject: {
+        type: "object",
+        additionalProperties: false,
+        properties: {
+          type: { type: "string", enum: ["measurement", "assumption", "intake"] },
+          id: { type: "string" }
+        }
+      },
+      label: { type: "string" },
+      values: {
+        type: "array",
+        minItems: 2,
+        items: {
+          type: "object",
+          additionalProperties: false,
+          required: ["source_id", "value", "value_display"],
+          properties: {
+            source_id: { type: "string" },
+            value: { type: ["number", "string"] },
+            unit: { type: ["string", "null"] },
+            value_display: { type: "string" },
+            evidence_ids: { type: "array", items: { type: "string" } }
+          }
+        }
+      },
+      used_source_id: { type: "string", description: "Source whose value the report uses: the primary input until resolved." },
+      resolution: {
+        type: ["object", "null"],
+        description: "The reviewer's decision; null while unresolved (delivery is refused).",
+        additionalProperties: false,
+        properties: {
+          source_id: { type: "string" },
+          value: { type: ["number", "string"] },
+          value_display: { type: "string" },
+          notes: { type: "string" },
+          resolved_by: { type: ["string", "null"] },
+          resolved_at: { type: "string", format: "date-time" }
+        }
+      }
     }
   }
 };
@@ -123,7 +272,7 @@ const schema = {
   "$schema": "https://json-schema.org/draft/2020-12/schema",
   "$id": "https://wranngle.com/schemas/ai-process-audit-report.schema.json",
   "title": "Wranngle AI Process Audit Report",
-  "description": "Canonical contract between audit capture tooling and report rendering. Supports single-workflow audits with strict validation.",
+  "description": "Canonical contract between audit capture tooling and report rendering. Supports single- and multi-workflow audits with strict validation.",
   "type": "object",
   "additionalProperties": false,
   "required": [
@@ -286,10 +435,32 @@ const schema = {
             "required": ["workflow_id", "name"],
             "properties": {
               "workflow_id": { "type": "string" },
+              "workflow_key": { "type": "string", "description": "Key the extraction tagged this workflow's measurements and calculations with." },
+              "is_primary": { "type": "boolean" },
               "name": { "type": "string" },
               "trigger": { "type": "string" },
               "objective": { "type": "string" },
               "primary_kpi": { "type": "string" },
+              "bleed": {
+                "type": "object",
+                "description": "This workflow's part of the bleed total (its money calculations).",
+                "additionalProperties": false,
+                "properties": {
+                  "amount": { "$ref": "#/$defs/money" },
+                  "share": { "type": "number", "minimum": 0, "maximum": 1 },
+                  "share_display": { "type": "string" }
+                }
+              },
+              "status_distribution": {
+                "type": "object",
+                "additionalProperties": false,
+                "properties": {
+                  "critical": { "type": "integer" },
+                  "warning": { "type": "integer" },
+                  "healthy": { "type": "integer" }
+                }
+              },
+              "steps_source": { "type": "string", "enum": ["extracted", "inferred"], "description": "Steps from the extraction, or inferred from the intake answers." },
               "steps": {
                 "type": "array",
                 "items": {
@@ -299,10 +470,36 @@ const schema = {
                     "step_id": { "type": "string" },
                     "sequence": { "type": "integer" },
                     "name": { "type": "string" },
-                    "owner_type": { "type": "string", "enum": ["human", "automation", "hybrid"] }
+                    "owner_type": { "type": "string", "enum": ["human", "automation", "hybrid"] },
+                    "owner": { "type": ["string", "null"], "description": "Role doing the step; the process map lane." },
+                    "system": { "type": ["string", "null"] },
+                    "handoff": { "type": "boolean", "description": "The work passes to another person or system after this step." },
+                    "wait": {
+                      "type": ["object", "null"],
+                      "description": "Wait before the next step starts.",
+                      "additionalProperties": false,
+                      "properties": {
+                        "value": { "type": "number" },
+                        "unit": { "type": "string", "enum": ["s", "m", "h", "d", "w", "mo", "y"] },
+                        "display": { "type": "string" }
+                      }
+                    },
+                    "measurement_ids": { "type": "array", "items": { "type": "string" }, "description": "Measurements this step causes." },
+                    "status": { "type": ["string", "null"], "enum": ["critical", "warning", "healthy", null] },
+                    "is_bottleneck": { "type": "boolean", "description": "Causes a critical measurement." }
                   }
                 }
               },
+              "process_map": {
+                "type": "object",
+                "description": "Swimlane process map of the steps (process_map.js).",
+                "additionalProperties": false,
+                "properties": {
+                  "svg": { "type": "string", "description": "Inline SVG, text escaped." },
+                  "bottleneck_step_ids": { "type": "array", "items": { "type": "string" } }
+                }
+              },
+              "integration_gaps": { "type": "array", "items": { "$ref": "#/$defs/integration_gap" }, "description": "This workflow's manual handoffs between systems." },
               "measurements": { "type": "array", "items": { "$ref": "#/$defs/measurement" } }
             }
           }
@@ -334,6 +531,8 @@ const schema = {
             "required": ["row_id", "category", "status"],
             "properties": {
               "row_id": { "type": "string" },
+              "workflow_id": { "type": "string", "description": "Workflow the row's measurement belongs to (audit.workflows[].workflow_id)." },
+              "workflow_header": { "type": ["string", "null"], "description": "Workflow heading shown above the first row of each workflow in multi-workflow reports." },
               "category": { "type": "string" },
               "status": { "type": "string", "enum": ["critical", "warning", "healthy"] },
               "status_is_critical": { "type": "boolean" },
@@ -344,8 +543,9 @@ const schema = {
                 "properties": {
                   "summary": { "type": "string" },
                   "risk": { "type": "string" },
-                  "benchmark_reference_id": { "type": ["string", "null"] },
-                  "meta": { "type": ["object", "null"] }
+                  "benchmark_reference_id": { "type": ["string", "null"], "description": "Benchmark the row was judged against (benchmarks[].benchmark_id)." },
+                  "meta": { "type": ["string", "null"], "description": "Benchmark citation shown under the finding." },
+                  "evidence_ids": { "type": "array", "items": { "type": "string" }, "description": "Evidence bundle records behind the row's measurement." }
                 }
               },
               "metrics": { "type": "array", "items": { "$ref": "#/$defs/metric_chip" } },
@@ -381,7 +581,34 @@ const schema = {
         "currency": { "type": "string" },
         "period": { "type": "string", "enum": ["day", "week", "month", "quarter", "year"] },
         "period_display": { "type": "string" },
+        "periods_per_year": { "type": "number", "description": "Periods of the total per year (month = 12), for the annual figure." },
         "total": { "$ref": "#/$defs/money" },
+        "normalized": {
+          "type": "object",
+          "description": "Bleed total converted to each period.",
+          "additionalProperties": false,
+          "properties": {
+            "week": { "$ref": "#/$defs/money" },
+            "month": { "$ref": "#/$defs/money" },
+            "quarter": { "$ref": "#/$defs/money" },
+            "year": { "$ref": "#/$defs/money" }
+          }
+        },
+        "annual": { "$ref": "#/$defs/money" },
+        "annual_display": { "type": "string" },
+        "cost_of_waiting": {
+          "type": "array",
+          "description": "Cumulative bleed if nothing is fixed for N months.",
+          "items": {
+            "type": "object",
+            "additionalProperties": false,
+            "properties": {
+              "months": { "type": "integer", "minimum": 1 },
+              "label": { "type": "string" },
+              "amount": { "$ref": "#/$defs/money" }
+            }
+          }
+        },
         "breakdown": {
           "type": "array",
           "items": {
@@ -390,9 +617,26 @@ const schema = {
             "properties": {
               "item_id": { "type": "string" },
               "label": { "type": "string" },
+              "category": { "type": "string", "enum": ["lost-revenue", "labor-waste", "penalties", "rework", "other"] },
               "status": { "type": "string", "enum": ["critical", "warning", "healthy"] },
               "amount": { "$ref": "#/$defs/money" },
-              "driver_measurement_ids": { "type": "array", "items": { "type": "string" } }
+              "driver_measurement_ids": { "type": "array", "items": { "type": "string" } },
+              "workflow_id": { "type": ["string", "null"], "description": "Workflow whose calculation this item comes from; null for the uncovered remainder." }
+            }
+          }
+        },
+        "by_workflow": {
+          "type": "array",
+          "description": "Bleed total rolled up per workflow; sums to total. workflow_id is null for the part no calculation covers.",
+          "items": {
+            "type": "object",
+            "additionalProperties": false,
+            "properties": {
+              "workflow_id": { "type": ["string", "null"] },
+              "name": { "type": "string" },
+              "amount": { "$ref": "#/$defs/money" },
+              "share": { "type": "number", "minimum": 0, "maximum": 1 },
+              "share_display": { "type": "string" }
             }
           }
         },
@@ -407,7 +651,8 @@ const schema = {
               "value": { "type": "number" },
               "unit": { "type": "string" },
               "source_or_basis": { "type": "string" },
-              "confidence": { "type": "string", "enum": ["low", "medium", "high"] }
+              "confidence": { "type": "string", "enum": ["low", "medium", "high"] },
+              "evidence_ids": { "type": "array", "items": { "type": "string" }, "description": "Evidence bundle records quoting this figure; empty for an estimate." }
             }
           }
         },
@@ -426,6 +671,79 @@ const schema = {
             }
           }
         },
+        "sensitivity": {
+          "type": ["object", "null"],
+          "description": "Bleed range from varying each assumption one at a time (bleed_sensitivity.js).",
+          "additionalProperties": false,
+          "properties": {
+            "variation": { "type": "number", "description": "Fractional variation for assumptions without an extracted range." },
+            "method": { "type": "string" },
+            "base": { "$ref": "#/$defs/money" },
+            "low": { "$ref": "#/$defs/money" },
+            "high": { "$ref": "#/$defs/money" },
+            "range_display": { "type": "string" },
+            "dominant_assumption_id": { "type": ["string", "null"] },
+            "dominant_label": { "type": ["string", "null"] },
+            "show_band": { "type": "boolean", "description": "Render the range under the headline number." },
+            "assumptions": {
+              "type": "array",
+              "items": {
+                "type": "object",
+                "additionalProperties": false,
+                "properties": {
+                  "assumption_id": { "type": "string" },
+                  "label": { "type": "string" },
+                  "basis": { "type": "string", "enum": ["range", "variation"] },
+                  "value": { "type": "number" },
+                  "low": { "type": "number" },
+                  "high": { "type": "number" },
+                  "bleed_low": { "type": "number" },
+                  "bleed_high": { "type": "number" },
+                  "swing": { "type": "number" },
+                  "share": { "type": "number" }
+                }
+              }
+            }
+          }
+        },
+        "math_audit": {
+          "type": "object",
+          "description": "Deterministic recomputation of the extracted bleed math (lib/bleed_math.js).",
+          "additionalProperties": false,
+          "properties": {
+            "mode": { "type": "string", "enum": ["correct", "flag"] },
+            "status": { "type": "string", "enum": ["verified", "corrected", "mismatch", "unverifiable"] },
+            "calculations": {
+              "type": "array",
+              "items": {
+                "type": "object",
+                "additionalProperties": false,
+                "properties": {
+                  "calc_id": { "type": "string" },
+                  "label": { "type": "string" },
+                  "formula": { "type": "string" },
+                  "expression": { "type": ["string", "null"] },
+                  "method": { "type": ["string", "null"], "enum": ["formula", "inputs", null] },
+                  "extracted_result": { "type": ["number", "null"] },
+                  "computed_result": { "type": ["number", "null"] },
+                  "status": { "type": "string", "enum": ["verified", "corrected", "mismatch", "unverifiable"] },
+                  "reason": { "type": ["string", "null"] },
+                  "role": { "type": "string", "enum": ["total", "intermediate", "unknown"], "description": "Whether the result adds up to the bleed total." }
+                }
+              }
+            },
+            "total": {
+              "type": "object",
+              "additionalProperties": false,
+              "properties": {
+                "extracted": { "type": ["number", "null"] },
+                "computed": { "type": ["number", "null"] },
+                "status": { "type": "string", "enum": ["verified", "corrected", "mismatch", "unverifiable"] },
+                "reason": { "type": ["string", "null"], "description": "Why a mismatch was flagged instead of corrected." }
+              }
+            }
+          }
+        },
         "math_defender_text": { "type": "string" }
       }
     },
@@ -438,6 +756,16 @@ const schema = {
       "required": ["items"],
       "properties": {
         "quick_win_fix_id": { "type": "string" },
+        "ranked_by": { "type": "string", "enum": ["payback"], "description": "Order of items (fastest payback first)." },
+        "grouping_rules": {
+          "type": "object",
+          "description": "Fix rules used to group measurements into fixes (fix_rules.json).",
+          "additionalProperties": false,
+          "properties": {
+            "version": { "type": "string" },
+            "industry": { "type": ["string", "null"], "description": "Industry whose extra categories and rules applied." }
+          }
+        },
         "items": {
           "type": "array",
           "minItems": 1,
@@ -447,12 +775,37 @@ const schema = {
             "required": ["fix_id", "problem", "solution"],
             "properties": {
               "fix_id": { "type": "string" },
+              "title": { "type": "string", "description": "Fix group label, e.g. 'Manual Process Automation'." },
+              "fix_group": { "type": "string", "description": "Fix rules category the fix was built from." },
+              "roadmap_phase_id": { "type": "string", "description": "CTA phase the roadmap schedules this fix in." },
               "status": { "type": "string", "enum": ["proposed", "approved", "in_progress", "completed", "rejected"] },
               "severity": { "type": "string", "enum": ["critical", "warning", "healthy"] },
               "bleed_period": { "type": "string" },
               "problem": { "type": "string" },
               "solution": { "type": "string" },
               "quick_win": { "type": "boolean" },
+              "payback_rank": { "type": "integer", "minimum": 1 },
+              "roi": {
+                "type": "object",
+                "description": "Cost and payback from the rate card (fix_roi.js).",
+                "additionalProperties": false,
+                "properties": {
+                  "hourly_rate": { "type": "number" },
+                  "cost": {
+                    "type": "object",
+                    "additionalProperties": false,
+                    "properties": {
+                      "low": { "$ref": "#/$defs/money" },
+                      "likely": { "$ref": "#/$defs/money" },
+                      "high": { "$ref": "#/$defs/money" }
+                    }
+                  },
+                  "payback_weeks": { "type": ["number", "null"] },
+                  "payback_display": { "type": "string" },
+                  "net_benefit_12mo": { "$ref": "#/$defs/money" },
+                  "roi_percent": { "type": ["number", "null"] }
+                }
+              },
               "impact": {
                 "type": "object",
                 "additionalProperties": false,
@@ -477,7 +830,29 @@ const schema = {
                       "max_hours": { "type": "number" }
                     }
                   },
-                  "skills_required": { "type": "array", "items": { "type": "string" } }
+                  "skills_required": { "type": "array", "items": { "type": "string" } },
+                  "derivation": {
+                    "type": "object",
+                    "description": "How the effort model (effort_model.json) arrived at the hours.",
+                    "additionalProperties": false,
+                    "properties": {
+                      "model_version": { "type": "string" },
+                      "factors": {
+                        "type": "array",
+                        "items": {
+                          "type": "object",
+                          "additionalProperties": false,
+                          "properties": {
+                            "factor": { "type": "string", "enum": ["fix_group", "metric_type", "system", "handoffs"] },
+                            "detail": { "type": "string" },
+                            "hours": { "type": "number" }
+                          }
+                        }
+                      },
+                      "integration_multiplier": { "type": "number" },
+                      "summary": { "type": "string" }
+                    }
+                  }
                 }
               },
               "turnaround": {
@@ -491,13 +866,120 @@ const schema = {
               },
               "dependencies": { "type": "array", "items": { "oneOf": [{ "type": "string" }, { "type": "object" }] } },
               "acceptance_criteria": { "type": "array", "items": { "type": "string" } },
-              "related_measurement_ids": { "type": "array", "items": { "type": "string" } }
+              "related_measurement_ids": { "type": "array", "items": { "type": "string" } },
+              "workflow_ids": { "type": "array", "items": { "type": "string" }, "description": "Workflows the fix's measurements belong to." },
+              "integration_gap_ids": { "type": "array", "items": { "type": "string" }, "description": "Manual handoffs the fix can automate or has to work around." },
+              "grouping": {
+                "type": "array",
+                "description": "Why each related measurement was grouped into this fix.",
+                "items": {
+                  "type": "object",
+                  "additionalProperties": false,
+                  "required": ["measurement_id", "confidence"],
+                  "properties": {
+                    "measurement_id": { "type": "string" },
+                    "confidence": { "type": "number", "minimum": 0, "maximum": 1 },
+                    "rule_ids": { "type": "array", "items": { "type": "string" } },
+                    "reason": { "type": "string" }
+                  }
+                }
+              }
             }
           }
         }
       }
     },
 
+    // Evidence bundle - inputs and the quotes traced to them (evidence_bundle.js)
+    "evidence_bundle": {
+      "type": "object",
+      "description": "Inputs as received and the located quotes that measurements, assumptions and findings link to.",
+      "additionalProperties": false,
+      "required": ["bundle_id", "created_at", "sources", "evidence_records"],
+      "properties": {
+        "bundle_version": { "type": "string" },
+        "bundle_id": { "type": "string" },
+        "created_at": { "type": "string", "format": "date-time" },
+        "sources": { "type": "array", "items": { "$ref": "#/$defs/evidence_source" } },
+        "evidence_records": { "type": "array", "items": { "$ref": "#/$defs/evidence_record" } }
+      }
+    },
+
+    // Evidence conflicts - values merged sources disagree on (source_merge.js)
+    "evidence_conflicts": {
+      "type": "array",
+      "description": "Values the input sources disagree on, each with its resolution once a person has chosen.",
+      "items": { "$ref": "#/$defs/evidence_conflict" }
+    },
+
+    // Integration gaps - manual handoffs between systems (system_catalog.js)
+    "integration_gaps": {
+      "type": "object",
+      "description": "Manual handoffs between the systems involved, classified against the system catalog.",
+      "additionalProperties": false,
+      "properties": {
+        "catalog_version": { "type": "string" },
+        "automatable_count": { "type": "integer", "minimum": 0 },
+        "items": { "type": "array", "items": { "$ref": "#/$defs/integration_gap" } }
+      }
+    },
+
+    // Roadmap - fix dependencies scheduled into the CTA phases (roadmap.js)
+    "roadmap": {
+      "type": "object",
+      "description": "Dependency-ordered fix schedule. Day offsets are business days from kickoff.",
+      "additionalProperties": false,
+      "properties": {
+        "render": { "type": "boolean", "description": "Render the roadmap section." },
+        "phases": {
+          "type": "array",
+          "items": {
+            "type": "object",
+            "additionalProperties": false,
+            "properties": {
+              "phase_id": { "type": "string" },
+              "label": { "type": "string" },
+              "fix_ids": { "type": "array", "items": { "type": "string" } },
+              "fix_labels": { "type": "string" },
+              "start_business_day": { "type": "integer", "minimum": 0 },
+              "end_business_day": { "type": "integer", "minimum": 0 },
+              "weeks_label": { "type": "string" }
+            }
+          }
+        },
+        "timeline": {
+          "type": "array",
+          "items": {
+            "type": "object",
+            "additionalProperties": false,
+            "properties": {
+              "fix_id": { "type": "string" },
+              "label": { "type": "string" },
+              "phase_id": { "type": "string" },
+              "depends_on": { "type": "array", "items": { "type": "string" } },
+              "start_business_day": { "type": "integer", "minimum": 0 },
+              "end_business_day": { "type": "integer", "minimum": 0 },
+              "weeks_label": { "type": "string" }
+            }
+          }
+        },
+        "dependencies": {
+          "type": "array",
+          "items": {
+            "type": "object",
+            "additionalProperties": false,
+            "properties": {
+              "from": { "type": "string" },
+              "to": { "type": "string" },
+              "reason": { "type": "string" }
+            }
+          }
+        },
+        "critical_path": { "type": "array", "items": { "type": "string" } },
+        "total_business_days": { "type": "integer", "minimum": 0 }
+      }
+    },
+
     // CTA section - supports both book_call (Phase 1) and proposal approval (Phase 2)
     "cta": {
       "type": "object",
@@ -565,8 +1047,25 @@ const schema = {
         "properties": {
           "benchmark_id": { "type": "string" },
           "name": { "type": "string" },
-          "source": { "type": "string" },
-          "value": { "type": "string" }
+          "industry": { "type": "string", "description": "Industry key, or 'default'." },
+          "source": { "type": "string", "description": "Short citation." },
+          "source_id": { "type": "string", "description": "Reference to sources[].source_id." },
+          "value": { "type": "string", "description": "Benchmark target, e.g. '< 1h'." },
+          "note": { "type": "string" },
+          "dataset_version": { "type": "string", "description": "benchmarks.json version." },
+          "measurements": {
+            "type": "array",
+            "description": "Measurements judged against this benchmark and what it supplied.",
+            "items": {
+              "type": "object",
+              "additionalProperties": false,
+              "required": ["measurement_id", "applied"],
+              "properties": {
+                "measurement_id": { "type": "string" },
+                "applied": { "type": "array", "items": { "type": "string", "enum": ["target", "threshold"] } }
+              }
+            }
+          }
         }
       }
     },
@@ -585,6 +1084,23 @@ const schema = {
       }
     },
 
+    // Industry audit profile (optional)
+    "industry_profile": {
+      "type": "object",
+      "description": "Industry profile the audit was tuned with (industry_profiles.json).",
+      "additionalProperties": false,
+      "required": ["key", "label", "detected_by"],
+      "properties": {
+        "key": { "type": "string", "description": "Profile key; also selects benchmarks and fix categories." },
+        "label": { "type": "string" },
+        "detected_by": { "type": "string", "enum": ["config", "extraction", "keywords", "default"] },
+        "matched_keywords": { "type": "array", "items": { "type": "string" } },
+        "profiles_version": { "type": "string" },
+        "tone": { "type": "string", "description": "Tone guidance appended to the narrative system prompts." },
+        "out_of_scope": { "type": "array", "items": { "type": "string" }, "description": "Boilerplate added to audit.scope.out_of_scope." }
+      }
+    },
+
     // Rendering hints
     "rendering": {
       "type": "object",
@@ -593,6 +1109,10 @@ const schema = {
       "properties": {
         "mode": { "type": "string", "enum": ["conversion", "internal", "executive"] },
         "is_conversion_mode": { "type": "boolean" },
+        "multi_workflow": { "type": "boolean", "description": "The audit covers more than one workflow." },
+        "two_page": { "type": "boolean", "description": "Render the two-page layout (page 2 has the per-workflow detail)." },
+        "process_map": { "type": "boolean", "description": "Render each workflow's process map." },
+        "integration_gaps": { "type": "boolean", "description": "Render the manual handoffs and how each can be automated." },
         "page": {
           "type": "object",
           "additionalProperties": false,
@@ -630,6 +1150,65 @@ const schema = {
         "sku_name": { "type": "string" },
         "display_in_footer": { "type": "boolean" }
       }
+    },
+
+    // Human review workflow (lib/review.js)
+    "review": {
+      "type": "object",
+      "description": "Review state and approval gate sign-offs. Client delivery requires every required gate approved.",
+      "additionalProperties": false,
+      "required": ["state", "gates"],
+      "properties": {
+        "state": { "type": "string", "enum": ["DRAFT", "PENDING", "APPROVED", "DELIVERED", "ARCHIVED"] },
+        "gates": {
+          "type": "array",
+          "items": {
+            "type": "object",
+            "additionalProperties": false,
+            "required": ["gate_id", "name", "required", "status"],
+            "properties": {
+              "gate_id": { "type": "string" },
+              "name": { "type": "string" },
+              "required": { "type": "boolean" },
+              "reviewer": { "type": "string" },
+              "fields": { "type": "array", "items": { "type": "string" } },
+              "flagged_fields": {
+                "type": "array",
+                "items": {
+                  "type": "object",
+                  "additionalProperties": false,
+                  "properties": {
+                    "path": { "type": "string" },
+                    "prompt_id": { "type": "string" },
+                    "approval_gate": { "type": ["string", "null"] }
+                  }
+                }
+              },
+              "status": { "type": "string", "enum": ["pending", "approved", "rejected"] },
+              "decided_by": { "type": ["string", "null"] },
+              "decided_at": { "type": ["string", "null"] },
+              "notes": { "type": ["string", "null"] },
+              "fields_hash": { "type": ["string", "null"], "description": "Hash of the gate's fields at approval; a mismatch marks the approval stale." }
+            }
+          }
+        },
+        "history": {
+          "type": "array",
+          "items": {
+            "type": "object",
+            "additionalProperties": false,
+            "properties": {
+              "at": { "type": "string", "format": "date-time" },
+              "actor": { "type": ["string", "null"] },
+              "action": { "type": "string", "enum": ["validated", "approved", "rejected", "delivered", "edited"] },
+              "from_state": { "type": "string" },
+              "to_state": { "type": "string" },
+              "gate_id": { "type": ["string", "null"] },
+              "notes": { "type": ["string", "null"] }
+            }
+          }
+        }
+      }
     }
   },
 
@@ -3,12 +3,22 @@
  * AI Audit Pipeline CLI
  *
  * Usage:
- *   node cli.js generate <info_dump.txt> <output.html> [--save-json]
- *   node cli.js extract <info_dump.txt> [--output-dir <dir>]
- *   node cli.js transform <intake.json> <measurements.json> <output.json>
+ *   node cli.js generate <info_dump.txt> <output.html> [--save-json] [--input <more.txt>]
+ *   node cli.js extract <info_dump.txt> [--output-dir <dir>] [--input <more.txt>]
+ *   node cli.js transform <intake.json> <measurements.json> <output.json> [--evidence-bundle <file.json>]
  *   node cli.js validate <report.json>
- *   node cli.js render <report.json> <output.html>
+ *   node cli.js render <report.json> <output.html> [--deliver]
  *   node cli.js full <intake.json> <measurements.json> <output.html> [--save-json]
+ *   node cli.js resume <run-dir> [--from <stage>] [--only]
+ *   node cli.js batch <dir|glob|files...> [-o <dir>] [--concurrency <n>]
+ *   node cli.js serve [--port <n>] [--host <addr>]
+ *   node cli.js review <report.json> [-o <output.html>]
+ *   node cli.js regen <report.json> --field <path>
+ *   node cli.js roadmap <report.json> [-o <timeline.json>]
+ *   node cli.js evidence <evidence_bundle.json|report.json> [--source <input.txt>]
+ *   node cli.js resolve <run-dir> [--conflict <id> --source <source_id> --notes <reasoning>]
+ *   node cli.js approve <report.json> --gate <gate|all> [--by <name>]
+ *   node cli.js reject <report.json> --gate <gate> --notes <reason>
  */
 
 import 'dotenv/config';
@@ -0,0 +1,124 @@
+/**
+ * batch.js - Batch Input Expansion and Report Index
+ *
+ * Helpers for `node cli.js batch`:
+ *   - expandBatchInputs: directories, globs and plain paths → info dump files
+ *   - writeBatchIndex: consolidated JSON + CSV index of a batch run
+ *
+ * Usage:
+ *   import { expandBatchInputs, writeBatchIndex } from './lib/batch.js';
+ *   const files = expandBatchInputs(['samples/*.txt']);
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { ensureDir, generateTimestamp } from './file_utils.js';
+
+/**
+ * Extensions picked up when a directory is given
+ */
+export const BATCH_INPUT_EXTENSIONS = ['.txt', '.md'];
+
+/**
+ * Convert a basename glob (*, ?) to a RegExp
+ */
+function globToRegExp(pattern) {
+  const escaped = pattern
+    .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+    .replace(/\*/g, '.*')
+    .replace(/\?/g, '.');
+  return new RegExp(`^${escaped}$`);
+}
+
+/**
+ * Expand directories, globs and file paths into a sorted, de-duplicated file list
+ * Globs are matched on the file name only (e.g. samples/*_intake.txt)
+ *
+ * @param {string[]} patterns - Paths, directories or globs
+ * @returns {string[]} Info dump file paths
+ */
+export function expandBatchInputs(patterns) {
+  const files = new Set();
+
+  for (const pattern of patterns) {
+    if (/[*?]/.test(path.basename(pattern))) {
+      const dir = path.dirname(pattern);
+      const matcher = globToRegExp(path.basename(pattern));
+      if (!fs.existsSync(dir)) {
+        throw new Error(`Batch input directory not found: ${dir}`);
+      }
+      fs.readdirSync(dir)
+        .filter(name => matcher.test(name) && fs.statSync(path.join(dir, name)).isFile())
+        .forEach(name => files.add(path.join(dir, name)));
+      continue;
+    }
+
+    if (!fs.existsSync(pattern)) {
+      throw new Error(`Batch input not found: ${pattern}`);
+    }
+
+    if (fs.statSync(pattern).isDirectory()) {
+      fs.readdirSync(pattern)
+        .filter(name => BATCH_INPUT_EXTENSIONS.includes(path.extname(name).toLowerCase()))
+        .forEach(name => files.add(path.join(pattern, name)));
+    } else {
+      files.add(pattern);
+    }
+  }
+
+  return [...files].sort();
+}
+
+/**
+ * Columns of the CSV index (also the key order of each JSON entry)
+ */
+const INDEX_COLUMNS = [
+  'input',
+  'status',
+  'client',
+  'workflow',
+  'output_path',
+  'pdf_path',
+  'run_dir',
+  'duration_ms',
+  'tokens_used',
+  'model_used',
+  'error'
+];
+
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Write batch_index_{timestamp}.json and .csv to the output directory
+ *
+ * @param {Object[]} entries - One entry per input file (see INDEX_COLUMNS)
+ * @param {Object} summary - Batch totals (written to the JSON index only)
+ * @param {string} outputDir - Directory for the index files
+ * @returns {{json: string, csv: string}} Index file paths
+ */
+export function writeBatchIndex(entries, summary, outputDir) {
+  ensureDir(outputDir);
+  const base = path.join(outputDir, `batch_index_${generateTimestamp()}`);
+
+  const rows = entries.map(entry => Object.fromEntries(INDEX_COLUMNS.map(col => [col, entry[col] ?? null])));
+
+  fs.writeFileSync(`${base}.json`, JSON.stringify({ summary, reports: rows }, null, 2));
+
+  const csv = [
+    INDEX_COLUMNS.join(','),
+    ...rows.map(row => INDEX_COLUMNS.map(col => csvCell(row[col])).join(','))
+  ].join('\n');
+  fs.writeFileSync(`${base}.csv`, csv + '\n');
+
+  return { json: `${base}.json`, csv: `${base}.csv` };
+}
+
+export default {
+  BATCH_INPUT_EXTENSIONS,
+  expandBatchInputs,
+  writeBatchIndex
+};
@@ -0,0 +1,183 @@
+/**
+ * benchmarks.js - Industry Benchmark Library
+ *
+ * Matches measurements to the benchmarks in benchmarks.json (keyed by
+ * industry and metric type, each with a cited source) and fills the gaps
+ * the extraction left:
+ *
+ *   target     no client target → the benchmark target ("< 1h")
+ *   threshold  no healthy/warning thresholds → the benchmark's, converted
+ *              to the measurement's unit; status is then derived from them
+ *
+ * Benchmarks for the audit's industry win over the "default" ones, then
+ * the benchmark with the most specific `when` conditions (same format as
+ * the fix rules). Durations are stored in hours and percentages in percent;
+ * a benchmark only applies to a measurement of the same kind.
+ *
+ * The matched benchmarks and their sources become the report's
+ * benchmarks[] and sources[], and each measurement records the benchmark it
+ * was judged against so the scorecard row can cite it.
+ *
+ * Usage:
+ *   import { loadBenchmarks, applyBenchmarks } from './lib/benchmarks.js';
+ *   const { measurements, benchmarks, sources } = applyBenchmarks(extracted.measurements, loadBenchmarks(), { industry });
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { matchRule } from './fix_rules.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const BENCHMARKS_PATH = path.join(__dirname, '..', 'benchmarks.json');
+
+const HOURS_PER_UNIT = {
+  m: 1 / 60, min: 1 / 60, mins: 1 / 60, minute: 1 / 60, minutes: 1 / 60,
+  h: 1, hr: 1, hrs: 1, hour: 1, hours: 1,
+  d: 24, day: 24, days: 24, 'business day': 24, 'business days': 24,
+  w: 168, week: 168, weeks: 168
+};
+
+/**
+ * Load the benchmark dataset
+ * @param {string} datasetPath - JSON file (default: benchmarks.json in the repo root)
+ * @returns {Object}
+ */
+export function loadBenchmarks(datasetPath = BENCHMARKS_PATH) {
+  try {
+    return JSON.parse(fs.readFileSync(datasetPath, 'utf8'));
+  } catch (err) {
+    throw new Error(`Could not load benchmarks ${datasetPath}: ${err.message}`);
+  }
+}
+
+/**
+ * Kind of a measurement's value and the factor from benchmark units
+ * (hours, percent) to the measurement's unit
+ * @returns {{kind: 'duration'|'percent', factor: number}|null}
+ */
+function measurementScale(m) {
+  const unit = String(m.unit || '').toLowerCase().trim();
+  if (HOURS_PER_UNIT[unit]) return { kind: 'duration', factor: 1 / HOURS_PER_UNIT[unit] };
+
+  if (/percent|%/.test(unit) || String(m.value_display || '').includes('%')) {
+    // 68% may be stored as 0.68 or 68
+    const shown = parseFloat(String(m.value_display || '').replace(/[^0-9.]/g, ''));
+    const isFraction = typeof m.value === 'number' && m.value <= 1 && shown > 1;
+    return { kind: 'percent', factor: isFraction ? 0.01 : 1 };
+  }
+  return null;
+}
+
+function formatDuration(hours) {
+  const round = (n) => Math.round(n * 100) / 100;
+  if (hours < 1) return `${round(hours * 60)}m`;
+  if (hours < 24) return `${round(hours)}h`;
+  return `${round(hours / 24)}d`;
+}
+
+/**
+ * Display of a benchmark target, e.g. "< 1h" or "< 5%"
+ * @param {Object} benchmark
+ * @returns {string}
+ */
+export function formatBenchmarkTarget(benchmark) {
+  const op = benchmark.direction === 'higher_is_better' ? '>' : '<';
+  const value = benchmark.kind === 'duration' ? formatDuration(benchmark.target) : `${benchmark.target}%`;
+  return `${op} ${value}`;
+}
+
+/**
+ * Best benchmark for a measurement
+ * @param {Object} measurement - Extracted measurement
+ * @param {Object} dataset - Loaded benchmarks
+ * @param {string|null} industry - Audit industry
+ * @returns {Object|null}
+ */
+export function findBenchmark(measurement, dataset, industry = null) {
+  const scale = measurementScale(measurement);
+  if (!scale) return null;
+
+  const candidates = (dataset.benchmarks || []).filter(b =>
+    (b.industry === 'default' || b.industry === industry) &&
+    b.kind === scale.kind &&
+    matchRule(b, measurement)
+  );
+
+  return candidates.sort((a, b) =>
+    (b.industry === industry) - (a.industry === industry) ||
+    Object.keys(b.when).length - Object.keys(a.when).length
+  )[0] || null;
+}
+
+/**
+ * Match measurements to benchmarks and fill missing targets and thresholds
+ * @param {Object[]} measurements - Extracted measurements (not mutated)
+ * @param {Object} dataset - Loaded benchmarks
+ * @param {Object} options - { industry }
+ * @returns {{measurements: Object[], benchmarks: Object[], sources: Object[]}}
+ */
+export function applyBenchmarks(measurements, dataset, options = {}) {
+  const used = new Map();
+
+  const benchmarked = measurements.map(m => {
+    const benchmark = findBenchmark(m, dataset, options.industry);
+    if (!benchmark) return m;
+
+    const { factor } = measurementScale(m);
+    const convert = (value) => Math.round(value * factor * 10000) / 10000;
+    const threshold = { ...(m.threshold || {}) };
+    const applied = [];
+
+    if (!threshold.target_display && threshold.target == null) {
+      threshold.target = convert(benchmark.target);
+      threshold.target_display = formatBenchmarkTarget(benchmark);
+      applied.push('target');
+    }
+    if (threshold.healthy_max == null || threshold.warning_max == null) {
+      threshold.healthy_max = convert(benchmark.healthy_max);
+      threshold.warning_max = convert(benchmark.warning_max);
+      threshold.direction = benchmark.direction;
+      applied.push('threshold');
+    }
+
+    const entry = used.get(benchmark.benchmark_id) || { benchmark, measurements: [] };
+    entry.measurements.push({ measurement_id: m.id, applied });
+    used.set(benchmark.benchmark_id, entry);
+
+    return {
+      ...m,
+      threshold,
+      benchmark: { benchmark_id: benchmark.benchmark_id, applied }
+    };
+  });
+
+  const sourceById = new Map((dataset.sources || []).map(s => [s.source_id, s]));
+  const benchmarks = [...used.values()].map(({ benchmark, measurements: applied }) => ({
+    benchmark_id: benchmark.benchmark_id,
+    name: benchmark.name,
+    industry: benchmark.industry,
+    value: formatBenchmarkTarget(benchmark),
+    source: sourceById.get(benchmark.source_id)?.short || benchmark.source_id,
+    source_id: benchmark.source_id,
+    ...(benchmark.note ? { note: benchmark.note } : {}),
+    dataset_version: dataset.version,
+    measurements: applied
+  }));
+
+  const sources = [...new Set(benchmarks.map(b => b.source_id))]
+    .map(id => sourceById.get(id))
+    .filter(Boolean)
+    .map(({ source_id, citation, url }) => ({ source_id, citation, ...(url ? { url } : {}) }));
+
+  return { measurements: benchmarked, benchmarks, sources };
+}
+
+export default {
+  BENCHMARKS_PATH,
+  loadBenchmarks,
+  formatBenchmarkTarget,
+  findBenchmark,
+  applyBenchmarks
+};
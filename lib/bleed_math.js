@@ -0,0 +1,484 @@
+/**
+ * bleed_math.js - Deterministic Bleed Calculation Engine
+ *
+ * The extraction LLM writes each bleed calculation as a readable formula
+ * ("Volume × Miss Rate × Cost per Miss") with its assumption inputs and a
+ * result, plus a bleed total. None of that arithmetic is trusted here:
+ *
+ *   1. Each formula is parsed (× * x ÷ / + - and parentheses). Operands are
+ *      literal figures ("180 requests", "15%", "$150/miss") or assumption
+ *      labels, matched against the calculation's inputs first.
+ *   2. Formulas that can't be parsed fall back to the product of their inputs
+ *      when the formula only multiplies.
+ *   3. A calculation that uses another's result (listed as an input or named
+ *      in the formula) is recomputed after it, from its recomputed value, so
+ *      the order the calculations were extracted in doesn't change the audit.
+ *   4. The recomputed results of the calculations that feed the total are
+ *      summed and reconciled with bleed_total. Intermediate figures (a cost
+ *      per missed lead another calculation multiplies out, counts, hours)
+ *      are left out: see calculationRole().
+ *
+ * projectBleed() normalizes the checked total to week/month/quarter/year
+ * and projects the cumulative cost of waiting (3/6/12 months of inaction).
+ *
+ * Mode 'correct' (default) replaces wrong results and totals with the
+ * recomputed values; mode 'flag' leaves them and marks them 'mismatch',
+ * which fails report validation. A total that doesn't match while some
+ * calculation can't be classified is always flagged, never corrected.
+ * Either way the audit trail is returned.
+ *
+ * Usage:
+ *   import { auditBleedMath } from './lib/bleed_math.js';
+ *   const { measurements: checked, audit } = auditBleedMath(measurements, { mode: 'correct' });
+ *   const projections = projectBleed(checked.bleed_total.value, checked.bleed_total.period);
+ */
+
+import { extractNumbers } from './numeric_grounding.js';
+
+export const BLEED_MATH_MODES = ['correct', 'flag'];
+
+const PERIOD_SUFFIX = { day: '/day', week: '/wk', month: '/mo', quarter: '/qtr', year: '/yr' };
+
+export const PERIODS_PER_YEAR = { day: 365, week: 52, month: 12, quarter: 4, year: 1 };
+
+const PERIOD_ALIASES = {
+  day: ['day', 'daily', 'd'],
+  week: ['week', 'weekly', 'wk', 'w'],
+  month: ['month', 'monthly', 'mo', 'm'],
+  quarter: ['quarter', 'quarterly', 'qtr', 'q'],
+  year: ['year', 'yearly', 'annual', 'annually', 'yr', 'y']
+};
+
+export const DEFAULT_HORIZONS_MONTHS = [3, 6, 12];
+
+const OPERATORS = { '×': '*', '*': '*', 'x': '*', 'X': '*', '÷': '/', '/': '/', '+': '+', '-': '-', '−': '-' };
+
+// "/" and "-" only count as operators with spaces around them ("$150/miss", "14-day" are operands)
+const TOKEN_SPLIT = /(×|\*|÷|\+|−|\(|\)|\s[xX/-]\s)/;
+
+const STOPWORDS = new Set(['per', 'the', 'of', 'for', 'and', 'a', 'an', 'in', 'on', 'to', 'rate', 'monthly']);
+
+/**
+ * Whole-dollar display, matching transform.js ("$4,050")
+ */
+function formatMoney(value) {
+  return `$${Math.round(value).toLocaleString('en-US')}`;
+}
+
+function withinTolerance(a, b) {
+  return Math.abs(a - b) <= Math.max(1, Math.abs(b) * 0.005);
+}
+
+/**
+ * Assumption value as a multiplier (68% stored as 68 or 0.68 → 0.68)
+ */
+function assumptionFactor(assumption) {
+  if (typeof assumption?.value !== 'number') return null;
+  const isPercent = /%|percent/i.test(`${assumption.value_display || ''} ${assumption.unit || ''}`);
+  return isPercent && assumption.value > 1 ? assumption.value / 100 : assumption.value;
+}
+
+function words(text) {
+  return String(text).toLowerCase()
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .split(/\s+/)
+    .filter(word => word.length > 1 && !STOPWORDS.has(word))
+    .map(word => word.replace(/s$/, ''));
+}
+
+/**
+ * Share of a label's words (ignoring filler) that appear in another label
+ * @param {string} term - Label being matched, e.g. "Miss Rate"
+ * @param {string} label - Candidate label, e.g. "Miss Rate for 14-day SLA"
+ * @returns {number} 0..1
+ */
+export function labelOverlap(term, label) {
+  const termWords = words(term);
+  if (termWords.length === 0) return 0;
+  const labelWords = new Set(words(String(label).replace(/_/g, ' ')));
+  return termWords.filter(word => labelWords.has(word)).length / termWords.length;
+}
+
+/**
+ * Assumption an operand label refers to: every word of the operand
+ * (ignoring filler) must appear in the assumption label.
+ * Inputs of the calculation win over other assumptions.
+ */
+function matchAssumption(term, candidates) {
+  let best = null;
+  let bestScore = 0;
+  candidates.forEach(assumption => {
+    const score = labelOverlap(term, `${assumption.label || ''} ${assumption.id || ''}`);
+    if (score > bestScore) {
+      best = assumption;
+      bestScore = score;
+    }
+  });
+
+  return bestScore >= 0.6 ? best : null;
+}
+
+/**
+ * Resolve a formula operand to a number
+ * @returns {{value: number, display: string, source: string}|null}
+ */
+function resolveOperand(term, inputAssumptions, allAssumptions) {
+  // "180 requests", "15% miss rate" are figures; "Miss Rate for 14-day SLA" is a label
+  const [number] = /^[~$€£]?\d/.test(term) ? extractNumbers(term) : [];
+  if (number) {
+    const value = number.kind === 'percent' ? number.value / 100 : number.value;
+    return { value, display: number.raw, source: 'literal' };
+  }
+
+  const assumption = matchAssumption(term, inputAssumptions) || matchAssumption(term, allAssumptions);
+  const value = assumptionFactor(assumption);
+  if (value === null) return null;
+  return { value, display: String(value), source: assumption.id };
+}
+
+/**
+ * Evaluate a readable formula against the bleed assumptions
+ * @param {string} formula - e.g. "Client Volume × Miss Rate × Cost per Miss" (text after "=" is ignored)
+ * @param {Object[]} assumptions - bleed_assumptions ({id, label, value, value_display})
+ * @param {string[]} inputIds - Assumption IDs the calculation lists as inputs
+ * @returns {{value: number, expression: string, operands: Object[]}} - throws if the formula can't be evaluated
+ */
+export function evaluateFormula(formula, assumptions = [], inputIds = []) {
+  const inputAssumptions = inputIds.map(id => assumptions.find(a => a.id === id)).filter(Boolean);
+  const tokens = String(formula).split('=')[0]
+    .split(TOKEN_SPLIT)
+    .map(token => token.trim())
+    .filter(Boolean);
+
+  if (tokens.length === 0) {
+    throw new Error('empty formula');
+  }
+
+  const operands = [];
+  const expression = [];
+  let pos = 0;
+
+  const parseFactor = () => {
+    const token = tokens[pos++];
+    if (token === '(') {
+      expression.push('(');
+      const value = parseExpression();
+      if (tokens[pos++] !== ')') throw new Error('unbalanced parentheses');
+      expression.push(')');
+      return value;
+    }
+    if (token === undefined || token === ')' || OPERATORS[token]) {
+      throw new Error(`unexpected "${token ?? 'end of formula'}"`);
+    }
+    const operand = resolveOperand(token, inputAssumptions, assumptions);
+    if (!operand) throw new Error(`cannot resolve "${token}"`);
+    operands.push({ term: token, ...operand });
+    expression.push(operand.display);
+    return operand.value;
+  };
+
+  const parseTerm = () => {
+    let value = parseFactor();
+    while (['*', '/'].includes(OPERATORS[tokens[pos]])) {
+      const op = OPERATORS[tokens[pos++]];
+      expression.push(op === '*' ? '×' : '÷');
+      const right = parseFactor();
+      value = op === '*' ? value * right : value / right;
+    }
+    return value;
+  };
+
+  const parseExpression = () => {
+    let value = parseTerm();
+    while (['+', '-'].includes(OPERATORS[tokens[pos]])) {
+      const op = OPERATORS[tokens[pos++]];
+      expression.push(op);
+      const right = parseTerm();
+      value = op === '+' ? value + right : value - right;
+    }
+    return value;
+  };
+
+  const value = parseExpression();
+  if (pos < tokens.length) {
+    throw new Error(`unexpected "${tokens[pos]}"`);
+  }
+  if (!Number.isFinite(value)) {
+    throw new Error('result is not a finite number');
+  }
+
+  return { value, expression: expression.join(' '), operands };
+}
+
+/**
+ * Recompute one calculation: formula first, then the product of its inputs.
+ * Other calculations' results count as operands, so a formula that names an
+ * intermediate ("× Cost per Missed Lead") uses that figure, not an assumption.
+ * @param {Array} calculations - Sibling calculations (their current results are used)
+ * @returns {{value: number|null, expression: string|null, method: 'formula'|'inputs'|null, reason?: string}}
+ */
+export function recomputeCalculation(calc, assumptions, calculations = []) {
+  const operands = [
+    ...assumptions,
+    ...calculations
+      .filter(other => other.id !== calc.id && typeof other.result === 'number')
+      .map(other => ({ id: other.id, label: other.label, value: other.result }))
+  ];
+  try {
+    const result = evaluateFormula(calc.formula, operands, calc.inputs || []);
+    return { value: result.value, expression: result.expression, method: 'formula' };
+  } catch (err) {
+    const onlyMultiplies = !/[÷+−]|\s[/-]\s/.test(String(calc.formula || '').split('=')[0]);
+    const factors = (calc.inputs || []).map(id => assumptionFactor(operands.find(a => a.id === id)));
+    if (onlyMultiplies && factors.length > 0 && factors.every(f => f !== null)) {
+      return {
+        value: factors.reduce((product, f) => product * f, 1),
+        expression: factors.join(' × '),
+        method: 'inputs'
+      };
+    }
+    return { value: null, expression: null, method: null, reason: err.message };
+  }
+}
+
+/**
+ * Normalize an extracted period ("monthly", "per week", "/yr") to
+ * day | week | month | quarter | year; anything unrecognised is a month
+ */
+export function normalizePeriod(period) {
+  const key = String(period || '').toLowerCase().replace(/^(per|\/)\s*/, '').replace(/s$/, '').trim();
+  return Object.keys(PERIOD_ALIASES).find(p => PERIOD_ALIASES[p].includes(key)) || 'month';
+}
+
+/**
+ * Convert a bleed amount from one period to another (via its annual rate)
+ * @param {number} amount - Bleed per fromPeriod
+ * @param {string} fromPeriod - day | week | month | quarter | year
+ * @param {string} toPeriod - day | week | month | quarter | year
+ * @returns {number}
+ */
+export function convertBleed(amount, fromPeriod, toPeriod) {
+  const annual = amount * PERIODS_PER_YEAR[normalizePeriod(fromPeriod)];
+  return annual / PERIODS_PER_YEAR[normalizePeriod(toPeriod)];
+}
+
+/**
+ * Bleed per week/month/quarter/year and the cumulative cost of waiting
+ * (no fix for N months)
+ * @param {number} amount - Bleed total per period
+ * @param {string} period - Period of the total
+ * @param {Object} options - { horizonsMonths: [3, 6, 12] }
+ * @returns {{period: string, periods_per_year: number, per_period: Object, annual: number,
+ *   cost_of_waiting: Array<{months: number, amount: number}>}} Amounts rounded to whole units
+ */
+export function projectBleed(amount, period, options = {}) {
+  const horizons = options.horizonsMonths || DEFAULT_HORIZONS_MONTHS;
+  const from = normalizePeriod(period);
+  const monthly = convertBleed(amount, from, 'month');
+
+  return {
+    period: from,
+    periods_per_year: PERIODS_PER_YEAR[from],
+    per_period: Object.fromEntries(
+      ['week', 'month', 'quarter', 'year'].map(to => [to, Math.round(convertBleed(amount, from, to))])
+    ),
+    annual: Math.round(amount * PERIODS_PER_YEAR[from]),
+    cost_of_waiting: horizons.map(months => ({ months, amount: Math.round(monthly * months) }))
+  };
+}
+
+/**
+ * Money calculations have a currency result ("$4,050"); counts like "missed SLAs per month" don't
+ */
+export function isMoneyCalculation(calc) {
+  return /[$€£]/.test(calc.result_display || '');
+}
+
+/**
+ * Whether a calculation uses another's result: it lists the id as an
+ * input, or its formula names the other calculation's label
+ */
+function usesResultOf(calc, other) {
+  if (other === calc) return false;
+  if ((calc.inputs || []).includes(other.id)) return true;
+  return String(calc.formula || '').split('=')[0]
+    .split(TOKEN_SPLIT)
+    .map(token => token.trim())
+    .filter(token => token && !OPERATORS[token] && !/^[()]$/.test(token) && !/^[~$€£]?\d/.test(token))
+    .some(term => other.label && labelOverlap(term, other.label) >= 0.6 && labelOverlap(other.label, term) >= 0.6);
+}
+
+function isUsedByOtherCalculation(calc, calculations) {
+  return calculations.some(other => usesResultOf(other, calc));
+}
+
+/**
+ * Calculations ordered so each comes after the ones whose results it uses
+ * (extraction order otherwise; calculations in a cycle keep that order)
+ */
+function dependencyOrder(calculations) {
+  const ordered = [];
+  const pending = [...calculations];
+  while (pending.length > 0) {
+    const next = pending.find(calc => !pending.some(other => usesResultOf(calc, other))) || pending[0];
+    ordered.push(next);
+    pending.splice(pending.indexOf(next), 1);
+  }
+  return ordered;
+}
+
+/**
+ * Role of a calculation in the bleed total:
+ *   'total'        - adds up to bleed_total (feeds_total: true, or an unused money result)
+ *   'intermediate' - feeds_total: false, used by another calculation, or not money
+ *   'unknown'      - no flag and no result_display to tell
+ * @param {Object} calc - Bleed calculation
+ * @param {Object[]} calculations - All bleed calculations
+ * @returns {'total'|'intermediate'|'unknown'}
+ */
+export function calculationRole(calc, calculations = []) {
+  if (typeof calc.feeds_total === 'boolean') return calc.feeds_total ? 'total' : 'intermediate';
+  if (isUsedByOtherCalculation(calc, calculations)) return 'intermediate';
+  if (!calc.result_display) return 'unknown';
+  return isMoneyCalculation(calc) ? 'total' : 'intermediate';
+}
+
+/**
+ * Calculations whose results add up to the bleed total
+ */
+export function totalCalculations(calculations = []) {
+  return calculations.filter(calc => calculationRole(calc, calculations) === 'total');
+}
+
+function overallStatus(statuses) {
+  return ['mismatch', 'corrected', 'unverifiable'].find(status => statuses.includes(status)) || 'verified';
+}
+
+/**
+ * Recompute and reconcile the extracted bleed math
+ * @param {Object} measurements - Measurements JSON (bleed_assumptions, bleed_calculations, bleed_total)
+ * @param {Object} options - { mode: 'correct' | 'flag' }
+ * @returns {{measurements: Object, audit: Object}} Checked copy of the measurements and the audit trail
+ */
+export function auditBleedMath(measurements, options = {}) {
+  const mode = options.mode || 'correct';
+  if (!BLEED_MATH_MODES.includes(mode)) {
+    throw new Error(`Unknown bleed math mode: ${mode}. Use: ${BLEED_MATH_MODES.join(', ')}`);
+  }
+
+  const checked = JSON.parse(JSON.stringify(measurements));
+  if (checked.bleed_total) {
+    checked.bleed_total.period = normalizePeriod(checked.bleed_total.period);
+  }
+  const assumptions = checked.bleed_assumptions || [];
+  const calculations = checked.bleed_calculations || [];
+
+  // Upstream first, so a calculation using another's result gets its recomputed value
+  const recomputed = new Map();
+  dependencyOrder(calculations).forEach(calc => {
+    const siblings = calculations.map(other => {
+      const value = recomputed.get(other)?.value;
+      return typeof value === 'number' ? { ...other, result: value } : other;
+    });
+    recomputed.set(calc, recomputeCalculation(calc, assumptions, siblings));
+  });
+
+  const calcAudits = calculations.map(calc => {
+    const computed = recomputed.get(calc);
+    const extracted = typeof calc.result === 'number' ? calc.result : null;
+    // Classified before any correction rewrites result_display
+    const role = calculationRole(calc, calculations);
+
+    let status = 'unverifiable';
+    if (computed.value !== null) {
+      status = extracted !== null && withinTolerance(extracted, computed.value) ? 'verified'
+        : mode === 'correct' ? 'corrected'
+        : 'mismatch';
+    }
+
+    if (status === 'corrected') {
+      calc.result = Math.round(computed.value * 100) / 100;
+      calc.result_display = role === 'intermediate' && !isMoneyCalculation(calc)
+        ? Math.round(computed.value).toLocaleString('en-US')
+        : formatMoney(computed.value);
+    }
+
+    return {
+      calc_id: calc.id,
+      label: calc.label || '',
+      formula: calc.formula || '',
+      expression: computed.expression,
+      method: computed.method,
+      extracted_result: extracted,
+      computed_result: computed.value === null ? null : Math.round(computed.value * 100) / 100,
+      status,
+      reason: computed.reason || null,
+      role
+    };
+  });
+
+  // Recomputed results are used where available, so a flagged calculation also flags the total
+  const resultsOf = role => calculations
+    .map((calc, idx) => ({ role: calcAudits[idx].role, result: calcAudits[idx].computed_result ?? calc.result }))
+    .filter(entry => entry.role === role)
+    .map(entry => entry.result);
+  const feeding = resultsOf('total');
+  const unknown = resultsOf('unknown');
+  const total = checked.bleed_total;
+  const extractedTotal = typeof total?.value === 'number' ? total.value : null;
+  const totalAudit = { extracted: extractedTotal, computed: null, status: 'unverifiable', reason: null };
+  const sumOf = results => results.reduce((acc, result) => acc + result, 0);
+
+  if (total && feeding.length + unknown.length > 0 && [...feeding, ...unknown].every(result => typeof result === 'number')) {
+    const sum = sumOf(feeding);
+    const withUnknown = sum + sumOf(unknown);
+    totalAudit.computed = Math.round(sum * 100) / 100;
+
+    if (extractedTotal !== null && withinTolerance(extractedTotal, sum)) {
+      totalAudit.status = 'verified';
+    } else if (unknown.length > 0 && extractedTotal !== null && withinTolerance(extractedTotal, withUnknown)) {
+      // The unclassified calculations are what makes the total add up
+      calcAudits.filter(c => c.role === 'unknown').forEach(c => { c.role = 'total'; });
+      totalAudit.computed = Math.round(withUnknown * 100) / 100;
+      totalAudit.status = 'verified';
+    } else if (unknown.length > 0) {
+      // Can't tell which calculations make up the total: flag, don't rewrite the headline
+      const labels = calcAudits.filter(c => c.role === 'unknown').map(c => c.label || c.calc_id);
+      totalAudit.status = 'mismatch';
+      totalAudit.reason = `can't tell whether ${labels.join(', ')} feed${labels.length === 1 ? 's' : ''} the total (no result_display or feeds_total)`;
+    } else {
+      totalAudit.status = mode === 'correct' ? 'corrected' : 'mismatch';
+    }
+
+    if (totalAudit.status === 'corrected') {
+      total.value = totalAudit.computed;
+      total.display = `${formatMoney(sum)}${PERIOD_SUFFIX[total.period]}`;
+    }
+  }
+
+  return {
+    measurements: checked,
+    audit: {
+      mode,
+      status: overallStatus([...calcAudits.map(c => c.status), totalAudit.status]),
+      calculations: calcAudits,
+      total: totalAudit
+    }
+  };
+}
+
+export default {
+  BLEED_MATH_MODES,
+  PERIODS_PER_YEAR,
+  DEFAULT_HORIZONS_MONTHS,
+  normalizePeriod,
+  convertBleed,
+  projectBleed,
+  labelOverlap,
+  isMoneyCalculation,
+  calculationRole,
+  totalCalculations,
+  evaluateFormula,
+  recomputeCalculation,
+  auditBleedMath
+};
@@ -0,0 +1,147 @@
+/**
+ * bleed_sensitivity.js - Sensitivity Analysis for the Revenue Bleed
+ *
+ * Bleed figures are built from client estimates, so the headline number is
+ * only as good as its assumptions. Each bleed assumption is moved, one at a
+ * time, to its low and high value and the bleed calculations are re-run
+ * with bleed_math.js:
+ *
+ *   - assumptions with an extracted range ("20-30 clients a month") use it
+ *   - all others vary by ±variation (default 25%); percentages stay ≤ 100%
+ *
+ * The swings are combined in quadrature (independent estimates rarely all
+ * miss in the same direction) into a low-high bleed range, and the
+ * assumption with the largest swing is reported as the dominant one.
+ *
+ * Usage:
+ *   import { analyzeBleedSensitivity } from './lib/bleed_sensitivity.js';
+ *   const sensitivity = analyzeBleedSensitivity(checkedMeasurements, { variation: 0.25 });
+ *   console.log(sensitivity.range_display, sensitivity.dominant_assumption_id);
+ */
+
+import { totalCalculations, recomputeCalculation } from './bleed_math.js';
+
+export const DEFAULT_VARIATION = 0.25;
+
+function formatMoney(value) {
+  return `$${Math.round(value).toLocaleString('en-US')}`;
+}
+
+function isPercent(assumption) {
+  return /%|percent/i.test(`${assumption.value_display || ''} ${assumption.unit || ''}`);
+}
+
+/**
+ * Low and high value of one assumption
+ * @returns {{low: number, high: number, basis: 'range'|'variation'}|null}
+ */
+function assumptionBounds(assumption, variation) {
+  if (typeof assumption.value !== 'number') return null;
+
+  const range = assumption.range;
+  if (typeof range?.low === 'number' && typeof range?.high === 'number' && range.low <= range.high) {
+    return { low: range.low, high: range.high, basis: 'range' };
+  }
+
+  // 68% may be stored as 0.68 or 68; either way it can't pass 100%
+  const cap = isPercent(assumption) ? (assumption.value > 1 ? 100 : 1) : Infinity;
+  return {
+    low: assumption.value * (1 - variation),
+    high: Math.min(assumption.value * (1 + variation), cap),
+    basis: 'variation'
+  };
+}
+
+/**
+ * Bleed total from the calculations that feed it. Every calculation is
+ * recomputed in order so intermediates pass the varied figure on; ones that
+ * can't be recomputed keep their extracted result
+ */
+function bleedTotal(all, feedingIds, assumptions) {
+  const results = [];
+  all.forEach((calc, idx) => {
+    const { value } = recomputeCalculation(calc, assumptions, [...results, ...all.slice(idx + 1)]);
+    results.push({ ...calc, result: value ?? calc.result });
+  });
+  return results
+    .filter(calc => feedingIds.includes(calc.id))
+    .reduce((sum, calc) => sum + (calc.result ?? 0), 0);
+}
+
+/**
+ * Vary each bleed assumption and report the resulting bleed range
+ * @param {Object} measurements - Measurements JSON after auditBleedMath (bleed_assumptions, bleed_calculations, bleed_total)
+ * @param {Object} options - { variation: 0.25, totalCalcIds } (totalCalcIds: the calculations
+ *   that feed the total per the math audit; default bleed_math.totalCalculations)
+ * @returns {Object|null} Sensitivity block for report.bleed (null without calculations feeding the total)
+ */
+export function analyzeBleedSensitivity(measurements, options = {}) {
+  const variation = options.variation ?? DEFAULT_VARIATION;
+  const assumptions = measurements.bleed_assumptions || [];
+  const all = measurements.bleed_calculations || [];
+  const calculations = options.totalCalcIds
+    ? all.filter(calc => options.totalCalcIds.includes(calc.id))
+    : totalCalculations(all);
+  if (calculations.length === 0) return null;
+  const feedingIds = calculations.map(calc => calc.id);
+
+  const base = bleedTotal(all, feedingIds, assumptions);
+  const usedIds = new Set(all.flatMap(calc => calc.inputs || []));
+
+  const swings = assumptions
+    .filter(a => usedIds.has(a.id))
+    .map(assumption => {
+      const bounds = assumptionBounds(assumption, variation);
+      if (!bounds) return null;
+
+      const totalWith = (value) => bleedTotal(
+        all,
+        feedingIds,
+        assumptions.map(a => (a.id === assumption.id ? { ...a, value } : a))
+      );
+      const atLow = totalWith(bounds.low);
+      const atHigh = totalWith(bounds.high);
+
+      return {
+        assumption_id: assumption.id,
+        label: assumption.label || assumption.id,
+        basis: bounds.basis,
+        value: assumption.value,
+        low: Math.round(bounds.low * 10000) / 10000,
+        high: Math.round(bounds.high * 10000) / 10000,
+        bleed_low: Math.round(Math.min(atLow, atHigh)),
+        bleed_high: Math.round(Math.max(atLow, atHigh)),
+        swing: Math.round(Math.abs(atHigh - atLow))
+      };
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.swing - a.swing);
+
+  const totalSwing = swings.reduce((sum, s) => sum + s.swing, 0);
+  swings.forEach(s => {
+    s.share = totalSwing > 0 ? Math.round((s.swing / totalSwing) * 100) / 100 : 0;
+  });
+
+  const downside = Math.sqrt(swings.reduce((sum, s) => sum + Math.pow(base - s.bleed_low, 2), 0));
+  const upside = Math.sqrt(swings.reduce((sum, s) => sum + Math.pow(s.bleed_high - base, 2), 0));
+  const low = Math.max(0, Math.round(base - downside));
+  const high = Math.round(base + upside);
+  const currency = measurements.bleed_total?.currency || 'USD';
+
+  return {
+    variation,
+    method: 'one_at_a_time_quadrature',
+    base: { amount: Math.round(base), currency, display: formatMoney(base) },
+    low: { amount: low, currency, display: formatMoney(low) },
+    high: { amount: high, currency, display: formatMoney(high) },
+    range_display: `${formatMoney(low)} – ${formatMoney(high)}`,
+    dominant_assumption_id: swings[0]?.assumption_id || null,
+    dominant_label: swings[0]?.label || null,
+    assumptions: swings
+  };
+}
+
+export default {
+  DEFAULT_VARIATION,
+  analyzeBleedSensitivity
+};
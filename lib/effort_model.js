@@ -0,0 +1,189 @@
+/**
+ * effort_model.js - Fix Effort and Turnaround Estimation
+ *
+ * Estimates build hours, skills and turnaround for each fix from
+ * effort_model.json instead of fixed tiers:
+ *
+ *   base hours for the fix group (SLA/latency, automation, ...)
+ *   + hours per metric type the fix addresses
+ *   + hours per system it touches (by systems_involved[].system_type)
+ *   + hours per manual handoff (groups that remove handoffs)
+ *   × integration complexity (more systems, higher multiplier)
+ *
+ * The result is the most likely estimate; min/max come from the model's
+ * range factors, the tier from its hour thresholds, and turnaround from
+ * hours per business day plus a buffer. Every factor is recorded in
+ * effort.derivation so the estimate can be explained line by line.
+ *
+ * Usage:
+ *   import { loadEffortModel, estimateFixEffort } from './lib/effort_model.js';
+ *   const model = loadEffortModel();
+ *   const { effort, turnaround } = estimateFixEffort({ groupKey, measurements, systems, handoffs }, model);
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const EFFORT_MODEL_PATH = path.join(__dirname, '..', 'effort_model.json');
+
+/**
+ * Load the effort model
+ * @param {string} modelPath - JSON file (default: effort_model.json in the repo root)
+ * @returns {Object}
+ */
+export function loadEffortModel(modelPath = EFFORT_MODEL_PATH) {
+  try {
+    return JSON.parse(fs.readFileSync(modelPath, 'utf8'));
+  } catch (err) {
+    throw new Error(`Could not load effort model ${modelPath}: ${err.message}`);
+  }
+}
+
+/**
+ * Manual handoffs in the workflow: a measured handoff count when there is
+ * one, then the extracted steps marked as handoffs, otherwise the steps
+ * listed in the intake's manual transfers ("copies X into Y, then checks Z,
+ * then calls...") plus decision gates
+ * @param {Object} intake - Intake of one workflow
+ * @param {Object[]} measurements - That workflow's measurements
+ * @returns {number}
+ */
+export function countHandoffs(intake, measurements = []) {
+  const measured = measurements.find(m => /hand-?offs?/i.test(m.name) && typeof m.value === 'number');
+  if (measured) return measured.value;
+
+  const steps = intake.workflow_steps || [];
+  if (steps.length > 0) return steps.filter(step => step.handoff).length;
+
+  const handoffs = intake.section_c_systems_handoffs || {};
+  const transfers = String(handoffs.q11_manual_data_transfers || '')
+    .split(/[,;\n]|\bthen\b/i)
+    .filter(step => step.trim().length > 3).length;
+  const gates = handoffs.q12_human_decision_gates ? 1 : 0;
+  return transfers + gates;
+}
+
+/**
+ * Systems named in the measurements' names, status reasons or evidence,
+ * by their catalog name or the name the intake gave them
+ * @param {Object[]} measurements - Extracted measurements
+ * @param {Object[]} systems - systems_involved ({system_name, system_type, intake_name})
+ * @returns {Object[]}
+ */
+export function mentionedSystems(measurements, systems = []) {
+  const text = measurements
+    .map(m => [m.name, m.status_reason, ...(m.evidence || []).map(e => e.summary)].join(' '))
+    .join(' ')
+    .toLowerCase();
+  return systems.filter(system =>
+    [system.system_name, system.intake_name]
+      .filter(Boolean)
+      .join(' ')
+      .toLowerCase()
+      .split(/[^a-z0-9]+/)
+      .some(word => word.length >= 4 && text.includes(word))
+  );
+}
+
+/**
+ * Systems a fix touches: all of them for integration-type groups,
+ * otherwise the ones its measurements mention (at least the first system)
+ */
+function touchedSystems(group, measurements, systems) {
+  if (systems.length === 0) return [];
+  if (group.touches_all_systems) return systems;
+
+  const mentioned = mentionedSystems(measurements, systems);
+  return mentioned.length > 0 ? mentioned : systems.slice(0, 1);
+}
+
+function tierFor(hours, tiers) {
+  if (hours <= tiers.low_max_hours) return 'low';
+  if (hours <= tiers.medium_max_hours) return 'medium';
+  return 'high';
+}
+
+/**
+ * Estimate effort, skills and turnaround for one fix
+ * @param {Object} fix
+ * @param {string} fix.groupKey - Fix group (sla_latency, automation, visibility, quality)
+ * @param {Object[]} fix.measurements - Measurements the fix addresses
+ * @param {Object[]} fix.systems - systems_involved ({system_name, system_type})
+ * @param {number} fix.handoffs - Manual handoffs in the workflows the fix covers
+ * @param {Object} model - Loaded effort model
+ * @returns {{effort: Object, turnaround: Object}}
+ */
+export function estimateFixEffort({ groupKey, measurements = [], systems = [], handoffs = 0 }, model = loadEffortModel()) {
+  const group = model.fix_groups[groupKey] || model.fix_groups.default;
+  const factors = [];
+  const skills = new Set(group.skills);
+
+  factors.push({ factor: 'fix_group', detail: group.label, hours: group.base_hours });
+
+  const metricTypes = [...new Set(measurements.map(m => m.metric_type || 'default'))];
+  metricTypes.forEach(type => {
+    const rule = model.metric_types[type] || model.metric_types.default;
+    rule.skills.forEach(skill => skills.add(skill));
+    factors.push({ factor: 'metric_type', detail: type, hours: rule.hours });
+  });
+
+  const touched = touchedSystems(group, measurements, systems);
+  touched.forEach(system => {
+    const rule = model.system_types[system.system_type] || model.system_types.other;
+    rule.skills.forEach(skill => skills.add(skill));
+    factors.push({ factor: 'system', detail: `${system.system_name} (${system.system_type})`, hours: rule.hours });
+  });
+
+  if (group.counts_handoffs && handoffs > 0) {
+    const counted = Math.min(handoffs, model.handoffs.max_counted);
+    factors.push({ factor: 'handoffs', detail: `${counted} manual handoffs`, hours: counted * model.handoffs.hours_each });
+  }
+
+  const additive = factors.reduce((sum, f) => sum + f.hours, 0);
+  const complexity = model.integration_complexity.find(c => c.max_systems === null || touched.length <= c.max_systems);
+  const likely = Math.round(additive * complexity.multiplier);
+  const min = Math.round(likely * model.range.min_factor);
+  const max = Math.round(likely * model.range.max_factor);
+
+  const { hours_per_business_day: perDay, buffer_days: buffer, min_business_days: minDays } = model.turnaround;
+  const daysMin = Math.max(minDays, Math.ceil(min / perDay) + buffer);
+  const daysMax = Math.max(daysMin, Math.ceil(max / perDay) + buffer);
+
+  const summary = `${factors.map(f => `${f.detail} ${f.hours}h`).join(' + ')} = ${additive}h` +
+    `${complexity.multiplier !== 1 ? `, × ${complexity.multiplier} for ${complexity.label}` : ''}` +
+    ` → ${likely}h likely (${min}-${max}h); ${perDay}h per business day + ${buffer} days buffer`;
+
+  return {
+    effort: {
+      tier: tierFor(likely, model.tiers),
+      estimated_hours_range: {
+        min_hours: min,
+        most_likely_hours: likely,
+        max_hours: max
+      },
+      skills_required: [...skills],
+      derivation: {
+        model_version: model.version,
+        factors,
+        integration_multiplier: complexity.multiplier,
+        summary
+      }
+    },
+    turnaround: {
+      label: `${daysMin}-${daysMax} Days`,
+      business_days_min: daysMin,
+      business_days_max: daysMax
+    }
+  };
+}
+
+export default {
+  EFFORT_MODEL_PATH,
+  loadEffortModel,
+  countHandoffs,
+  mentionedSystems,
+  estimateFixEffort
+};
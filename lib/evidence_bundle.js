@@ -0,0 +1,360 @@
+/**
+ * evidence_bundle.js - Evidence Bundle with Source-Span Traceability
+ *
+ * Builds the evidence bundle described in old/data_intake_procedure.txt
+ * §2.1-2.2: the raw inputs exactly as received (with a sha256 hash each)
+ * and one evidence record per quote the extractor cited, pointing at the
+ * character span of that quote in the input.
+ *
+ * The extractor returns a verbatim `quote` with each piece of evidence.
+ * The offsets are found here, not trusted from the model: an exact match
+ * first, then a match ignoring case, whitespace and typographic quotes.
+ * A quote found nowhere in the input still gets a record (match
+ * "not_found", no span), so an invented quote shows up in review instead
+ * of disappearing.
+ *
+ * Record ids are derived from the source and span, so the same quote cited
+ * by two measurements is one record linked to both, and re-running the
+ * bundle over the same extraction gives the same ids.
+ *
+ * An audit built from several inputs (call notes, an email thread, a chat)
+ * merges the per-input bundles into one (mergeEvidenceBundles).
+ *
+ * Saved bundles sit next to a copy of each input (sources/<source_id>.txt),
+ * so a reviewer can open a record's span side by side with the notes and
+ * check both hashes (`node cli.js evidence <bundle|report> [--source file]`).
+ *
+ * Usage:
+ *   import { createEvidenceSource, buildEvidenceBundle } from './lib/evidence_bundle.js';
+ *   const source = createEvidenceSource(rawText, { originalRef: 'notes.txt' });
+ *   const bundle = buildEvidenceBundle([{ source, text: rawText }], measurements);
+ *   // measurements[].evidence[] and bleed_assumptions[].evidence[] now carry evidence_id
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { createHash } from 'crypto';
+import { ensureDir } from './file_utils.js';
+
+export const EVIDENCE_BUNDLE_VERSION = '1.0.0';
+
+const MATCH_CONFIDENCE = { exact: 0.95, normalized: 0.8, not_found: 0.3 };
+
+/**
+ * sha256 hex digest of a string (UTF-8)
+ */
+export function sha256(text) {
+  return createHash('sha256').update(String(text), 'utf8').digest('hex');
+}
+
+/**
+ * Lowercase, collapse whitespace and straighten typographic quotes/dashes,
+ * keeping the offset in the original text of every normalized character
+ */
+function normalizeWithOffsets(text) {
+  let normalized = '';
+  const offsets = [];
+  let lastWasSpace = false;
+
+  for (let i = 0; i < text.length; i++) {
+    let ch = text[i];
+    if (/\s/.test(ch)) {
+      if (lastWasSpace) continue;
+      ch = ' ';
+      lastWasSpace = true;
+    } else {
+      lastWasSpace = false;
+      ch = ch.replace(/[‘’]/, "'").replace(/[“”]/, '"').replace(/[–—]/, '-').toLowerCase();
+    }
+    normalized += ch;
+    offsets.push(i);
+  }
+
+  return { normalized, offsets };
+}
+
+/**
+ * Find a quote in the input text
+ * @param {string} text - Input text as received
+ * @param {string} quote - Quote as cited by the extractor
+ * @returns {{start: number, end: number, match: string}|null} Span (end exclusive), or null
+ */
+export function locateQuote(text, quote) {
+  const trimmed = String(quote || '').trim();
+  if (!trimmed) return null;
+
+  const exact = text.indexOf(trimmed);
+  if (exact >= 0) return { start: exact, end: exact + trimmed.length, match: 'exact' };
+
+  // Models wrap quotes in quote marks and add a closing period
+  const bare = trimmed.replace(/^["'“‘\s]+|["'”’.,;:!?\s]+$/g, '');
+  if (!bare) return null;
+
+  const { normalized, offsets } = normalizeWithOffsets(text);
+  const needle = normalizeWithOffsets(bare).normalized;
+  const idx = normalized.indexOf(needle);
+  if (idx < 0) return null;
+
+  return { start: offsets[idx], end: offsets[idx + needle.length - 1] + 1, match: 'normalized' };
+}
+
+/**
+ * 1-based line and column of an offset
+ */
+export function lineOf(text, offset) {
+  const before = text.slice(0, offset).split('\n');
+  return { line: before.length, column: before[before.length - 1].length + 1 };
+}
+
+/**
+ * Source type of an input from its shape: an email thread (From:/To: headers),
+ * an interview transcript (Q:/A: turns) or a plain file
+ */
+export function guessSourceType(text) {
+  if (/^from:\s.+$/im.test(text) && /^(to|subject|sent|date):\s/im.test(text)) return 'email';
+  if ((text.match(/^\s*(q|a|interviewer|interviewee)\s*:/gim) || []).length >= 4) return 'transcript';
+  return 'file';
+}
+
+/**
+ * Metadata for one input as received (§2.1)
+ * @param {string} rawText - Input text as received
+ * @param {Object} options - { originalRef, sourceType, receivedBy, receivedAt, contentType }
+ * @returns {Object} Bundle source entry
+ */
+export function createEvidenceSource(rawText, options = {}) {
+  const hash = sha256(rawText);
+  const sourceId = `src-${hash.slice(0, 10)}`;
+  const originalRef = options.originalRef || null;
+
+  return {
+    source_id: sourceId,
+    source_type: options.sourceType || (originalRef ? 'file' : 'api'),
+    original_filename: originalRef ? path.basename(originalRef) : null,
+    original_ref: originalRef,
+    stored_ref: `sources/${sourceId}.txt`,
+    content_type: options.contentType || 'text/plain',
+    char_length: rawText.length,
+    sha256_hash: hash,
+    received_at: options.receivedAt || new Date().toISOString(),
+    received_by: options.receivedBy || 'pipeline',
+    redaction_status: 'none'
+  };
+}
+
+/**
+ * Find a quote in the first input that contains it
+ */
+function locateInInputs(inputs, quote) {
+  for (const input of inputs) {
+    const span = locateQuote(input.text, quote);
+    if (span) return { input, span };
+  }
+  return { input: inputs[0], span: null };
+}
+
+/**
+ * Evidence records for every quote in the extracted measurements (§2.2).
+ * Annotates each measurements[].evidence[] and bleed_assumptions[].evidence[]
+ * item in place with its evidence_id and source_id.
+ *
+ * @param {Object[]} inputs - [{ source, text }] from createEvidenceSource()
+ * @param {Object} measurements - Extracted measurements (measurements, bleed_assumptions)
+ * @param {Object} options - { capturedAt, capturedBy, extractionMethod }
+ * @returns {Object} Evidence bundle (bundle_id, created_at, sources, evidence_records)
+ */
+export function buildEvidenceBundle(inputs, measurements, options = {}) {
+  const createdAt = options.capturedAt || new Date().toISOString();
+  const bundleId = `bundle-${sha256(inputs.map(input => input.source.sha256_hash).join(':')).slice(0, 12)}`;
+  const records = new Map();
+
+  const cite = (evidence, link, tag) => {
+    const quote = evidence.quote || evidence.summary;
+    const { input, span } = locateInInputs(inputs, quote);
+    const match = span?.match || 'not_found';
+    const extractedText = span ? input.text.slice(span.start, span.end) : String(quote || '').trim();
+    const evidenceId = `ev-${sha256(span ? `${input.source.source_id}:${span.start}:${span.end}` : `${input.source.source_id}:${extractedText}`).slice(0, 10)}`;
+
+    if (!records.has(evidenceId)) {
+      records.set(evidenceId, {
+        evidence_id: evidenceId,
+        bundle_ref: bundleId,
+        source_id: input.source.source_id,
+        source_type: input.source.source_type,
+        original_ref: input.source.original_ref,
+        sha256_hash: sha256(extractedText),
+        captured_at: createdAt,
+        captured_by: options.capturedBy || 'extractor',
+        content_type: input.source.content_type,
+        extracted_text: extractedText,
+        span: span ? { start: span.start, end: span.end, ...lineOf(input.text, span.start) } : null,
+        match,
+        extraction_method: options.extractionMethod || 'llm',
+        extraction_confidence: MATCH_CONFIDENCE[match],
+        redaction_applied: false,
+        tags: [],
+        linked_to: []
+      });
+    }
+
+    const record = records.get(evidenceId);
+    if (!record.tags.includes(tag)) record.tags.push(tag);
+    record.linked_to.push(link);
+
+    evidence.evidence_id = evidenceId;
+    evidence.source_id = input.source.source_id;
+  };
+
+  (measurements.measurements || []).forEach(m => {
+    (m.evidence || []).forEach(e => cite(e, { type: 'measurement', id: m.id }, 'measurements'));
+  });
+  (measurements.bleed_assumptions || []).forEach(a => {
+    (a.evidence || []).forEach(e => cite(e, { type: 'assumption', id: a.id }, 'assumptions'));
+  });
+
+  return {
+    bundle_version: EVIDENCE_BUNDLE_VERSION,
+    bundle_id: bundleId,
+    created_at: createdAt,
+    sources: inputs.map(input => input.source),
+    evidence_records: [...records.values()]
+  };
+}
+
+/**
+ * One bundle for several inputs: their sources and records side by side
+ * (an input given twice is kept once)
+ * @param {Object[]} bundles - Bundles from buildEvidenceBundle(), one per input
+ * @returns {Object} Evidence bundle
+ */
+export function mergeEvidenceBundles(bundles) {
+  const sources = new Map();
+  const records = new Map();
+  bundles.forEach(bundle => {
+    bundle.sources.forEach(source => { if (!sources.has(source.source_id)) sources.set(source.source_id, source); });
+    bundle.evidence_records.forEach(record => {
+      const existing = records.get(record.evidence_id);
+      if (existing) {
+        existing.linked_to.push(...record.linked_to);
+        record.tags.filter(tag => !existing.tags.includes(tag)).forEach(tag => existing.tags.push(tag));
+      } else {
+        records.set(record.evidence_id, { ...record, tags: [...record.tags], linked_to: [...record.linked_to] });
+      }
+    });
+  });
+
+  const bundleId = `bundle-${sha256([...sources.values()].map(source => source.sha256_hash).join(':')).slice(0, 12)}`;
+  return {
+    bundle_version: EVIDENCE_BUNDLE_VERSION,
+    bundle_id: bundleId,
+    created_at: bundles[0].created_at,
+    sources: [...sources.values()],
+    evidence_records: [...records.values()].map(record => ({ ...record, bundle_ref: bundleId }))
+  };
+}
+
+/**
+ * Record counts by match kind, for logging
+ */
+export function summarizeEvidenceBundle(bundle) {
+  const counts = { exact: 0, normalized: 0, not_found: 0 };
+  bundle.evidence_records.forEach(record => { counts[record.match]++; });
+  return { records: bundle.evidence_records.length, ...counts };
+}
+
+/**
+ * Write the bundle and a copy of each input (sources/<source_id>.txt beside it)
+ * @param {Object} bundle - Evidence bundle
+ * @param {Object} texts - { [source_id]: raw text }
+ * @param {string} bundlePath - Where to write the bundle JSON
+ */
+export function saveEvidenceBundle(bundle, texts, bundlePath) {
+  const dir = path.dirname(bundlePath);
+  bundle.sources.forEach(source => {
+    if (texts[source.source_id] === undefined) return;
+    const storedPath = path.join(dir, source.stored_ref);
+    ensureDir(path.dirname(storedPath));
+    fs.writeFileSync(storedPath, texts[source.source_id]);
+  });
+  fs.writeFileSync(bundlePath, JSON.stringify(bundle, null, 2));
+  return bundlePath;
+}
+
+/**
+ * Load an evidence bundle, or the evidence_bundle block of a report JSON
+ * @param {string} bundlePath - Bundle or report JSON file
+ * @returns {Object}
+ */
+export function loadEvidenceBundle(bundlePath) {
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(bundlePath, 'utf8'));
+  } catch (err) {
+    throw new Error(`Could not load evidence bundle ${bundlePath}: ${err.message}`);
+  }
+  const bundle = data.evidence_records ? data : data.evidence_bundle;
+  if (!bundle?.evidence_records) {
+    throw new Error(`Could not load evidence bundle ${bundlePath}: no evidence_records`);
+  }
+  return bundle;
+}
+
+/**
+ * Check the inputs against their recorded hashes, and every record's span
+ * against its recorded text
+ * @param {Object} bundle - Evidence bundle
+ * @param {Object} texts - { [source_id]: raw text } (sources without text are skipped)
+ * @returns {{sources: Object[], records: Object[], ok: boolean}}
+ */
+export function verifyEvidenceBundle(bundle, texts) {
+  const sources = bundle.sources.map(source => {
+    const text = texts[source.source_id];
+    if (text === undefined) return { source_id: source.source_id, status: 'missing' };
+    return { source_id: source.source_id, status: sha256(text) === source.sha256_hash ? 'ok' : 'hash_mismatch' };
+  });
+
+  const records = bundle.evidence_records.map(record => {
+    const text = texts[record.source_id];
+    if (text === undefined) return { evidence_id: record.evidence_id, status: 'missing' };
+    if (!record.span) return { evidence_id: record.evidence_id, status: 'not_found' };
+    const slice = text.slice(record.span.start, record.span.end);
+    return { evidence_id: record.evidence_id, status: sha256(slice) === record.sha256_hash ? 'ok' : 'span_mismatch' };
+  });
+
+  return {
+    sources,
+    records,
+    ok: [...sources, ...records].every(result => result.status === 'ok' || result.status === 'not_found')
+  };
+}
+
+/**
+ * A record's span with the text around it, for side-by-side review
+ * @param {string} text - Source text
+ * @param {Object} record - Evidence record with a span
+ * @param {number} context - Characters of context on each side
+ * @returns {string} "…before [quote] after…" on one line
+ */
+export function excerptSpan(text, record, context = 60) {
+  const { start, end } = record.span;
+  const from = Math.max(0, start - context);
+  const to = Math.min(text.length, end + context);
+  const flat = (s) => s.replace(/\s+/g, ' ');
+  return `${from > 0 ? '…' : ''}${flat(text.slice(from, start))}[${flat(text.slice(start, end))}]${flat(text.slice(end, to))}${to < text.length ? '…' : ''}`;
+}
+
+export default {
+  EVIDENCE_BUNDLE_VERSION,
+  sha256,
+  locateQuote,
+  lineOf,
+  guessSourceType,
+  createEvidenceSource,
+  buildEvidenceBundle,
+  mergeEvidenceBundles,
+  summarizeEvidenceBundle,
+  saveEvidenceBundle,
+  loadEvidenceBundle,
+  verifyEvidenceBundle,
+  excerptSpan
+};
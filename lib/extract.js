@@ -5,18 +5,25 @@
  * intake packets and measurements for the audit pipeline.
  *
  * OPTIMIZED: Single LLM call extracts BOTH intake AND measurements together.
- * Uses Google Gemini API with 18000 max tokens for reliable extraction.
+ * Uses the configured LLM provider (Gemini by default) with 18000 max tokens.
+ *
+ * An info dump that covers several workflows (e.g. lead response and client
+ * onboarding) yields the main one in the top-level sections and the rest in
+ * intake.additional_workflows; measurements and calculations carry the
+ * workflow_key of the workflow they belong to.
+ *
+ * Every piece of evidence carries a verbatim quote from the input; the
+ * extractor locates each quote in the text and returns an evidence bundle
+ * (evidence_bundle.js) whose records hold the quote's character span.
  *
  * Usage:
  *   import { Extractor } from './lib/extract.js';
  *   const extractor = new Extractor({ apiKey: 'your-gemini-key' });
- *   const { intake, measurements } = await extractor.extract(rawText);
+ *   const { intake, measurements, evidenceBundle } = await extractor.extract(rawText, { originalRef: 'notes.txt' });
  */
 
-import {
-  MODEL_FALLBACK_ORDER,
-  getModelInfo
-} from './model_config.js';
+import { createProvider, formatModelUsed, parseJSONResponse } from './llm_provider.js';
+import { createEvidenceSource, buildEvidenceBundle, summarizeEvidenceBundle } from './evidence_bundle.js';
 
 /**
  * BATCHED extraction prompt - extracts BOTH intake AND measurements in ONE call
@@ -52,9 +59,11 @@ Return this EXACT JSON structure with BOTH "intake" and "measurements_data" keys
     "captured_by": "<extract interviewer name or use 'unknown'>",
     "prepared_for": {
       "account_id": "<generate as CLIENT-XXX or null>",
-      "account_name": "<extract company/client name>"
+      "account_name": "<extract company/client name>",
+      "industry": "<healthcare|legal|ecommerce|saas|home_services|other - the client's vertical, from what they do>"
     },
     "section_a_workflow_definition": {
+      "workflow_key": "<short snake_case key for this workflow, e.g. lead_response>",
       "q01_workflow_name": "<extract the main process/workflow being discussed>",
       "q02_trigger_event": "<what starts this workflow>",
       "q03_business_objective": "<goal of the workflow>",
@@ -82,22 +91,45 @@ Return this EXACT JSON structure with BOTH "intake" and "measurements_data" keys
     "section_e_priority": {
       "q15_one_thing_to_fix": "<client's stated priority or infer from context>"
     },
+    "workflow_steps": [
+      {
+        "sequence": <1, 2, 3...>,
+        "name": "<short verb phrase, e.g. 'Receptionist emails PDF intake form'>",
+        "owner_type": "<human|automation|hybrid>",
+        "owner": "<role doing the step, e.g. 'Front desk' - or null>",
+        "system": "<system from q10 used in this step, or null>",
+        "handoff": <true when the work passes to another person or system after this step>,
+        "wait_time": { "value": <number>, "unit": "<minutes|hours|days>" } or null,
+        "measurement_ids": ["<ids of the measurements this step causes>"]
+      }
+    ],
     "attachments": {
       "evidence_uris": [],
       "notes": "<any additional context or quotes>"
-    }
+    },
+    "additional_workflows": [
+      {
+        "workflow_key": "<short snake_case key, e.g. client_onboarding>",
+        "section_a_workflow_definition": { "q01_workflow_name": "...", "q02_trigger_event": "...", "q03_business_objective": "...", "q04_end_condition": "...", "q05_outcome_owner": "..." },
+        "section_b_volume_timing": { "<same fields as above>": "..." },
+        "section_c_systems_handoffs": { "<same fields as above>": "..." },
+        "section_d_failure_cost": { "<same fields as above>": "..." },
+        "workflow_steps": [<same shape as workflow_steps above>]
+      }
+    ]
   },
   "measurements_data": {
     "measurements": [
       {
         "id": "<m_descriptive_id>",
+        "workflow_key": "<workflow_key of the workflow this measures>",
         "name": "<Human Readable Name>",
         "metric_type": "<latency|error_rate|volume|complexity|cost|quality>",
         "value": <number>,
         "unit": "<hours|minutes|days|percent|count|dollars>",
         "value_display": "<formatted like '26h' or '15%'>",
         "source": "<where this came from in the text>",
-        "evidence": [{"type": "client_statement", "summary": "<exact or paraphrased quote>"}],
+        "evidence": [{"type": "client_statement", "quote": "<words copied verbatim from input_text that state this value>", "summary": "<what the quote shows>"}],
         "threshold": {
           "target": <number or null>,
           "target_display": "<formatted target>",
@@ -115,18 +147,22 @@ Return this EXACT JSON structure with BOTH "intake" and "measurements_data" keys
         "label": "<what this assumption represents>",
         "value": <number>,
         "value_display": "<formatted>",
+        "range": { "low": <number>, "high": <number> },
         "currency": "USD",
-        "source": "<where extracted from>"
+        "source": "<where extracted from>",
+        "evidence": [<same shape as measurement evidence; [] when the text does not state this figure>]
       }
     ],
     "bleed_calculations": [
       {
         "id": "<c_descriptive_id>",
+        "workflow_key": "<workflow_key of the workflow this bleed comes from>",
         "label": "<calculation name>",
         "formula": "<readable formula like 'volume × rate × cost'>",
         "inputs": ["<assumption_ids used>"],
         "result": <number>,
-        "result_display": "<formatted like '$4,050'>"
+        "result_display": "<formatted like '$4,050'>",
+        "feeds_total": <true if this result is part of bleed_total, false for an intermediate figure another calculation uses>
       }
     ],
     "bleed_total": {
@@ -146,39 +182,52 @@ MEASUREMENT GUIDELINES:
   - Manual handoffs: healthy ≤2, warning ≤4, critical >4
 - Calculate status by comparing value to thresholds
 
+WORKFLOW STEPS:
+- List the steps in the order the text describes them (numbered lists, "then", "after that"); use [] when it doesn't describe the steps
+- Don't invent steps, owners or wait times; wait_time is the stated wait before the next step starts
+- Link a step to the measurements it causes (e.g. the manual insurance call step → the verification delay measurement)
+
+EVIDENCE QUOTES:
+- A quote is copied character for character from input_text: same words, spelling and numbers; never paraphrase, shorten mid-sentence with "..." or join two passages
+- Keep quotes short: the sentence or clause that states the value, not the whole paragraph
+- Give every measurement the quote it comes from; an assumption the text doesn't state (a conservative estimate) gets "evidence": []
+
+MULTIPLE WORKFLOWS:
+- A workflow is a distinct process with its own trigger and end (e.g. "lead response" and "client onboarding")
+- Put the workflow the client cares most about in the top-level sections and each other one in additional_workflows; use [] when the text covers one workflow
+- Don't split one process into several workflows because it has several steps or systems
+- Give every measurement and bleed calculation the workflow_key of its workflow
+- bleed_total is the total across all workflows
+
 BLEED CALCULATION GUIDELINES:
 - Identify: volume, failure rate, cost per failure
 - If cost per failure not stated, note it as an assumption
 - Monthly bleed = volume × failure_rate × cost_per_failure
+- bleed_total is the sum of the calculations with "feeds_total": true; an intermediate result (cost per missed lead, missed SLAs per month) that another calculation multiplies out gets "feeds_total": false so it isn't counted twice
 - If data is insufficient for bleed calc, use conservative estimates and note them
+- If the client gives a range ("20-30 a month"), set value to the most likely figure and range to its low/high ends; omit range otherwise
 
 Output ONLY the JSON object with both "intake" and "measurements_data" keys.`;
 
 /**
  * Extractor class - OPTIMIZED for single-call batched extraction
- * Uses gemini-3-pro-preview with 18000 max tokens for reliable extraction
+ * Uses 18000 max tokens for reliable extraction
  */
 export class Extractor {
   constructor(options = {}) {
-    this.apiKey = options.apiKey || process.env.GEMINI_API_KEY;
-    this.model = options.model || MODEL_FALLBACK_ORDER[0]; // gemini-3-pro-preview
+    this.provider = createProvider(options);
     this.maxTokens = options.maxTokens || 18000; // High limit to prevent truncation
     this.verbose = options.verbose !== false;
 
-    // Use v1beta for Gemini 3 models
-    const apiVersion = this.model.startsWith('gemini-3') ? 'v1beta' : 'v1';
-    this.baseUrl = `https://generativelanguage.googleapis.com/${apiVersion}/models`;
-
     this.stats = {
       tokensUsed: 0,
       extractionTime: 0,
-      modelUsed: this.model,
+      modelUsed: null,
       apiCalls: 0
     };
 
     if (this.verbose) {
-      const modelInfo = getModelInfo(this.model);
-      console.log(`Extractor initialized: ${modelInfo.model} (${this.maxTokens} max tokens)`);
+      console.log(`Extractor initialized: ${this.provider.describe()} (${this.maxTokens} max tokens)`);
     }
   }
 
@@ -193,74 +242,28 @@ export class Extractor {
   }
 
   /**
-   * Call Gemini API - simple, direct, no complex fallback chains
-   * Trust the primary model to handle extraction reliably
+   * Call the LLM provider and parse its JSON response
    */
   async callLLM(systemPrompt, userPrompt) {
-    if (!this.apiKey) {
-      throw new Error('Gemini API key not configured. Set GEMINI_API_KEY environment variable.');
-    }
-
     const startTime = Date.now();
 
-    const body = {
-      contents: [{
-        parts: [{ text: `${systemPrompt}\n\n${userPrompt}` }]
-      }],
-      generationConfig: {
-        maxOutputTokens: this.maxTokens,
-        temperature: 0.3
-      }
-    };
-
-    const url = `${this.baseUrl}/${this.model}:generateContent?key=${this.apiKey}`;
-
-    const response = await fetch(url, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify(body)
+    const result = await this.provider.generate({
+      system: systemPrompt,
+      user: userPrompt,
+      maxTokens: this.maxTokens,
+      temperature: 0.3,
+      json: true
     });
 
-    const data = await response.json();
-
-    if (!response.ok) {
-      const errorMsg = data.error?.message || response.statusText;
-      throw new Error(`Gemini API error ${response.status}: ${errorMsg}`);
-    }
-
-    // Extract text from response
-    let text = '';
-    if (data.candidates && data.candidates[0]?.content?.parts) {
-      for (const part of data.candidates[0].content.parts) {
-        if (part.text) {
-          text += part.text;
-        }
-      }
-    }
-
     // Track stats
     this.stats.apiCalls++;
-    if (data.usageMetadata) {
-      this.stats.tokensUsed += (data.usageMetadata.promptTokenCount || 0) +
-                               (data.usageMetadata.candidatesTokenCount || 0);
-    }
+    this.stats.tokensUsed += result.tokens;
+    this.stats.modelUsed = formatModelUsed(result);
 
     const elapsed = Date.now() - startTime;
     this.log(`  LLM call completed in ${elapsed}ms (${this.stats.tokensUsed} tokens)`);
 
-    // Parse JSON from response (strip markdown if present)
-    let jsonText = text.trim();
-    if (jsonText.startsWith('```json')) {
-      jsonText = jsonText.slice(7);
-    }
-    if (jsonText.startsWith('```')) {
-      jsonText = jsonText.slice(3);
-    }
-    if (jsonText.endsWith('```')) {
-      jsonText = jsonText.slice(0, -3);
-    }
-
-    return JSON.parse(jsonText.trim());
+    return parseJSONResponse(result.content);
   }
 
   /**
@@ -340,23 +343,37 @@ export class Extractor {
       sanitized.attachments.evidence_uris = [];
     }
 
+    // Additional workflows need at least a name; the transform falls back to
+    // the main workflow's sections for anything else they leave out
+    sanitized.additional_workflows = (Array.isArray(sanitized.additional_workflows) ? sanitized.additional_workflows : [])
+      .filter(workflow => workflow?.section_a_workflow_definition?.q01_workflow_name);
+
+    // Steps without a name aren't usable
+    [sanitized, ...sanitized.additional_workflows].forEach(workflow => {
+      workflow.workflow_steps = (Array.isArray(workflow.workflow_steps) ? workflow.workflow_steps : [])
+        .filter(step => step?.name);
+    });
+
     return sanitized;
   }
 
   /**
    * BATCHED extraction: raw text → intake + measurements in ONE LLM call
    * This is ~50% faster than sequential extraction
+   * @param {string} rawText - Input text as received
+   * @param {Object} options - { originalRef, sourceType, receivedBy } for the evidence bundle
    */
-  async extract(rawText) {
+  async extract(rawText, options = {}) {
     const startTime = Date.now();
 
     this.log('Starting BATCHED extraction from info dump...');
     this.log(`  Input length: ${rawText.length} chars`);
 
     const timestamp = new Date().toISOString();
+    // Function replacer: "$$" or "$&" in the input must reach the model as written
     const prompt = BATCHED_EXTRACTION_PROMPT
-      .replace(/\{\{text\}\}/g, rawText)
-      .replace(/\{\{timestamp\}\}/g, timestamp);
+      .replace(/\{\{timestamp\}\}/g, timestamp)
+      .replace(/\{\{text\}\}/g, () => rawText);
 
     // Single LLM call extracts BOTH intake AND measurements
     const result = await this.callLLM(BATCHED_EXTRACTION_SYSTEM_PROMPT, prompt);
@@ -395,15 +412,25 @@ export class Extractor {
     // Sanitize intake to replace nulls with defaults
     const sanitizedIntake = this.sanitizeIntake(intake);
 
+    // Trace every quote back to its span in the input
+    const source = createEvidenceSource(rawText, { ...options, receivedAt: timestamp });
+    const evidenceBundle = buildEvidenceBundle([{ source, text: rawText }], measurements, { capturedAt: timestamp });
+    const evidence = summarizeEvidenceBundle(evidenceBundle);
+
     this.stats.extractionTime = Date.now() - startTime;
 
     this.log(`  Client: ${sanitizedIntake.prepared_for.account_name}`);
-    this.log(`  Workflow: ${sanitizedIntake.section_a_workflow_definition.q01_workflow_name}`);
+    this.log(`  Industry: ${sanitizedIntake.prepared_for.industry || 'not classified'}`);
+    this.log(`  Workflow: ${sanitizedIntake.section_a_workflow_definition.q01_workflow_name} (${sanitizedIntake.workflow_steps.length} steps)`);
+    sanitizedIntake.additional_workflows.forEach(workflow => {
+      this.log(`  Workflow: ${workflow.section_a_workflow_definition.q01_workflow_name} (additional, ${workflow.workflow_steps.length} steps)`);
+    });
     this.log(`  Measurements: ${measurements.measurements.length}`);
     this.log(`  Bleed total: ${measurements.bleed_total?.display || 'Not calculated'}`);
+    this.log(`  Evidence: ${evidence.records} quotes (${evidence.exact} exact, ${evidence.normalized} normalized, ${evidence.not_found} not found in the input)`);
     this.log(`Extraction complete in ${this.stats.extractionTime}ms (1 API call, ${this.stats.tokensUsed} tokens)`);
 
-    return { intake: sanitizedIntake, measurements };
+    return { intake: sanitizedIntake, measurements, evidenceBundle };
   }
 
   /**
@@ -0,0 +1,143 @@
+/**
+ * fix_roi.js - ROI and Payback per Fix
+ *
+ * Relates what a fix recovers (impact.estimated_recovery, per bleed period:
+ * its share of the breakdown items it maps to, never of the whole bleed)
+ * to what it costs to build (effort.estimated_hours_range × the hourly rate
+ * for its skills):
+ *
+ *   cost           hours × blended rate (min / most likely / max)
+ *   payback_weeks  likely cost ÷ weekly recovery
+ *   net_benefit    12 months of recovery - likely cost
+ *
+ * Fixes are then ranked by payback; the fastest one is the quick win.
+ *
+ * The rate card is configurable: transform config `rate_card`, or
+ * `--rate-card <file.json>` on the CLI. Skills without a rate use
+ * default_hourly_rate.
+ *
+ * Usage:
+ *   import { calculateFixRoi, rankFixesByPayback } from './lib/fix_roi.js';
+ *   fix.roi = calculateFixRoi(fix, { rateCard, bleedPeriod: 'month' });
+ *   const { items, quick_win_fix_id } = rankFixesByPayback(fixes);
+ */
+
+import { convertBleed } from './bleed_math.js';
+
+export const DEFAULT_RATE_CARD = {
+  currency: 'USD',
+  default_hourly_rate: 150,
+  rates: {
+    automation: 150,
+    API: 175,
+    integration: 175,
+    data: 160,
+    AI: 200,
+    frontend: 140,
+    'project management': 125
+  }
+};
+
+export const NET_BENEFIT_MONTHS = 12;
+
+function formatMoney(value) {
+  const sign = value < 0 ? '-' : '';
+  return `${sign}$${Math.abs(Math.round(value)).toLocaleString('en-US')}`;
+}
+
+/**
+ * Rate card with defaults filled in (rates are merged, not replaced)
+ * @param {Object} rateCard - Partial rate card
+ * @returns {Object}
+ */
+export function resolveRateCard(rateCard = {}) {
+  return {
+    ...DEFAULT_RATE_CARD,
+    ...rateCard,
+    rates: { ...DEFAULT_RATE_CARD.rates, ...(rateCard.rates || {}) }
+  };
+}
+
+/**
+ * Blended hourly rate for a fix: the average rate of its skills
+ * @param {string[]} skills - effort.skills_required
+ * @param {Object} rateCard - Resolved rate card
+ * @returns {number}
+ */
+export function hourlyRateFor(skills = [], rateCard = DEFAULT_RATE_CARD) {
+  const rates = Object.fromEntries(Object.entries(rateCard.rates || {}).map(([skill, rate]) => [skill.toLowerCase(), rate]));
+  const known = skills.map(skill => rates[String(skill).toLowerCase()]).filter(rate => typeof rate === 'number');
+  if (known.length === 0) return rateCard.default_hourly_rate;
+  return Math.round(known.reduce((sum, rate) => sum + rate, 0) / known.length);
+}
+
+/**
+ * Cost, payback and net benefit of one fix
+ * @param {Object} fix - Fix item (impact.estimated_recovery, effort.estimated_hours_range, effort.skills_required)
+ * @param {Object} options - { rateCard, bleedPeriod }
+ * @returns {Object} roi block for the fix
+ */
+export function calculateFixRoi(fix, options = {}) {
+  const rateCard = resolveRateCard(options.rateCard);
+  const currency = rateCard.currency;
+  const money = (amount) => ({ amount: Math.round(amount), currency, display: formatMoney(amount) });
+
+  const hours = fix.effort?.estimated_hours_range || {};
+  const rate = hourlyRateFor(fix.effort?.skills_required, rateCard);
+  const likelyHours = hours.most_likely_hours ?? hours.min_hours ?? 0;
+
+  const recovery = fix.impact?.estimated_recovery?.amount || 0;
+  const period = options.bleedPeriod || fix.bleed_period || 'month';
+  const weeklyRecovery = convertBleed(recovery, period, 'week');
+  const cost = likelyHours * rate;
+  const benefit = convertBleed(recovery, period, 'month') * NET_BENEFIT_MONTHS;
+
+  const paybackWeeks = weeklyRecovery > 0 ? Math.round((cost / weeklyRecovery) * 10) / 10 : null;
+
+  return {
+    hourly_rate: rate,
+    cost: {
+      low: money((hours.min_hours ?? likelyHours) * rate),
+      likely: money(cost),
+      high: money((hours.max_hours ?? likelyHours) * rate)
+    },
+    payback_weeks: paybackWeeks,
+    payback_display: paybackWeeks === null ? 'No recovery estimate'
+      : paybackWeeks < 1 ? 'Under 1 week'
+      : `${paybackWeeks} ${paybackWeeks === 1 ? 'week' : 'weeks'}`,
+    net_benefit_12mo: money(benefit - cost),
+    roi_percent: cost > 0 ? Math.round(((benefit - cost) / cost) * 100) : null
+  };
+}
+
+/**
+ * Order fixes by payback (fastest first; no recovery estimate last),
+ * renumber them and mark the fastest as the quick win
+ * @param {Object[]} items - Fix items with roi
+ * @returns {{items: Object[], quick_win_fix_id: string|null}}
+ */
+export function rankFixesByPayback(items) {
+  const ranked = [...items].sort((a, b) =>
+    (a.roi?.payback_weeks ?? Infinity) - (b.roi?.payback_weeks ?? Infinity)
+  );
+
+  ranked.forEach((fix, idx) => {
+    fix.fix_id = `fix-${idx + 1}`;
+    fix.payback_rank = idx + 1;
+    fix.quick_win = idx === 0 && fix.roi?.payback_weeks !== null;
+  });
+
+  return {
+    items: ranked,
+    quick_win_fix_id: ranked.find(fix => fix.quick_win)?.fix_id || ranked[0]?.fix_id || null
+  };
+}
+
+export default {
+  DEFAULT_RATE_CARD,
+  NET_BENEFIT_MONTHS,
+  resolveRateCard,
+  hourlyRateFor,
+  calculateFixRoi,
+  rankFixesByPayback
+};
@@ -0,0 +1,200 @@
+/**
+ * fix_rules.js - Rule-Based Fix Grouping
+ *
+ * Groups critical measurements into fixes with the declarative rules in
+ * fix_rules.json instead of substring matches on the name. Each rule has
+ * conditions that must all hold:
+ *
+ *   metric_type       measurement.metric_type is one of these
+ *   unit              measurement.unit is one of these
+ *   keywords          the name contains one of these words/phrases
+ *                     (whole words: "time" does not match "Overtime")
+ *   exclude_keywords  the name contains none of these
+ *   system_types      the measurement names a system of one of these types
+ *   status            the measurement's status is one of these
+ *
+ * The weights of a category's matching rules combine into its confidence
+ * (1 - Π(1 - weight)); the measurement goes to the most confident category,
+ * or to the fallback category ("Other Issues") when none reaches
+ * min_confidence. Industries can add categories and rules of their own;
+ * an industry category that reaches min_confidence takes precedence over
+ * the generic ones. Every decision is recorded (rule ids, reasons, confidence) so the report
+ * can explain why a measurement landed in a fix.
+ *
+ * Usage:
+ *   import { loadFixRules, groupMeasurements } from './lib/fix_rules.js';
+ *   const { groups } = groupMeasurements(criticalMeasurements, loadFixRules(), { industry, systems });
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { mentionedSystems } from './effort_model.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const FIX_RULES_PATH = path.join(__dirname, '..', 'fix_rules.json');
+
+/**
+ * Load the fix grouping rules
+ * @param {string} rulesPath - JSON file (default: fix_rules.json in the repo root)
+ * @returns {Object}
+ */
+export function loadFixRules(rulesPath = FIX_RULES_PATH) {
+  try {
+    return JSON.parse(fs.readFileSync(rulesPath, 'utf8'));
+  } catch (err) {
+    throw new Error(`Could not load fix rules ${rulesPath}: ${err.message}`);
+  }
+}
+
+/**
+ * Categories and rules in effect: the base set plus the industry's own
+ * @param {Object} ruleSet - Loaded fix rules
+ * @param {string|null} industry - Key in ruleSet.industries
+ * @returns {Object}
+ */
+export function resolveFixRules(ruleSet, industry = null) {
+  const extension = industry ? ruleSet.industries?.[industry] : null;
+  return {
+    version: ruleSet.version,
+    industry: extension ? industry : null,
+    min_confidence: ruleSet.min_confidence ?? 0,
+    fallback_category: ruleSet.fallback_category || 'default',
+    categories: { ...ruleSet.categories, ...(extension?.categories || {}) },
+    industry_categories: Object.keys(extension?.categories || {}),
+    rules: [...(ruleSet.rules || []), ...(extension?.rules || [])]
+  };
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Keywords that occur in a text as whole words (a trailing "s" is allowed)
+ * @param {string} text - Lower-case text
+ * @param {string[]} keywords
+ * @returns {string[]}
+ */
+export function findKeywords(text, keywords) {
+  return keywords.filter(keyword => new RegExp(`\\b${escapeRegExp(keyword.toLowerCase())}s?\\b`).test(text));
+}
+
+function containsKeyword(text, keywords) {
+  return findKeywords(text, keywords).length > 0;
+}
+
+/**
+ * Whether every condition of a rule holds for a measurement
+ * @param {Object} rule - Rule with `when` conditions
+ * @param {Object} measurement - Extracted measurement
+ * @param {Object} context - { status, systemTypes }
+ * @returns {boolean}
+ */
+export function matchRule(rule, measurement, { status, systemTypes = [] } = {}) {
+  const when = rule.when || {};
+  const name = String(measurement.name || '').toLowerCase();
+  const lower = (values) => values.map(v => String(v).toLowerCase());
+
+  if (when.metric_type && !when.metric_type.includes(measurement.metric_type)) return false;
+  if (when.unit && !lower(when.unit).includes(String(measurement.unit || '').toLowerCase())) return false;
+  if (when.keywords && !containsKeyword(name, when.keywords)) return false;
+  if (when.exclude_keywords && containsKeyword(name, when.exclude_keywords)) return false;
+  if (when.system_types && !when.system_types.some(type => systemTypes.includes(type))) return false;
+  if (when.status && !when.status.includes(status)) return false;
+  return Object.keys(when).length > 0;
+}
+
+/**
+ * Fix category for one measurement
+ * @param {Object} measurement - Extracted measurement
+ * @param {Object} rules - Resolved fix rules (resolveFixRules)
+ * @param {Object} context - { status, systemTypes }
+ * @returns {{category: string, confidence: number, matched_rules: Object[], reason: string}}
+ */
+export function classifyMeasurement(measurement, rules, context = {}) {
+  const industryFirst = (score) =>
+    (rules.industry_categories?.includes(score.category) && score.confidence >= rules.min_confidence ? 0 : 1);
+
+  const matched = rules.rules
+    .filter(rule => rules.categories[rule.category] && matchRule(rule, measurement, context))
+    .map(rule => ({ rule_id: rule.id, category: rule.category, weight: rule.weight, reason: rule.reason }));
+
+  const scores = Object.keys(rules.categories)
+    .map(category => {
+      const weights = matched.filter(m => m.category === category).map(m => m.weight);
+      const confidence = 1 - weights.reduce((miss, weight) => miss * (1 - weight), 1);
+      return { category, confidence: Math.round(confidence * 100) / 100 };
+    })
+    .filter(score => score.confidence > 0)
+    .sort((a, b) => industryFirst(a) - industryFirst(b) ||
+      b.confidence - a.confidence ||
+      rules.categories[a.category].priority - rules.categories[b.category].priority);
+
+  const best = scores[0];
+  if (!best || best.confidence < rules.min_confidence) {
+    return {
+      category: rules.fallback_category,
+      confidence: best?.confidence || 0,
+      matched_rules: matched,
+      reason: best
+        ? `Best match ${best.category} (${best.confidence}) is below min_confidence ${rules.min_confidence}`
+        : 'No rule matched'
+    };
+  }
+
+  const reasons = matched.filter(m => m.category === best.category).map(m => m.reason);
+  return {
+    category: best.category,
+    confidence: best.confidence,
+    matched_rules: matched,
+    reason: reasons.join('; ')
+  };
+}
+
+/**
+ * Group measurements into fix categories
+ * @param {Object[]} measurements - Measurements to group (critical, non-baseline)
+ * @param {Object} ruleSet - Loaded fix rules
+ * @param {Object} options - { industry, systems (systems_involved), statusOf (measurement → status) }
+ * @returns {{groups: Object, industry: string|null, version: string}}
+ */
+export function groupMeasurements(measurements, ruleSet, options = {}) {
+  const rules = resolveFixRules(ruleSet, options.industry);
+  const statusOf = options.statusOf || (m => m.status);
+  const groups = {};
+
+  measurements.forEach(m => {
+    const systemTypes = mentionedSystems([m], options.systems || []).map(system => system.system_type);
+    const result = classifyMeasurement(m, rules, { status: statusOf(m), systemTypes });
+    const category = rules.categories[result.category] || { label: result.category, priority: 99 };
+
+    groups[result.category] = groups[result.category] || {
+      label: category.label,
+      priority: category.priority,
+      effort_group: category.effort_group || result.category,
+      measurements: [],
+      grouping: []
+    };
+    groups[result.category].measurements.push(m);
+    groups[result.category].grouping.push({
+      measurement_id: m.id,
+      confidence: result.confidence,
+      rule_ids: result.matched_rules.filter(r => r.category === result.category).map(r => r.rule_id),
+      reason: result.reason
+    });
+  });
+
+  return { groups, industry: rules.industry, version: rules.version };
+}
+
+export default {
+  FIX_RULES_PATH,
+  loadFixRules,
+  resolveFixRules,
+  findKeywords,
+  matchRule,
+  classifyMeasurement,
+  groupMeasurements
+};
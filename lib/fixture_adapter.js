@@ -0,0 +1,175 @@
+/**
+ * fixture_adapter.js - Record/Replay LLM Adapter for Offline Runs
+ *
+ * Record mode wraps a live provider and saves every prompt → response pair
+ * to a fixtures directory, keyed by a hash of the normalized prompt.
+ * Replay mode serves those responses back without touching the network,
+ * so Pipeline.generate() and Pipeline.run() can run end-to-end in CI.
+ *
+ * Modes:
+ *   record - call the live provider, (over)write fixtures
+ *   replay - serve fixtures only, fail on a missing fixture
+ *   auto   - replay when a fixture exists, otherwise record it
+ *
+ * Usage:
+ *   import { FixtureAdapter } from './lib/fixture_adapter.js';
+ *   const provider = new FixtureAdapter({ mode: 'replay', dir: 'fixtures/healthcare_intake' });
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { createHash } from 'crypto';
+import { ensureDir } from './file_utils.js';
+
+export const FIXTURE_MODES = ['record', 'replay', 'auto'];
+
+/**
+ * Volatile prompt fragments that change between runs of the same input.
+ * Masked before hashing so a replay matches the recording.
+ */
+const VOLATILE_PATTERNS = [
+  // ISO timestamps (captured_at, time windows)
+  [/\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(?:\.\d+)?(?:Z|[+-]\d{2}:\d{2})?/g, '<timestamp>'],
+  // UUIDs (document_id) and short random ids (ev-1a2b3c4d, wf-1a2b3c4d)
+  [/[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}/gi, '<uuid>'],
+  [/\b(ev|wf|audit-\d{4})-[0-9a-f]{8}\b/gi, '$1-<id>'],
+  // Display dates derived from "now" (time window, report date)
+  [/\b(?:January|February|March|April|May|June|July|August|September|October|November|December)(?: \d{1,2},)? \d{4}\b/g, '<date>'],
+  // Generated account ids (CLIENT-ACME-M4X2K9)
+  [/\bCLIENT-([A-Z0-9]+)-[A-Z0-9]+\b/g, 'CLIENT-$1-<id>']
+];
+
+/**
+ * Normalize a prompt so run-specific values do not change its hash
+ */
+export function normalizePrompt(text) {
+  return VOLATILE_PATTERNS.reduce((acc, [pattern, replacement]) => acc.replace(pattern, replacement), text || '');
+}
+
+/**
+ * Fixture key for a generate() request
+ */
+export function fixtureKey({ system = '', user = '', json = false }) {
+  return createHash('sha256')
+    .update(JSON.stringify({ system: normalizePrompt(system), user: normalizePrompt(user), json: !!json }))
+    .digest('hex')
+    .slice(0, 16);
+}
+
+/**
+ * Fixture (record/replay) Adapter
+ */
+export class FixtureAdapter {
+  constructor(options = {}) {
+    if (!FIXTURE_MODES.includes(options.mode)) {
+      throw new Error(`Unknown fixture mode: ${options.mode}. Available: ${FIXTURE_MODES.join(', ')}`);
+    }
+    if (!options.dir) {
+      throw new Error('Fixture directory not set');
+    }
+    if (options.mode !== 'replay' && !options.inner) {
+      throw new Error(`Fixture mode "${options.mode}" needs a live provider to record from`);
+    }
+
+    this.name = 'fixture';
+    this.mode = options.mode;
+    this.dir = options.dir;
+    this.inner = options.inner || null;
+    this.verbose = options.verbose !== false;
+
+    this.stats = {
+      tokensUsed: 0,
+      requestCount: 0,
+      recorded: 0,
+      replayed: 0,
+      modelUsed: null
+    };
+  }
+
+  log(message) {
+    if (this.verbose) {
+      const timestamp = new Date().toISOString().split('T')[1].slice(0, 8);
+      console.log(`[${timestamp}] ${message}`);
+    }
+  }
+
+  /**
+   * Human-readable description for startup logs
+   */
+  describe() {
+    const source = this.inner ? ` via ${this.inner.describe()}` : '';
+    return `fixture:${this.mode} (${this.dir})${source}`;
+  }
+
+  /**
+   * Replayed responses are instant; recording inherits the live provider's pacing
+   */
+  getRequestDelay() {
+    return this.mode === 'replay' ? 0 : (this.inner.getRequestDelay?.() || 0);
+  }
+
+  getRateLimits() {
+    return this.mode === 'replay' ? null : (this.inner.getRateLimits?.() || null);
+  }
+
+  fixturePath(key) {
+    return path.join(this.dir, `${key}.json`);
+  }
+
+  /**
+   * Serve a recorded response, or record a live one
+   * @param {Object} request - { system, user, maxTokens, temperature, json }
+   * @returns {Promise<{content: string, tokens: number, model: string, provider: string}>}
+   */
+  async generate(request) {
+    const key = fixtureKey(request);
+    const fixturePath = this.fixturePath(key);
+    const exists = fs.existsSync(fixturePath);
+
+    this.stats.requestCount++;
+
+    if (this.mode === 'replay' || (this.mode === 'auto' && exists)) {
+      if (!exists) {
+        throw new Error(`No fixture for prompt ${key} in ${this.dir}. Re-record with --record-fixtures ${this.dir}`);
+      }
+      const fixture = JSON.parse(fs.readFileSync(fixturePath, 'utf8'));
+      this.stats.replayed++;
+      this.stats.tokensUsed += fixture.response.tokens || 0;
+      this.stats.modelUsed = fixture.response.model;
+      this.log(`  Replayed fixture ${key} (${fixture.response.provider}:${fixture.response.model})`);
+      return { ...fixture.response };
+    }
+
+    const response = await this.inner.generate(request);
+
+    ensureDir(this.dir);
+    fs.writeFileSync(fixturePath, JSON.stringify({
+      key,
+      recorded_at: new Date().toISOString(),
+      request: {
+        system: request.system || '',
+        user: request.user,
+        max_tokens: request.maxTokens,
+        json: !!request.json
+      },
+      response
+    }, null, 2));
+
+    this.stats.recorded++;
+    this.stats.tokensUsed += response.tokens || 0;
+    this.stats.modelUsed = response.model;
+    this.log(`  Recorded fixture ${key}`);
+    return response;
+  }
+
+  getStats() {
+    return { ...this.stats };
+  }
+}
+
+export default {
+  FixtureAdapter,
+  FIXTURE_MODES,
+  fixtureKey,
+  normalizePrompt
+};
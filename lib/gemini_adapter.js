@@ -0,0 +1,210 @@
+/**
+ * gemini_adapter.js - Google Gemini API Adapter for LLM Execution
+ *
+ * Primary provider for extraction and narrative generation.
+ * Handles rate limits by walking MODEL_FALLBACK_ORDER (see model_config.js).
+ */
+
+import {
+  MODEL_CONFIGS,
+  MODEL_FALLBACK_ORDER,
+  getModelDelay,
+  getNextFallbackModel,
+  isRateLimitError,
+  isRetryableError,
+  parseRetryAfter,
+  getModelInfo
+} from './model_config.js';
+
+/**
+ * Gemini API Adapter
+ */
+export class GeminiAdapter {
+  constructor(options = {}) {
+    this.name = 'gemini';
+    this.apiKey = options.apiKey || process.env.GEMINI_API_KEY;
+    this.model = options.model || MODEL_FALLBACK_ORDER[0];
+    this.maxRetries = options.maxRetries ?? 2;
+    this.usePaidTier = options.usePaidTier || false;
+    this.verbose = options.verbose !== false;
+
+    // Model fallback tracking
+    this.currentModel = this.model;
+    this.fallbackHistory = [];
+
+    this.stats = {
+      tokensUsed: 0,
+      requestCount: 0,
+      modelUsed: this.currentModel,
+      fallbacks: []
+    };
+  }
+
+  log(message) {
+    if (this.verbose) {
+      const timestamp = new Date().toISOString().split('T')[1].slice(0, 8);
+      console.log(`[${timestamp}] ${message}`);
+    }
+  }
+
+  /**
+   * Use v1beta for Gemini 3 models, v1 for others
+   */
+  get baseUrl() {
+    const apiVersion = this.currentModel.startsWith('gemini-3') ? 'v1beta' : 'v1';
+    return `https://generativelanguage.googleapis.com/${apiVersion}/models`;
+  }
+
+  /**
+   * Human-readable description for startup logs
+   */
+  describe() {
+    const modelInfo = getModelInfo(this.currentModel);
+    return `${modelInfo.model} (${modelInfo.tier} tier)`;
+  }
+
+  /**
+   * Minimum delay between requests for the current model
+   */
+  getRequestDelay() {
+    return getModelDelay(this.currentModel, this.usePaidTier);
+  }
+
+  /**
+   * Published RPM/RPD limits for the current model
+   * @returns {{model: string, rpm: number, rpd: number}|null}
+   */
+  getRateLimits() {
+    const config = MODEL_CONFIGS[this.currentModel];
+    if (!config) {
+      return null;
+    }
+    const tier = this.usePaidTier ? 1 : 0;
+    return { model: this.currentModel, rpm: config.rpm[tier], rpd: config.rpd[tier] };
+  }
+
+  /**
+   * Attempt to fall back to next model
+   * @returns {boolean} True if fallback successful, false if no more fallbacks
+   */
+  fallbackToNextModel() {
+    const nextModel = getNextFallbackModel(this.currentModel);
+    if (!nextModel) {
+      this.log('⚠️  No more fallback models available');
+      return false;
+    }
+
+    const fallbackInfo = {
+      from: this.currentModel,
+      to: nextModel,
+      timestamp: new Date().toISOString()
+    };
+    this.currentModel = nextModel;
+    this.fallbackHistory.push(fallbackInfo);
+    this.stats.fallbacks.push(fallbackInfo);
+
+    const modelInfo = getModelInfo(nextModel);
+    this.log(`🔄 Falling back: ${fallbackInfo.from} → ${nextModel} (${modelInfo.tier} tier, ${modelInfo.delay_ms}ms delay)`);
+
+    return true;
+  }
+
+  /**
+   * Call Gemini API for text generation
+   * @param {Object} request - { system, user, maxTokens, temperature, json, beforeAttempt }
+   * @returns {Promise<{content: string, tokens: number, model: string, provider: string}>}
+   */
+  async generate({ system = '', user, maxTokens = 2000, temperature = 0.3, json = false, beforeAttempt }) {
+    if (!this.apiKey) {
+      throw new Error('Gemini API key not configured. Set GEMINI_API_KEY environment variable.');
+    }
+
+    // Gemini has no separate system role on v1 - prepend it to the user turn
+    const fullPrompt = system ? `${system}\n\n${user}` : user;
+    const body = {
+      contents: [{ parts: [{ text: fullPrompt }] }],
+      generationConfig: {
+        maxOutputTokens: maxTokens,
+        temperature,
+        ...(json ? { responseMimeType: 'application/json' } : {})
+      }
+    };
+
+    let lastError;
+    let fallbackAttempted = false;
+
+    for (let attempt = 0; attempt <= this.maxRetries; attempt++) {
+      // Retries and model fallbacks are paced like first attempts
+      await beforeAttempt?.(this.currentModel);
+      try {
+        const url = `${this.baseUrl}/${this.currentModel}:generateContent?key=${this.apiKey}`;
+
+        const response = await fetch(url, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify(body)
+        });
+
+        if (!response.ok) {
+          const errorText = await response.text();
+          throw new Error(`Gemini API error ${response.status}: ${errorText}`);
+        }
+
+        const data = await response.json();
+
+        // Concatenate all text parts (thinking models may split output)
+        const content = (data.candidates?.[0]?.content?.parts || [])
+          .map(part => part.text || '')
+          .join('');
+
+        const usage = data.usageMetadata || {};
+        const tokens = usage.totalTokenCount ||
+          (usage.promptTokenCount || 0) + (usage.candidatesTokenCount || 0);
+
+        this.stats.requestCount++;
+        this.stats.tokensUsed += tokens;
+        this.stats.modelUsed = this.currentModel;
+
+        return { content, tokens, model: this.currentModel, provider: this.name };
+      } catch (err) {
+        lastError = err;
+
+        if (isRateLimitError(err)) {
+          if (!fallbackAttempted && this.fallbackToNextModel()) {
+            fallbackAttempted = true;
+            attempt = -1; // Reset attempt counter for new model
+            continue;
+          }
+
+          if (attempt < this.maxRetries) {
+            const retryAfter = parseRetryAfter(err);
+            this.log(`    Rate limit hit, waiting ${Math.ceil(retryAfter / 1000)}s...`);
+            await this.sleep(retryAfter);
+            continue;
+          }
+          break;
+        }
+
+        if (isRetryableError(err) && attempt < this.maxRetries) {
+          const retryDelay = 5000 * (attempt + 1); // 5s, 10s
+          this.log(`    Retry ${attempt + 1}/${this.maxRetries} after ${retryDelay / 1000}s...`);
+          await this.sleep(retryDelay);
+          continue;
+        }
+        break;
+      }
+    }
+
+    throw lastError;
+  }
+
+  sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  getStats() {
+    return { ...this.stats };
+  }
+}
+
+export default { GeminiAdapter };
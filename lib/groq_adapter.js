@@ -5,6 +5,8 @@
  * Used as fallback when Gemini API quotas are exhausted.
  */
 
+import { isRetryableError } from './model_config.js';
+
 /**
  * Groq model configuration
  * Free tier: 30 RPM, 14400 RPD per model
@@ -64,8 +66,10 @@ export function getGroqDelay(modelId) {
  */
 export class GroqAdapter {
   constructor(options = {}) {
+    this.name = 'groq';
     this.apiKey = options.apiKey || process.env.GROQ_API_KEY;
     this.model = options.model || GROQ_FALLBACK_ORDER[0];
+    this.maxRetries = options.maxRetries ?? 2;
     this.verbose = options.verbose !== false;
     this.baseUrl = 'https://api.groq.com/openai/v1/chat/completions';
 
@@ -91,10 +95,35 @@ export class GroqAdapter {
     return GROQ_FALLBACK_ORDER[currentIdx + 1];
   }
 
+  /**
+   * Human-readable description for startup logs
+   */
+  describe() {
+    return `groq:${this.model}`;
+  }
+
+  /**
+   * Minimum delay between requests for the current model
+   */
+  getRequestDelay() {
+    return getGroqDelay(this.model);
+  }
+
+  /**
+   * Published RPM/RPD limits for the current model
+   * @returns {{model: string, rpm: number, rpd: number}|null}
+   */
+  getRateLimits() {
+    const config = GROQ_MODELS[this.model];
+    return config ? { model: this.model, rpm: config.rpm, rpd: config.rpd } : null;
+  }
+
   /**
    * Call Groq API for text generation
+   * @param {Object} request - { system, user, maxTokens, temperature, json, maxRetries, beforeAttempt }
+   * @returns {Promise<{content: string, tokens: number, model: string, provider: string}>}
    */
-  async generate(systemPrompt, userPrompt, options = {}) {
+  async generate({ system = '', user, maxTokens = 2000, temperature = 0.3, json = false, maxRetries, beforeAttempt }) {
     if (!this.apiKey) {
       throw new Error('Groq API key not configured. Set GROQ_API_KEY environment variable.');
     }
@@ -102,17 +131,19 @@ export class GroqAdapter {
     const body = {
       model: this.model,
       messages: [
-        { role: 'system', content: systemPrompt },
-        { role: 'user', content: userPrompt }
+        ...(system ? [{ role: 'system', content: system }] : []),
+        { role: 'user', content: user }
       ],
-      temperature: options.temperature || 0.3,
-      max_tokens: options.maxTokens || 2000
+      temperature,
+      max_tokens: maxTokens,
+      ...(json ? { response_format: { type: 'json_object' } } : {})
     };
 
-    const maxRetries = options.maxRetries || 2;
+    const retries = maxRetries ?? this.maxRetries;
     let lastError;
 
-    for (let attempt = 0; attempt <= maxRetries; attempt++) {
+    for (let attempt = 0; attempt <= retries; attempt++) {
+      await beforeAttempt?.(this.model);
       try {
         const response = await fetch(this.baseUrl, {
           method: 'POST',
@@ -158,47 +189,19 @@ export class GroqAdapter {
           throw new Error(`Groq API error ${response.status}: ${errorMsg}`);
         }
 
-        // Extract text from response
-        const text = data.choices?.[0]?.message?.content || '';
+        const content = data.choices?.[0]?.message?.content || '';
+        const tokens = data.usage?.total_tokens || 0;
 
-        // Track usage
-        if (data.usage) {
-          this.stats.tokensUsed += data.usage.total_tokens;
-        }
+        this.stats.tokensUsed += tokens;
         this.stats.requestCount++;
 
-        // Try to extract JSON if present, otherwise return plain text
-        let jsonText = text.trim();
-        if (jsonText.startsWith('```json')) {
-          jsonText = jsonText.slice(7);
-        }
-        if (jsonText.startsWith('```')) {
-          jsonText = jsonText.slice(3);
-        }
-        if (jsonText.endsWith('```')) {
-          jsonText = jsonText.slice(0, -3);
-        }
-        jsonText = jsonText.trim();
-
-        // Try to parse as JSON, but return text if it fails
-        try {
-          return JSON.parse(jsonText);
-        } catch {
-          // Not JSON, return as plain text
-          return text.trim();
-        }
+        return { content, tokens, model: this.model, provider: this.name };
       } catch (err) {
         lastError = err;
 
-        // Check for retryable errors (network issues)
-        const isRetryable = err.message.includes('fetch failed') ||
-                           err.message.includes('network') ||
-                           err.message.includes('ECONNRESET') ||
-                           err.message.includes('timeout');
-
-        if (isRetryable && attempt < maxRetries) {
+        if (isRetryableError(err) && attempt < retries) {
           const retryDelay = 2000 * (attempt + 1);
-          this.log(`Retry ${attempt + 1}/${maxRetries} after ${retryDelay / 1000}s...`);
+          this.log(`Retry ${attempt + 1}/${retries} after ${retryDelay / 1000}s...`);
           await this.sleep(retryDelay);
           continue;
         }
@@ -0,0 +1,137 @@
+/**
+ * industry_profiles.js - Industry Detection and Audit Profiles
+ *
+ * Picks the client's industry and the audit profile for it
+ * (industry_profiles.json). In order:
+ *
+ *   1. an explicit industry (--industry / transform config `industry`)
+ *   2. the industry the extractor classified (intake.prepared_for.industry)
+ *   3. keyword hits in the intake text ("patients", "Shopify", "attorney"),
+ *      at least min_keyword_hits distinct keywords
+ *   4. the default profile ("general")
+ *
+ * The profile key selects the industry's benchmarks (thresholds and default
+ * targets, benchmarks.json) and fix categories (fix_rules.json). The profile
+ * itself adds out-of-scope boilerplate and tone guidance that the narrative
+ * prompts append to their system prompt (e.g. PHI wording for healthcare).
+ *
+ * Usage:
+ *   import { loadIndustryProfiles, resolveIndustryProfile } from './lib/industry_profiles.js';
+ *   const profile = resolveIndustryProfile(intake, loadIndustryProfiles(), { industry: null });
+ *   console.log(profile.key, profile.detected_by);
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { findKeywords } from './fix_rules.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const INDUSTRY_PROFILES_PATH = path.join(__dirname, '..', 'industry_profiles.json');
+
+/**
+ * Load the industry profiles
+ * @param {string} profilesPath - JSON file (default: industry_profiles.json in the repo root)
+ * @returns {Object}
+ */
+export function loadIndustryProfiles(profilesPath = INDUSTRY_PROFILES_PATH) {
+  try {
+    return JSON.parse(fs.readFileSync(profilesPath, 'utf8'));
+  } catch (err) {
+    throw new Error(`Could not load industry profiles ${profilesPath}: ${err.message}`);
+  }
+}
+
+function collectText(node) {
+  if (typeof node === 'string') return [node];
+  if (Array.isArray(node)) return node.flatMap(collectText);
+  if (node && typeof node === 'object') return Object.values(node).flatMap(collectText);
+  return [];
+}
+
+function normalizeKey(industry, profiles) {
+  const key = String(industry || '').toLowerCase().trim().replace(/[\s-]+/g, '_');
+  if (profiles.profiles[key]) return key;
+  // "E-commerce" → ecommerce, "Health care" → healthcare
+  const compact = key.replace(/_/g, '');
+  return Object.keys(profiles.profiles).find(k => k.replace(/_/g, '') === compact) || null;
+}
+
+/**
+ * Industry from keyword hits in the intake text
+ * @param {Object} intake - Intake packet
+ * @param {Object} profiles - Loaded industry profiles
+ * @returns {{key: string, matched_keywords: string[]}|null}
+ */
+export function detectIndustry(intake, profiles) {
+  const text = collectText(intake).join(' ').toLowerCase();
+  const minHits = profiles.min_keyword_hits ?? 2;
+
+  const scored = Object.entries(profiles.profiles)
+    .map(([key, profile]) => ({ key, matched_keywords: findKeywords(text, profile.keywords || []) }))
+    .filter(s => s.matched_keywords.length >= minHits)
+    .sort((a, b) => b.matched_keywords.length - a.matched_keywords.length);
+
+  // A tie between two industries is no detection
+  if (scored.length === 0 || scored[1]?.matched_keywords.length === scored[0].matched_keywords.length) return null;
+  return scored[0];
+}
+
+/**
+ * Audit profile for the report
+ * @param {Object} intake - Intake packet
+ * @param {Object} profiles - Loaded industry profiles
+ * @param {Object} options - { industry } explicit industry key
+ * @returns {Object} industry_profile block (key, label, detected_by, matched_keywords, tone, out_of_scope)
+ */
+export function resolveIndustryProfile(intake, profiles, options = {}) {
+  const explicit = normalizeKey(options.industry, profiles);
+  const extracted = normalizeKey(intake.prepared_for?.industry, profiles);
+  const detected = explicit || extracted ? null : detectIndustry(intake, profiles);
+
+  const key = explicit || extracted || detected?.key || profiles.default_profile;
+  const profile = profiles.profiles[key];
+
+  return {
+    key,
+    label: profile.label,
+    detected_by: explicit ? 'config' : extracted ? 'extraction' : detected ? 'keywords' : 'default',
+    matched_keywords: detected?.matched_keywords || [],
+    profiles_version: profiles.version,
+    tone: profile.tone || '',
+    out_of_scope: profile.out_of_scope || []
+  };
+}
+
+/**
+ * System prompt with the industry's tone guidance appended
+ * @param {string} systemPrompt - Base system prompt
+ * @param {Object} profile - report.industry_profile
+ * @returns {string}
+ */
+export function withIndustryGuidance(systemPrompt, profile) {
+  if (!profile?.tone) return systemPrompt;
+  return `${systemPrompt}\n\nINDUSTRY (${profile.label}):\n${profile.tone}`;
+}
+
+/**
+ * Out-of-scope items with the profile's boilerplate added (no duplicates)
+ * @param {string[]} items - Generated out-of-scope items
+ * @param {Object} profile - report.industry_profile
+ * @returns {string[]}
+ */
+export function withIndustryOutOfScope(items = [], profile) {
+  const boilerplate = profile?.out_of_scope || [];
+  const seen = new Set(items.map(item => String(item).toLowerCase()));
+  return [...items, ...boilerplate.filter(item => !seen.has(item.toLowerCase()))];
+}
+
+export default {
+  INDUSTRY_PROFILES_PATH,
+  loadIndustryProfiles,
+  detectIndustry,
+  resolveIndustryProfile,
+  withIndustryGuidance,
+  withIndustryOutOfScope
+};
@@ -3,7 +3,9 @@
  *
  * Replaces the per-field prompt approach with a single master prompt
  * that generates ALL narrative content in one LLM call, followed by
- * a self-verification refinement pass.
+ * a self-verification refinement pass. Fields that still break their
+ * registry output_constraints are sent back with their violations in a
+ * targeted retry call (up to max_retry_on_validation_fail times).
  *
  * Benefits:
  * - Fewer API calls (2-3 instead of 33+)
@@ -17,20 +19,11 @@
  *   const filledReport = await executor.fillAllNarratives(reportJson, context);
  */
 
-import fs from 'fs';
-import path from 'path';
-import { fileURLToPath } from 'url';
-import {
-  MODEL_FALLBACK_ORDER,
-  getModelDelay,
-  getNextFallbackModel,
-  isRateLimitError,
-  parseRetryAfter,
-  getModelInfo
-} from './model_config.js';
-import { GroqAdapter } from './groq_adapter.js';
-
-const __dirname = path.dirname(fileURLToPath(import.meta.url));
+import { createProvider, formatModelUsed, parseJSONResponse } from './llm_provider.js';
+import { loadPromptRegistry, getPrompt, getApprovalEntries, checkOutputConstraints } from './prompt_registry.js';
+import { listNarrativeFields, getFieldValue, setFieldValue } from './narrative_fields.js';
+import { findUngroundedNumbers, groundingFeedback } from './numeric_grounding.js';
+import { withIndustryGuidance } from './industry_profiles.js';
 
 /**
  * Master system prompt for generating all narratives at once
@@ -44,6 +37,7 @@ CRITICAL RULES:
 4. Quote exact values from the provided measurements
 5. Every field must have a value - use context clues to write appropriate content
 6. Output ONLY valid JSON - no markdown, no explanation
+7. A fix's solution names how its manual handoffs are automated (native connector, webhook or API) - never propose automating a handoff with no API
 
 FORBIDDEN PHRASES (never use these):
 - "I think", "might be", "could be", "approximately", "around", "roughly"
@@ -59,7 +53,10 @@ TONE:
  * Generate the master prompt for all narratives
  */
 function buildMasterPrompt(reportJson) {
-  const workflow = reportJson.audit?.workflows?.[0];
+  const workflows = reportJson.audit?.workflows || [];
+  const workflow = workflows[0];
+  const multiWorkflow = workflows.length > 1;
+  const workflowName = (id) => workflows.find(w => w.workflow_id === id)?.name;
   const bleed = reportJson.bleed;
   const scorecard = reportJson.scorecard;
   const fixes = reportJson.fixes;
@@ -78,38 +75,47 @@ function buildMasterPrompt(reportJson) {
 
 <audit_context>
 Client: ${clientName}
-Workflow: ${workflow?.name || 'Unknown'}
+Industry: ${reportJson.prepared_for?.industry || 'Unknown'}
+${multiWorkflow
+    ? `Workflows (one report covers all of them):\n${workflows.map(w => `- ${w.name}: trigger "${w.trigger}", objective "${w.objective}"`).join('\n')}`
+    : `Workflow: ${workflow?.name || 'Unknown'}
 Trigger: ${workflow?.trigger || 'Unknown'}
-Objective: ${workflow?.objective || 'Unknown'}
+Objective: ${workflow?.objective || 'Unknown'}`}
+${workflows.map(w => `Steps${multiWorkflow ? ` (${w.name})` : ''}: ${w.steps?.map(step => `${step.name}${step.is_bottleneck ? ' [bottleneck]' : ''}`).join(' → ') || 'Unknown'}`).join('\n')}
 Time Window: ${timeWindow}
 Systems: ${reportJson.audit?.scope?.systems_involved?.map(s => s.system_name).join(', ') || 'Unknown'}
+Manual handoffs: ${reportJson.integration_gaps?.items?.map(gap => `${gap.display} (${gap.detail})`).join('; ') || 'None found'}
 </audit_context>
 
 <measurements>
-${workflow?.measurements?.map(m => `- ${m.name}: ${m.value_display} (target: ${m.target || 'not set'}, status: ${m.status})`).join('\n') || 'No measurements'}
+${workflows.flatMap(w => (w.measurements || []).map(m => `- ${multiWorkflow ? `[${w.name}] ` : ''}${m.name}: ${m.value_display} (target: ${m.target || 'not set'}, status: ${m.status})`)).join('\n') || 'No measurements'}
 </measurements>
 
 <bleed_data>
 Total Bleed: ${bleed?.total?.display || '$0'}
 Period: ${bleed?.period || 'month'}
+Annual: ${bleed?.annual_display || 'Unknown'}
+Cost of waiting: ${bleed?.cost_of_waiting?.map(w => `${w.label} ${w.amount?.display}`).join('; ') || 'Unknown'}
+Sensitivity: ${bleed?.sensitivity ? `${bleed.sensitivity.range_display} when each assumption varies; most sensitive to ${bleed.sensitivity.dominant_label}` : 'Not available'}
 Volume: ${workflow?.volume || 'Derived from calculations'}
-Assumptions (includes cost per failure, hourly rates): ${JSON.stringify(bleed?.assumptions || [])}
+Breakdown: ${bleed?.breakdown?.map(item => `${item.label} ${item.amount?.display} (${item.status})`).join('; ') || 'None'}
+${multiWorkflow ? `By workflow: ${bleed?.by_workflow?.map(w => `${w.name} ${w.amount?.display} (${w.share_display})`).join('; ')}\n` : ''}Assumptions (includes cost per failure, hourly rates): ${JSON.stringify(bleed?.assumptions || [])}
 Calculations (SHOWS THE FULL FORMULA including volume): ${JSON.stringify(bleed?.calculations || [])}
 NOTE: When writing math_defender, you MUST include the volume number from the calculations!
 </bleed_data>
 
 <scorecard_rows>
-${scorecard?.rows?.map((r, i) => `Row ${i + 1}: ${r.category} - Status: ${r.status} - Metrics: ${r.metrics?.map(m => m.value_display).join(', ')}`).join('\n') || 'No rows'}
+${scorecard?.rows?.map((r, i) => `Row ${i + 1}: ${multiWorkflow ? `[${workflowName(r.workflow_id)}] ` : ''}${r.category} - Status: ${r.status} - Metrics: ${r.metrics?.map(m => m.value_display).join(', ')}${r.finding?.meta ? ` - ${r.finding.meta}` : ''}`).join('\n') || 'No rows'}
 </scorecard_rows>
 
 <fixes>
-${fixes?.items?.map((f, i) => `Fix ${i + 1}: Related to ${f.related_measurement_ids?.[0] || 'general'}, Quick win: ${f.quick_win}, Effort: ${f.implementation?.effort_level}, Impact tier: ${f.impact?.tier}, Recovery: ${f.impact?.estimated_recovery?.display || 'TBD'}`).join('\n') || 'No fixes'}
+${fixes?.items?.map((f, i) => `Fix ${i + 1}: Related to ${f.related_measurement_ids?.[0] || 'general'}, Recovers: ${f.impact?.maps_to_breakdown_item_ids?.map(id => bleed?.breakdown?.find(item => item.item_id === id)?.label || id).join(', ') || 'general'}, Quick win: ${f.quick_win}, Effort: ${f.implementation?.effort_level}, Impact tier: ${f.impact?.tier}, Recovery: ${f.impact?.estimated_recovery?.display || 'TBD'}, Cost: ${f.roi?.cost?.likely?.display || 'TBD'}, Payback: ${f.roi?.payback_display || 'TBD'}, 12-month net benefit: ${f.roi?.net_benefit_12mo?.display || 'TBD'}, After: ${f.dependencies?.map(d => d.fix_id).join(', ') || 'none'}, Handoffs: ${f.integration_gap_ids?.map(id => reportJson.integration_gaps?.items?.find(gap => gap.gap_id === id)?.display || id).join('; ') || 'none'}`).join('\n') || 'No fixes'}
 </fixes>
 
 Generate this exact JSON structure with all narrative fields filled:
 
 {
-  "document_title": "AI Process Audit: [Workflow Name]",
+  "document_title": "AI Process Audit: [${multiWorkflow ? 'Workflow Names joined with &' : 'Workflow Name'}]",
 
   "scope_statement": "[2-3 sentence scope statement describing what was audited, when, and which systems]",
 
@@ -189,32 +195,61 @@ ${JSON.stringify(sourceData, null, 2)}
 Verify all numbers match the source. Fix any quality issues. Return the improved JSON:`;
 }
 
+/**
+ * Targeted retry prompt for fields that violate their registry output_constraints
+ */
+const CONSTRAINT_RETRY_SYSTEM_PROMPT = `You are a quality assurance editor fixing individual fields of a business report that break their content rules. Rewrite ONLY the listed fields so they satisfy every rule, keeping the meaning and the exact values from the source data.
+
+OUTPUT: Return ONLY a JSON object mapping each field path to its corrected value. Keep the value type: a string stays a string, a list stays an array of strings.`;
+
+function describeConstraints(prompt, guardrails) {
+  const constraints = prompt.output_constraints || {};
+  const rules = [];
+  if (constraints.max_length_chars) rules.push(`at most ${constraints.max_length_chars} characters`);
+  if (constraints.must_contain?.length) rules.push(`must contain ${constraints.must_contain.map(p => `"${p}"`).join(', ')}`);
+  const forbidden = [...(constraints.must_not_contain || []), ...(guardrails.forbidden_phrases || [])];
+  if (forbidden.length) rules.push(`must not contain ${[...new Set(forbidden)].map(p => `"${p}"`).join(', ')}`);
+  return rules.join('; ');
+}
+
+function buildConstraintRetryPrompt(violations, sourceData, guardrails) {
+  return `These report fields violate their output constraints. Rewrite each one.
+
+${violations.map(v => `<field path="${v.path}">
+Current value: ${JSON.stringify(v.value)}
+Violations:
+${v.errors.map(e => `- ${e}`).join('\n')}
+Rules: ${describeConstraints(v.prompt, guardrails)}
+</field>`).join('\n\n')}
+
+<source_data>
+${JSON.stringify(sourceData, null, 2)}
+</source_data>
+
+Return the JSON object of corrected fields:`;
+}
+
+/**
+ * Source data given to the refinement and retry passes
+ */
+function buildSourceData(reportJson) {
+  return {
+    measurements: (reportJson.audit?.workflows || []).flatMap(w => w.measurements || []),
+    bleed: reportJson.bleed,
+    client: reportJson.prepared_for?.account_name
+  };
+}
+
 /**
  * Batch LLM Executor class
  */
 export class BatchLLMExecutor {
   constructor(options = {}) {
-    this.apiKey = options.apiKey || process.env.GEMINI_API_KEY;
-    this.groqApiKey = options.groqApiKey || process.env.GROQ_API_KEY;
-    this.model = options.model || MODEL_FALLBACK_ORDER[0];
-    this.maxRetries = options.maxRetries || 3;
+    this.provider = createProvider({ maxRetries: 3, ...options });
     this.dryRun = options.dryRun || false;
     this.verbose = options.verbose !== false;
-    // Use v1beta for Gemini 3 models, v1 for others
-    const apiVersion = this.model.startsWith('gemini-3') ? 'v1beta' : 'v1';
-    this.baseUrl = `https://generativelanguage.googleapis.com/${apiVersion}/models`;
     this.skipRefinement = options.skipRefinement || false;
-    this.useGroq = options.useGroq || false; // Skip Gemini, go straight to Groq
-
-    // Model fallback tracking
-    this.currentModel = this.model;
-    this.fallbackHistory = [];
-
-    // Groq adapter for fallback
-    this.groqAdapter = this.groqApiKey ? new GroqAdapter({
-      apiKey: this.groqApiKey,
-      verbose: this.verbose
-    }) : null;
+    this.promptRegistry = loadPromptRegistry();
 
     // Stats
     this.stats = {
@@ -222,193 +257,48 @@ export class BatchLLMExecutor {
       tokensUsed: 0,
       generationTime: 0,
       refinementTime: 0,
-      modelUsed: this.currentModel,
-      groqUsed: false
+      modelUsed: null,
+      groqUsed: false,
+      approvalRequired: [],
+      constraintViolations: { checked: 0, retries: 0, fields: [], unresolved: 0 }
     };
 
     if (this.verbose) {
-      if (this.useGroq && this.groqAdapter) {
-        console.log(`Batch LLM Executor initialized: Groq-only mode (${this.groqAdapter.model})`);
-      } else {
-        const modelInfo = getModelInfo(this.currentModel);
-        console.log(`Batch LLM Executor initialized: ${modelInfo.model} (${modelInfo.tier} tier)`);
-        if (this.groqAdapter) {
-          console.log(`  Groq fallback: Available (${this.groqAdapter.model})`);
-        }
-      }
-    }
-  }
-
-  /**
-   * Sleep helper
-   */
-  sleep(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
-  }
-
-  /**
-   * Attempt to fall back to next model
-   */
-  fallbackToNextModel() {
-    const nextModel = getNextFallbackModel(this.currentModel);
-    if (!nextModel) {
-      if (this.verbose) console.log('⚠️  No more fallback models available');
-      return false;
-    }
-
-    const previousModel = this.currentModel;
-    this.currentModel = nextModel;
-
-    // Update API version for Gemini 3 models
-    const apiVersion = this.currentModel.startsWith('gemini-3') ? 'v1beta' : 'v1';
-    this.baseUrl = `https://generativelanguage.googleapis.com/${apiVersion}/models`;
-
-    this.fallbackHistory.push({ from: previousModel, to: nextModel });
-
-    if (this.verbose) {
-      const modelInfo = getModelInfo(nextModel);
-      console.log(`🔄 Falling back: ${previousModel} → ${nextModel} (${modelInfo.tier} tier)`);
+      console.log(`Batch LLM Executor initialized: ${this.provider.describe()}`);
     }
-
-    return true;
   }
 
   /**
-   * Call LLM with retry and fallback logic
+   * Call LLM provider (retry and fallback are handled by the provider)
    */
   async callLLM(systemPrompt, userPrompt, maxTokens = 4000) {
     if (this.dryRun) {
       return { content: '{}', tokens: 0 };
     }
 
-    // If useGroq flag is set, skip Gemini entirely
-    if (this.useGroq && this.groqAdapter) {
-      if (this.verbose) {
-        console.log(`  Using Groq directly (${this.groqAdapter.model})`);
-      }
-      const result = await this.groqAdapter.generate(systemPrompt, userPrompt, {
-        maxTokens,
-        jsonMode: true
-      });
-      this.stats.apiCalls++;
+    const result = await this.provider.generate({
+      system: systemPrompt,
+      user: userPrompt,
+      maxTokens,
+      temperature: 0.3,
+      json: true
+    });
+
+    this.stats.apiCalls++;
+    this.stats.tokensUsed += result.tokens;
+    this.stats.modelUsed = formatModelUsed(result);
+    if (result.provider === 'groq') {
       this.stats.groqUsed = true;
-      this.stats.modelUsed = `groq:${this.groqAdapter.model}`;
-      const tokens = this.groqAdapter.stats.tokensUsed;
-      this.stats.tokensUsed += tokens;
-      return { content: typeof result === 'string' ? result : JSON.stringify(result), tokens };
     }
 
-    if (!this.apiKey) {
-      throw new Error('Gemini API key not set');
-    }
-
-    const fullPrompt = `${systemPrompt}\n\n${userPrompt}`;
-    const body = {
-      contents: [{ parts: [{ text: fullPrompt }] }],
-      generationConfig: {
-        maxOutputTokens: maxTokens,
-        temperature: 0.3
-      }
-    };
-
-    let lastError;
-    let fallbackAttempted = false;
-
-    for (let attempt = 0; attempt <= this.maxRetries; attempt++) {
-      try {
-        const url = `${this.baseUrl}/${this.currentModel}:generateContent?key=${this.apiKey}`;
-
-        const response = await fetch(url, {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify(body)
-        });
-
-        if (!response.ok) {
-          const errorText = await response.text();
-          throw new Error(`Gemini API error ${response.status}: ${errorText}`);
-        }
-
-        const data = await response.json();
-        const content = data.candidates?.[0]?.content?.parts?.[0]?.text || '';
-        const tokens = data.usageMetadata?.totalTokenCount || 0;
-
-        this.stats.apiCalls++;
-        this.stats.tokensUsed += tokens;
-        this.stats.modelUsed = this.currentModel;
-
-        return { content, tokens };
-      } catch (err) {
-        lastError = err;
-
-        if (isRateLimitError(err)) {
-          if (!fallbackAttempted && this.fallbackToNextModel()) {
-            fallbackAttempted = true;
-            attempt = -1;
-            continue;
-          }
-
-          const retryAfter = parseRetryAfter(err);
-          if (this.verbose) {
-            console.log(`    Rate limit hit, waiting ${Math.ceil(retryAfter / 1000)}s...`);
-          }
-          await this.sleep(retryAfter);
-          continue;
-        }
-
-        const isRetryable = err.message.includes('fetch failed') || err.message.includes('network');
-        if (isRetryable && attempt < this.maxRetries) {
-          await this.sleep(5000 * (attempt + 1));
-          continue;
-        }
-        break;
-      }
-    }
-
-    // Try Groq as final fallback
-    if (this.groqAdapter && isRateLimitError(lastError)) {
-      if (this.verbose) {
-        console.log(`🔄 All Gemini models exhausted, falling back to Groq`);
-      }
-
-      try {
-        const result = await this.groqAdapter.generate(systemPrompt, userPrompt, {
-          temperature: 0.3,
-          maxTokens,
-          maxRetries: this.maxRetries
-        });
-
-        this.stats.apiCalls++;
-        this.stats.groqUsed = true;
-        this.stats.modelUsed = `groq:${this.groqAdapter.model}`;
-
-        const content = typeof result === 'string' ? result : JSON.stringify(result);
-        return { content, tokens: this.groqAdapter.stats.tokensUsed };
-      } catch (groqErr) {
-        if (this.verbose) console.log(`⚠️  Groq fallback also failed: ${groqErr.message}`);
-      }
-    }
-
-    throw lastError;
+    return { content: result.content, tokens: result.tokens };
   }
 
   /**
    * Parse JSON from LLM output, handling markdown artifacts
    */
   parseJSON(text) {
-    // Strip markdown code blocks
-    let cleaned = text
-      .replace(/^```(?:json)?\s*\n?/gim, '')
-      .replace(/\n?```$/gim, '')
-      .trim();
-
-    // Try to extract JSON object
-    const match = cleaned.match(/\{[\s\S]*\}/);
-    if (match) {
-      return JSON.parse(match[0]);
-    }
-
-    throw new Error('Could not parse JSON from LLM output');
+    return parseJSONResponse(text);
   }
 
   /**
@@ -424,7 +314,7 @@ export class BatchLLMExecutor {
     const masterPrompt = buildMasterPrompt(reportJson);
 
     // Call LLM for initial generation with high token limit
-    const genResult = await this.callLLM(MASTER_SYSTEM_PROMPT, masterPrompt, 18000);
+    const genResult = await this.callLLM(withIndustryGuidance(MASTER_SYSTEM_PROMPT, reportJson.industry_profile), masterPrompt, 18000);
     let generatedContent;
 
     try {
@@ -443,14 +333,8 @@ export class BatchLLMExecutor {
       console.log('Stage 2: Self-verification refinement pass...');
       const refineStart = Date.now();
 
-      const sourceData = {
-        measurements: reportJson.audit?.workflows?.[0]?.measurements,
-        bleed: reportJson.bleed,
-        client: reportJson.prepared_for?.account_name
-      };
-
-      const refinePrompt = buildRefinementPrompt(generatedContent, sourceData);
-      const refineResult = await this.callLLM(REFINEMENT_SYSTEM_PROMPT, refinePrompt, 18000);
+      const refinePrompt = buildRefinementPrompt(generatedContent, buildSourceData(reportJson));
+      const refineResult = await this.callLLM(withIndustryGuidance(REFINEMENT_SYSTEM_PROMPT, reportJson.industry_profile), refinePrompt, 18000);
 
       try {
         generatedContent = this.parseJSON(refineResult.content);
@@ -465,11 +349,109 @@ export class BatchLLMExecutor {
     console.log('Stage 3: Mapping content to report structure...');
     const filledReport = this.applyGeneratedContent(reportJson, generatedContent);
 
+    // Stage 4: Registry output_constraints, re-prompting only the violating fields
+    await this.enforceConstraints(filledReport);
+
+    // Queue generated fields whose registry prompt requires human approval
+    const filled = listNarrativeFields(filledReport).filter(field => generatedContent[field.key]);
+    this.stats.approvalRequired = getApprovalEntries(this.promptRegistry, filled);
+
     console.log(`Batch LLM complete: ${this.stats.apiCalls} API calls, ${this.stats.tokensUsed} tokens`);
 
     return filledReport;
   }
 
+  /**
+   * Fields of the report that violate their registry prompt's constraints
+   * or quote numbers that aren't in the source data (numeric_grounding.js)
+   * @param {Object} reportJson - Filled report JSON
+   * @param {string[]} onlyPaths - Restrict the check to these paths
+   * @returns {Array<{path, prompt_id, prompt, value, errors}>}
+   */
+  findConstraintViolations(reportJson, onlyPaths = null) {
+    const ungrounded = findUngroundedNumbers(reportJson);
+
+    return listNarrativeFields(reportJson)
+      .filter(field => !onlyPaths || onlyPaths.includes(field.path))
+      .map(field => {
+        const prompt = getPrompt(this.promptRegistry, field.promptId);
+        const value = getFieldValue(reportJson, field.path);
+        if (!prompt || (typeof value !== 'string' && !Array.isArray(value)) || String(value).includes('[LLM_PLACEHOLDER')) {
+          return null;
+        }
+        const errors = [
+          ...checkOutputConstraints(this.promptRegistry, prompt, value),
+          ...groundingFeedback(ungrounded, field.path)
+        ];
+        return errors.length > 0 ? { path: field.path, prompt_id: prompt.prompt_id, prompt, value, errors } : null;
+      })
+      .filter(Boolean);
+  }
+
+  /**
+   * Check every generated field against its registry output_constraints and
+   * re-prompt just the violating fields (with the violations in the prompt),
+   * up to global_guardrails.max_retry_on_validation_fail times.
+   * Fields still violating afterwards are kept and reported in
+   * stats.constraintViolations.
+   * @param {Object} reportJson - Filled report JSON (mutated)
+   */
+  async enforceConstraints(reportJson) {
+    const guardrails = this.promptRegistry.global_guardrails || {};
+    const maxRetries = guardrails.max_retry_on_validation_fail ?? 0;
+    const report = this.stats.constraintViolations;
+
+    report.checked = listNarrativeFields(reportJson).length;
+    let violations = this.findConstraintViolations(reportJson);
+    report.fields = violations.map(v => ({
+      path: v.path,
+      prompt_id: v.prompt_id,
+      violations: v.errors,
+      attempts: 0,
+      resolved: false,
+      remaining: v.errors
+    }));
+
+    while (violations.length > 0 && report.retries < maxRetries && !this.dryRun) {
+      report.retries++;
+      console.log(`Stage 4: Re-prompting ${violations.length} field(s) that violate output constraints (retry ${report.retries}/${maxRetries})...`);
+
+      const retryPrompt = buildConstraintRetryPrompt(violations, buildSourceData(reportJson), guardrails);
+      const retryResult = await this.callLLM(withIndustryGuidance(CONSTRAINT_RETRY_SYSTEM_PROMPT, reportJson.industry_profile), retryPrompt, 4000);
+
+      let corrected = {};
+      try {
+        corrected = this.parseJSON(retryResult.content);
+      } catch (err) {
+        console.warn('Constraint retry parse failed, keeping current content');
+      }
+
+      violations.forEach(v => {
+        const value = corrected[v.path];
+        if (typeof value === 'string' || Array.isArray(value)) {
+          setFieldValue(reportJson, v.path, value);
+        }
+        report.fields.find(f => f.path === v.path).attempts++;
+      });
+
+      violations = this.findConstraintViolations(reportJson, violations.map(v => v.path));
+    }
+
+    report.fields.forEach(field => {
+      const remaining = violations.find(v => v.path === field.path);
+      field.resolved = !remaining;
+      field.remaining = remaining ? remaining.errors : [];
+    });
+    report.unresolved = violations.length;
+
+    if (report.fields.length > 0) {
+      console.log(`  Output constraints: ${report.fields.length - report.unresolved}/${report.fields.length} violating field(s) fixed`);
+      violations.forEach(v => console.warn(`  Unresolved: ${v.path} - ${v.errors.join('; ')}`));
+    }
+
+    return report;
+  }
+
   /**
    * Apply generated content to report JSON structure
    */
@@ -547,6 +529,13 @@ export class BatchLLMExecutor {
     return report;
   }
 
+  /**
+   * Get fields requiring human approval
+   */
+  getApprovalQueue() {
+    return this.stats.approvalRequired;
+  }
+
   /**
    * Get execution stats
    */
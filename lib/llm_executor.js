@@ -3,7 +3,7 @@
  *
  * Fills LLM placeholders in report JSON using prompts from the registry.
  * Enforces grounding rules: LLM can only use provided data, no fabrication.
- * Uses Google Gemini API for generation.
+ * Uses the configured LLM provider (Gemini by default) for generation.
  *
  * Usage:
  *   import { LLMExecutor } from './lib/llm_executor.js';
@@ -12,20 +12,10 @@
  */
 
 import Mustache from 'mustache';
-import fs from 'fs';
-import path from 'path';
-import { fileURLToPath } from 'url';
-import {
-  MODEL_FALLBACK_ORDER,
-  getModelDelay,
-  getNextFallbackModel,
-  isRateLimitError,
-  parseRetryAfter,
-  getModelInfo
-} from './model_config.js';
-import { GroqAdapter } from './groq_adapter.js';
-
-const __dirname = path.dirname(fileURLToPath(import.meta.url));
+import { createProvider, formatModelUsed, stripMarkdown } from './llm_provider.js';
+import { loadPromptRegistry, findPromptForPath, checkOutputConstraints } from './prompt_registry.js';
+import { withIndustryGuidance } from './industry_profiles.js';
+import { findUngroundedNumbers, groundingFeedback } from './numeric_grounding.js';
 
 /**
  * Mapping from placeholder names to prompt registry IDs
@@ -49,32 +39,13 @@ const PLACEHOLDER_TO_PROMPT = {
 };
 
 /**
- * LLM Executor class - Uses Google Gemini API
+ * LLM Executor class - Uses the configured LLM provider
  */
 export class LLMExecutor {
   constructor(options = {}) {
-    this.apiKey = options.apiKey || process.env.GEMINI_API_KEY;
-    this.groqApiKey = options.groqApiKey || process.env.GROQ_API_KEY;
-    this.model = options.model || MODEL_FALLBACK_ORDER[0]; // Start with best available model
-    this.maxRetries = options.maxRetries || 2;
+    this.provider = createProvider(options);
     this.dryRun = options.dryRun || false;
     this.verbose = options.verbose !== false;
-    // Use v1beta for Gemini 3 models, v1 for others
-    const apiVersion = this.model.startsWith('gemini-3') ? 'v1beta' : 'v1';
-    this.baseUrl = `https://generativelanguage.googleapis.com/${apiVersion}/models`;
-    this.usePaidTier = options.usePaidTier || false;
-    this.useGroq = options.useGroq || false; // Skip Gemini, go straight to Groq
-
-    // Model fallback tracking
-    this.currentModel = this.model;
-    this.fallbackHistory = [];
-    this.modelSwitches = 0;
-
-    // Groq adapter for fallback
-    this.groqAdapter = this.groqApiKey ? new GroqAdapter({
-      apiKey: this.groqApiKey,
-      verbose: this.verbose
-    }) : null;
 
     // Load prompt registry
     this.promptRegistry = this.loadPromptRegistry();
@@ -88,21 +59,12 @@ export class LLMExecutor {
       tokensUsed: 0,
       errors: [],
       approvalRequired: [],
-      modelUsed: this.currentModel,
-      fallbacks: [],
+      modelUsed: null,
       groqUsed: false
     };
 
     if (this.verbose) {
-      if (this.useGroq && this.groqAdapter) {
-        console.log(`LLM Executor initialized: Groq-only mode (${this.groqAdapter.model})`);
-      } else {
-        const modelInfo = getModelInfo(this.currentModel);
-        console.log(`LLM Executor initialized: ${modelInfo.model} (${modelInfo.tier} tier, ${modelInfo.delay_ms}ms delay)`);
-        if (this.groqAdapter) {
-          console.log(`  Groq fallback: Available (${this.groqAdapter.model})`);
-        }
-      }
+      console.log(`LLM Executor initialized: ${this.provider.describe()}`);
     }
   }
 
@@ -110,53 +72,7 @@ export class LLMExecutor {
    * Load the prompt registry
    */
   loadPromptRegistry() {
-    const registryPath = path.join(__dirname, '..', 'prompts', 'prompt_registry.json');
-    try {
-      const content = fs.readFileSync(registryPath, 'utf8');
-      return JSON.parse(content);
-    } catch (err) {
-      console.warn('Could not load prompt registry:', err.message);
-      return { prompts: [] };
-    }
-  }
-
-  /**
-   * Attempt to fall back to next available model
-   * @returns {boolean} True if fallback successful, false if no more fallbacks
-   */
-  fallbackToNextModel() {
-    const nextModel = getNextFallbackModel(this.currentModel);
-
-    if (!nextModel) {
-      if (this.verbose) {
-        console.log('⚠️  No more fallback models available');
-      }
-      return false;
-    }
-
-    const previousModel = this.currentModel;
-    this.currentModel = nextModel;
-    this.modelSwitches++;
-
-    // Update API version for Gemini 3 models
-    const apiVersion = this.currentModel.startsWith('gemini-3') ? 'v1beta' : 'v1';
-    this.baseUrl = `https://generativelanguage.googleapis.com/${apiVersion}/models`;
-
-    const fallbackInfo = {
-      from: previousModel,
-      to: nextModel,
-      timestamp: new Date().toISOString()
-    };
-
-    this.fallbackHistory.push(fallbackInfo);
-    this.stats.fallbacks.push(fallbackInfo);
-
-    if (this.verbose) {
-      const modelInfo = getModelInfo(nextModel);
-      console.log(`🔄 Falling back: ${previousModel} → ${nextModel} (${modelInfo.tier} tier, ${modelInfo.delay_ms}ms delay)`);
-    }
-
-    return true;
+    return loadPromptRegistry();
   }
 
   /**
@@ -174,11 +90,13 @@ export class LLMExecutor {
 
     // Map common context fields
     if (reportJson.audit?.workflows?.[0]) {
-      const workflow = reportJson.audit.workflows[0];
-      context.workflow_name = workflow.name;
+      // Multi-workflow audits: all names, the primary workflow's trigger and objective
+      const workflows = reportJson.audit.workflows;
+      const workflow = workflows[0];
+      context.workflow_name = workflows.map(w => w.name).join(' & ');
       context.trigger = workflow.trigger;
       context.objective = workflow.objective;
-      context.measurements = workflow.measurements?.map(m => ({
+      context.measurements = workflows.flatMap(w => w.measurements || []).map(m => ({
         name: m.name,
         value_display: m.value_display,
         target: m.target,
@@ -208,6 +126,9 @@ export class LLMExecutor {
       context.client_name = reportJson.prepared_for.account_name;
     }
 
+    // Tone guidance for the system prompt (see callLLM)
+    context.industry_profile = reportJson.industry_profile;
+
     if (reportJson.offer) {
       context.offer_sku_name = reportJson.offer.sku_name;
       context.offer_promise = "Single workflow audit with actionable fixes";
@@ -227,10 +148,14 @@ export class LLMExecutor {
   }
 
   /**
-   * Call the Gemini API with retry logic and model fallback
+   * Call the LLM provider (retry and fallback are handled by the provider)
+   * options.feedback lists constraint violations of a previous attempt
    */
-  async callLLM(prompt, context) {
-    const userPrompt = this.renderPrompt(prompt, context);
+  async callLLM(prompt, context, options = {}) {
+    let userPrompt = this.renderPrompt(prompt, context);
+    if (options.feedback?.length > 0) {
+      userPrompt += `\n<previous_attempt_rejected>\n${options.feedback.map(e => `- ${e}`).join('\n')}\nFix these issues in your answer.\n</previous_attempt_rejected>`;
+    }
 
     if (this.dryRun) {
       return {
@@ -239,212 +164,44 @@ export class LLMExecutor {
       };
     }
 
-    // If useGroq flag is set, skip Gemini entirely
-    if (this.useGroq && this.groqAdapter) {
-      if (this.verbose) {
-        console.log(`  Using Groq directly (${this.groqAdapter.model})`);
-      }
-
-      const result = await this.groqAdapter.generate(
-        prompt.system_prompt || '',
-        userPrompt,
-        {
-          temperature: 0.3,
-          maxTokens: prompt.max_tokens || 2000,
-          maxRetries: this.maxRetries
-        }
-      );
-
-      this.stats.promptsExecuted++;
-      this.stats.groqUsed = true;
-      this.stats.modelUsed = `groq:${this.groqAdapter.model}`;
-
-      const content = typeof result === 'string' ? result : JSON.stringify(result);
-      const tokens = this.groqAdapter.stats.tokensUsed;
-
-      return { content, tokens };
-    }
-
-    if (!this.apiKey) {
-      throw new Error('Gemini API key not set. Set GEMINI_API_KEY or pass apiKey option.');
-    }
-
-    // Combine system prompt and user prompt for Gemini
-    const fullPrompt = prompt.system_prompt
-      ? `${prompt.system_prompt}\n\n${userPrompt}`
-      : userPrompt;
-
-    const body = {
-      contents: [{
-        parts: [{ text: fullPrompt }]
-      }],
-      generationConfig: {
-        maxOutputTokens: prompt.max_tokens || 200,
+    try {
+      const result = await this.provider.generate({
+        system: withIndustryGuidance(prompt.system_prompt || '', context.industry_profile),
+        user: userPrompt,
+        maxTokens: prompt.max_tokens || 200,
         temperature: 0.3
-      }
-    };
-
-    // Retry loop with model fallback
-    let lastError;
-    let fallbackAttempted = false;
-
-    for (let attempt = 0; attempt <= this.maxRetries; attempt++) {
-      try {
-        const url = `${this.baseUrl}/${this.currentModel}:generateContent?key=${this.apiKey}`;
-
-        const response = await fetch(url, {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify(body)
-        });
-
-        if (!response.ok) {
-          const errorText = await response.text();
-          throw new Error(`Gemini API error ${response.status}: ${errorText}`);
-        }
-
-        const data = await response.json();
-        const content = data.candidates?.[0]?.content?.parts?.[0]?.text || '';
-        const tokens = data.usageMetadata?.totalTokenCount || 0;
-
-        this.stats.promptsExecuted++;
-        this.stats.tokensUsed += tokens;
-        this.stats.modelUsed = this.currentModel;
-
-        return { content, tokens };
-      } catch (err) {
-        lastError = err;
-
-        // Check if it's a rate limit error
-        if (isRateLimitError(err)) {
-          if (!fallbackAttempted) {
-            // Try to fall back to next model
-            if (this.fallbackToNextModel()) {
-              fallbackAttempted = true;
-              // Reset attempt counter for new model
-              attempt = -1; // Will become 0 after continue
-              continue;
-            } else {
-              // No more fallbacks, wait for retry-after period
-              const retryAfter = parseRetryAfter(err);
-              if (this.verbose) {
-                console.log(`    Rate limit hit, waiting ${Math.ceil(retryAfter / 1000)}s...`);
-              }
-              await this.sleep(retryAfter);
-              continue;
-            }
-          }
-        }
-
-        // Check for other retryable errors
-        const isRetryable = err.message.includes('fetch failed') ||
-                           err.message.includes('network') ||
-                           err.message.includes('ECONNRESET') ||
-                           err.message.includes('timeout');
-
-        if (isRetryable && attempt < this.maxRetries) {
-          const retryDelay = 5000 * (attempt + 1); // 5s, 10s
-          if (this.verbose) {
-            console.log(`    Retry ${attempt + 1}/${this.maxRetries} after ${retryDelay / 1000}s...`);
-          }
-          await this.sleep(retryDelay);
-          continue;
-        }
-        break;
-      }
-    }
-
-    // If all Gemini models failed, try Groq as final fallback
-    if (this.groqAdapter && isRateLimitError(lastError)) {
-      if (this.verbose) {
-        console.log(`🔄 All Gemini models exhausted, falling back to Groq (${this.groqAdapter.model})`);
-      }
-
-      try {
-        const result = await this.groqAdapter.generate(
-          prompt.system_prompt || '',
-          this.renderPrompt(prompt, context),
-          {
-            temperature: 0.3,
-            maxTokens: prompt.max_tokens || 2000,
-            maxRetries: this.maxRetries
-          }
-        );
+      });
 
-        this.stats.promptsExecuted++;
+      this.stats.promptsExecuted++;
+      this.stats.tokensUsed += result.tokens;
+      this.stats.modelUsed = formatModelUsed(result);
+      if (result.provider === 'groq') {
         this.stats.groqUsed = true;
-        this.stats.modelUsed = `groq:${this.groqAdapter.model}`;
-
-        // Groq returns either plain text or parsed JSON
-        // Always convert to string for consistency with Gemini behavior
-        const content = typeof result === 'string' ? result : JSON.stringify(result);
-        const tokens = this.groqAdapter.stats.tokensUsed;
-
-        return { content, tokens };
-      } catch (groqErr) {
-        if (this.verbose) {
-          console.log(`⚠️  Groq fallback also failed: ${groqErr.message}`);
-        }
-        // Fall through to original error
       }
-    }
 
-    this.stats.errors.push({
-      prompt_id: prompt.prompt_id,
-      model: this.currentModel,
-      error: lastError.message
-    });
-    throw lastError;
+      return { content: result.content, tokens: result.tokens };
+    } catch (err) {
+      this.stats.errors.push({
+        prompt_id: prompt.prompt_id,
+        model: this.stats.modelUsed,
+        error: err.message
+      });
+      throw err;
+    }
   }
 
   /**
    * Validate LLM output against constraints
    */
   validateOutput(prompt, output) {
-    const errors = [];
-    const constraints = prompt.output_constraints || {};
-
-    // Check max length
-    if (constraints.max_length_chars && output.length > constraints.max_length_chars) {
-      errors.push(`Output exceeds max length (${output.length} > ${constraints.max_length_chars})`);
-    }
-
-    // Check must contain
-    if (constraints.must_contain) {
-      constraints.must_contain.forEach(phrase => {
-        if (!output.includes(phrase)) {
-          errors.push(`Output missing required phrase: "${phrase}"`);
-        }
-      });
-    }
-
-    // Check must not contain
-    if (constraints.must_not_contain) {
-      constraints.must_not_contain.forEach(phrase => {
-        if (output.toLowerCase().includes(phrase.toLowerCase())) {
-          errors.push(`Output contains forbidden phrase: "${phrase}"`);
-        }
-      });
-    }
-
-    // Check for insufficient evidence marker
-    if (output.includes('[INSUFFICIENT_EVIDENCE]')) {
-      errors.push('LLM reported insufficient evidence');
-    }
-
-    return errors;
+    return checkOutputConstraints(this.promptRegistry, prompt, output);
   }
 
   /**
    * Strip markdown code block artifacts from LLM output
    */
   stripMarkdown(text) {
-    return text
-      // Remove code block markers with optional language
-      .replace(/^```(?:json|html|text|markdown)?\s*\n?/gim, '')
-      .replace(/\n?```$/gim, '')
-      // Clean up any leading/trailing whitespace
-      .trim();
+    return stripMarkdown(text);
   }
 
   /**
@@ -584,11 +341,15 @@ export class LLMExecutor {
           context.problem = fix.problem;
           context.solution = fix.solution;
           context.quick_win_flag = fix.quick_win;
+          // Handoffs the fix covers and how each can be automated (system_catalog.js)
+          context.integration_handoffs = (reportJson.integration_gaps?.items || [])
+            .filter(gap => fix.integration_gap_ids?.includes(gap.gap_id))
+            .map(gap => `${gap.display} (${gap.detail})`);
           // Find related measurement
           const measurementId = fix.related_measurement_ids?.[0];
-          const measurement = reportJson.audit?.workflows?.[0]?.measurements?.find(
-            m => m.measurement_id === measurementId
-          );
+          const measurement = (reportJson.audit?.workflows || [])
+            .flatMap(w => w.measurements || [])
+            .find(m => m.measurement_id === measurementId);
           if (measurement) {
             context.measurement_name = measurement.name;
             context.threshold = measurement.target;
@@ -609,6 +370,70 @@ export class LLMExecutor {
     return context;
   }
 
+  /**
+   * Regenerate a single field with its registry prompt
+   * Output violating the prompt's output_constraints, or quoting numbers
+   * that aren't in the report's source data (numeric_grounding.js), is
+   * retried with the violations as feedback
+   * (global_guardrails.max_retry_on_validation_fail).
+   * The report is not modified - the caller decides whether to keep the value.
+   *
+   * @param {Object} reportJson - Report JSON providing the context
+   * @param {string} fieldPath - Concrete field path (e.g. 'fixes.items[0].solution')
+   * @param {Object} options - { maxRetries, enforceConstraints: throw if still invalid }
+   * @returns {Promise<{path: string, prompt_id: string, value: string|string[], errors: string[], attempts: number, tokens: number}>}
+   */
+  async regenerateField(reportJson, fieldPath, options = {}) {
+    const prompt = findPromptForPath(this.promptRegistry, fieldPath);
+    if (!prompt) {
+      const arrayPath = fieldPath.match(/^(.+)\[\d+\]$/)?.[1];
+      const hint = arrayPath && findPromptForPath(this.promptRegistry, arrayPath)
+        ? ` (list fields are regenerated whole: ${arrayPath})`
+        : '';
+      throw new Error(`No registry prompt generates ${fieldPath}${hint}`);
+    }
+
+    const maxRetries = options.maxRetries ?? this.promptRegistry.global_guardrails?.max_retry_on_validation_fail ?? 0;
+    const context = this.buildContextForPlaceholder({ path: fieldPath }, reportJson);
+
+    let value = null;
+    let errors = [];
+    let tokens = 0;
+    let attempts = 0;
+
+    while (attempts <= maxRetries) {
+      attempts++;
+      const result = await this.callLLM(prompt, context, { feedback: errors });
+      tokens += result.tokens;
+
+      value = this.stripMarkdown(result.content.trim());
+      if (prompt.output_type === 'array_of_strings') {
+        value = this.parseArrayOutput(value);
+      }
+
+      // Grounding is checked with the new value in place of the old one
+      const candidate = JSON.parse(JSON.stringify(reportJson));
+      this.setAtPath(candidate, fieldPath, value);
+      errors = [
+        ...this.validateOutput(prompt, typeof value === 'string' ? value : JSON.stringify(value)),
+        ...groundingFeedback(findUngroundedNumbers(candidate), fieldPath)
+      ];
+      if (errors.length === 0 || this.dryRun) break;
+
+      if (this.verbose) {
+        console.warn(`Attempt ${attempts} for ${fieldPath} violates output constraints or grounding:`, errors);
+      }
+    }
+
+    if (errors.length > 0 && options.enforceConstraints && !this.dryRun) {
+      const error = new Error(`${prompt.prompt_id} output still violates its constraints after ${attempts} attempts: ${errors.join('; ')}`);
+      error.errors = errors;
+      throw error;
+    }
+
+    return { path: fieldPath, prompt_id: prompt.prompt_id, value, errors, attempts, tokens };
+  }
+
   /**
    * Fill all LLM placeholders in the report
    */
@@ -665,7 +490,7 @@ export class LLMExecutor {
 
       try {
         // Rate limiting: wait if needed (delay is dynamic based on current model)
-        const requestDelayMs = getModelDelay(this.currentModel, this.usePaidTier);
+        const requestDelayMs = this.provider.getRequestDelay?.() || 0;
         const now = Date.now();
         const timeSinceLastRequest = now - lastRequestTime;
         if (lastRequestTime > 0 && timeSinceLastRequest < requestDelayMs) {
@@ -725,6 +550,7 @@ export class LLMExecutor {
   getStats() {
     return {
       ...this.stats,
+      provider: this.provider.getStats?.(),
       registry_version: this.promptRegistry.registry_version
     };
   }
@@ -0,0 +1,209 @@
+/**
+ * llm_provider.js - Pluggable LLM Provider Interface
+ *
+ * Every provider implements one contract:
+ *
+ *   await provider.generate({ system, user, maxTokens, temperature, json })
+ *     → { content, tokens, model, provider }
+ *
+ * Optional: describe(), getRequestDelay() (ms between requests) and
+ * getRateLimits() → { model, rpm, rpd } for providers with published quotas.
+ * HTTP adapters also await request.beforeAttempt(model), when given, before
+ * every attempt they send, retries and model fallbacks included.
+ *
+ * Extractor, LLMExecutor and BatchLLMExecutor only talk to this contract,
+ * so adding a provider means writing one adapter and registering it below.
+ *
+ * Usage:
+ *   import { createProvider } from './lib/llm_provider.js';
+ *   const provider = createProvider({ provider: 'ollama' });
+ *   const { content } = await provider.generate({ system, user, json: true });
+ */
+
+import { isRateLimitError } from './model_config.js';
+import { GeminiAdapter } from './gemini_adapter.js';
+import { GroqAdapter } from './groq_adapter.js';
+import { OpenAICompatibleAdapter } from './openai_adapter.js';
+import { FixtureAdapter } from './fixture_adapter.js';
+
+/**
+ * Registered provider names (selectable via --provider or LLM_PROVIDER)
+ */
+export const PROVIDER_NAMES = ['gemini', 'groq', 'openai', 'ollama', 'llamacpp'];
+
+/**
+ * Ordered list of providers - moves to the next one when the current
+ * provider fails with an error matching `shouldFallback` (rate limits by default)
+ */
+export class ProviderChain {
+  constructor(providers, options = {}) {
+    this.providers = providers;
+    this.shouldFallback = options.shouldFallback || isRateLimitError;
+    this.verbose = options.verbose !== false;
+    this.name = providers[0].name;
+    this.activeIndex = 0;
+  }
+
+  get active() {
+    return this.providers[this.activeIndex];
+  }
+
+  describe() {
+    return this.providers.map(p => p.describe()).join(' → ');
+  }
+
+  getRequestDelay() {
+    return this.active.getRequestDelay?.() || 0;
+  }
+
+  getRateLimits() {
+    return this.active.getRateLimits?.() || null;
+  }
+
+  async generate(request) {
+    let lastError;
+
+    for (let idx = this.activeIndex; idx < this.providers.length; idx++) {
+      const provider = this.providers[idx];
+      try {
+        const result = await provider.generate(request);
+        this.activeIndex = idx;
+        return result;
+      } catch (err) {
+        lastError = err;
+        const next = this.providers[idx + 1];
+        if (!next || !this.shouldFallback(err)) {
+          break;
+        }
+        if (this.verbose) {
+          console.log(`🔄 ${provider.name} exhausted, falling back to ${next.describe()}`);
+        }
+      }
+    }
+
+    throw lastError;
+  }
+
+  getStats() {
+    return {
+      providers: this.providers.map(p => ({ name: p.name, ...p.getStats() }))
+    };
+  }
+}
+
+/**
+ * Build a provider from pipeline/executor options
+ *
+ * @param {Object} options
+ * @param {string|Object} options.provider - Provider name, or an object that already implements generate()
+ * @param {string} options.apiKey - Gemini API key
+ * @param {string} options.groqApiKey - Groq API key (also enables Groq fallback for Gemini)
+ * @param {string} options.model - Model override for the primary provider
+ * @param {string} options.baseUrl - Endpoint override for OpenAI-compatible providers
+ * @param {boolean} options.useGroq - Legacy flag: equivalent to provider 'groq'
+ * @param {Object} options.fixtures - { mode: 'record'|'replay'|'auto', dir } wraps the provider for offline runs
+ * @returns {Object} Provider implementing generate()
+ */
+export function createProvider(options = {}) {
+  if (options.provider && typeof options.provider.generate === 'function') {
+    return options.provider;
+  }
+
+  const verbose = options.verbose !== false;
+
+  if (options.fixtures?.dir) {
+    const { fixtures, ...liveOptions } = options;
+    // Replay never touches the network, so skip building the live provider
+    const inner = fixtures.mode === 'replay' ? null : createProvider(liveOptions);
+    return new FixtureAdapter({ ...fixtures, inner, verbose });
+  }
+  const groqApiKey = options.groqApiKey || process.env.GROQ_API_KEY;
+
+  let name = options.provider || process.env.LLM_PROVIDER || 'gemini';
+  if (options.useGroq && groqApiKey) {
+    name = 'groq';
+  }
+
+  switch (name) {
+    case 'gemini': {
+      const gemini = new GeminiAdapter({
+        apiKey: options.apiKey,
+        model: options.model,
+        maxRetries: options.maxRetries,
+        usePaidTier: options.usePaidTier,
+        verbose
+      });
+      if (!groqApiKey) {
+        return gemini;
+      }
+      const groq = new GroqAdapter({ apiKey: groqApiKey, maxRetries: options.maxRetries, verbose });
+      return new ProviderChain([gemini, groq], { verbose });
+    }
+
+    case 'groq':
+      return new GroqAdapter({
+        apiKey: groqApiKey,
+        model: options.model,
+        maxRetries: options.maxRetries,
+        verbose
+      });
+
+    case 'openai':
+    case 'ollama':
+    case 'llamacpp':
+      return new OpenAICompatibleAdapter({
+        preset: name,
+        apiKey: options.openaiApiKey,
+        model: options.model,
+        baseUrl: options.baseUrl,
+        maxRetries: options.maxRetries,
+        verbose
+      });
+
+    default:
+      throw new Error(`Unknown LLM provider: ${name}. Available: ${PROVIDER_NAMES.join(', ')}`);
+  }
+}
+
+/**
+ * Label for stats.modelUsed - Gemini models are reported bare for
+ * backwards compatibility, other providers as "provider:model"
+ */
+export function formatModelUsed(result) {
+  return result.provider === 'gemini' ? result.model : `${result.provider}:${result.model}`;
+}
+
+/**
+ * Strip markdown code block artifacts from LLM output
+ */
+export function stripMarkdown(text) {
+  return text
+    // Remove code block markers with optional language
+    .replace(/^```(?:json|html|text|markdown)?\s*\n?/gim, '')
+    .replace(/\n?```$/gim, '')
+    .trim();
+}
+
+/**
+ * Parse a JSON object from LLM output, handling markdown artifacts
+ * and leading/trailing commentary
+ */
+export function parseJSONResponse(text) {
+  const cleaned = stripMarkdown(text);
+
+  const match = cleaned.match(/\{[\s\S]*\}/);
+  if (match) {
+    return JSON.parse(match[0]);
+  }
+
+  throw new Error('Could not parse JSON from LLM output');
+}
+
+export default {
+  PROVIDER_NAMES,
+  ProviderChain,
+  createProvider,
+  formatModelUsed,
+  stripMarkdown,
+  parseJSONResponse
+};
@@ -169,6 +169,22 @@ export function isRateLimitError(error) {
   );
 }
 
+/**
+ * Check if error is a transient network error worth retrying
+ * @param {Error} error - Error object
+ * @returns {boolean} True if retryable
+ */
+export function isRetryableError(error) {
+  const message = error.message || '';
+
+  return (
+    message.includes('fetch failed') ||
+    message.includes('network') ||
+    message.includes('ECONNRESET') ||
+    message.includes('timeout')
+  );
+}
+
 /**
  * Parse retry-after time from error
  * @param {Error} error - Error object
@@ -215,6 +231,7 @@ export default {
   getModelDelay,
   getNextFallbackModel,
   isRateLimitError,
+  isRetryableError,
   parseRetryAfter,
   getModelInfo
 };
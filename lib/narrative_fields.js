@@ -0,0 +1,81 @@
+/**
+ * narrative_fields.js - LLM-Written Report Fields
+ *
+ * The narrative fields the LLM fills in, the registry prompt behind each
+ * one, and path helpers shared by the batch executor (approvals, output
+ * constraints), interactive review and numeric grounding validation.
+ *
+ * Usage:
+ *   import { listNarrativeFields, getFieldValue } from './lib/narrative_fields.js';
+ *   listNarrativeFields(reportJson).forEach(f => console.log(f.path, getFieldValue(reportJson, f.path)));
+ */
+
+/**
+ * Every field BatchLLMExecutor.applyGeneratedContent() writes, keyed by the
+ * master prompt's output key, with the registry prompt that generates it on its own
+ * Paths use [] for "every array item"
+ */
+export const NARRATIVE_FIELDS = [
+  { key: 'document_title', promptId: 'document_title_v1', path: 'document.title' },
+  { key: 'scope_statement', promptId: 'scope_statement_v1', path: 'audit.scope.scope_statement' },
+  { key: 'in_scope', promptId: 'scope_items_v1', path: 'audit.scope.in_scope' },
+  { key: 'out_of_scope', promptId: 'out_of_scope_v1', path: 'audit.scope.out_of_scope' },
+  { key: 'limitations', promptId: 'limitations_v1', path: 'audit.methodology.limitations' },
+  { key: 'executive_summary', promptId: 'executive_summary_v1', path: 'scorecard.executive_summary.body' },
+  { key: 'scorecard_findings', promptId: 'finding_summary_v1', path: 'scorecard.rows[].finding.summary' },
+  { key: 'scorecard_findings', promptId: 'finding_risk_v1', path: 'scorecard.rows[].finding.risk' },
+  { key: 'math_defender', promptId: 'math_defender_v1', path: 'bleed.math_defender_text' },
+  { key: 'fixes', promptId: 'fix_problem_v1', path: 'fixes.items[].problem' },
+  { key: 'fixes', promptId: 'fix_solution_v1', path: 'fixes.items[].solution' },
+  { key: 'fixes', promptId: 'impact_basis_v1', path: 'fixes.items[].impact.basis' },
+  { key: 'fixes', promptId: 'acceptance_criteria_v1', path: 'fixes.items[].acceptance_criteria' },
+  { key: 'cta_headline', promptId: 'cta_headline_v1', path: 'cta.headline' },
+  { key: 'cta_subtext', promptId: 'cta_subtext_v1', path: 'cta.subtext' }
+];
+
+/**
+ * Value at a concrete field path ('fixes.items[0].impact.basis')
+ */
+export function getFieldValue(reportJson, fieldPath) {
+  return fieldPath.replace(/\[(\d+)\]/g, '.$1').split('.')
+    .reduce((current, key) => current?.[key], reportJson);
+}
+
+/**
+ * Set the value at an existing concrete field path
+ */
+export function setFieldValue(reportJson, fieldPath, value) {
+  const parts = fieldPath.replace(/\[(\d+)\]/g, '.$1').split('.');
+  const parent = parts.slice(0, -1).reduce((current, key) => current[key], reportJson);
+  parent[parts[parts.length - 1]] = value;
+}
+
+/**
+ * Concrete narrative fields present in a report, in report order
+ * (e.g. 'scorecard.rows[].finding.risk' → one entry per row with a risk)
+ * @param {Object} reportJson - Report JSON
+ * @returns {Array<{key: string, promptId: string, path: string}>}
+ */
+export function listNarrativeFields(reportJson) {
+  return NARRATIVE_FIELDS.flatMap(field => {
+    const match = field.path.match(/^(.+?)\[\]\.(.+)$/);
+    if (!match) {
+      return [field];
+    }
+    const [, arrayPath, itemPath] = match;
+    const items = getFieldValue(reportJson, arrayPath) || [];
+    return items.flatMap((item, idx) => {
+      const value = getFieldValue(item, itemPath);
+      return value === undefined || value === null
+        ? []
+        : [{ ...field, path: `${arrayPath}[${idx}].${itemPath}` }];
+    });
+  });
+}
+
+export default {
+  NARRATIVE_FIELDS,
+  getFieldValue,
+  setFieldValue,
+  listNarrativeFields
+};
@@ -0,0 +1,197 @@
+/**
+ * numeric_grounding.js - Numeric Grounding Check for LLM Narratives
+ *
+ * Parses every number, currency amount, percentage and duration out of the
+ * executive summary, scorecard findings, math defender and fixes, and
+ * matches each one against the report's source data:
+ *
+ *   audit.workflows[].measurements, bleed.assumptions, bleed.calculations, bleed.total
+ *
+ * plus what can be derived from them: the running products of each
+ * calculation's inputs, and the figures transform.js derives (bleed
+ * breakdown, per-period and annual bleed, cost of waiting, sensitivity
+ * range, fix recovery estimates, effort and turnaround ranges, fix cost
+ * and payback, the audit time window), and the cited benchmark targets.
+ * A number that matches none of them was invented by the LLM.
+ *
+ * Matching allows for the rounding a writer would do: "$52k" and "$52,000"
+ * both match 52,335, "68%" matches 0.68 or 68. Small counts (0-10) and
+ * years are not checked - they are usually prose ("3 systems", "in 2025").
+ *
+ * Usage:
+ *   import { findUngroundedNumbers } from './lib/numeric_grounding.js';
+ *   findUngroundedNumbers(reportJson).forEach(n => console.log(n.path, n.raw));
+ *   const feedback = groundingFeedback(findUngroundedNumbers(reportJson), 'scorecard.executive_summary.body');
+ */
+
+import { listNarrativeFields, getFieldValue } from './narrative_fields.js';
+
+/**
+ * Narrative fields (by master prompt key) whose numbers must be grounded
+ */
+const CHECKED_FIELD_KEYS = ['executive_summary', 'scorecard_findings', 'math_defender', 'fixes'];
+
+const NUMBER_PATTERN = /(\$|USD\s?)?(?<![\w.,])(\d{1,3}(?:,\d{3})+|\d+)(?:\.(\d+))?(?:\s?(k|m|million|thousand|bn|billion)\b)?(?:\s?(%|percent\b|(?:business\s)?(?:hours?|hrs?|days?|weeks?|months?|years?|minutes?|mins?|seconds?|secs?)\b))?/gi;
+
+const SCALES = { k: 1e3, thousand: 1e3, m: 1e6, million: 1e6, bn: 1e9, billion: 1e9 };
+
+/**
+ * Numbers in a piece of text (HTML tags are ignored)
+ * @param {string} text - Narrative text
+ * @returns {Array<{raw: string, value: number, kind: string, tolerance: number}>}
+ *   kind: 'currency' | 'percent' | 'duration' | 'number'; tolerance: rounding implied by the written precision
+ */
+export function extractNumbers(text) {
+  const plain = String(text)
+    .replace(/<[^>]*>/g, ' ')
+    .replace(/\b24\/7\b/g, ' ');
+
+  return [...plain.matchAll(NUMBER_PATTERN)].map(match => {
+    const [raw, currency, integerPart, decimals, scaleWord, unit] = match;
+    const isCurrency = Boolean(currency);
+
+    // Lowercase "m" after a bare number is more likely minutes than millions
+    const scaleKey = scaleWord?.toLowerCase();
+    const scale = scaleKey && (isCurrency || scaleWord !== 'm') ? SCALES[scaleKey] : 1;
+
+    const digits = integerPart.replace(/,/g, '');
+    const value = parseFloat(decimals ? `${digits}.${decimals}` : digits) * scale;
+
+    // "52,000" is rounded to the thousand, "18.5" to the tenth; "100" is exact
+    const trailingZeros = digits.length >= 4 && !decimals ? digits.match(/0*$/)[0].length : 0;
+    const precision = decimals ? Math.pow(10, -decimals.length) : Math.pow(10, Math.max(0, Math.min(trailingZeros, digits.length - 2)));
+    const tolerance = (precision / 2) * scale;
+
+    const kind = isCurrency ? 'currency'
+      : unit && /^(%|percent)$/i.test(unit) ? 'percent'
+      : unit ? 'duration'
+      : 'number';
+
+    return { raw: raw.trim(), value, kind, tolerance };
+  });
+}
+
+/**
+ * Assumption value as a multiplier (percentages stored as 15 become 0.15)
+ */
+function assumptionFactor(assumption) {
+  if (typeof assumption.value !== 'number') return NaN;
+  const isPercent = /%|percent/i.test(assumption.unit || '');
+  return isPercent && assumption.value > 1 ? assumption.value / 100 : assumption.value;
+}
+
+/**
+ * Every number in the report's source data
+ * @param {Object} reportJson - Report JSON
+ * @returns {number[]}
+ */
+export function collectSourceNumbers(reportJson) {
+  const values = [];
+
+  const collect = (node) => {
+    if (typeof node === 'number') {
+      values.push(node);
+    } else if (typeof node === 'string') {
+      extractNumbers(node).forEach(n => values.push(n.value));
+    } else if (Array.isArray(node)) {
+      node.forEach(collect);
+    } else if (node && typeof node === 'object') {
+      Object.values(node).forEach(collect);
+    }
+  };
+
+  // Evidence summaries are client quotes, not measured values
+  (reportJson.audit?.workflows || []).forEach(workflow => {
+    (workflow.measurements || []).forEach(({ evidence, ...measurement }) => collect(measurement));
+  });
+
+  const bleed = reportJson.bleed || {};
+  collect(bleed.assumptions);
+  collect(bleed.calculations);
+  collect(bleed.total);
+
+  // Running products of each calculation's inputs (180 requests × 15% = 27 misses)
+  const factors = new Map((bleed.assumptions || []).map(a => [a.assumption_id, assumptionFactor(a)]));
+  (bleed.calculations || []).forEach(calc => {
+    let product = 1;
+    (calc.inputs || []).forEach((inputId, idx) => {
+      product *= factors.get(inputId) ?? NaN;
+      if (idx > 0 && Number.isFinite(product)) values.push(product);
+    });
+  });
+
+  // Derived by transform.js from the sources above
+  collect(bleed.breakdown);
+  collect(bleed.normalized);
+  collect(bleed.annual);
+  collect(bleed.cost_of_waiting);
+  collect(bleed.sensitivity);
+  (reportJson.fixes?.items || []).forEach(fix => {
+    collect(fix.impact?.estimated_recovery);
+    collect(fix.effort);
+    collect(fix.turnaround);
+    collect(fix.roi);
+  });
+
+  // Cited benchmark targets ("< 1h", "< 5%")
+  collect((reportJson.benchmarks || []).map(benchmark => benchmark.value));
+
+  return values;
+}
+
+function isExempt(number) {
+  if (number.kind === 'currency' || number.kind === 'percent') return false;
+  if (Number.isInteger(number.value) && number.value >= 0 && number.value <= 10) return true;
+  return number.kind === 'number' && Number.isInteger(number.value) && number.value >= 1900 && number.value <= 2100;
+}
+
+function isGrounded(number, sourceNumbers) {
+  // Percentages may be stored as a fraction (0.68) or a whole number (68)
+  const candidates = number.kind === 'percent'
+    ? [[number.value, number.tolerance], [number.value / 100, number.tolerance / 100]]
+    : [[number.value, number.tolerance]];
+
+  return candidates.some(([value, tolerance]) =>
+    sourceNumbers.some(source => Math.abs(source - value) <= tolerance + 1e-9)
+  );
+}
+
+/**
+ * Numbers in the checked narrative fields that are not in the source data
+ * @param {Object} reportJson - Report JSON
+ * @returns {Array<{path: string, raw: string, value: number, kind: string}>}
+ */
+export function findUngroundedNumbers(reportJson) {
+  const sourceNumbers = collectSourceNumbers(reportJson);
+
+  return listNarrativeFields(reportJson)
+    .filter(field => CHECKED_FIELD_KEYS.includes(field.key))
+    .flatMap(field => {
+      const value = getFieldValue(reportJson, field.path);
+      const texts = Array.isArray(value) ? value : [value];
+      return texts
+        .filter(text => typeof text === 'string' && !text.includes('[LLM_PLACEHOLDER'))
+        .flatMap(text => extractNumbers(text))
+        .filter(number => !isExempt(number) && !isGrounded(number, sourceNumbers))
+        .map(({ raw, value: numberValue, kind }) => ({ path: field.path, raw, value: numberValue, kind }));
+    });
+}
+
+/**
+ * Retry feedback for the ungrounded numbers of one field
+ * @param {Array} ungrounded - findUngroundedNumbers() result
+ * @param {string} fieldPath - Field path (list fields match their items too)
+ * @returns {string[]}
+ */
+export function groundingFeedback(ungrounded, fieldPath) {
+  return ungrounded
+    .filter(number => number.path === fieldPath || number.path.startsWith(`${fieldPath}[`))
+    .map(number => `Number "${number.raw}" is not in the source data - use only figures from the measurements and bleed data`);
+}
+
+export default {
+  extractNumbers,
+  collectSourceNumbers,
+  findUngroundedNumbers,
+  groundingFeedback
+};
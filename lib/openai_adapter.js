@@ -0,0 +1,160 @@
+/**
+ * openai_adapter.js - OpenAI-Compatible API Adapter for LLM Execution
+ *
+ * Speaks the /chat/completions protocol, which covers OpenAI itself and
+ * local servers that mimic it (Ollama, llama.cpp server, LM Studio, vLLM).
+ * Local endpoints usually need no API key.
+ */
+
+import { isRetryableError } from './model_config.js';
+
+/**
+ * Preset endpoints for known OpenAI-compatible servers
+ * Each can be overridden with the matching *_BASE_URL / *_MODEL env vars
+ */
+export const OPENAI_COMPATIBLE_PRESETS = {
+  openai: {
+    baseUrl: 'https://api.openai.com/v1',
+    model: 'gpt-4o-mini',
+    requiresKey: true,
+    envPrefix: 'OPENAI'
+  },
+  ollama: {
+    baseUrl: 'http://localhost:11434/v1',
+    model: 'llama3.1',
+    requiresKey: false,
+    envPrefix: 'OLLAMA'
+  },
+  llamacpp: {
+    baseUrl: 'http://localhost:8080/v1',
+    model: 'local',
+    requiresKey: false,
+    envPrefix: 'LLAMACPP'
+  }
+};
+
+/**
+ * OpenAI-Compatible API Adapter
+ */
+export class OpenAICompatibleAdapter {
+  constructor(options = {}) {
+    const preset = OPENAI_COMPATIBLE_PRESETS[options.preset || 'openai'] || OPENAI_COMPATIBLE_PRESETS.openai;
+    const env = (suffix) => process.env[`${preset.envPrefix}_${suffix}`];
+
+    this.name = options.preset || 'openai';
+    this.apiKey = options.apiKey || env('API_KEY') || null;
+    this.model = options.model || env('MODEL') || preset.model;
+    this.baseUrl = (options.baseUrl || env('BASE_URL') || preset.baseUrl).replace(/\/+$/, '');
+    this.requiresKey = preset.requiresKey;
+    this.maxRetries = options.maxRetries ?? 2;
+    this.requestDelayMs = options.requestDelayMs || 0;
+    this.verbose = options.verbose !== false;
+
+    this.stats = {
+      tokensUsed: 0,
+      requestCount: 0,
+      modelUsed: this.model
+    };
+  }
+
+  log(message) {
+    if (this.verbose) {
+      const timestamp = new Date().toISOString().split('T')[1].slice(0, 8);
+      console.log(`[${timestamp}] ${message}`);
+    }
+  }
+
+  /**
+   * Human-readable description for startup logs
+   */
+  describe() {
+    return `${this.name}:${this.model} (${this.baseUrl})`;
+  }
+
+  /**
+   * Minimum delay between requests (local servers have no rate limit)
+   */
+  getRequestDelay() {
+    return this.requestDelayMs;
+  }
+
+  /**
+   * Call the chat completions endpoint for text generation
+   * @param {Object} request - { system, user, maxTokens, temperature, json, beforeAttempt }
+   * @returns {Promise<{content: string, tokens: number, model: string, provider: string}>}
+   */
+  async generate({ system = '', user, maxTokens = 2000, temperature = 0.3, json = false, beforeAttempt }) {
+    if (this.requiresKey && !this.apiKey) {
+      throw new Error(`${this.name} API key not configured. Set ${this.name.toUpperCase()}_API_KEY environment variable.`);
+    }
+
+    const body = {
+      model: this.model,
+      messages: [
+        ...(system ? [{ role: 'system', content: system }] : []),
+        { role: 'user', content: user }
+      ],
+      temperature,
+      max_tokens: maxTokens,
+      ...(json ? { response_format: { type: 'json_object' } } : {})
+    };
+
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.apiKey) {
+      headers['Authorization'] = `Bearer ${this.apiKey}`;
+    }
+
+    let lastError;
+
+    for (let attempt = 0; attempt <= this.maxRetries; attempt++) {
+      await beforeAttempt?.(this.model);
+      try {
+        const response = await fetch(`${this.baseUrl}/chat/completions`, {
+          method: 'POST',
+          headers,
+          body: JSON.stringify(body)
+        });
+
+        if (!response.ok) {
+          const errorText = await response.text();
+          throw new Error(`${this.name} API error ${response.status}: ${errorText}`);
+        }
+
+        const data = await response.json();
+        const content = data.choices?.[0]?.message?.content || '';
+        const tokens = data.usage?.total_tokens || 0;
+
+        this.stats.tokensUsed += tokens;
+        this.stats.requestCount++;
+
+        return { content, tokens, model: data.model || this.model, provider: this.name };
+      } catch (err) {
+        lastError = err;
+
+        if (isRetryableError(err) && attempt < this.maxRetries) {
+          const retryDelay = 2000 * (attempt + 1);
+          this.log(`Retry ${attempt + 1}/${this.maxRetries} after ${retryDelay / 1000}s...`);
+          await this.sleep(retryDelay);
+          continue;
+        }
+
+        break;
+      }
+    }
+
+    throw new Error(`${this.name} API call failed: ${lastError.message}`);
+  }
+
+  sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  getStats() {
+    return { ...this.stats };
+  }
+}
+
+export default {
+  OpenAICompatibleAdapter,
+  OPENAI_COMPATIBLE_PRESETS
+};
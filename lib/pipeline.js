@@ -19,9 +19,33 @@ import { transform, getLLMPlaceholders } from './transform.js';
 import { validateReport, validateIntake, validateMeasurements, formatErrors } from './validate.js';
 import { LLMExecutor } from './llm_executor.js';
 import { BatchLLMExecutor } from './llm_batch_executor.js';
+import { loadEffortModel } from './effort_model.js';
+import { loadFixRules } from './fix_rules.js';
+import { loadBenchmarks } from './benchmarks.js';
+import { loadIndustryProfiles, withIndustryOutOfScope } from './industry_profiles.js';
+import { loadSystemCatalog } from './system_catalog.js';
+import { saveEvidenceBundle, loadEvidenceBundle, verifyEvidenceBundle, excerptSpan, sha256, guessSourceType } from './evidence_bundle.js';
+import { mergeExtractions, resolveConflict, formatConflict } from './source_merge.js';
 import { Extractor } from './extract.js';
+import { createProvider, PROVIDER_NAMES } from './llm_provider.js';
 import { generatePDF } from './pdf_generator.js';
 import { slugify, generateOutputPath, generateRelatedPaths, ensureDir } from './file_utils.js';
+import { RunCheckpoint, GENERATE_STAGES, GENERATE_STAGE_NAMES } from './run_checkpoint.js';
+import { ScheduledProvider } from './request_scheduler.js';
+import { expandBatchInputs, writeBatchIndex } from './batch.js';
+import {
+  ensureReview,
+  flagApprovalFields,
+  markValidated,
+  approveGate,
+  rejectGate,
+  recordEdits,
+  assertDeliverable,
+  markDelivered,
+  getReviewStatus,
+  formatReviewStatus
+} from './review.js';
+import { runReviewSession } from './review_session.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
@@ -34,9 +58,98 @@ const DEFAULT_CONFIG = {
   dryRun: false,
   allowPlaceholders: false,
   verbose: true,
-  geminiApiKey: null  // Can be set directly or via GEMINI_API_KEY env var
+  geminiApiKey: null,  // Can be set directly or via GEMINI_API_KEY env var
+  provider: null,      // gemini | groq | openai | ollama | llamacpp (or LLM_PROVIDER env var)
+  model: null,         // Model override for the primary provider
+  baseUrl: null,       // Endpoint override for OpenAI-compatible providers
+  fixtures: null,      // { mode: 'record' | 'replay' | 'auto', dir } for offline record/replay
+  checkpoints: true,   // Persist generate() stage outputs for resume()
+  bleedMath: 'correct', // correct | flag - recomputed bleed math that disagrees with extraction
+  bleedRange: false,    // Render the sensitivity range under the headline bleed
+  rateCard: null,       // Hourly rates per skill for fix ROI (see fix_roi.js DEFAULT_RATE_CARD)
+  effortModel: null,    // Fix effort/turnaround model file (default: effort_model.json)
+  roadmap: false,       // Render the phased fix roadmap section
+  processMap: false,    // Render each workflow's swimlane process map
+  integrationGaps: false, // Render the manual handoffs between systems
+  fixRules: null,       // Fix grouping rules file (default: fix_rules.json)
+  industry: null,       // Industry profile key (null: detect it from the intake)
+  benchmarks: null,     // Benchmark dataset file (default: benchmarks.json)
+  industryProfiles: null, // Industry profiles file (default: industry_profiles.json)
+  systemCatalog: null,  // System catalog file (default: system_catalog.json)
+  evidenceBundle: null, // Evidence bundle file for transform (extract writes one)
+  runsDir: './output/runs'
 };
 
+/**
+ * Error carrying the validation result, so callers (CLI, HTTP API)
+ * can report the individual errors via formatErrors()
+ */
+function validationError(message, validation) {
+  const error = new Error(message);
+  error.validation = validation;
+  return error;
+}
+
+/**
+ * What transform derived, for the verbose log: industry, steps, systems,
+ * handoffs, evidence, workflows, bleed math and range, fix grouping, ROI
+ * and roadmap (anything needing a look is a warning)
+ * @returns {Array<{message: string, level: string}>}
+ */
+function transformSummary(reportJson) {
+  const lines = [];
+  const log = (message, level = 'info') => lines.push({ message, level });
+
+  const profile = reportJson.industry_profile;
+  log(`Industry: ${profile.label} (${profile.detected_by}${profile.matched_keywords.length > 0 ? `: ${profile.matched_keywords.join(', ')}` : ''})`);
+
+  const workflows = reportJson.audit.workflows;
+  workflows.forEach(workflow => {
+    const bottlenecks = workflow.steps.filter(step => step.is_bottleneck).map(step => step.name);
+    const inferred = workflow.steps_source === 'inferred';
+    log(`Steps: ${workflow.name} - ${workflow.steps.length} ${inferred ? 'inferred from the intake answers (none extracted)' : 'extracted'}${bottlenecks.length > 0 ? `, bottlenecks: ${bottlenecks.join('; ')}` : ''}`, inferred ? 'warn' : 'info');
+  });
+  const uncataloged = reportJson.audit.scope.systems_involved.filter(system => !system.catalog_id);
+  if (uncataloged.length > 0) {
+    log(`Systems not in the catalog (type inferred, integrations unknown): ${uncataloged.map(system => system.system_name).join(', ')}`, 'warn');
+  }
+  const gaps = reportJson.integration_gaps.items;
+  if (gaps.length > 0) {
+    log(`Handoffs: ${reportJson.integration_gaps.automatable_count} of ${gaps.length} automatable - ${gaps.map(gap => gap.display).join('; ')}`);
+  }
+  const bundle = reportJson.evidence_bundle;
+  if (bundle) {
+    log(`Evidence: ${bundle.evidence_records.length} records from ${bundle.sources.map(source => source.original_filename || source.source_id).join(', ')} (${bundle.bundle_id})`);
+  }
+  if (workflows.length > 1) {
+    log(`Workflows: ${reportJson.bleed.by_workflow.map(w => `${w.name} ${w.amount.display} (${w.share_display})`).join('; ')} - two-page layout`);
+  }
+
+  const mathAudit = reportJson.bleed.math_audit;
+  mathAudit.calculations
+    .filter(calc => calc.status !== 'verified')
+    .forEach(calc => log(`Bleed math ${calc.status}: ${calc.label || calc.calc_id} (extracted ${calc.extracted_result}, recomputed ${calc.computed_result ?? 'n/a'})`, 'warn'));
+  if (mathAudit.total.status === 'corrected' || mathAudit.total.status === 'mismatch') {
+    log(`Bleed total ${mathAudit.total.status}: extracted ${mathAudit.total.extracted}, recomputed ${mathAudit.total.computed}${mathAudit.total.reason ? ` (${mathAudit.total.reason})` : ''}`, 'warn');
+  }
+  const sensitivity = reportJson.bleed.sensitivity;
+  if (sensitivity) {
+    log(`Bleed range ${sensitivity.range_display}, most sensitive to ${sensitivity.dominant_label}`);
+  }
+
+  const fixes = reportJson.fixes.items;
+  fixes.forEach(fix => {
+    fix.grouping
+      .filter(g => g.rule_ids.length === 0)
+      .forEach(g => log(`Fix rules: ${g.measurement_id} grouped into ${fix.title} (${g.reason})`, 'warn'));
+  });
+  log(`Fixes: ${fixes.map(fix => `${fix.fix_id}${fix.quick_win ? ' (quick win)' : ''} recovers ${fix.impact.estimated_recovery.display}, costs ${fix.roi.cost.likely.display}, payback ${fix.roi.payback_display}`).join('; ')}`);
+  const roadmap = reportJson.roadmap;
+  log(`Roadmap: ${roadmap.phases.map(p => `${p.label} ${p.weeks_label} (${p.fix_ids.join(', ')})`).join('; ')}; critical path ${roadmap.critical_path.join(' → ')}, ${roadmap.total_business_days} business days`);
+
+  return lines;
+}
+
 /**
  * Pipeline class
  */
@@ -48,6 +161,27 @@ export class Pipeline {
       endTime: null,
       stages: {}
     };
+    this.provider = null;
+  }
+
+  /**
+   * Shared LLM provider for all stages (created on first use)
+   * Sharing one instance keeps model fallback state across stages
+   */
+  getProvider() {
+    if (!this.provider) {
+      this.provider = createProvider({
+        provider: this.config.provider,
+        apiKey: this.config.geminiApiKey || process.env.GEMINI_API_KEY,
+        groqApiKey: process.env.GROQ_API_KEY,
+        model: this.config.model,
+        baseUrl: this.config.baseUrl,
+        useGroq: this.config.useGroq,
+        fixtures: this.config.fixtures,
+        verbose: this.config.verbose
+      });
+    }
+    return this.provider;
   }
 
   /**
@@ -79,7 +213,7 @@ export class Pipeline {
     if (!validation.valid) {
       this.log('Intake validation failed:', 'error');
       console.error(formatErrors(validation));
-      throw new Error('Intake validation failed');
+      throw validationError('Intake validation failed', validation);
     }
 
     this.stats.stages.intake = { valid: true, path: intakePath };
@@ -98,7 +232,7 @@ export class Pipeline {
     if (!validation.valid) {
       this.log('Measurements validation failed:', 'error');
       console.error(formatErrors(validation));
-      throw new Error('Measurements validation failed');
+      throw validationError('Measurements validation failed', validation);
     }
 
     if (validation.warnings.length > 0) {
@@ -117,15 +251,39 @@ export class Pipeline {
   /**
    * Stage 3: Transform intake + measurements to report JSON
    */
-  transformToReport(intake, measurements) {
+  transformToReport(intake, measurements, evidenceBundle = null) {
     this.log('Transforming to report JSON...');
-    const reportJson = transform(intake, measurements);
+    const reportJson = transform(intake, measurements, {
+      bleed_math: { mode: this.config.bleedMath },
+      sensitivity: { show_band: this.config.bleedRange },
+      rate_card: this.config.rateCard || {},
+      effort_model: this.config.effortModel ? loadEffortModel(this.config.effortModel) : null,
+      roadmap: { render: this.config.roadmap },
+      process_map: { render: this.config.processMap },
+      integration_gaps: { render: this.config.integrationGaps },
+      fix_rules: this.config.fixRules ? loadFixRules(this.config.fixRules) : null,
+      industry: this.config.industry,
+      benchmarks: this.config.benchmarks ? loadBenchmarks(this.config.benchmarks) : null,
+      industry_profiles: this.config.industryProfiles ? loadIndustryProfiles(this.config.industryProfiles) : null,
+      system_catalog: this.config.systemCatalog ? loadSystemCatalog(this.config.systemCatalog) : null,
+      evidence_bundle: evidenceBundle || (this.config.evidenceBundle ? loadEvidenceBundle(this.config.evidenceBundle) : null)
+    });
+
+    if (this.config.verbose) {
+      transformSummary(reportJson).forEach(({ message, level }) => this.log(message, level));
+    }
+
+    // New reports start in review state DRAFT
+    ensureReview(reportJson);
 
     // Check for placeholders
     const placeholders = getLLMPlaceholders(reportJson);
+    const sensitivity = reportJson.bleed.sensitivity;
     this.stats.stages.transform = {
       complete: true,
-      placeholders: placeholders.length
+      placeholders: placeholders.length,
+      bleedMath: reportJson.bleed.math_audit.status,
+      bleedRange: sensitivity ? { low: sensitivity.low.amount, high: sensitivity.high.amount } : null
     };
 
     this.log(`Transform complete: ${placeholders.length} LLM placeholders`);
@@ -141,16 +299,20 @@ export class Pipeline {
 
     // Use new batch executor (single prompt + refinement)
     const batchExecutor = new BatchLLMExecutor({
-      apiKey: this.config.geminiApiKey || process.env.GEMINI_API_KEY,
-      groqApiKey: process.env.GROQ_API_KEY,
+      provider: this.getProvider(),
       dryRun: this.config.dryRun,
       verbose: this.config.verbose,
-      skipRefinement: this.config.skipRefinement || false,
-      useGroq: this.config.useGroq
+      skipRefinement: this.config.skipRefinement || false
     });
 
     const filledReport = await batchExecutor.fillAllNarratives(reportJson);
 
+    // Industry boilerplate exclusions go after the generated ones
+    filledReport.audit.scope.out_of_scope = withIndustryOutOfScope(filledReport.audit.scope.out_of_scope, filledReport.industry_profile);
+
+    // Route approval_required fields to their review gates
+    flagApprovalFields(filledReport, batchExecutor.getApprovalQueue());
+
     const batchStats = batchExecutor.getStats();
     this.stats.stages.llm = {
       complete: true,
@@ -159,17 +321,72 @@ export class Pipeline {
       generationTime: batchStats.generationTime,
       refinementTime: batchStats.refinementTime,
       modelUsed: batchStats.modelUsed,
-      groqUsed: batchStats.groqUsed
+      groqUsed: batchStats.groqUsed,
+      approvalRequired: batchStats.approvalRequired.length,
+      constraintViolations: batchStats.constraintViolations
     };
 
     this.log(`Batch LLM complete: ${batchStats.apiCalls} API calls, ${batchStats.tokensUsed} tokens`);
     if (batchStats.refinementTime > 0) {
       this.log(`Self-verification took ${batchStats.refinementTime}ms`);
     }
+    if (batchStats.constraintViolations.unresolved > 0) {
+      this.log(`${batchStats.constraintViolations.unresolved} field(s) still violate output constraints after ${batchStats.constraintViolations.retries} retries`, 'warn');
+    }
 
     return filledReport;
   }
 
+  /**
+   * Regenerate one narrative field with its registry prompt and write back
+   * only that field (e.g. 'scorecard.rows[1].finding.risk')
+   * @param {Object} reportJson - Filled report JSON (mutated)
+   * @param {string} fieldPath - Concrete field path
+   * @param {Object} options - { by, maxRetries }
+   * @returns {Promise<Object>} Regeneration result (see LLMExecutor.regenerateField) plus previous value
+   */
+  async regenerateField(reportJson, fieldPath, options = {}) {
+    const executor = new LLMExecutor({
+      provider: this.getProvider(),
+      dryRun: this.config.dryRun,
+      verbose: this.config.verbose
+    });
+
+    const previous = executor.getAtPath(reportJson, fieldPath);
+    if (previous === undefined) {
+      throw new Error(`Field not found in report: ${fieldPath}`);
+    }
+
+    this.log(`Regenerating ${fieldPath}...`);
+    const result = await executor.regenerateField(reportJson, fieldPath, {
+      maxRetries: options.maxRetries,
+      enforceConstraints: true
+    });
+
+    this.stats.stages.regen = {
+      complete: true,
+      field: fieldPath,
+      promptId: result.prompt_id,
+      attempts: result.attempts,
+      tokensUsed: result.tokens,
+      modelUsed: executor.getStats().modelUsed
+    };
+
+    if (this.config.dryRun) {
+      this.log(`Dry run: ${fieldPath} not written`, 'warn');
+      return { ...result, previous };
+    }
+
+    const value = fieldPath === 'audit.scope.out_of_scope'
+      ? withIndustryOutOfScope(result.value, reportJson.industry_profile)
+      : result.value;
+    executor.setAtPath(reportJson, fieldPath, value);
+    recordEdits(reportJson, [fieldPath], { by: options.by });
+
+    this.log(`Regenerated ${fieldPath} with ${result.prompt_id} (${result.attempts} attempt${result.attempts === 1 ? '' : 's'})`);
+    return { ...result, previous };
+  }
+
   /**
    * Stage 5: Validate final report
    */
@@ -192,7 +409,7 @@ export class Pipeline {
       this.log('Final validation failed:', 'error');
       console.error(formatErrors(validation));
       if (!this.config.allowPlaceholders) {
-        throw new Error('Final validation failed');
+        throw validationError('Final validation failed', validation);
       }
     }
 
@@ -200,6 +417,11 @@ export class Pipeline {
       validation.warnings.forEach(w => this.log(w.message, 'warn'));
     }
 
+    // Validated reports move DRAFT → PENDING (awaiting human review)
+    if (validation.valid) {
+      markValidated(reportJson);
+    }
+
     this.log(`Validation complete: ${validation.errors.length} errors, ${validation.warnings.length} warnings`);
     return validation;
   }
@@ -233,7 +455,13 @@ export class Pipeline {
         project: workflow,
         ext: 'html'
       });
-      return result.path;
+
+      // Same client + workflow in the same second (e.g. batch runs) - don't overwrite
+      let uniquePath = result.path;
+      for (let n = 2; fs.existsSync(uniquePath); n++) {
+        uniquePath = result.path.replace(/\.html$/, `_${n}.html`);
+      }
+      return uniquePath;
     }
 
     // User provided a specific filename - organize into company subfolder
@@ -249,14 +477,29 @@ export class Pipeline {
     return outputPath;
   }
 
+  /**
+   * Render report JSON to an HTML string (no file output)
+   */
+  renderHTML(reportJson) {
+    const template = fs.readFileSync(this.config.templatePath, 'utf8');
+    return Mustache.render(template, reportJson);
+  }
+
   /**
    * Stage 6: Render to HTML
+   * With options.deliver, refuses to render until every required review
+   * gate is approved, then marks the report DELIVERED.
    */
-  render(reportJson, outputPath) {
+  render(reportJson, outputPath, options = {}) {
+    if (options.deliver) {
+      assertDeliverable(reportJson);
+    } else if (reportJson.review && !['APPROVED', 'DELIVERED'].includes(reportJson.review.state)) {
+      this.log(`Review state ${reportJson.review.state}: internal draft, not for client delivery`, 'warn');
+    }
+
     this.log(`Rendering to ${outputPath}...`);
 
-    const template = fs.readFileSync(this.config.templatePath, 'utf8');
-    const html = Mustache.render(template, reportJson);
+    const html = this.renderHTML(reportJson);
 
     // Ensure output directory exists
     ensureDir(path.dirname(outputPath));
@@ -269,6 +512,10 @@ export class Pipeline {
       size: html.length
     };
 
+    if (options.deliver) {
+      markDelivered(reportJson, { by: options.by, notes: `Rendered to ${outputPath}` });
+    }
+
     this.log(`Rendered: ${outputPath} (${(html.length / 1024).toFixed(1)} KB)`);
     return html; // Return HTML for optional polish pass
   }
@@ -311,11 +558,9 @@ export class Pipeline {
     this.log('Running final HTML polish pass...');
 
     const executor = new LLMExecutor({
-      apiKey: this.config.geminiApiKey || process.env.GEMINI_API_KEY,
-      groqApiKey: process.env.GROQ_API_KEY,
+      provider: this.getProvider(),
       dryRun: this.config.dryRun,
-      verbose: this.config.verbose,
-      useGroq: this.config.useGroq
+      verbose: this.config.verbose
     });
 
     let polishedHtml, changes;
@@ -432,28 +677,107 @@ export class Pipeline {
 
   /**
    * Extract intake + measurements from unstructured text
+   * @param {string|string[]} infoDumpPath - Input file, or several (call notes, email thread, ...)
+   *   which are extracted one by one and merged (see source_merge.js)
    */
   async extract(infoDumpPath, options = {}) {
-    this.log(`Loading info dump from ${infoDumpPath}`);
-    const rawText = fs.readFileSync(infoDumpPath, 'utf8');
+    const inputPaths = [].concat(infoDumpPath);
+    if (inputPaths.length > 1) {
+      return this.extractSources(inputPaths, options);
+    }
+
+    this.log(`Loading info dump from ${inputPaths[0]}`);
+    const rawText = fs.readFileSync(inputPaths[0], 'utf8');
+    return this.extractFromText(rawText, { ...options, originalRef: inputPaths[0], sourceType: guessSourceType(rawText) });
+  }
+
+  /**
+   * Extract each input separately, then merge them into one intake/measurement
+   * set. Values the inputs disagree on are kept as evidence conflicts for a
+   * person to resolve (node cli.js resolve <run-dir>), never picked silently.
+   * @param {string[]} inputPaths - Input files, primary source first
+   * @param {Object} options - { outputDir, evidenceDir }
+   * @returns {Promise<{intake, measurements, evidenceBundle}>}
+   */
+  async extractSources(inputPaths, options = {}) {
+    const extractions = [];
+    const texts = {};
+    let tokensUsed = 0;
+
+    for (const [idx, inputPath] of inputPaths.entries()) {
+      this.log(`Loading input ${idx + 1}/${inputPaths.length} from ${inputPath}`);
+      const rawText = fs.readFileSync(inputPath, 'utf8');
+      const extraction = await this.extractFromText(rawText, { originalRef: inputPath, sourceType: guessSourceType(rawText) });
+      tokensUsed += this.stats.stages.extract.tokensUsed || 0;
+      texts[extraction.evidenceBundle.sources[0].source_id] = rawText;
+      extractions.push(extraction);
+    }
+
+    const { intake, measurements, evidenceBundle } = mergeExtractions(extractions);
+    const conflicts = measurements.evidence_conflicts;
+
+    this.stats.stages.extract = {
+      ...this.stats.stages.extract,
+      tokensUsed,
+      client: intake.prepared_for?.account_name,
+      workflow: intake.section_a_workflow_definition?.q01_workflow_name,
+      measurementCount: measurements.measurements?.length || 0,
+      evidenceRecords: evidenceBundle.evidence_records.length,
+      sources: inputPaths.length,
+      conflicts: conflicts.length
+    };
 
+    this.log(`Merged ${inputPaths.length} sources: ${measurements.measurements.length} measurements, ${conflicts.length} conflict(s)`);
+    conflicts.forEach(conflict => this.log(`Sources disagree: ${formatConflict(conflict)}`, 'warn'));
+    if (conflicts.length > 0 && options.evidenceDir) {
+      this.log(`Resolve before delivery: node cli.js resolve ${options.evidenceDir}`, 'warn');
+    }
+
+    this.saveExtraction(intake, measurements, evidenceBundle, texts, options);
+    return { intake, measurements, evidenceBundle };
+  }
+
+  /**
+   * Extract intake + measurements from an unstructured text string
+   * @param {string} rawText - Input text
+   * @param {Object} options - { outputDir, evidenceDir, originalRef, sourceType }
+   * @returns {Promise<{intake, measurements, evidenceBundle}>}
+   */
+  async extractFromText(rawText, options = {}) {
     const extractor = new Extractor({
-      apiKey: this.config.geminiApiKey || process.env.GEMINI_API_KEY,
-      groqApiKey: process.env.GROQ_API_KEY,
-      verbose: this.config.verbose,
-      useGroq: this.config.useGroq
+      provider: this.getProvider(),
+      verbose: this.config.verbose
     });
 
-    const { intake, measurements } = await extractor.extract(rawText);
+    const { intake, measurements, evidenceBundle } = await extractor.extract(rawText, {
+      originalRef: options.originalRef,
+      sourceType: options.sourceType
+    });
 
     this.stats.stages.extract = {
       complete: true,
       tokensUsed: extractor.getStats().tokensUsed,
+      modelUsed: extractor.getStats().modelUsed,
       client: intake.prepared_for?.account_name,
       workflow: intake.section_a_workflow_definition?.q01_workflow_name,
-      measurementCount: measurements.measurements?.length || 0
+      measurementCount: measurements.measurements?.length || 0,
+      evidenceRecords: evidenceBundle.evidence_records.length
     };
 
+    const notFound = evidenceBundle.evidence_records.filter(record => record.match === 'not_found');
+    if (notFound.length > 0) {
+      this.log(`Evidence quotes not found in the input (check before delivery): ${notFound.map(record => record.linked_to.map(link => link.id).join('/')).join(', ')}`, 'warn');
+    }
+    this.saveExtraction(intake, measurements, evidenceBundle, { [evidenceBundle.sources[0].source_id]: rawText }, options);
+    return { intake, measurements, evidenceBundle };
+  }
+
+  /**
+   * Save extracted intake, measurements and evidence bundle
+   * @param {Object} texts - Input text by source_id, copied next to the bundle
+   * @param {Object} options - { outputDir, evidenceDir }
+   */
+  saveExtraction(intake, measurements, evidenceBundle, texts, options = {}) {
     // Save intermediate files if requested
     if (options.outputDir) {
       // Generate organized output paths using file_utils
@@ -476,106 +800,539 @@ export class Pipeline {
         ext: 'json'
       });
 
+      const evidenceOutput = generateOutputPath({
+        outputDir: options.outputDir,
+        type: 'evidence',
+        company,
+        project: workflow,
+        ext: 'json'
+      });
+
       fs.writeFileSync(intakeOutput.path, JSON.stringify(intake, null, 2));
       fs.writeFileSync(measurementsOutput.path, JSON.stringify(measurements, null, 2));
+      saveEvidenceBundle(evidenceBundle, texts, evidenceOutput.path);
 
       this.log(`Saved: ${intakeOutput.path}`);
       this.log(`Saved: ${measurementsOutput.path}`);
+      this.log(`Saved: ${evidenceOutput.path}`);
 
       // Store paths for later reference
       this.stats.stages.extract.intakePath = intakeOutput.path;
       this.stats.stages.extract.measurementsPath = measurementsOutput.path;
+      this.stats.stages.extract.evidencePath = evidenceOutput.path;
     }
 
-    return { intake, measurements };
+    // Checkpointed runs keep the bundle and a copy of the input in the run directory
+    if (options.evidenceDir) {
+      const evidencePath = saveEvidenceBundle(evidenceBundle, texts, path.join(options.evidenceDir, 'evidence_bundle.json'));
+      this.log(`Saved: ${evidencePath}`);
+    }
   }
 
   /**
    * Generate report from unstructured info dump (full pipeline)
-   * Info Dump → Extract → Transform → LLM Fill → Validate → Render → HTML Polish
+   * Info Dump → Extract → Transform → LLM Fill → Validate → Render → HTML Polish → PDF
    *
    * Output is organized by company/project in the output directory:
    *   output/{company}/{project}/audit_{company}_{project}_{timestamp}.html
+   *
+   * Each stage's output is checkpointed to output/runs/{run_id}/ (see resume())
    */
   async generate(infoDumpPath, outputPath, options = {}) {
-    this.stats.startTime = Date.now();
+    const checkpoint = this.config.checkpoints
+      ? RunCheckpoint.create({
+          runsDir: this.config.runsDir,
+          inputPath: infoDumpPath,
+          outputPath,
+          options: {
+            skipPDF: !!(options.skipPDF || this.config.skipPDF),
+            saveJson: !!options.saveJson,
+            llmPolish: !!options.llmPolish,
+            skipHtmlPolish: !!options.skipHtmlPolish,
+            organize: options.organize !== false,
+            outputDir: options.outputDir || null,
+            llm: {
+              // Provider instances passed by library users can't be serialized
+              provider: typeof this.config.provider === 'string' ? this.config.provider : null,
+              model: this.config.model,
+              baseUrl: this.config.baseUrl,
+              fixtures: this.config.fixtures
+            }
+          }
+        })
+      : null;
+
+    return this.runStages(checkpoint, GENERATE_STAGE_NAMES[0], { infoDumpPath, outputPath }, options);
+  }
 
-    try {
-      // Stage 0: Extract from info dump
-      const { intake, measurements } = await this.extract(infoDumpPath, {
-        outputDir: options.saveJson ? (options.outputDir || './output') : null
-      });
+  /**
+   * Resume a checkpointed generate() run
+   * Starts at the first stage without a checkpoint, or at options.from.
+   * With options.only, re-runs just that one stage.
+   *
+   * @param {string} runDir - Run directory containing manifest.json
+   * @param {Object} options - { from, only } plus generate() options to override
+   */
+  async resume(runDir, options = {}) {
+    const checkpoint = RunCheckpoint.load(runDir);
+    const { from, only, ...overrides } = options;
 
-      // Validate extracted data
-      const intakeValidation = validateIntake(intake);
-      if (!intakeValidation.valid) {
-        this.log('Extracted intake validation failed:', 'error');
-        console.error(formatErrors(intakeValidation));
-        throw new Error('Extracted intake validation failed');
-      }
+    if (from && !GENERATE_STAGE_NAMES.includes(from)) {
+      throw new Error(`Unknown stage: ${from}. Stages: ${GENERATE_STAGE_NAMES.join(', ')}`);
+    }
+    if (only && !from) {
+      throw new Error('Re-running a single stage needs --from <stage>');
+    }
+
+    const startStage = from || checkpoint.firstIncompleteStage();
+    if (!startStage) {
+      this.log(`Run ${checkpoint.manifest.run_id} is already complete (use --from <stage> to re-run)`);
+      return { success: true, stats: this.stats, outputPath: checkpoint.manifest.resolved_output_path, runDir };
+    }
 
-      const measurementsValidation = validateMeasurements(measurements);
-      if (!measurementsValidation.valid) {
-        this.log('Extracted measurements validation failed:', 'error');
-        console.error(formatErrors(measurementsValidation));
-        throw new Error('Extracted measurements validation failed');
+    const { llm = {}, ...savedOptions } = checkpoint.manifest.options || {};
+
+    // Reuse the original run's LLM settings unless overridden on this call
+    if (!this.provider) {
+      for (const key of ['provider', 'model', 'baseUrl', 'fixtures']) {
+        if (this.config[key] == null && llm[key] != null) {
+          this.config[key] = llm[key];
+        }
       }
+    }
 
-      // Stage 1: Transform
-      let reportJson = this.transformToReport(intake, measurements);
+    const state = checkpoint.restoreState(startStage);
+    const definedOverrides = Object.fromEntries(Object.entries(overrides).filter(([, v]) => v !== undefined));
 
-      // Stage 2: LLM fill
-      reportJson = await this.fillNarratives(reportJson);
+    this.log(`Resuming ${checkpoint.manifest.run_id} from "${startStage}"${only ? ' (single stage)' : ''}`);
+    checkpoint.resetFrom(startStage, { only });
 
-      // Stage 3: Validate
-      this.validateFinal(reportJson);
+    return this.runStages(checkpoint, startStage, state, {
+      ...savedOptions,
+      ...definedOverrides,
+      only,
+      forcedStage: from || null
+    });
+  }
 
-      // Resolve output path (organize by company/project)
-      const finalOutputPath = this.resolveOutputPath(reportJson, outputPath, {
-        organize: options.organize !== false
-      });
+  /**
+   * Run generate() stages from `fromStage` onward, checkpointing each one
+   * @param {RunCheckpoint|null} checkpoint - Run checkpoint (null disables persistence)
+   * @param {string} fromStage - First stage to run
+   * @param {Object} state - Pipeline state produced by earlier stages
+   * @param {Object} options - generate() options plus { only, forcedStage }
+   */
+  async runStages(checkpoint, fromStage, state, options = {}) {
+    this.stats.startTime = Date.now();
 
-      // Stage 4: Render
-      const html = this.render(reportJson, finalOutputPath);
+    const stages = options.only
+      ? GENERATE_STAGES.filter(s => s.name === fromStage)
+      : GENERATE_STAGES.slice(GENERATE_STAGE_NAMES.indexOf(fromStage));
 
-      // Stage 5: HTML polish pass (manual by default, LLM only if --llm-polish)
-      if (!options.skipHtmlPolish) {
-        await this.polishHTMLPass(html, finalOutputPath, { llmPolish: options.llmPolish });
-      }
+    if (checkpoint) {
+      this.log(`Run directory: ${checkpoint.runDir}`);
+    }
 
-      // Generate related file paths
-      const relatedPaths = generateRelatedPaths(finalOutputPath, ['json', 'pdf'], ['_polish_log']);
+    let currentStage = null;
 
-      // Save intermediate JSON if requested
-      if (options.saveJson) {
-        fs.writeFileSync(relatedPaths.json, JSON.stringify(reportJson, null, 2));
-        this.log(`Saved JSON: ${relatedPaths.json}`);
+    try {
+      for (const stage of stages) {
+        currentStage = stage;
+        const output = await this.runGenerateStage(stage.name, state, {
+          ...options,
+          runDir: checkpoint?.runDir || null,
+          forced: options.forcedStage === stage.name
+        });
+
+        if (output.skipped) {
+          checkpoint?.skipStage(stage.name, output.skipped);
+          continue;
+        }
 
-        // Save HTML polish changes if any
-        if (this.stats.stages.htmlPolish?.changesSummary?.length > 0) {
-          fs.writeFileSync(relatedPaths.polishlog, JSON.stringify(this.stats.stages.htmlPolish.changesSummary, null, 2));
-          this.log(`Saved HTML polish log: ${relatedPaths.polishlog}`);
+        Object.assign(state, output);
+        const stageStats = this.stats.stages[stage.statsKey] || null;
+
+        if (checkpoint && output.finalOutputPath) {
+          checkpoint.manifest.resolved_output_path = output.finalOutputPath;
+        }
+
+        // Non-fatal failure (PDF): keep going, but leave it resumable
+        if (stageStats?.complete === false) {
+          checkpoint?.failStage(stage.name, new Error(stageStats.error || `${stage.name} failed`), stageStats);
+          if (checkpoint) {
+            this.log(`Re-run with: node cli.js resume ${checkpoint.runDir} --from ${stage.name}`, 'warn');
+          }
+          continue;
         }
+
+        checkpoint?.completeStage(stage.name, output, stageStats);
       }
 
-      // Stage 6: Generate PDF (unless skipped)
-      if (!options.skipPDF && !this.config.skipPDF) {
-        await this.generatePDF(finalOutputPath);
+      if (checkpoint && !checkpoint.firstIncompleteStage()) {
+        checkpoint.markComplete();
       }
 
       this.stats.endTime = Date.now();
       this.stats.duration = this.stats.endTime - this.stats.startTime;
 
       this.log(`Pipeline complete in ${this.stats.duration}ms`);
-      return { success: true, stats: this.stats, reportJson, outputPath: finalOutputPath };
+      return {
+        success: true,
+        stats: this.stats,
+        reportJson: state.reportJson,
+        outputPath: state.finalOutputPath,
+        runDir: checkpoint?.runDir || null
+      };
 
     } catch (err) {
       this.stats.endTime = Date.now();
       this.stats.error = err.message;
       this.log(`Pipeline failed: ${err.message}`, 'error');
-      return { success: false, stats: this.stats, error: err };
+
+      if (checkpoint && currentStage) {
+        checkpoint.failStage(currentStage.name, err, this.stats.stages[currentStage.statsKey] || null);
+        this.log(`Resume with: node cli.js resume ${checkpoint.runDir}`, 'warn');
+      }
+
+      return { success: false, stats: this.stats, error: err, runDir: checkpoint?.runDir || null };
     }
   }
+
+  /**
+   * Run a single generate() stage
+   * @returns {Object} State produced by the stage, or { skipped: reason }
+   */
+  async runGenerateStage(name, state, options = {}) {
+    switch (name) {
+      case 'extract': {
+        const { intake, measurements, evidenceBundle } = await this.extract(state.infoDumpPath, {
+          outputDir: options.saveJson ? (options.outputDir || './output') : null,
+          evidenceDir: options.runDir || null
+        });
+
+        // Validate extracted data
+        const intakeValidation = validateIntake(intake);
+        if (!intakeValidation.valid) {
+          this.log('Extracted intake validation failed:', 'error');
+          console.error(formatErrors(intakeValidation));
+          throw validationError('Extracted intake validation failed', intakeValidation);
+        }
+
+        const measurementsValidation = validateMeasurements(measurements);
+        if (!measurementsValidation.valid) {
+          this.log('Extracted measurements validation failed:', 'error');
+          console.error(formatErrors(measurementsValidation));
+          throw validationError('Extracted measurements validation failed', measurementsValidation);
+        }
+
+        return { intake, measurements, evidenceBundle };
+      }
+
+      case 'transform':
+        return { reportJson: this.transformToReport(state.intake, state.measurements, state.evidenceBundle) };
+
+      case 'fill':
+        return { reportJson: await this.fillNarratives(state.reportJson) };
+
+      case 'validate': {
+        const validation = this.validateFinal(state.reportJson);
+        return {
+          // Carries the review state change made by validation
+          reportJson: state.reportJson,
+          validation: {
+            valid: validation.valid,
+            errors: validation.errors,
+            warnings: validation.warnings
+          }
+        };
+      }
+
+      case 'render': {
+        // Keep the path from the original run so a re-render overwrites it
+        const finalOutputPath = state.finalOutputPath || this.resolveOutputPath(state.reportJson, state.outputPath, {
+          organize: options.organize !== false
+        });
+        const html = this.render(state.reportJson, finalOutputPath);
+        return { finalOutputPath, html };
+      }
+
+      case 'polish': {
+        // HTML polish pass (manual by default, LLM only if --llm-polish)
+        let html = state.html;
+        if (!options.skipHtmlPolish || options.forced) {
+          html = await this.polishHTMLPass(html, state.finalOutputPath, { llmPolish: options.llmPolish });
+        }
+
+        // Generate related file paths
+        const relatedPaths = generateRelatedPaths(state.finalOutputPath, ['json', 'pdf'], ['_polish_log']);
+
+        // Save intermediate JSON if requested
+        if (options.saveJson) {
+          fs.writeFileSync(relatedPaths.json, JSON.stringify(state.reportJson, null, 2));
+          this.log(`Saved JSON: ${relatedPaths.json}`);
+
+          // Save HTML polish changes if any
+          if (this.stats.stages.htmlPolish?.changesSummary?.length > 0) {
+            fs.writeFileSync(relatedPaths.polishlog, JSON.stringify(this.stats.stages.htmlPolish.changesSummary, null, 2));
+            this.log(`Saved HTML polish log: ${relatedPaths.polishlog}`);
+          }
+        }
+
+        return { html };
+      }
+
+      case 'pdf': {
+        if ((options.skipPDF || this.config.skipPDF) && !options.forced) {
+          return { skipped: '--skip-pdf' };
+        }
+        const result = await this.generatePDF(state.finalOutputPath);
+        return { pdfPath: result?.pdfPath || null };
+      }
+
+      default:
+        throw new Error(`Unknown stage: ${name}`);
+    }
+  }
+
+  /**
+   * Generate reports for many info dumps through one shared provider
+   *
+   * All files draw from a single token bucket paced by the active model's
+   * getModelDelay, so model fallback state and RPM budget carry across files.
+   * Files are not started once the active model's daily (RPD) budget can't
+   * cover them; they are reported as "deferred".
+   *
+   * @param {string[]} inputs - Info dump files, directories or globs
+   * @param {string} outputDir - Output directory for reports and the batch index
+   * @param {Object} options - generate() options plus { concurrency }
+   * @returns {Promise<{success: boolean, summary: Object, reports: Object[], index: Object}>}
+   */
+  async batch(inputs, outputDir = './output/', options = {}) {
+    const startTime = Date.now();
+    const inputPaths = expandBatchInputs(inputs);
+    if (inputPaths.length === 0) {
+      throw new Error(`No input files matched: ${inputs.join(' ')}`);
+    }
+
+    ensureDir(outputDir);
+
+    const { concurrency: requested, ...generateOptions } = options;
+    const concurrency = Math.max(1, Math.min(requested || 2, inputPaths.length));
+    const scheduled = new ScheduledProvider(this.getProvider());
+    // Constraint retries only run when a field violates its prompt, so they aren't budgeted
+    const callsPerFile = 2 + (this.config.skipRefinement ? 0 : 1) + (options.llmPolish ? 1 : 0);
+
+    this.log(`Batch: ${inputPaths.length} files, concurrency ${concurrency}`);
+    this.log(`Provider: ${scheduled.describe()}`);
+
+    const reports = new Array(inputPaths.length);
+    let nextIdx = 0;
+    let inFlight = 0;
+
+    const worker = async () => {
+      while (nextIdx < inputPaths.length) {
+        const idx = nextIdx++;
+        const inputPath = inputPaths[idx];
+
+        // Reserve budget for files already running before starting another
+        if (scheduled.remainingDailyRequests() - inFlight * callsPerFile < callsPerFile) {
+          reports[idx] = { input: inputPath, status: 'deferred', error: 'Daily request budget (RPD) exhausted' };
+          this.log(`[${idx + 1}/${inputPaths.length}] Deferred ${inputPath}: daily request budget exhausted`, 'warn');
+          continue;
+        }
+
+        this.log(`[${idx + 1}/${inputPaths.length}] Starting ${inputPath}`);
+        inFlight++;
+
+        const filePipeline = new Pipeline(this.config);
+        filePipeline.provider = scheduled;
+        const fileStart = Date.now();
+        let result;
+        try {
+          result = await filePipeline.generate(inputPath, outputDir, generateOptions);
+        } catch (err) {
+          // generate() reports its own failures; this is a throw before or around it (checkpoint setup...)
+          result = { success: false, error: err, stats: filePipeline.stats, runDir: null };
+        } finally {
+          inFlight--;
+        }
+
+        const stages = result.stats?.stages || {};
+        reports[idx] = {
+          input: inputPath,
+          status: result.success ? 'success' : 'failed',
+          client: result.reportJson?.prepared_for?.account_name || stages.extract?.client || null,
+          workflow: stages.extract?.workflow || null,
+          output_path: result.outputPath || null,
+          pdf_path: stages.pdf?.pdfPath || null,
+          run_dir: result.runDir,
+          duration_ms: Date.now() - fileStart,
+          tokens_used: (stages.extract?.tokensUsed || 0) + (stages.llm?.tokensUsed || 0),
+          model_used: stages.llm?.modelUsed || stages.extract?.modelUsed || null,
+          error: result.error?.message || null
+        };
+
+        const outcome = result.success ? `✓ ${result.outputPath}` : `✗ ${result.error?.message}`;
+        this.log(`[${idx + 1}/${inputPaths.length}] ${inputPath}: ${outcome}`, result.success ? 'info' : 'error');
+      }
+    };
+
+    await Promise.all(Array.from({ length: concurrency }, worker));
+
+    const count = status => reports.filter(r => r.status === status).length;
+    const summary = {
+      total: reports.length,
+      succeeded: count('success'),
+      failed: count('failed'),
+      deferred: count('deferred'),
+      duration_ms: Date.now() - startTime,
+      concurrency,
+      scheduler: scheduled.getStats().scheduler
+    };
+
+    const index = writeBatchIndex(reports, summary, outputDir);
+
+    this.stats.stages.batch = summary;
+    this.log(`Batch complete: ${summary.succeeded} succeeded, ${summary.failed} failed, ${summary.deferred} deferred in ${summary.duration_ms}ms`);
+    this.log(`Index: ${index.json}`);
+    this.log(`Index: ${index.csv}`);
+
+    return { success: summary.failed === 0 && summary.deferred === 0, summary, reports, index };
+  }
+}
+
+/**
+ * approve/reject CLI commands - update report.review in place
+ * @param {string} command - 'approve' or 'reject'
+ * @param {string} reportPath - Report JSON file
+ * @param {Object} options - { gate, by, notes }
+ * @returns {boolean} True if the report was updated
+ */
+function reviewCommand(command, reportPath, options) {
+  const reportJson = JSON.parse(fs.readFileSync(reportPath, 'utf8'));
+  const review = ensureReview(reportJson);
+
+  if (!options.gate) {
+    console.log(formatReviewStatus(getReviewStatus(reportJson)));
+    console.error(`\nSpecify a gate: ${command} <report.json> --gate <${review.gates.map(g => g.gate_id).join('|')}${command === 'approve' ? '|all' : ''}>`);
+    return false;
+  }
+
+  // Reports saved before validation (or sent back by a rejection) must validate first
+  if (command === 'approve' && review.state === 'DRAFT') {
+    const validation = validateReport(reportJson, { allowPlaceholders: false, strictBusinessRules: true });
+    if (!validation.valid) {
+      console.error('Report is DRAFT and fails validation - fix it before approving:');
+      console.error(formatErrors(validation));
+      return false;
+    }
+    markValidated(reportJson, { by: options.by });
+  }
+
+  try {
+    if (command === 'approve') {
+      const gateIds = options.gate === 'all'
+        ? review.gates.filter(g => g.required).map(g => g.gate_id)
+        : options.gate.split(',');
+      gateIds.forEach(gateId => approveGate(reportJson, gateId.trim(), options));
+    } else {
+      rejectGate(reportJson, options.gate, options);
+    }
+  } catch (err) {
+    console.error(`${command} failed: ${err.message}`);
+    return false;
+  }
+
+  fs.writeFileSync(reportPath, JSON.stringify(reportJson, null, 2));
+  console.log(formatReviewStatus(getReviewStatus(reportJson)));
+  console.log(`\nSaved: ${reportPath}`);
+  return true;
+}
+
+/**
+ * evidence CLI command - each record's quote in context of its source,
+ * with the source and span hashes checked
+ * @param {string} bundlePath - Evidence bundle or report JSON file
+ * @param {string[]} sourcePaths - Input files (default: the bundle's stored copies, then original_ref)
+ * @returns {boolean} True if every hash checks out
+ */
+function evidenceCommand(bundlePath, sourcePaths = []) {
+  const bundle = loadEvidenceBundle(bundlePath);
+  const given = sourcePaths.map(file => fs.readFileSync(file, 'utf8'));
+
+  // A --source file belongs to the source with its hash (or to the only source)
+  const texts = {};
+  bundle.sources.forEach(source => {
+    const match = given.find(text => sha256(text) === source.sha256_hash)
+      ?? (bundle.sources.length === 1 ? given[0] : undefined);
+    const candidates = [path.join(path.dirname(bundlePath), source.stored_ref || ''), source.original_ref]
+      .filter(file => file && fs.existsSync(file) && fs.statSync(file).isFile());
+    const text = match ?? (candidates.length > 0 ? fs.readFileSync(candidates[0], 'utf8') : undefined);
+    if (text !== undefined) texts[source.source_id] = text;
+  });
+
+  const verification = verifyEvidenceBundle(bundle, texts);
+  const statusOf = Object.fromEntries([...verification.sources, ...verification.records]
+    .map(result => [result.source_id || result.evidence_id, result.status]));
+
+  console.log(`Evidence bundle ${bundle.bundle_id} (${bundle.evidence_records.length} records)`);
+  bundle.sources.forEach(source => {
+    console.log(`\n${source.source_id} ${source.original_ref || source.original_filename || ''} - sha256 ${source.sha256_hash.slice(0, 12)}: ${statusOf[source.source_id]}`);
+    bundle.evidence_records
+      .filter(record => record.source_id === source.source_id)
+      .forEach(record => {
+        const links = record.linked_to.map(link => link.id).join(', ');
+        const where = record.span ? `line ${record.span.line}` : 'no span';
+        console.log(`  ${record.evidence_id} ${where} [${record.match}] ${statusOf[record.evidence_id]} → ${links}`);
+        const text = texts[source.source_id];
+        console.log(`    ${record.span && text !== undefined ? excerptSpan(text, record) : `"${record.extracted_text}"`}`);
+      });
+  });
+
+  console.log(`\n${verification.ok ? 'All hashes verified' : 'Verification failed (missing source, hash or span mismatch)'}`);
+  return verification.ok;
+}
+
+/**
+ * resolve CLI command - list a run's evidence conflicts, or resolve one in
+ * favour of a source and reset the run so transform picks the value up
+ * @param {string} runDir - Run directory of a multi-source generate
+ * @param {Object} options - { conflict, source, notes, by }
+ */
+function resolveCommand(runDir, options = {}) {
+  const checkpoint = RunCheckpoint.load(runDir);
+  const stage = checkpoint.manifest.stages.extract;
+  if (stage?.status !== 'complete') {
+    throw new Error(`${runDir} has no extract checkpoint`);
+  }
+  const statePath = path.join(checkpoint.runDir, stage.file);
+  const state = JSON.parse(fs.readFileSync(statePath, 'utf8'));
+  const conflicts = state.measurements.evidence_conflicts || [];
+
+  if (!options.conflict) {
+    if (conflicts.length === 0) {
+      console.log('No evidence conflicts: the sources agree');
+      return;
+    }
+    conflicts.forEach(conflict => {
+      console.log(`\n${formatConflict(conflict)}`);
+      conflict.values.forEach(value => {
+        console.log(`  ${value.source_id} (${value.original_filename || 'input'}): ${value.value_display}`);
+      });
+      if (conflict.resolution?.notes) console.log(`  Reasoning: ${conflict.resolution.notes}`);
+    });
+    console.log('\nResolve with: node cli.js resolve <run-dir> --conflict <id> --source <source_id> --notes <reasoning>');
+    return;
+  }
+
+  const conflict = resolveConflict(state, options.conflict, options.source, { by: options.by, notes: options.notes });
+  fs.writeFileSync(statePath, JSON.stringify(state, null, 2));
+  checkpoint.resetFrom('transform');
+
+  console.log(formatConflict(conflict));
+  console.log(`Saved: ${statePath}`);
+  const open = conflicts.filter(c => !c.resolution).length;
+  console.log(open > 0 ? `${open} conflict(s) still unresolved` : `All conflicts resolved. Re-run: node cli.js resume ${checkpoint.runDir}`);
 }
 
 /**
@@ -588,33 +1345,111 @@ export async function cli(args) {
 AI Audit Report Pipeline
 
 Commands:
-  generate <input> [output]
+  generate <input> [output] [--input <file>]
     ⭐ RECOMMENDED: Generate report from unstructured text
     Flow: Info Dump → Extract → Transform → Fill → Validate → Render
+    --input adds another source (email thread, chat); each is extracted
+    separately and merged, and disagreements become evidence conflicts
 
-  extract <input> [-o <dir>]
+  extract <input> [-o <dir>] [--input <file>]
     Extract structured JSON from unstructured text
 
-  transform <intake.json> <measurements.json> <output.json>
+  transform <intake.json> <measurements.json> <output.json> [--evidence-bundle <file.json>]
     Transform intake + measurements to report JSON
 
   validate <report.json>
     Validate report JSON against schema
 
-  render <report.json> <output.html>
+  render <report.json> <output.html> [--deliver]
     Render report JSON to HTML
+    --deliver refuses unless all required review gates are approved,
+    then marks the report DELIVERED
+
+  review <report.json> [-o <output.html>]
+    Walk each LLM-written field beside its source measurements:
+    accept, edit inline, or regenerate it with its registry prompt.
+    Saves the JSON, re-validates and re-renders the HTML
+
+  regen <report.json> --field <path>
+    Regenerate one field with its registry prompt, enforcing the prompt's
+    output_constraints (e.g. --field scorecard.rows[1].finding.risk)
+
+  approve <report.json> --gate <gate|all> [--by <name>] [--notes <text>]
+  reject <report.json> --gate <gate> --notes <reason> [--by <name>]
+    Sign off or reject a review gate: money_math, claims_benchmarks,
+    cta_pricing, client_accuracy (optional). Without --gate, shows status.
+
+  resolve <run-dir> [--conflict <id> --source <source_id> --notes <reasoning>] [--by <name>]
+    List the evidence conflicts of a multi-source run, or settle one with
+    the value of the source you pick (delivery is refused until all are)
+
+  resume <run-dir> [--from <stage>] [--only]
+    Resume a checkpointed generate run (output/runs/<run_id>/)
+    Stages: ${GENERATE_STAGE_NAMES.join(' → ')}
+
+  batch <dir|glob|files...> [-o <dir>] [--concurrency <n>]
+    Generate reports for many info dumps with a shared rate-limit budget
+    Writes batch_index_<timestamp>.json/.csv to the output directory
+
+  roadmap <report.json> [-o <timeline.json>]
+    Print the fix roadmap (phases, dependencies, timeline) of a report
+    and optionally write it as JSON
+
+  evidence <evidence_bundle.json|report.json> [--source <input.txt>]
+    Show each evidence quote in context of the input it came from and
+    check the input and span hashes (default source: the bundle's copy)
+
+  serve [--port <n>] [--host <addr>]
+    Start the HTTP API (POST /extract /transform /validate /fill /render /pdf /generate)
 
 Options:
   -o, --output   Output directory or file
+  --provider     LLM provider: ${PROVIDER_NAMES.join(' | ')} (default: gemini)
+  --model        Model override for the selected provider
+  --record-fixtures <dir>  Save every LLM prompt/response pair to <dir>
+  --replay-fixtures <dir>  Serve LLM responses from <dir> (offline, no API key)
   --skip-pdf     Skip PDF generation
-  --use-groq     Use Groq API
+  --use-groq     Use Groq API (same as --provider groq)
   --save-json    Save intermediate JSON
   --llm-polish   Use LLM for final polish (slower, default: manual polish)
+  --no-checkpoint  Don't write stage checkpoints for generate
+  --bleed-math <mode>  correct (default): replace extracted bleed math that doesn't
+                 recompute; flag: keep it and fail validation
+  --bleed-range  Show the low-high bleed range (sensitivity analysis) under the headline number
+  --rate-card <file.json>  Hourly rates for fix cost and payback, e.g. {"default_hourly_rate": 140, "rates": {"API": 180}}
+  --effort-model <file.json>  Fix effort/turnaround model (default: effort_model.json)
+  --roadmap      Render the phased fix roadmap section in the report
+  --process-map  Render each workflow's swimlane process map (steps, handoffs, waits, bottlenecks)
+  --integration-gaps  Render the manual handoffs between systems and how each can be automated
+  --system-catalog <file.json>  Systems and their integrations (default: system_catalog.json)
+  --evidence-bundle <file.json>  Link transform's evidence to an extracted bundle (extract writes one)
+  --source <file>  Input the evidence bundle was built from (evidence command; repeatable)
+  --input <file>  Another source for generate/extract, merged with the first (repeatable)
+  --conflict <id>  Evidence conflict to resolve (resolve command; --source picks the value)
+  --fix-rules <file.json>  Rules that group measurements into fixes (default: fix_rules.json)
+  --industry <key>  Industry profile instead of detecting it: healthcare | legal | ecommerce |
+                 saas | home_services | general (sets benchmarks, fix categories, tone)
+  --industry-profiles <file.json>  Industry profiles (default: industry_profiles.json)
+  --benchmarks <file.json>  Benchmark dataset for targets and thresholds (default: benchmarks.json)
+  --from <stage> Stage to resume from (default: first stage without a checkpoint)
+  --only         With --from, re-run just that stage
+  --concurrency <n>  Files processed in parallel by batch (default: 2)
+  --port <n>     HTTP API port for serve (default: 8787, or PORT env var)
+  --host <addr>  HTTP API bind address for serve (default: 127.0.0.1)
 
 Examples:
   node cli.js generate notes.txt
   node cli.js generate notes.txt -o ./output/
   node cli.js generate notes.txt report.html --save-json
+  node cli.js generate notes.txt --provider ollama --model llama3.1
+  node cli.js generate notes.txt --replay-fixtures fixtures/notes --skip-pdf
+  node cli.js generate call_notes.txt --input email_thread.txt --input chat.txt
+  node cli.js resume output/runs/run_20250115_143022_notes --from pdf
+  node cli.js batch samples/ -o ./output/ --skip-pdf
+  node cli.js regen output/report.json --field fixes.items[0].solution
+  node cli.js roadmap output/report.json -o output/roadmap.json
+  node cli.js evidence output/runs/run_20250115_143022_notes/evidence_bundle.json
+  node cli.js resolve output/runs/run_20250115_143022_call_notes --conflict conflict-1 --source src-4f2a9c1d0e --notes "Ops lead's export"
 `;
 
   if (!command || command === '--help' || command === '-h') {
@@ -622,47 +1457,86 @@ Examples:
     return;
   }
 
+  // Options that take a value (the value is excluded from positional paths)
+  const valueFlags = ['-o', '--output', '--provider', '--model', '--record-fixtures', '--replay-fixtures', '--from', '--concurrency', '--port', '--host',
+    '--gate', '--by', '--notes', '--field', '--bleed-math', '--rate-card', '--effort-model',
+    '--fix-rules', '--industry', '--benchmarks', '--industry-profiles', '--system-catalog', '--evidence-bundle', '--source',
+    '--input', '--conflict'];
+  const optionValue = (...names) => {
+    const idx = rest.findIndex(r => names.includes(r));
+    return idx >= 0 ? rest[idx + 1] : null;
+  };
+
+  const recordDir = optionValue('--record-fixtures');
+  const replayDir = optionValue('--replay-fixtures');
+  const fixtures = replayDir ? { mode: 'replay', dir: replayDir }
+    : recordDir ? { mode: 'record', dir: recordDir }
+    : null;
+
+  const rateCardPath = optionValue('--rate-card');
+
   const pipeline = new Pipeline({
     skipPDF: rest.includes('--skip-pdf'),
     useGroq: rest.includes('--use-groq'),
     skipRefinement: rest.includes('--skip-refinement'),
     dryRun: rest.includes('--dry-run'),
+    provider: optionValue('--provider'),
+    model: optionValue('--model'),
+    fixtures,
+    checkpoints: !rest.includes('--no-checkpoint'),
+    bleedMath: optionValue('--bleed-math') || 'correct',
+    bleedRange: rest.includes('--bleed-range'),
+    rateCard: rateCardPath ? JSON.parse(fs.readFileSync(rateCardPath, 'utf8')) : null,
+    effortModel: optionValue('--effort-model'),
+    roadmap: rest.includes('--roadmap'),
+    processMap: rest.includes('--process-map'),
+    integrationGaps: rest.includes('--integration-gaps'),
+    fixRules: optionValue('--fix-rules'),
+    industry: optionValue('--industry'),
+    benchmarks: optionValue('--benchmarks'),
+    industryProfiles: optionValue('--industry-profiles'),
+    systemCatalog: optionValue('--system-catalog'),
+    evidenceBundle: optionValue('--evidence-bundle'),
     verbose: true
   });
 
-  // Parse -o/--output option first
-  const outputIdx = rest.findIndex(r => r === '-o' || r === '--output');
-  const outputOpt = outputIdx >= 0 ? rest[outputIdx + 1] : null;
+  const outputOpt = optionValue('-o', '--output');
+  const reviewer = process.env.USER || process.env.USERNAME || null;
 
   // Filter paths (exclude flags and their values)
   const paths = rest.filter((r, i) => {
     if (r.startsWith('-')) return false;
-    // Exclude the value after -o/--output
-    if (outputIdx >= 0 && i === outputIdx + 1) return false;
+    if (i > 0 && valueFlags.includes(rest[i - 1])) return false;
     return true;
   });
 
+  // Extra sources for generate/extract (--input is repeatable)
+  const extraInputs = rest.filter((r, i) => i > 0 && rest[i - 1] === '--input');
+  const inputsFor = first => (extraInputs.length > 0 ? [first, ...extraInputs] : first);
+
   switch (command) {
     case 'generate':
       if (paths.length < 1) {
-        console.error('Usage: generate <input> [output] [-o <dir>]');
+        console.error('Usage: generate <input> [output] [-o <dir>] [--input <file>]');
         process.exit(1);
       }
       const genOutput = outputOpt || paths[1] || './output/';
-      await pipeline.generate(paths[0], genOutput, {
+      const genResult = await pipeline.generate(inputsFor(paths[0]), genOutput, {
         skipPDF: rest.includes('--skip-pdf'),
         saveJson: rest.includes('--save-json'),
         llmPolish: rest.includes('--llm-polish')
       });
+      // Non-zero exit so CI replay runs fail loudly
+      if (!genResult.success) process.exitCode = 1;
       break;
 
     case 'extract':
       if (paths.length < 1) {
-        console.error('Usage: extract <input> [-o <dir>]');
+        console.error('Usage: extract <input> [-o <dir>] [--input <file>]');
         process.exit(1);
       }
       const extractDir = outputOpt || '.';
-      await pipeline.extract(paths[0], { outputDir: extractDir });
+      await pipeline.extract(inputsFor(paths[0]), { outputDir: extractDir });
       break;
 
     case 'transform':
@@ -690,17 +1564,199 @@ Examples:
         process.exit(1);
       }
       const report = JSON.parse(fs.readFileSync(paths[0], 'utf8'));
-      pipeline.render(report, paths[1]);
+      if (!rest.includes('--deliver')) {
+        pipeline.render(report, paths[1]);
+        break;
+      }
+      try {
+        pipeline.render(report, paths[1], { deliver: true, by: optionValue('--by') || reviewer });
+        // Persist the DELIVERED state
+        fs.writeFileSync(paths[0], JSON.stringify(report, null, 2));
+      } catch (err) {
+        console.error(err.message);
+        if (err.reviewStatus) console.error(formatReviewStatus(err.reviewStatus));
+        process.exit(1);
+      }
+      break;
+
+    case 'review':
+      if (paths.length < 1) {
+        console.error('Usage: review <report.json> [-o <output.html>]');
+        process.exit(1);
+      }
+      try {
+        await runReviewSession(paths[0], {
+          pipeline,
+          htmlPath: outputOpt,
+          by: optionValue('--by') || reviewer
+        });
+      } catch (err) {
+        console.error(`Review failed: ${err.message}`);
+        process.exit(1);
+      }
       break;
 
+    case 'regen': {
+      const field = optionValue('--field');
+      if (paths.length < 1 || !field) {
+        console.error('Usage: regen <report.json> --field <path>');
+        process.exit(1);
+      }
+      try {
+        const regenReport = JSON.parse(fs.readFileSync(paths[0], 'utf8'));
+        const regenResult = await pipeline.regenerateField(regenReport, field, { by: optionValue('--by') || reviewer });
+        console.log(`\nBefore: ${JSON.stringify(regenResult.previous)}`);
+        console.log(`After:  ${JSON.stringify(regenResult.value)}`);
+        if (!pipeline.config.dryRun) {
+          fs.writeFileSync(paths[0], JSON.stringify(regenReport, null, 2));
+          console.log(`\nSaved: ${paths[0]}`);
+        }
+      } catch (err) {
+        console.error(`Regen failed: ${err.message}`);
+        process.exit(1);
+      }
+      break;
+    }
+
+    case 'roadmap': {
+      if (paths.length < 1) {
+        console.error('Usage: roadmap <report.json> [-o <timeline.json>]');
+        process.exit(1);
+      }
+      const roadmapReport = JSON.parse(fs.readFileSync(paths[0], 'utf8'));
+      const roadmap = roadmapReport.roadmap;
+      if (!roadmap) {
+        console.error(`No roadmap in ${paths[0]} (re-run transform to build one)`);
+        process.exit(1);
+      }
+      roadmap.phases.forEach(phase => {
+        console.log(`\n${phase.label} - ${phase.weeks_label}`);
+        roadmap.timeline
+          .filter(entry => entry.phase_id === phase.phase_id)
+          .forEach(entry => {
+            const after = entry.depends_on.length > 0 ? ` (after ${entry.depends_on.join(', ')})` : '';
+            console.log(`  ${entry.fix_id} ${entry.label}: days ${entry.start_business_day}-${entry.end_business_day}${after}`);
+          });
+      });
+      console.log(`\nCritical path: ${roadmap.critical_path.join(' → ')} (${roadmap.total_business_days} business days)`);
+      if (outputOpt) {
+        fs.writeFileSync(outputOpt, JSON.stringify(roadmap, null, 2));
+        console.log(`Saved: ${outputOpt}`);
+      }
+      break;
+    }
+
+    case 'evidence': {
+      if (paths.length < 1) {
+        console.error('Usage: evidence <evidence_bundle.json|report.json> [--source <input.txt>]');
+        process.exit(1);
+      }
+      const sourcePaths = rest.filter((r, i) => i > 0 && rest[i - 1] === '--source');
+      try {
+        if (!evidenceCommand(paths[0], sourcePaths)) process.exit(1);
+      } catch (err) {
+        console.error(`Evidence failed: ${err.message}`);
+        process.exit(1);
+      }
+      break;
+    }
+
+    case 'resolve': {
+      if (paths.length < 1) {
+        console.error('Usage: resolve <run-dir> [--conflict <id> --source <source_id> --notes <reasoning>] [--by <name>]');
+        process.exit(1);
+      }
+      try {
+        resolveCommand(paths[0], {
+          conflict: optionValue('--conflict'),
+          source: optionValue('--source'),
+          notes: optionValue('--notes'),
+          by: optionValue('--by') || reviewer
+        });
+      } catch (err) {
+        console.error(`Resolve failed: ${err.message}`);
+        process.exit(1);
+      }
+      break;
+    }
+
+    case 'approve':
+    case 'reject':
+      if (paths.length < 1) {
+        console.error(`Usage: ${command} <report.json> --gate <gate> [--by <name>] [--notes <text>]`);
+        process.exit(1);
+      }
+      if (!reviewCommand(command, paths[0], {
+        gate: optionValue('--gate'),
+        by: optionValue('--by') || reviewer,
+        notes: optionValue('--notes')
+      })) {
+        process.exitCode = 1;
+      }
+      break;
+
+    case 'resume':
+      if (paths.length < 1) {
+        console.error('Usage: resume <run-dir> [--from <stage>] [--only]');
+        process.exit(1);
+      }
+      try {
+        // Only flags given on this call override the original run's options
+        const resumeResult = await pipeline.resume(paths[0], {
+          from: optionValue('--from'),
+          only: rest.includes('--only'),
+          skipPDF: rest.includes('--skip-pdf') || undefined,
+          saveJson: rest.includes('--save-json') || undefined,
+          llmPolish: rest.includes('--llm-polish') || undefined
+        });
+        if (!resumeResult.success) process.exitCode = 1;
+      } catch (err) {
+        console.error(`Resume failed: ${err.message}`);
+        process.exit(1);
+      }
+      break;
+
+    case 'batch':
+      if (paths.length < 1) {
+        console.error('Usage: batch <dir|glob|files...> [-o <dir>] [--concurrency <n>]');
+        process.exit(1);
+      }
+      try {
+        const batchResult = await pipeline.batch(paths, outputOpt || './output/', {
+          concurrency: parseInt(optionValue('--concurrency'), 10) || 2,
+          skipPDF: rest.includes('--skip-pdf'),
+          saveJson: rest.includes('--save-json'),
+          llmPolish: rest.includes('--llm-polish')
+        });
+        if (!batchResult.success) process.exitCode = 1;
+      } catch (err) {
+        console.error(`Batch failed: ${err.message}`);
+        process.exit(1);
+      }
+      break;
+
+    case 'serve': {
+      // Loaded lazily - server.js imports this module
+      const { AuditApiServer } = await import('./server.js');
+      const server = new AuditApiServer({
+        port: parseInt(optionValue('--port') || process.env.PORT, 10) || 8787,
+        host: optionValue('--host') || '127.0.0.1',
+        outputDir: outputOpt || './output/',
+        pipeline: pipeline.config
+      });
+      await server.listen();
+      break;
+    }
+
     case 'full':
       if (paths.length < 3) {
         console.error('Usage: full <intake.json> <measurements.json> <output.html>');
         process.exit(1);
       }
-      await pipeline.run(paths[0], paths[1], paths[2], {
+      const fullResult = await pipeline.run(paths[0], paths[1], paths[2], {
         saveJson: rest.includes('--save-json')
       });
+      if (!fullResult.success) process.exitCode = 1;
       break;
 
     default:
@@ -0,0 +1,164 @@
+/**
+ * process_map.js - Swimlane Process Map (inline SVG)
+ *
+ * Draws a workflow's steps as a swimlane map: one lane per owner (the role
+ * from the extraction, or the owner type for inferred steps), steps left to
+ * right in sequence, arrows between consecutive steps. Arrows that hand the
+ * work to another person or system are dashed and carry the wait time.
+ *
+ * Steps linked to a critical measurement are drawn as bottlenecks, steps
+ * linked to a warning one in the warning colour, so the map shows where the
+ * scorecard's problems happen.
+ *
+ * The SVG is self-contained (no CSS classes from the template) and every
+ * text node is escaped, so it can go into the template unescaped.
+ *
+ * Usage:
+ *   import { renderProcessMap } from './lib/process_map.js';
+ *   const svg = renderProcessMap(report.audit.workflows[0]);
+ */
+
+const COLORS = {
+  critical: '#cf3c69',
+  criticalFill: '#fff0f5',
+  warning: '#ff9e33',
+  warningFill: '#fff6ec',
+  border: '#dac39f',
+  automationFill: '#f6f1e7',
+  ink: '#12111a',
+  micro: '#6a6380',
+  laneFill: '#fcfaf5'
+};
+
+const OWNER_TYPE_LABELS = { human: 'Staff', automation: 'Automation', hybrid: 'Staff + System' };
+
+const DEFAULT_OPTIONS = {
+  width: 720,
+  laneHeight: 46,
+  laneLabelWidth: 84,
+  boxHeight: 34,
+  gap: 22,
+  fontSize: 7.5
+};
+
+const round = (n) => Math.round(n * 10) / 10;
+
+function escapeXml(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Wrap text into at most maxLines lines of maxChars, ending in "…" when cut
+ */
+function wrapText(text, maxChars, maxLines = 2) {
+  const lines = [''];
+  String(text).split(/\s+/).filter(Boolean).forEach(word => {
+    const last = lines[lines.length - 1];
+    if (!last || `${last} ${word}`.length <= maxChars) {
+      lines[lines.length - 1] = last ? `${last} ${word}` : word;
+    } else {
+      lines.push(word);
+    }
+  });
+
+  const shown = lines.slice(0, maxLines).map(line => (line.length > maxChars ? `${line.slice(0, maxChars - 1)}…` : line));
+  if (lines.length > maxLines && !shown[maxLines - 1].endsWith('…')) {
+    shown[maxLines - 1] = `${shown[maxLines - 1].slice(0, maxChars - 1).trimEnd()}…`;
+  }
+  return shown;
+}
+
+/**
+ * Lane a step belongs to
+ */
+export function laneOf(step) {
+  return step.owner || OWNER_TYPE_LABELS[step.owner_type] || 'Staff';
+}
+
+/**
+ * Render a workflow's steps as an SVG swimlane map
+ * @param {Object} workflow - audit.workflows[] entry (steps with owner, handoff, wait, status)
+ * @param {Object} options - width, laneHeight, laneLabelWidth, boxHeight, gap, fontSize
+ * @returns {string} SVG markup, or '' when the workflow has no steps
+ */
+export function renderProcessMap(workflow, options = {}) {
+  const o = { ...DEFAULT_OPTIONS, ...options };
+  const steps = [...(workflow.steps || [])].sort((a, b) => a.sequence - b.sequence);
+  if (steps.length === 0) return '';
+
+  const lanes = [...new Set(steps.map(laneOf))];
+  const measurementNames = Object.fromEntries((workflow.measurements || []).map(m => [m.measurement_id, m.name]));
+  const height = lanes.length * o.laneHeight;
+  const columnWidth = (o.width - o.laneLabelWidth) / steps.length;
+  const boxWidth = round(columnWidth - o.gap);
+  const maxChars = Math.max(6, Math.floor(boxWidth / (o.fontSize * 0.55)));
+  // Marker ids must be unique when several maps share one HTML page
+  const markerId = `pm-arrow-${escapeXml(workflow.workflow_id || 'wf')}`;
+
+  const boxes = steps.map((step, idx) => {
+    const lane = lanes.indexOf(laneOf(step));
+    return {
+      step,
+      x: round(o.laneLabelWidth + idx * columnWidth + o.gap / 2),
+      y: lane * o.laneHeight + (o.laneHeight - o.boxHeight) / 2
+    };
+  });
+
+  const laneMarkup = lanes.map((lane, idx) => `
+  <rect x="0" y="${idx * o.laneHeight}" width="${o.width}" height="${o.laneHeight}" fill="${idx % 2 === 0 ? COLORS.laneFill : '#ffffff'}" stroke="${COLORS.border}" stroke-width="0.5"/>
+  <text x="6" y="${idx * o.laneHeight + o.laneHeight / 2 + 3}" font-size="${o.fontSize}" font-weight="700" fill="${COLORS.micro}">${escapeXml(wrapText(lane, 16, 1)[0])}</text>`).join('');
+
+  const arrowMarkup = boxes.slice(1).map((to, idx) => {
+    const from = boxes[idx];
+    const x1 = round(from.x + boxWidth);
+    const y1 = from.y + o.boxHeight / 2;
+    const x2 = to.x;
+    const y2 = to.y + o.boxHeight / 2;
+    const midX = round((x1 + x2) / 2);
+    const d = y1 === y2 ? `M${x1},${y1} H${x2 - 2}` : `M${x1},${y1} H${midX} V${y2} H${x2 - 2}`;
+    const handoff = Boolean(from.step.handoff);
+    // Wait before the next step, e.g. "4h", above the arrow in the gap
+    const wait = from.step.wait
+      ? `\n  <text x="${midX}" y="${Math.min(y1, y2) - 3}" font-size="${o.fontSize - 1.5}" text-anchor="middle" fill="${COLORS.critical}">${escapeXml(`${from.step.wait.value}${from.step.wait.unit}`)}</text>`
+      : '';
+    return `
+  <path d="${d}" fill="none" stroke="${handoff ? COLORS.micro : COLORS.border}" stroke-width="1"${handoff ? ' stroke-dasharray="3,2"' : ''} marker-end="url(#${markerId})"/>${wait}`;
+  }).join('');
+
+  const boxMarkup = boxes.map(({ step, x, y }) => {
+    const stroke = step.status === 'critical' ? COLORS.critical : step.status === 'warning' ? COLORS.warning : COLORS.border;
+    const fill = step.status === 'critical' ? COLORS.criticalFill
+      : step.status === 'warning' ? COLORS.warningFill
+      : step.owner_type === 'automation' ? COLORS.automationFill
+      : '#ffffff';
+    const lines = wrapText(step.name, maxChars, step.system ? 2 : 3);
+    const lineHeight = o.fontSize + 1.5;
+    const textTop = y + 4 + o.fontSize;
+    const measured = (step.measurement_ids || []).map(id => measurementNames[id]).filter(Boolean);
+    const title = [step.name, step.system, ...measured].filter(Boolean).join(' - ');
+
+    return `
+  <g>
+    <title>${escapeXml(title)}</title>
+    <rect x="${x}" y="${y}" width="${boxWidth}" height="${o.boxHeight}" rx="5" fill="${fill}" stroke="${stroke}" stroke-width="${step.is_bottleneck ? 1.75 : 1}"/>
+${lines.map((line, i) => `    <text x="${round(x + boxWidth / 2)}" y="${textTop + i * lineHeight}" font-size="${o.fontSize}" text-anchor="middle" fill="${COLORS.ink}">${escapeXml(line)}</text>`).join('\n')}${step.system ? `
+    <text x="${round(x + boxWidth / 2)}" y="${y + o.boxHeight - 4}" font-size="${o.fontSize - 1.5}" text-anchor="middle" fill="${COLORS.micro}">${escapeXml(wrapText(step.system, maxChars + 4, 1)[0])}</text>` : ''}
+  </g>`;
+  }).join('');
+
+  return `<svg class="process-map" xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${o.width} ${height}" width="100%" role="img" aria-label="${escapeXml(`Process map: ${workflow.name || 'workflow'}`)}" font-family="Inter, system-ui, sans-serif">
+  <defs>
+    <marker id="${markerId}" viewBox="0 0 6 6" refX="5" refY="3" markerWidth="5" markerHeight="5" orient="auto"><path d="M0,0 L6,3 L0,6 z" fill="${COLORS.micro}"/></marker>
+  </defs>${laneMarkup}${arrowMarkup}${boxMarkup}
+</svg>`;
+}
+
+export default {
+  laneOf,
+  renderProcessMap
+};
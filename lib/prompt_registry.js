@@ -0,0 +1,123 @@
+/**
+ * prompt_registry.js - Prompt Registry Loader
+ *
+ * Shared access to prompts/prompt_registry.json for the executors,
+ * the review workflow and field regeneration.
+ *
+ * Usage:
+ *   import { loadPromptRegistry, getPrompt } from './lib/prompt_registry.js';
+ *   const registry = loadPromptRegistry();
+ *   const prompt = getPrompt(registry, 'executive_summary_v1');
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const PROMPT_REGISTRY_PATH = path.join(__dirname, '..', 'prompts', 'prompt_registry.json');
+
+/**
+ * Load the prompt registry (empty registry if missing or unreadable)
+ */
+export function loadPromptRegistry(registryPath = PROMPT_REGISTRY_PATH) {
+  try {
+    const content = fs.readFileSync(registryPath, 'utf8');
+    return JSON.parse(content);
+  } catch (err) {
+    console.warn('Could not load prompt registry:', err.message);
+    return { prompts: [] };
+  }
+}
+
+/**
+ * Get a prompt by ID
+ */
+export function getPrompt(registry, promptId) {
+  return registry.prompts?.find(p => p.prompt_id === promptId) || null;
+}
+
+/**
+ * Prompt that generates a concrete report field
+ * Array indices match the registry's [] schema paths
+ * (e.g. 'scorecard.rows[1].finding.risk' → finding_risk_v1)
+ */
+export function findPromptForPath(registry, fieldPath) {
+  const normalized = fieldPath.replace(/\[\d+\]/g, '[]');
+  return registry.prompts?.find(p => p.schema_path === normalized) || null;
+}
+
+/**
+ * Check generated output against a prompt's output_constraints and the
+ * registry's global_guardrails (forbidden_phrases, insufficient_evidence_token)
+ * @param {Object} registry - Loaded prompt registry
+ * @param {Object} prompt - Registry prompt
+ * @param {string|string[]} value - Generated value (arrays are checked as JSON)
+ * @returns {string[]} Violations (empty when the output is valid)
+ */
+export function checkOutputConstraints(registry, prompt, value) {
+  const output = typeof value === 'string' ? value : JSON.stringify(value);
+  const constraints = prompt.output_constraints || {};
+  const guardrails = registry.global_guardrails || {};
+  const errors = [];
+
+  if (constraints.max_length_chars && output.length > constraints.max_length_chars) {
+    errors.push(`Output exceeds max length (${output.length} > ${constraints.max_length_chars})`);
+  }
+
+  (constraints.must_contain || []).forEach(phrase => {
+    if (!output.includes(phrase)) {
+      errors.push(`Output missing required phrase: "${phrase}"`);
+    }
+  });
+
+  const mustNotContain = constraints.must_not_contain || [];
+  mustNotContain.forEach(phrase => {
+    if (output.toLowerCase().includes(phrase.toLowerCase())) {
+      errors.push(`Output contains forbidden phrase: "${phrase}"`);
+    }
+  });
+
+  // Global phrases match whole words only ("around" must not flag "turnaround")
+  (guardrails.forbidden_phrases || [])
+    .filter(phrase => !mustNotContain.some(p => p.toLowerCase() === phrase.toLowerCase()))
+    .forEach(phrase => {
+      const escaped = phrase.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      if (new RegExp(`\\b${escaped}\\b`, 'i').test(output)) {
+        errors.push(`Output contains forbidden phrase: "${phrase}"`);
+      }
+    });
+
+  if (output.includes(guardrails.insufficient_evidence_token || '[INSUFFICIENT_EVIDENCE]')) {
+    errors.push('LLM reported insufficient evidence');
+  }
+
+  return errors;
+}
+
+/**
+ * Approval queue entries for the given prompt IDs
+ * @param {Object} registry - Loaded prompt registry
+ * @param {Array<{promptId: string, path: string}>} filled - Fields that were generated
+ * @returns {Array<{path: string, prompt_id: string, approval_gate: string}>}
+ */
+export function getApprovalEntries(registry, filled) {
+  return filled
+    .map(({ promptId, path: fieldPath }) => ({ prompt: getPrompt(registry, promptId), path: fieldPath }))
+    .filter(({ prompt }) => prompt?.approval_required)
+    .map(({ prompt, path: fieldPath }) => ({
+      path: fieldPath,
+      prompt_id: prompt.prompt_id,
+      approval_gate: prompt.approval_gate
+    }));
+}
+
+export default {
+  PROMPT_REGISTRY_PATH,
+  loadPromptRegistry,
+  getPrompt,
+  findPromptForPath,
+  checkOutputConstraints,
+  getApprovalEntries
+};
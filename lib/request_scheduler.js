@@ -0,0 +1,178 @@
+/**
+ * request_scheduler.js - Global Token-Bucket Scheduler for Batch Runs
+ *
+ * Wraps a provider so every request it sends, from every concurrent
+ * pipeline in a batch, draws from one token bucket. The bucket refills
+ * at the provider's current getRequestDelay() (getModelDelay for Gemini),
+ * so pacing follows the active model through fallbacks.
+ *
+ * Adapters that retry or fall back to another model inside one generate()
+ * call await request.beforeAttempt before each attempt, so those attempts
+ * take a token too. A provider that ignores the hook is paced per call.
+ *
+ * Also counts requests per model, failed attempts included, against the
+ * provider's published RPD so a batch can stop starting new files before
+ * the daily quota runs out.
+ *
+ * Usage:
+ *   import { ScheduledProvider } from './lib/request_scheduler.js';
+ *   const provider = new ScheduledProvider(createProvider(options));
+ *   pipelineA.provider = provider;
+ *   pipelineB.provider = provider;
+ */
+
+/**
+ * Token bucket whose refill interval is read on every acquire
+ */
+export class TokenBucket {
+  /**
+   * @param {Object} options
+   * @param {Function} options.intervalMs - () => ms per token
+   * @param {number} options.capacity - Max burst size (default 1: strict spacing)
+   * @param {Function} options.now - () => current ms (default Date.now)
+   * @param {Function} options.sleep - ms => Promise resolved after that wait
+   */
+  constructor(options = {}) {
+    this.intervalMs = options.intervalMs || (() => 0);
+    this.capacity = options.capacity || 1;
+    this.now = options.now || Date.now;
+    this.sleep = options.sleep || (ms => new Promise(resolve => setTimeout(resolve, ms)));
+    this.tokens = this.capacity;
+    this.lastRefill = this.now();
+    this.queue = Promise.resolve();
+
+    this.stats = {
+      acquired: 0,
+      waits: 0,
+      waitedMs: 0
+    };
+  }
+
+  refill() {
+    const now = this.now();
+    const interval = this.intervalMs();
+    this.tokens = interval > 0
+      ? Math.min(this.capacity, this.tokens + (now - this.lastRefill) / interval)
+      : this.capacity;
+    this.lastRefill = now;
+    return interval;
+  }
+
+  /**
+   * Wait for a token. Callers are served in FIFO order.
+   */
+  acquire() {
+    const turn = this.queue.then(() => this.take());
+    this.queue = turn.catch(() => {});
+    return turn;
+  }
+
+  async take() {
+    const interval = this.refill();
+
+    if (this.tokens < 1) {
+      const waitMs = Math.ceil((1 - this.tokens) * interval);
+      this.stats.waits++;
+      this.stats.waitedMs += waitMs;
+      await this.sleep(waitMs);
+      this.refill();
+    }
+
+    this.tokens = Math.max(0, this.tokens - 1);
+    this.stats.acquired++;
+  }
+}
+
+/**
+ * Provider wrapper that paces all requests through a shared TokenBucket
+ */
+export class ScheduledProvider {
+  /**
+   * @param {Object} inner - Provider to pace
+   * @param {Object} options - { burst, now, sleep } (see TokenBucket)
+   */
+  constructor(inner, options = {}) {
+    this.inner = inner;
+    this.name = inner.name;
+    this.bucket = new TokenBucket({
+      intervalMs: () => inner.getRequestDelay?.() || 0,
+      capacity: options.burst || 1,
+      now: options.now,
+      sleep: options.sleep
+    });
+    this.requestsByModel = {};
+  }
+
+  describe() {
+    return `${this.inner.describe?.() || this.inner.name} [scheduled]`;
+  }
+
+  /**
+   * Pacing is handled by the bucket, so callers must not sleep again
+   */
+  getRequestDelay() {
+    return 0;
+  }
+
+  getRateLimits() {
+    return this.inner.getRateLimits?.() || null;
+  }
+
+  /**
+   * Requests left today on the active model (Infinity when it has no published RPD)
+   */
+  remainingDailyRequests() {
+    const limits = this.getRateLimits();
+    if (!limits?.rpd) {
+      return Infinity;
+    }
+    return Math.max(0, limits.rpd - (this.requestsByModel[limits.model] || 0));
+  }
+
+  countRequest(model) {
+    this.requestsByModel[model] = (this.requestsByModel[model] || 0) + 1;
+  }
+
+  /**
+   * The first attempt's token is taken up front; each further attempt
+   * the inner provider announces through beforeAttempt takes another
+   */
+  async generate(request) {
+    let attempts = 0;
+    const beforeAttempt = async (model) => {
+      if (attempts++ > 0) {
+        await this.bucket.acquire();
+      }
+      this.countRequest(model);
+    };
+
+    await this.bucket.acquire();
+    try {
+      const result = await this.inner.generate({ ...request, beforeAttempt });
+      if (attempts === 0) {
+        this.countRequest(result.model);
+      }
+      return result;
+    } catch (err) {
+      if (attempts === 0) {
+        this.countRequest(this.getRateLimits()?.model ?? this.name);
+      }
+      throw err;
+    }
+  }
+
+  getStats() {
+    return {
+      ...this.inner.getStats(),
+      scheduler: {
+        ...this.bucket.stats,
+        requestsByModel: { ...this.requestsByModel }
+      }
+    };
+  }
+}
+
+export default {
+  TokenBucket,
+  ScheduledProvider
+};
@@ -0,0 +1,358 @@
+/**
+ * review.js - Human Review Workflow and Approval Gates
+ *
+ * Tracks the report's review state and per-gate sign-offs in report.review
+ * (see old/data_intake_procedure.txt §6.2-6.3):
+ *
+ *   DRAFT → PENDING → APPROVED → DELIVERED (→ ARCHIVED)
+ *
+ *   DRAFT      - Generated, not yet validated (or a gate was rejected)
+ *   PENDING    - Validated, awaiting human review of the approval gates
+ *   APPROVED   - Every required gate signed off, ready for client delivery
+ *   DELIVERED  - Rendered for the client
+ *
+ * Each approval records a hash of the gate's fields. Editing an approved
+ * field afterwards makes that approval stale, and delivery is refused
+ * until the gate is approved again.
+ *
+ * Usage:
+ *   import { approveGate, assertDeliverable } from './lib/review.js';
+ *   approveGate(reportJson, 'money_math', { by: 'jane' });
+ *   assertDeliverable(reportJson); // throws until required gates are approved
+ */
+
+import { createHash } from 'crypto';
+
+export const REVIEW_STATES = ['DRAFT', 'PENDING', 'APPROVED', 'DELIVERED', 'ARCHIVED'];
+
+/**
+ * Approval gates and the report fields each one covers (§6.2)
+ * Field paths use [] for "every array item"
+ */
+export const APPROVAL_GATES = [
+  {
+    gate_id: 'money_math',
+    name: 'Money Math',
+    required: true,
+    reviewer: 'Producer',
+    fields: ['bleed.assumptions', 'bleed.calculations', 'bleed.total', 'bleed.math_defender_text', 'fixes.items[].impact']
+  },
+  {
+    gate_id: 'claims_benchmarks',
+    name: 'Claims & Benchmarks',
+    required: true,
+    reviewer: 'Producer',
+    fields: ['scorecard.executive_summary.body', 'benchmarks', 'sources']
+  },
+  {
+    gate_id: 'cta_pricing',
+    name: 'CTA & Pricing',
+    required: true,
+    reviewer: 'Producer',
+    fields: ['cta.headline', 'cta.subtext', 'offer']
+  },
+  {
+    gate_id: 'client_accuracy',
+    name: 'Client Accuracy',
+    required: false,
+    reviewer: 'Client',
+    fields: ['prepared_for', 'audit.scope.scope_statement']
+  }
+];
+
+/**
+ * Values at a gate field path ('fixes.items[].impact' → every item's impact)
+ */
+function collectValues(obj, fieldPath) {
+  return fieldPath.split('.').reduce((values, segment) => {
+    const isArray = segment.endsWith('[]');
+    const key = isArray ? segment.slice(0, -2) : segment;
+    return values.flatMap(value => {
+      const next = value?.[key];
+      if (next === undefined) return [];
+      return isArray ? (Array.isArray(next) ? next : []) : [next];
+    });
+  }, [obj]);
+}
+
+/**
+ * Hash of everything a gate covers, recorded at approval time
+ */
+export function gateFieldsHash(reportJson, gate) {
+  const values = gate.fields.map(field => collectValues(reportJson, field));
+  return createHash('sha256').update(JSON.stringify(values)).digest('hex').slice(0, 16);
+}
+
+/**
+ * Gate covering a concrete field path (e.g. 'fixes.items[2].impact.basis')
+ */
+export function gateForPath(fieldPath) {
+  const normalized = fieldPath.replace(/\[\d+\]/g, '[]');
+  return APPROVAL_GATES.find(gate =>
+    gate.fields.some(field => normalized === field || normalized.startsWith(`${field}.`) || normalized.startsWith(`${field}[`))
+  ) || null;
+}
+
+/**
+ * Fresh review block for a new report
+ */
+export function createReview() {
+  return {
+    state: 'DRAFT',
+    gates: APPROVAL_GATES.map(gate => ({
+      gate_id: gate.gate_id,
+      name: gate.name,
+      required: gate.required,
+      reviewer: gate.reviewer,
+      fields: [...gate.fields],
+      flagged_fields: [],
+      status: 'pending',
+      decided_by: null,
+      decided_at: null,
+      notes: null,
+      fields_hash: null
+    })),
+    history: []
+  };
+}
+
+/**
+ * Get report.review, creating it for reports generated before review tracking
+ */
+export function ensureReview(reportJson) {
+  if (!reportJson.review) {
+    reportJson.review = createReview();
+  }
+  return reportJson.review;
+}
+
+function findGate(review, gateId) {
+  const gate = review.gates.find(g => g.gate_id === gateId);
+  if (!gate) {
+    throw new Error(`Unknown approval gate: ${gateId}. Gates: ${review.gates.map(g => g.gate_id).join(', ')}`);
+  }
+  return gate;
+}
+
+function recordEvent(review, event) {
+  review.history.push({
+    at: new Date().toISOString(),
+    actor: event.actor || 'system',
+    action: event.action,
+    from_state: event.from_state,
+    to_state: review.state,
+    gate_id: event.gate_id || null,
+    notes: event.notes || null
+  });
+}
+
+/**
+ * Attach LLM fields flagged approval_required (executor approval queue) to their gates
+ * @param {Object} reportJson - Report JSON (mutated)
+ * @param {Array<{path: string, prompt_id: string, approval_gate: string}>} approvalQueue
+ */
+export function flagApprovalFields(reportJson, approvalQueue = []) {
+  const review = ensureReview(reportJson);
+
+  approvalQueue.forEach(entry => {
+    const gateDef = gateForPath(entry.path);
+    if (!gateDef) return;
+    const gate = findGate(review, gateDef.gate_id);
+    if (!gate.flagged_fields.some(f => f.path === entry.path)) {
+      gate.flagged_fields.push({
+        path: entry.path,
+        prompt_id: entry.prompt_id,
+        approval_gate: entry.approval_gate
+      });
+    }
+  });
+
+  return review;
+}
+
+/**
+ * DRAFT → PENDING once the report passes validation
+ */
+export function markValidated(reportJson, options = {}) {
+  const review = ensureReview(reportJson);
+  if (review.state === 'DRAFT') {
+    review.state = 'PENDING';
+    recordEvent(review, { actor: options.by, action: 'validated', from_state: 'DRAFT' });
+  }
+  return review;
+}
+
+/**
+ * Approval status of every gate, including stale approvals
+ */
+export function getReviewStatus(reportJson) {
+  const review = ensureReview(reportJson);
+
+  const gates = review.gates.map(gate => {
+    const stale = gate.status === 'approved' && gate.fields_hash !== gateFieldsHash(reportJson, gate);
+    return {
+      gate_id: gate.gate_id,
+      name: gate.name,
+      required: gate.required,
+      status: stale ? 'stale' : gate.status,
+      decided_by: gate.decided_by,
+      decided_at: gate.decided_at,
+      flagged_fields: gate.flagged_fields.map(f => f.path)
+    };
+  });
+
+  return {
+    state: review.state,
+    gates,
+    blocking: gates.filter(g => g.required && g.status !== 'approved'),
+    // Values merged sources disagree on (node cli.js resolve <run-dir>)
+    unresolved_conflicts: (reportJson.evidence_conflicts || []).filter(c => !c.resolution).map(c => c.conflict_id)
+  };
+}
+
+/**
+ * Sign off a gate. Moves PENDING → APPROVED when every required gate is approved.
+ * @param {Object} reportJson - Report JSON (mutated)
+ * @param {string} gateId - Gate to approve
+ * @param {Object} options - { by, notes }
+ */
+export function approveGate(reportJson, gateId, options = {}) {
+  const review = ensureReview(reportJson);
+  if (review.state !== 'PENDING' && review.state !== 'APPROVED') {
+    throw new Error(`Cannot approve gates while the report is ${review.state} (must be PENDING - validate the report first)`);
+  }
+
+  const gate = findGate(review, gateId);
+  gate.status = 'approved';
+  gate.decided_by = options.by || null;
+  gate.decided_at = new Date().toISOString();
+  gate.notes = options.notes || null;
+  gate.fields_hash = gateFieldsHash(reportJson, gate);
+
+  const fromState = review.state;
+  if (getReviewStatus(reportJson).blocking.length === 0) {
+    review.state = 'APPROVED';
+  }
+  recordEvent(review, { actor: options.by, action: 'approved', from_state: fromState, gate_id: gateId, notes: options.notes });
+
+  return review;
+}
+
+/**
+ * Reject a gate. The report goes back to DRAFT for rework.
+ * @param {Object} reportJson - Report JSON (mutated)
+ * @param {string} gateId - Gate to reject
+ * @param {Object} options - { by, notes } (notes = reason, required)
+ */
+export function rejectGate(reportJson, gateId, options = {}) {
+  const review = ensureReview(reportJson);
+  if (!options.notes) {
+    throw new Error('Rejecting a gate needs a reason (--notes)');
+  }
+  if (review.state === 'DELIVERED' || review.state === 'ARCHIVED') {
+    throw new Error(`Cannot reject gates on a ${review.state} report`);
+  }
+
+  const gate = findGate(review, gateId);
+  gate.status = 'rejected';
+  gate.decided_by = options.by || null;
+  gate.decided_at = new Date().toISOString();
+  gate.notes = options.notes;
+  gate.fields_hash = null;
+
+  const fromState = review.state;
+  review.state = 'DRAFT';
+  recordEvent(review, { actor: options.by, action: 'rejected', from_state: fromState, gate_id: gateId, notes: options.notes });
+
+  return review;
+}
+
+/**
+ * Record reviewer edits to report fields. An APPROVED report whose edits
+ * made a gate approval stale goes back to PENDING.
+ * @param {Object} reportJson - Report JSON (mutated, after the edits)
+ * @param {string[]} paths - Edited field paths
+ * @param {Object} options - { by }
+ */
+export function recordEdits(reportJson, paths, options = {}) {
+  const review = ensureReview(reportJson);
+  if (paths.length === 0) return review;
+
+  const fromState = review.state;
+  if (review.state === 'APPROVED' && getReviewStatus(reportJson).blocking.length > 0) {
+    review.state = 'PENDING';
+  }
+  recordEvent(review, { actor: options.by, action: 'edited', from_state: fromState, notes: paths.join(', ') });
+
+  return review;
+}
+
+/**
+ * Render guard: throw unless the report may be delivered to the client
+ */
+export function assertDeliverable(reportJson) {
+  const status = getReviewStatus(reportJson);
+  const problems = [];
+
+  if (status.state !== 'APPROVED' && status.state !== 'DELIVERED') {
+    problems.push(`review state is ${status.state} (must be APPROVED)`);
+  }
+  status.blocking.forEach(g => {
+    problems.push(`gate "${g.name}" (${g.gate_id}) is ${g.status}`);
+  });
+  if (status.unresolved_conflicts.length > 0) {
+    problems.push(`sources disagree on unresolved evidence conflicts: ${status.unresolved_conflicts.join(', ')}`);
+  }
+
+  if (problems.length > 0) {
+    const error = new Error(`Report is not approved for client delivery: ${problems.join('; ')}`);
+    error.reviewStatus = status;
+    throw error;
+  }
+}
+
+/**
+ * APPROVED → DELIVERED after a client render
+ */
+export function markDelivered(reportJson, options = {}) {
+  const review = ensureReview(reportJson);
+  const fromState = review.state;
+  review.state = 'DELIVERED';
+  recordEvent(review, { actor: options.by, action: 'delivered', from_state: fromState, notes: options.notes });
+  return review;
+}
+
+/**
+ * One-line-per-gate summary for the CLI
+ */
+export function formatReviewStatus(status) {
+  const icon = { approved: '✓', pending: '○', rejected: '✗', stale: '!' };
+  const lines = [`Review state: ${status.state}`];
+  status.gates.forEach(g => {
+    const decided = g.decided_by ? ` by ${g.decided_by}` : '';
+    const flagged = g.flagged_fields.length > 0 ? ` [flagged: ${g.flagged_fields.join(', ')}]` : '';
+    lines.push(`  ${icon[g.status] || '?'} ${g.gate_id.padEnd(18)} ${g.status}${decided}${g.required ? '' : ' (optional)'}${flagged}`);
+  });
+  if (status.unresolved_conflicts?.length > 0) {
+    lines.push(`  ✗ Unresolved evidence conflicts: ${status.unresolved_conflicts.join(', ')}`);
+  }
+  return lines.join('\n');
+}
+
+export default {
+  REVIEW_STATES,
+  APPROVAL_GATES,
+  createReview,
+  ensureReview,
+  gateForPath,
+  gateFieldsHash,
+  flagApprovalFields,
+  markValidated,
+  getReviewStatus,
+  approveGate,
+  rejectGate,
+  recordEdits,
+  assertDeliverable,
+  markDelivered,
+  formatReviewStatus
+};
@@ -0,0 +1,247 @@
+/**
+ * review_session.js - Interactive Narrative Review
+ *
+ * Walks every LLM-written field of a saved report (see listNarrativeFields)
+ * next to the measurements it was written from. For each field the reviewer
+ * can accept it, edit it inline, or regenerate just that field with its
+ * registry prompt. Changes are saved back to the report JSON, which is then
+ * re-validated and re-rendered.
+ *
+ * Editing a field covered by an approved review gate makes that approval
+ * stale (see review.js), so it has to be signed off again.
+ *
+ * Usage:
+ *   node cli.js review output/report.json [-o report.html]
+ */
+
+import fs from 'fs';
+import readline from 'readline';
+
+import { listNarrativeFields, getFieldValue, setFieldValue } from './narrative_fields.js';
+import { LLMExecutor } from './llm_executor.js';
+import { withIndustryOutOfScope } from './industry_profiles.js';
+import { validateReport, formatErrors } from './validate.js';
+import { markValidated, recordEdits, getReviewStatus, formatReviewStatus } from './review.js';
+
+function formatMeasurement(m) {
+  const target = m.target ? ` (target: ${m.target})` : '';
+  return `${m.name}: ${m.value_display}${target}`;
+}
+
+/**
+ * Quotes behind evidence ids, with where they are in the input
+ * (reports transformed with an evidence bundle only)
+ */
+function formatEvidence(reportJson, ids = []) {
+  const records = reportJson.evidence_bundle?.evidence_records || [];
+  return ids
+    .map(id => records.find(record => record.evidence_id === id))
+    .filter(Boolean)
+    .map(record => `  Evidence (${record.span ? `line ${record.span.line}` : 'not found in input'}): "${record.extracted_text}"`);
+}
+
+/**
+ * Source data a narrative field was written from, one line per fact
+ * @param {Object} reportJson - Report JSON
+ * @param {string} fieldPath - Concrete field path
+ * @returns {string[]}
+ */
+export function describeFieldSources(reportJson, fieldPath) {
+  const measurements = (reportJson.audit?.workflows || []).flatMap(w => w.measurements || []);
+  const bleed = reportJson.bleed;
+  const lines = [];
+
+  const rowMatch = fieldPath.match(/^scorecard\.rows\[(\d+)\]/);
+  const fixMatch = fieldPath.match(/^fixes\.items\[(\d+)\]/);
+
+  if (rowMatch) {
+    const row = reportJson.scorecard?.rows?.[parseInt(rowMatch[1], 10)];
+    if (row) {
+      lines.push(`${row.category} (${row.status})`);
+      row.metrics?.forEach(metric => lines.push(`${metric.label}: ${metric.value_display}`));
+      lines.push(...formatEvidence(reportJson, row.finding?.evidence_ids));
+    }
+  } else if (fixMatch) {
+    const fix = reportJson.fixes?.items?.[parseInt(fixMatch[1], 10)];
+    if (fix) {
+      measurements
+        .filter(m => fix.related_measurement_ids?.includes(m.measurement_id))
+        .forEach(m => lines.push(formatMeasurement(m), ...formatEvidence(reportJson, (m.evidence || []).map(e => e.evidence_id))));
+      if (fix.impact?.estimated_recovery?.display) {
+        lines.push(`Impact: ${fix.impact.estimated_recovery.display}`);
+      }
+      bleed?.breakdown
+        ?.filter(item => fix.impact?.maps_to_breakdown_item_ids?.includes(item.item_id))
+        .forEach(item => lines.push(`Recovers - ${item.label}: ${item.amount.display}`));
+    }
+  } else if (fieldPath.startsWith('bleed.')) {
+    bleed?.assumptions?.forEach(a => lines.push(`Assumption - ${a.name}: ${a.value}${a.unit ? ` ${a.unit}` : ''}`, ...formatEvidence(reportJson, a.evidence_ids)));
+    bleed?.calculations?.forEach(c => lines.push(`Calculation - ${c.label}: ${c.formula}`));
+    if (bleed?.sensitivity) {
+      lines.push(`Sensitivity - ${bleed.sensitivity.range_display}, most sensitive to ${bleed.sensitivity.dominant_label}`);
+    }
+  } else {
+    measurements.forEach(m => lines.push(formatMeasurement(m)));
+  }
+
+  if (bleed?.total?.display) {
+    lines.push(`Bleed total: ${bleed.total.display} ${bleed.period_display || ''}`.trim());
+  }
+
+  return lines;
+}
+
+function formatValue(value) {
+  if (Array.isArray(value)) {
+    return value.map(item => `    • ${item}`).join('\n');
+  }
+  return `    ${value}`;
+}
+
+/**
+ * Run an interactive review of a report's narrative fields
+ *
+ * @param {string} reportPath - Report JSON file (updated in place)
+ * @param {Object} options
+ * @param {Pipeline} options.pipeline - Pipeline used for the LLM provider and rendering
+ * @param {string} options.htmlPath - Re-rendered HTML path (default: report path with .html)
+ * @param {string} options.by - Reviewer name for the review history
+ * @param {Readable} options.input - Input stream (default: stdin)
+ * @param {Writable} options.output - Output stream (default: stdout)
+ * @returns {Promise<{saved: boolean, changes: Array, validation: Object|null, htmlPath: string|null}>}
+ */
+export async function runReviewSession(reportPath, options = {}) {
+  const { pipeline, by = null, input = process.stdin, output = process.stdout } = options;
+  const htmlPath = options.htmlPath || reportPath.replace(/\.json$/i, '') + '.html';
+
+  const reportJson = JSON.parse(fs.readFileSync(reportPath, 'utf8'));
+  const fields = listNarrativeFields(reportJson).filter(field => getFieldValue(reportJson, field.path) !== undefined);
+  const changes = [];
+  let executor = null;
+
+  const rl = readline.createInterface({ input, output, terminal: Boolean(input.isTTY) });
+  const print = (text = '') => output.write(`${text}\n`);
+
+  // Buffer answers so piped input isn't lost between questions; null once input ends
+  const pending = [];
+  const waiting = [];
+  let closed = false;
+  rl.on('line', line => (waiting.length > 0 ? waiting.shift()(line) : pending.push(line)));
+  rl.on('close', () => {
+    closed = true;
+    waiting.splice(0).forEach(resolve => resolve(null));
+  });
+
+  // Pre-fill the line with the current value when editing in a terminal
+  const ask = async (question, prefill = '') => {
+    rl.setPrompt(question);
+    rl.prompt();
+    if (prefill && input.isTTY) rl.write(prefill);
+    const answer = pending.length > 0 ? pending.shift()
+      : closed ? null
+      : await new Promise(resolve => waiting.push(resolve));
+    if (!input.isTTY) output.write('\n');
+    return answer === null ? null : answer.trim();
+  };
+
+  const edit = async (field, current) => {
+    if (Array.isArray(current)) {
+      const answer = await ask('  New items, separated by " | " (empty keeps current):\n  > ', current.join(' | '));
+      return answer ? answer.split('|').map(item => item.trim()).filter(Boolean) : null;
+    }
+    const answer = await ask('  New text (empty keeps current):\n  > ', current);
+    return answer || null;
+  };
+
+  const regenerate = async (field) => {
+    if (!executor) {
+      executor = new LLMExecutor({ provider: pipeline.getProvider(), verbose: false });
+    }
+    print(`  Regenerating with ${field.promptId}...`);
+    const result = await executor.regenerateField(reportJson, field.path);
+    // The industry's boilerplate exclusions are added as in a full fill
+    const value = field.path === 'audit.scope.out_of_scope'
+      ? withIndustryOutOfScope(result.value, reportJson.industry_profile)
+      : result.value;
+    print('  Proposed:');
+    print(formatValue(value));
+    result.errors.forEach(error => print(`  ⚠️  ${error}`));
+    const keep = (await ask('  Use it? [y/N] '))?.toLowerCase();
+    return keep === 'y' || keep === 'yes' ? value : null;
+  };
+
+  print(`Reviewing ${fields.length} narrative fields in ${reportPath}`);
+
+  try {
+    walk:
+    for (let i = 0; i < fields.length; i++) {
+      const field = fields[i];
+
+      print();
+      print(`[${i + 1}/${fields.length}] ${field.path} (${field.promptId})`);
+      print('  Source:');
+      describeFieldSources(reportJson, field.path).forEach(line => print(`    - ${line}`));
+
+      while (true) {
+        const current = getFieldValue(reportJson, field.path);
+        print('  Current:');
+        print(formatValue(current));
+
+        // End of input stops the walk and keeps the changes made so far
+        const choice = (await ask('  [a]ccept  [e]dit  [r]egenerate  [s]top reviewing  [q]uit without saving > '))?.toLowerCase() ?? 's';
+
+        if (choice === '' || choice === 'a') break;
+        if (choice === 's') break walk;
+        if (choice === 'q') {
+          print('Quit - no changes saved');
+          return { saved: false, changes, validation: null, htmlPath: null };
+        }
+
+        let value = null;
+        if (choice === 'e') {
+          value = await edit(field, current);
+        } else if (choice === 'r') {
+          try {
+            value = await regenerate(field);
+          } catch (err) {
+            print(`  Regeneration failed: ${err.message}`);
+          }
+        } else {
+          print(`  Unknown choice: ${choice}`);
+          continue;
+        }
+
+        if (value !== null && JSON.stringify(value) !== JSON.stringify(current)) {
+          setFieldValue(reportJson, field.path, value);
+          changes.push({ path: field.path, action: choice === 'e' ? 'edited' : 'regenerated' });
+        }
+      }
+    }
+  } finally {
+    rl.close();
+  }
+
+  print();
+  if (changes.length === 0) {
+    print('No changes');
+    return { saved: false, changes, validation: null, htmlPath: null };
+  }
+
+  recordEdits(reportJson, [...new Set(changes.map(c => c.path))], { by });
+
+  const validation = validateReport(reportJson, { allowPlaceholders: false, strictBusinessRules: true });
+  print(formatErrors(validation));
+  if (validation.valid) {
+    markValidated(reportJson, { by });
+  }
+
+  fs.writeFileSync(reportPath, JSON.stringify(reportJson, null, 2));
+  print(`Saved ${changes.length} change(s): ${reportPath}`);
+
+  pipeline.render(reportJson, htmlPath);
+  print(formatReviewStatus(getReviewStatus(reportJson)));
+
+  return { saved: true, changes, validation, htmlPath };
+}
+
+export default { describeFieldSources, runReviewSession };
@@ -0,0 +1,192 @@
+/**
+ * roadmap.js - Dependency-Aware Fix Roadmap
+ *
+ * Infers which fixes depend on which, orders them, and schedules them into
+ * the CTA's delivery phases:
+ *
+ *   1. Each fix gets capability tags from its fix group and measurement
+ *      names (visibility, data_sync, routing, response).
+ *   2. DEPENDENCY_RULES add edges: visibility/alerting before anything it
+ *      would measure, data sync before routing and response automation.
+ *      An edge that would close a cycle is dropped.
+ *   3. Fixes with no dependencies go into Phase 2 "Stabilize", the ones
+ *      that build on them into Phase 3 "Scale".
+ *   4. The timeline starts each fix when its dependencies finish and runs
+ *      it for its turnaround (business_days_max); independent fixes run in
+ *      parallel.
+ *
+ * Usage:
+ *   import { buildRoadmap } from './lib/roadmap.js';
+ *   const roadmap = buildRoadmap(report.fixes.items, measurements, report.cta.phases);
+ */
+
+const CAPABILITIES = [
+  { tag: 'visibility', groups: ['visibility'], pattern: /visib|alert|monitor|dashboard|tracking|report/ },
+  { tag: 'data_sync', groups: ['automation'], pattern: /sync|manual|cop(y|ies)|data entry|integrat|systems/ },
+  { tag: 'routing', groups: [], pattern: /rout|assign|schedul|dispatch|triage|handoff/ },
+  { tag: 'response', groups: ['sla_latency'], pattern: /sla|delay|response|latency|turnaround/ }
+];
+
+export const DEPENDENCY_RULES = [
+  {
+    before: 'visibility',
+    after: ['data_sync', 'routing', 'response'],
+    reason: 'Alerting and visibility come first so the later changes can be measured'
+  },
+  {
+    before: 'data_sync',
+    after: ['routing', 'response'],
+    reason: 'Routing and response automation need the systems in sync'
+  }
+];
+
+/**
+ * Capability tags of a fix; the primary tag comes from its fix group,
+ * or from its first measurement that names one
+ */
+function fixCapabilities(fix, measurements) {
+  const names = measurements
+    .filter(m => fix.related_measurement_ids?.includes(m.id))
+    .map(m => m.name.toLowerCase());
+
+  const fromGroup = CAPABILITIES.find(c => c.groups.includes(fix.fix_group))?.tag || null;
+  const fromNames = CAPABILITIES.filter(c => names.some(name => c.pattern.test(name))).map(c => c.tag);
+  const primary = fromGroup || CAPABILITIES.find(c => names.some(name => c.pattern.test(name)))?.tag || null;
+
+  return { primary, tags: new Set([primary, ...fromNames].filter(Boolean)) };
+}
+
+function reaches(edges, from, to) {
+  const stack = [from];
+  const seen = new Set();
+  while (stack.length > 0) {
+    const node = stack.pop();
+    if (node === to) return true;
+    if (seen.has(node)) continue;
+    seen.add(node);
+    edges.filter(e => e.from === node).forEach(e => stack.push(e.to));
+  }
+  return false;
+}
+
+/**
+ * Dependencies between fixes
+ * @param {Object[]} fixes - Fix items (fix_id, fix_group, related_measurement_ids)
+ * @param {Object[]} measurements - Extracted measurements (id, name)
+ * @returns {Array<{from: string, to: string, reason: string}>} "from" must be done before "to"
+ */
+export function inferDependencies(fixes, measurements = []) {
+  const capabilities = new Map(fixes.map(fix => [fix.fix_id, fixCapabilities(fix, measurements)]));
+  const edges = [];
+
+  DEPENDENCY_RULES.forEach(rule => {
+    fixes.forEach(first => {
+      if (capabilities.get(first.fix_id).primary !== rule.before) return;
+      fixes.forEach(then => {
+        const caps = capabilities.get(then.fix_id);
+        if (then === first || caps.primary === rule.before) return;
+        if (!rule.after.some(tag => caps.tags.has(tag))) return;
+        if (edges.some(e => e.from === first.fix_id && e.to === then.fix_id)) return;
+        if (reaches(edges, then.fix_id, first.fix_id)) return;
+        edges.push({ from: first.fix_id, to: then.fix_id, reason: rule.reason });
+      });
+    });
+  });
+
+  return edges;
+}
+
+function weeksLabel(startDay, endDay) {
+  const first = Math.floor(startDay / 5) + 1;
+  const last = Math.max(first, Math.ceil(endDay / 5));
+  return first === last ? `Week ${first}` : `Weeks ${first}-${last}`;
+}
+
+/**
+ * Build the roadmap and fill in each fix's dependencies
+ * @param {Object[]} fixes - Fix items (mutated: dependencies, roadmap_phase_id)
+ * @param {Object[]} measurements - Extracted measurements
+ * @param {Object[]} ctaPhases - cta.phases (phase_2_stabilize / phase_3_scale are used)
+ * @returns {Object} Roadmap block for the report
+ */
+export function buildRoadmap(fixes, measurements = [], ctaPhases = []) {
+  const edges = inferDependencies(fixes, measurements);
+  const dependsOn = (fixId) => edges.filter(e => e.to === fixId);
+
+  fixes.forEach(fix => {
+    fix.dependencies = dependsOn(fix.fix_id).map(e => ({ fix_id: e.from, reason: e.reason }));
+  });
+
+  // Topological order; ties keep the payback ranking
+  const order = [];
+  const placed = new Set();
+  while (order.length < fixes.length) {
+    const next = fixes.find(fix => !placed.has(fix.fix_id) && dependsOn(fix.fix_id).every(e => placed.has(e.from)));
+    order.push(next);
+    placed.add(next.fix_id);
+  }
+
+  const schedule = new Map();
+  order.forEach(fix => {
+    const deps = dependsOn(fix.fix_id).map(e => schedule.get(e.from));
+    const start = Math.max(0, ...deps.map(d => d.end));
+    const depth = Math.max(0, ...deps.map(d => d.depth + 1));
+    schedule.set(fix.fix_id, { start, end: start + (fix.turnaround?.business_days_max || 0), depth });
+  });
+
+  const phaseFor = (depth) => (depth === 0 ? 'phase_2_stabilize' : 'phase_3_scale');
+  const timeline = order.map(fix => {
+    const { start, end, depth } = schedule.get(fix.fix_id);
+    fix.roadmap_phase_id = phaseFor(depth);
+    return {
+      fix_id: fix.fix_id,
+      label: fix.title || fix.fix_id,
+      phase_id: phaseFor(depth),
+      depends_on: dependsOn(fix.fix_id).map(e => e.from),
+      start_business_day: start,
+      end_business_day: end,
+      weeks_label: weeksLabel(start, end)
+    };
+  });
+
+  const phases = ['phase_2_stabilize', 'phase_3_scale']
+    .map(phaseId => {
+      const entries = timeline.filter(t => t.phase_id === phaseId);
+      if (entries.length === 0) return null;
+      const start = Math.min(...entries.map(t => t.start_business_day));
+      const end = Math.max(...entries.map(t => t.end_business_day));
+      return {
+        phase_id: phaseId,
+        label: ctaPhases.find(p => p.phase_id === phaseId)?.label || phaseId,
+        fix_ids: entries.map(t => t.fix_id),
+        fix_labels: entries.map(t => t.label).join(', '),
+        start_business_day: start,
+        end_business_day: end,
+        weeks_label: weeksLabel(start, end)
+      };
+    })
+    .filter(Boolean);
+
+  // Critical path: walk back from the fix that finishes last
+  const criticalPath = [];
+  let current = [...timeline].sort((a, b) => b.end_business_day - a.end_business_day)[0];
+  while (current) {
+    criticalPath.unshift(current.fix_id);
+    const start = current.start_business_day;
+    current = timeline.find(t => current.depends_on.includes(t.fix_id) && t.end_business_day === start);
+  }
+
+  return {
+    phases,
+    timeline,
+    dependencies: edges,
+    critical_path: criticalPath,
+    total_business_days: Math.max(0, ...timeline.map(t => t.end_business_day))
+  };
+}
+
+export default {
+  DEPENDENCY_RULES,
+  inferDependencies,
+  buildRoadmap
+};
@@ -0,0 +1,205 @@
+/**
+ * run_checkpoint.js - On-Disk Stage Checkpoints for Resumable Runs
+ *
+ * Each `generate` run gets a run directory holding a manifest plus one
+ * JSON file per completed stage. A stage file holds the pipeline state
+ * that stage produced (e.g. extract → intake + measurements), so a failed
+ * or re-requested stage can restart from the previous stage's output
+ * instead of paying for extraction and generation again.
+ *
+ * Run directory layout:
+ *   output/runs/run_{timestamp}_{input_slug}/
+ *     manifest.json
+ *     01_extract.json
+ *     02_transform.json
+ *     ...
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { ensureDir, generateTimestamp, slugify } from './file_utils.js';
+
+/**
+ * Stages of Pipeline.generate(), in execution order.
+ * statsKey is the matching entry in Pipeline.stats.stages.
+ */
+export const GENERATE_STAGES = [
+  { name: 'extract', statsKey: 'extract' },
+  { name: 'transform', statsKey: 'transform' },
+  { name: 'fill', statsKey: 'llm' },
+  { name: 'validate', statsKey: 'validation' },
+  { name: 'render', statsKey: 'render' },
+  { name: 'polish', statsKey: 'htmlPolish' },
+  { name: 'pdf', statsKey: 'pdf' }
+];
+
+export const GENERATE_STAGE_NAMES = GENERATE_STAGES.map(s => s.name);
+
+const MANIFEST_FILE = 'manifest.json';
+
+/**
+ * Run checkpoint - manifest + per-stage state files
+ */
+export class RunCheckpoint {
+  constructor(runDir, manifest) {
+    this.runDir = runDir;
+    this.manifest = manifest;
+  }
+
+  /**
+   * Start a new run directory
+   * @param {Object} options - { runsDir, inputPath, outputPath, options }
+   *   (inputPath may be an array when several sources are merged; the run is named after the first)
+   */
+  static create({ runsDir = './output/runs', inputPath, outputPath, options = {} }) {
+    const firstInput = [].concat(inputPath)[0];
+    const inputSlug = slugify(path.basename(firstInput || 'input', path.extname(firstInput || '')), 30);
+    const runId = `run_${generateTimestamp()}_${inputSlug}`;
+    const runDir = path.join(runsDir, runId);
+    ensureDir(runDir);
+
+    const now = new Date().toISOString();
+    const checkpoint = new RunCheckpoint(runDir, {
+      run_id: runId,
+      command: 'generate',
+      created_at: now,
+      updated_at: now,
+      status: 'running',
+      input_path: inputPath,
+      output_path: outputPath,
+      resolved_output_path: null,
+      options,
+      stages: Object.fromEntries(GENERATE_STAGE_NAMES.map(name => [name, { status: 'pending' }]))
+    });
+    checkpoint.save();
+    return checkpoint;
+  }
+
+  /**
+   * Open an existing run directory
+   */
+  static load(runDir) {
+    const manifestPath = path.join(runDir, MANIFEST_FILE);
+    if (!fs.existsSync(manifestPath)) {
+      throw new Error(`No run manifest found in ${runDir}`);
+    }
+    return new RunCheckpoint(runDir, JSON.parse(fs.readFileSync(manifestPath, 'utf8')));
+  }
+
+  save() {
+    this.manifest.updated_at = new Date().toISOString();
+    fs.writeFileSync(path.join(this.runDir, MANIFEST_FILE), JSON.stringify(this.manifest, null, 2));
+  }
+
+  stageFile(stageName) {
+    const idx = GENERATE_STAGE_NAMES.indexOf(stageName);
+    return `${String(idx + 1).padStart(2, '0')}_${stageName}.json`;
+  }
+
+  /**
+   * Persist a completed stage's output state
+   * @param {string} stageName - Stage name from GENERATE_STAGES
+   * @param {Object} output - State produced by the stage
+   * @param {Object} stats - Matching Pipeline.stats.stages entry
+   */
+  completeStage(stageName, output, stats = null) {
+    const file = this.stageFile(stageName);
+    fs.writeFileSync(path.join(this.runDir, file), JSON.stringify(output, null, 2));
+
+    this.manifest.stages[stageName] = {
+      status: 'complete',
+      file,
+      completed_at: new Date().toISOString(),
+      stats
+    };
+    this.save();
+  }
+
+  /**
+   * Record a skipped stage (e.g. --skip-pdf) so resume does not re-run it
+   */
+  skipStage(stageName, reason) {
+    this.manifest.stages[stageName] = {
+      status: 'skipped',
+      reason,
+      completed_at: new Date().toISOString()
+    };
+    this.save();
+  }
+
+  failStage(stageName, error, stats = null) {
+    this.manifest.stages[stageName] = {
+      ...this.manifest.stages[stageName],
+      status: 'failed',
+      error: error.message || String(error),
+      failed_at: new Date().toISOString(),
+      stats
+    };
+    this.manifest.status = 'failed';
+    this.save();
+  }
+
+  /**
+   * Reset a stage and everything after it before re-running
+   * (only that stage when options.only is set)
+   */
+  resetFrom(stageName, options = {}) {
+    const startIdx = GENERATE_STAGE_NAMES.indexOf(stageName);
+    const names = options.only ? [stageName] : GENERATE_STAGE_NAMES.slice(startIdx);
+    names.forEach(name => {
+      this.manifest.stages[name] = { status: 'pending' };
+    });
+    this.manifest.status = 'running';
+    this.save();
+  }
+
+  /**
+   * First stage that has not completed (or been skipped)
+   * @returns {string|null} Stage name, or null if the run is complete
+   */
+  firstIncompleteStage() {
+    return GENERATE_STAGE_NAMES.find(name => {
+      const status = this.manifest.stages[name]?.status;
+      return status !== 'complete' && status !== 'skipped';
+    }) || null;
+  }
+
+  /**
+   * Rebuild pipeline state as it was just before `stageName` ran
+   * by layering the outputs of every earlier completed stage
+   */
+  restoreState(stageName) {
+    const stopIdx = GENERATE_STAGE_NAMES.indexOf(stageName);
+    if (stopIdx < 0) {
+      throw new Error(`Unknown stage: ${stageName}. Stages: ${GENERATE_STAGE_NAMES.join(', ')}`);
+    }
+
+    const state = {
+      infoDumpPath: this.manifest.input_path,
+      outputPath: this.manifest.output_path,
+      finalOutputPath: this.manifest.resolved_output_path || null
+    };
+
+    for (const name of GENERATE_STAGE_NAMES.slice(0, stopIdx)) {
+      const stage = this.manifest.stages[name];
+      if (stage?.status === 'skipped') continue;
+      if (stage?.status !== 'complete') {
+        throw new Error(`Cannot resume from "${stageName}": stage "${name}" has no checkpoint (status: ${stage?.status || 'missing'})`);
+      }
+      Object.assign(state, JSON.parse(fs.readFileSync(path.join(this.runDir, stage.file), 'utf8')));
+    }
+
+    return state;
+  }
+
+  markComplete() {
+    this.manifest.status = 'complete';
+    this.save();
+  }
+}
+
+export default {
+  RunCheckpoint,
+  GENERATE_STAGES,
+  GENERATE_STAGE_NAMES
+};
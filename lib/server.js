@@ -0,0 +1,461 @@
+/**
+ * server.js - Local HTTP API for the Audit Pipeline
+ *
+ * Exposes the Pipeline stages as JSON endpoints so intake forms and n8n
+ * flows can call them without shelling out to the CLI.
+ *
+ * Endpoints (JSON in, JSON out):
+ *   POST /extract    { text }                     → job → { intake, measurements, evidence_bundle }
+ *   POST /transform  { intake, measurements, evidence_bundle } → { report }
+ *   POST /validate   { report, allow_placeholders } → { valid, errors, warnings, placeholders, formatted }
+ *   POST /fill       { report }                   → job → { report }
+ *   POST /render     { report, deliver }          → { html }
+ *   POST /pdf        { html } | { report, deliver } → job → { pdf_path, size }
+ *   POST /generate   { text, skip_pdf, llm_polish } → job → { output_path, pdf_path, run_dir, report }
+ *   GET  /jobs       → recent jobs
+ *   GET  /jobs/:id   → job status + result
+ *   GET  /jobs/:id/pdf → PDF download (pdf and generate jobs)
+ *   GET  /health
+ *
+ * LLM and PDF endpoints are async: they return 202 with a job id to poll.
+ * Add ?wait=true to block until the job finishes instead.
+ * `deliver: true` applies the review render guard (409 until gates are approved).
+ *
+ * Usage:
+ *   import { AuditApiServer } from './lib/server.js';
+ *   await new AuditApiServer({ port: 8787 }).listen();
+ */
+
+import http from 'http';
+import fs from 'fs';
+import path from 'path';
+import { randomUUID } from 'crypto';
+
+import { Pipeline } from './pipeline.js';
+import { ScheduledProvider } from './request_scheduler.js';
+import { validateReport, validateIntake, validateMeasurements, formatErrors } from './validate.js';
+import { generatePDF } from './pdf_generator.js';
+import { assertDeliverable } from './review.js';
+import { ensureDir } from './file_utils.js';
+
+/**
+ * Server configuration
+ */
+const DEFAULT_SERVER_CONFIG = {
+  port: 8787,
+  host: '127.0.0.1',
+  workDir: './output/server',   // Per-job scratch files (generate input, PDF html)
+  outputDir: './output/',       // Reports written by /generate
+  maxBodyBytes: 5 * 1024 * 1024,
+  maxJobs: 200,                 // Finished jobs kept for polling
+  verbose: true
+};
+
+/**
+ * Error with an HTTP status (and optional validation result)
+ */
+class HttpError extends Error {
+  constructor(status, message, validation = null) {
+    super(message);
+    this.status = status;
+    this.validation = validation;
+  }
+}
+
+/**
+ * JSON error body - validation failures carry the formatErrors() text
+ */
+function errorBody(err) {
+  const body = { message: err.message };
+  if (err.reviewStatus) {
+    body.review = err.reviewStatus;
+  }
+  if (err.validation) {
+    body.validation = {
+      errors: err.validation.errors,
+      warnings: err.validation.warnings,
+      placeholders: err.validation.placeholders
+    };
+    body.formatted = formatErrors(err.validation);
+  }
+  return body;
+}
+
+function errorStatus(err) {
+  return err.status || (err.validation ? 422 : 500);
+}
+
+function requireField(body, field) {
+  if (body[field] === undefined || body[field] === null || body[field] === '') {
+    throw new HttpError(400, `Missing required field: ${field}`);
+  }
+  return body[field];
+}
+
+/**
+ * In-memory job store
+ */
+class JobStore {
+  constructor(maxJobs) {
+    this.maxJobs = maxJobs;
+    this.jobs = new Map();
+  }
+
+  create(type) {
+    const job = {
+      id: randomUUID(),
+      type,
+      status: 'queued',
+      created_at: new Date().toISOString(),
+      started_at: null,
+      finished_at: null,
+      result: null,
+      error: null
+    };
+    this.jobs.set(job.id, job);
+    this.prune();
+    return job;
+  }
+
+  get(id) {
+    return this.jobs.get(id) || null;
+  }
+
+  list() {
+    return [...this.jobs.values()].map(({ result, ...summary }) => summary);
+  }
+
+  /**
+   * Drop the oldest finished jobs beyond maxJobs
+   */
+  prune() {
+    const finished = [...this.jobs.values()].filter(j => j.finished_at);
+    const excess = this.jobs.size - this.maxJobs;
+    finished.slice(0, Math.max(0, excess)).forEach(j => this.jobs.delete(j.id));
+  }
+}
+
+/**
+ * Audit pipeline HTTP API server
+ */
+export class AuditApiServer {
+  constructor(config = {}) {
+    const { pipeline: pipelineConfig = {}, ...serverConfig } = config;
+    this.config = { ...DEFAULT_SERVER_CONFIG, ...serverConfig };
+    this.pipelineConfig = { verbose: this.config.verbose, ...pipelineConfig };
+    this.jobs = new JobStore(this.config.maxJobs);
+    this.provider = null;
+    this.server = http.createServer((req, res) => this.handle(req, res));
+  }
+
+  log(message, level = 'info') {
+    if (this.config.verbose || level === 'error') {
+      const timestamp = new Date().toISOString().split('T')[1].slice(0, 8);
+      const prefix = level === 'error' ? '❌' : level === 'warn' ? '⚠️' : '✓';
+      console.log(`[${timestamp}] ${prefix} ${message}`);
+    }
+  }
+
+  /**
+   * Fresh Pipeline per request (isolated stats) sharing one rate-limited provider
+   */
+  createPipeline() {
+    const pipeline = new Pipeline(this.pipelineConfig);
+    if (!this.provider) {
+      this.provider = new ScheduledProvider(pipeline.getProvider());
+    }
+    pipeline.provider = this.provider;
+    return pipeline;
+  }
+
+  listen() {
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.config.port, this.config.host, () => {
+        const { port } = this.server.address();
+        this.log(`Audit API listening on http://${this.config.host}:${port}`);
+        resolve(this.server);
+      });
+    });
+  }
+
+  close() {
+    return new Promise(resolve => this.server.close(resolve));
+  }
+
+  send(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body, null, 2));
+  }
+
+  readBody(req) {
+    return new Promise((resolve, reject) => {
+      let size = 0;
+      const chunks = [];
+
+      req.on('data', chunk => {
+        size += chunk.length;
+        if (size > this.config.maxBodyBytes) {
+          reject(new HttpError(413, `Request body exceeds ${this.config.maxBodyBytes} bytes`));
+          req.destroy();
+          return;
+        }
+        chunks.push(chunk);
+      });
+
+      req.on('end', () => {
+        const raw = Buffer.concat(chunks).toString('utf8');
+        if (!raw.trim()) {
+          resolve({});
+          return;
+        }
+        let body;
+        try {
+          body = JSON.parse(raw);
+        } catch (err) {
+          reject(new HttpError(400, `Invalid JSON body: ${err.message}`));
+          return;
+        }
+        if (!body || typeof body !== 'object' || Array.isArray(body)) {
+          reject(new HttpError(400, 'Request body must be a JSON object'));
+          return;
+        }
+        resolve(body);
+      });
+
+      req.on('error', reject);
+    });
+  }
+
+  async handle(req, res) {
+    const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+    const wait = ['1', 'true'].includes(url.searchParams.get('wait'));
+
+    try {
+      if (req.method === 'GET') {
+        return this.handleGet(url.pathname, res);
+      }
+      if (req.method !== 'POST') {
+        throw new HttpError(405, `Method not allowed: ${req.method}`);
+      }
+
+      const body = await this.readBody(req);
+
+      switch (url.pathname) {
+        case '/extract':
+          requireField(body, 'text');
+          return this.runJob(res, 'extract', wait, () => this.extract(body));
+        case '/transform':
+          return this.send(res, 200, this.transform(body));
+        case '/validate':
+          return this.send(res, 200, this.validate(body));
+        case '/fill':
+          requireField(body, 'report');
+          return this.runJob(res, 'fill', wait, () => this.fill(body));
+        case '/render':
+          return this.send(res, 200, this.render(body));
+        case '/pdf':
+          if (!body.html && !body.report) {
+            throw new HttpError(400, 'Missing required field: html or report');
+          }
+          return this.runJob(res, 'pdf', wait, job => this.pdf(body, job));
+        case '/generate':
+          requireField(body, 'text');
+          return this.runJob(res, 'generate', wait, job => this.generate(body, job));
+        default:
+          throw new HttpError(404, `Unknown endpoint: POST ${url.pathname}`);
+      }
+    } catch (err) {
+      const status = errorStatus(err);
+      if (status >= 500) {
+        this.log(`${req.method} ${url.pathname} failed: ${err.message}`, 'error');
+      }
+      this.send(res, status, { error: errorBody(err) });
+    }
+  }
+
+  handleGet(pathname, res) {
+    if (pathname === '/health') {
+      return this.send(res, 200, { status: 'ok', provider: this.provider?.describe() || null });
+    }
+    if (pathname === '/jobs') {
+      return this.send(res, 200, { jobs: this.jobs.list() });
+    }
+
+    const match = pathname.match(/^\/jobs\/([\w-]+)(\/pdf)?$/);
+    if (!match) {
+      throw new HttpError(404, `Unknown endpoint: GET ${pathname}`);
+    }
+
+    const job = this.jobs.get(match[1]);
+    if (!job) {
+      throw new HttpError(404, `Job not found: ${match[1]}`);
+    }
+
+    if (!match[2]) {
+      return this.send(res, 200, job);
+    }
+
+    const pdfPath = job.result?.pdf_path;
+    if (!pdfPath || !fs.existsSync(pdfPath)) {
+      throw new HttpError(404, `Job ${job.id} has no PDF`);
+    }
+
+    // Headers wait for the file to open, so a file that can't be read is still a 500
+    const stream = fs.createReadStream(pdfPath);
+    stream.on('open', () => {
+      res.writeHead(200, {
+        'Content-Type': 'application/pdf',
+        'Content-Disposition': `attachment; filename="${path.basename(pdfPath)}"`
+      });
+      stream.pipe(res);
+    });
+    stream.on('error', err => {
+      this.log(`GET /jobs/${job.id}/pdf failed: ${err.message}`, 'error');
+      if (res.headersSent) {
+        res.destroy(err);
+      } else {
+        this.send(res, 500, { error: errorBody(err) });
+      }
+    });
+  }
+
+  /**
+   * Start a job; respond 202 with its id, or with the finished job when waiting
+   */
+  async runJob(res, type, wait, work) {
+    const job = this.jobs.create(type);
+    this.log(`Job ${job.id} (${type}) queued`);
+
+    const done = (async () => {
+      job.status = 'running';
+      job.started_at = new Date().toISOString();
+      try {
+        job.result = await work(job);
+        job.status = 'succeeded';
+      } catch (err) {
+        job.status = 'failed';
+        job.error = { status: errorStatus(err), ...errorBody(err) };
+        this.log(`Job ${job.id} (${type}) failed: ${err.message}`, 'error');
+      }
+      job.finished_at = new Date().toISOString();
+    })();
+
+    if (!wait) {
+      return this.send(res, 202, { job_id: job.id, status: job.status, status_url: `/jobs/${job.id}` });
+    }
+
+    await done;
+    return this.send(res, job.status === 'succeeded' ? 200 : job.error.status, job);
+  }
+
+  async extract(body) {
+    const pipeline = this.createPipeline();
+    const { intake, measurements, evidenceBundle } = await pipeline.extractFromText(body.text, { sourceType: 'api' });
+    return { intake, measurements, evidence_bundle: evidenceBundle, stats: pipeline.stats.stages.extract };
+  }
+
+  transform(body) {
+    const intake = requireField(body, 'intake');
+    const measurements = requireField(body, 'measurements');
+
+    const intakeValidation = validateIntake(intake);
+    if (!intakeValidation.valid) {
+      throw new HttpError(422, 'Intake validation failed', intakeValidation);
+    }
+    const measurementsValidation = validateMeasurements(measurements);
+    if (!measurementsValidation.valid) {
+      throw new HttpError(422, 'Measurements validation failed', measurementsValidation);
+    }
+
+    const pipeline = this.createPipeline();
+    const report = pipeline.transformToReport(intake, measurements, body.evidence_bundle || null);
+    return { report, stats: pipeline.stats.stages.transform };
+  }
+
+  validate(body) {
+    const report = requireField(body, 'report');
+    const validation = validateReport(report, {
+      allowPlaceholders: body.allow_placeholders !== false,
+      strictBusinessRules: body.strict_business_rules !== false
+    });
+    return { ...validation, formatted: formatErrors(validation) };
+  }
+
+  async fill(body) {
+    const pipeline = this.createPipeline();
+    const report = await pipeline.fillNarratives(body.report);
+    return { report, stats: pipeline.stats.stages.llm };
+  }
+
+  render(body) {
+    const report = requireField(body, 'report');
+    if (body.deliver) {
+      this.assertDeliverable(report);
+    }
+    return { html: this.createPipeline().renderHTML(report) };
+  }
+
+  /**
+   * Render guard for client delivery (409 until review gates are approved)
+   */
+  assertDeliverable(report) {
+    try {
+      assertDeliverable(report);
+    } catch (err) {
+      const error = new HttpError(409, err.message);
+      error.reviewStatus = err.reviewStatus;
+      throw error;
+    }
+  }
+
+  async pdf(body, job) {
+    const jobDir = path.join(this.config.workDir, job.id);
+    ensureDir(jobDir);
+
+    const htmlPath = path.join(jobDir, 'report.html');
+    if (body.deliver) {
+      if (!body.report) {
+        throw new HttpError(400, 'Delivery PDFs must be rendered from { report } so review gates can be checked');
+      }
+      this.assertDeliverable(body.report);
+    }
+    const html = (!body.deliver && body.html) || this.createPipeline().renderHTML(body.report);
+    fs.writeFileSync(htmlPath, html);
+
+    const result = await generatePDF(htmlPath, path.join(jobDir, 'report.pdf'));
+    return { pdf_path: result.pdfPath, size: result.size, download_url: `/jobs/${job.id}/pdf` };
+  }
+
+  async generate(body, job) {
+    const jobDir = path.join(this.config.workDir, job.id);
+    ensureDir(jobDir);
+
+    const inputPath = path.join(jobDir, 'input.txt');
+    fs.writeFileSync(inputPath, body.text);
+
+    const pipeline = this.createPipeline();
+    const result = await pipeline.generate(inputPath, this.config.outputDir, {
+      skipPDF: !!body.skip_pdf,
+      llmPolish: !!body.llm_polish
+    });
+
+    if (!result.success) {
+      throw result.error;
+    }
+
+    const pdfPath = result.stats.stages.pdf?.pdfPath || null;
+    return {
+      output_path: result.outputPath,
+      pdf_path: pdfPath,
+      download_url: pdfPath ? `/jobs/${job.id}/pdf` : null,
+      run_dir: result.runDir,
+      report: result.reportJson,
+      stats: result.stats
+    };
+  }
+}
+
+export default {
+  AuditApiServer
+};
@@ -0,0 +1,405 @@
+/**
+ * source_merge.js - Merge Extractions from Several Inputs
+ *
+ * An engagement rarely comes as one info dump: there is a call transcript,
+ * an email thread, a follow-up chat. Each input is extracted on its own and
+ * the results are merged here into one intake and measurement set.
+ *
+ *   - The first input is the primary source. Its answers, steps and bleed
+ *     calculations are kept; later inputs fill the answers it left empty and
+ *     add the systems, workflows, measurements and assumptions it lacks.
+ *   - A measurement, assumption or volume/timing answer that two inputs both
+ *     give is matched (same id, or same workflow, metric type and name).
+ *     Values within AGREEMENT_TOLERANCE corroborate each other and their
+ *     evidence is combined.
+ *   - Values further apart are an evidence conflict
+ *     (old/data_intake_procedure.txt §8.2). Nothing is picked silently: the
+ *     primary value stays in place provisionally, every value is listed in
+ *     measurements.evidence_conflicts[] with its source and evidence, and the
+ *     conflict stays open until a person resolves it (resolveConflict,
+ *     `node cli.js resolve <run-dir>`). Delivery is refused until then.
+ *
+ * Usage:
+ *   import { mergeExtractions, formatConflict } from './lib/source_merge.js';
+ *   const { intake, measurements, evidenceBundle } = mergeExtractions([callNotes, emailThread]);
+ *   measurements.evidence_conflicts.forEach(c => console.log(formatConflict(c)));
+ */
+
+import { labelOverlap } from './bleed_math.js';
+import { mergeEvidenceBundles } from './evidence_bundle.js';
+import { getFieldValue } from './narrative_fields.js';
+
+export const AGREEMENT_TOLERANCE = 0.05; // values within 5% of each other agree
+
+const SECTIONS = [
+  'section_a_workflow_definition',
+  'section_b_volume_timing',
+  'section_c_systems_handoffs',
+  'section_d_failure_cost',
+  'section_e_priority'
+];
+
+// Intake answers compared as numbers, with the field holding their unit
+const NUMERIC_ANSWERS = {
+  q06_runs_per_period: { unitField: 'q06_period_unit', label: 'Runs per period' },
+  q07_avg_trigger_to_end: { unitField: 'q07_time_unit', label: 'Average trigger to end' },
+  q08_worst_case_delay: { unitField: 'q08_delay_unit', label: 'Worst-case delay' }
+};
+
+const DURATION_HOURS = { minute: 1 / 60, hour: 1, day: 24, week: 168, month: 720 };
+const RUNS_PER_MONTH = { day: 30, week: 4.33, month: 1, quarter: 1 / 3, year: 1 / 12 };
+
+const MISSING_ANSWERS = new Set(['', 'unknown', 'null', 'n/a']);
+
+function isMissing(value) {
+  if (value === null || value === undefined) return true;
+  if (Array.isArray(value)) return value.length === 0;
+  return typeof value === 'string' && MISSING_ANSWERS.has(value.trim().toLowerCase());
+}
+
+function parseNumber(value) {
+  if (typeof value === 'number') return value;
+  const match = String(value ?? '').replace(/,/g, '').match(/-?\d+(\.\d+)?/);
+  return match ? parseFloat(match[0]) : null;
+}
+
+/**
+ * Value in the table's base unit ("2 days" → 48 hours); unknown units compare as given
+ */
+function inBaseUnit(value, unit, table) {
+  const u = String(unit || '').toLowerCase().replace(/^business\s+/, '').replace(/s$/, '').trim();
+  const key = Object.keys(table).find(k => u === k || (u.length > 0 && u.length <= 3 && k.startsWith(u)));
+  return key ? value * table[key] : value;
+}
+
+/**
+ * Comparable value of a measurement or assumption (0.68 and 68% are the same rate)
+ */
+function comparableValue(item) {
+  const percent = /percent|%/.test(`${item.unit || ''} ${item.value_display || ''}`);
+  if (percent) return item.value > 0 && item.value < 1 ? item.value * 100 : item.value;
+  return inBaseUnit(item.value, item.unit, DURATION_HOURS);
+}
+
+function agree(a, b) {
+  return Math.abs(a - b) <= AGREEMENT_TOLERANCE * Math.max(Math.abs(a), Math.abs(b));
+}
+
+function similarNames(a, b) {
+  return Math.min(labelOverlap(a || '', b || ''), labelOverlap(b || '', a || '')) >= 0.6;
+}
+
+function uniqueId(id, items) {
+  const taken = new Set(items.map(item => item.id));
+  if (!taken.has(id)) return id;
+  let n = 2;
+  while (taken.has(`${id}_${n}`)) n++;
+  return `${id}_${n}`;
+}
+
+/**
+ * Workflows of an intake: the main one (sections at the top level) and the additional ones
+ */
+function workflowsOf(intake) {
+  return [
+    { key: intake.section_a_workflow_definition?.workflow_key || null, node: intake, path: 'intake' },
+    ...(intake.additional_workflows || []).map((workflow, idx) => ({
+      key: workflow.workflow_key || null,
+      node: workflow,
+      path: `intake.additional_workflows[${idx}]`
+    }))
+  ];
+}
+
+/**
+ * A value as one source gives it; `fields` is what resolving in its favour writes back
+ */
+function conflictValue(source, value, display, unit, evidence, fields) {
+  return {
+    source_id: source.source_id,
+    original_filename: source.original_filename,
+    value,
+    unit: unit ?? null,
+    value_display: display ?? String(value),
+    evidence_ids: (evidence || []).map(e => e.evidence_id).filter(Boolean),
+    fields
+  };
+}
+
+function itemFields(item, keys) {
+  return Object.fromEntries(keys.map(key => [key, item[key] === undefined ? null : structuredClone(item[key])]));
+}
+
+const MEASUREMENT_FIELDS = ['value', 'unit', 'value_display', 'status', 'status_reason', 'evidence'];
+const ASSUMPTION_FIELDS = ['value', 'value_display', 'range', 'evidence'];
+
+/**
+ * Merge the extractions of several inputs into one
+ * @param {Object[]} extractions - [{ intake, measurements, evidenceBundle }] in priority order
+ * @returns {{intake: Object, measurements: Object, evidenceBundle: Object}} measurements.evidence_conflicts lists the disagreements
+ */
+export function mergeExtractions(extractions) {
+  const [primary, ...others] = extractions;
+  const sourceOf = extraction => extraction.evidenceBundle.sources[0];
+
+  const intake = structuredClone(primary.intake);
+  const measurements = structuredClone(primary.measurements);
+  measurements.bleed_assumptions = measurements.bleed_assumptions || [];
+  measurements.bleed_calculations = measurements.bleed_calculations || [];
+
+  const conflicts = [];
+  // Source each merged value came from (the primary, unless a later input filled it)
+  const valueSource = new Map();
+  measurements.measurements.forEach(m => valueSource.set(m, sourceOf(primary)));
+  measurements.bleed_assumptions.forEach(a => valueSource.set(a, sourceOf(primary)));
+  const answerSource = {};
+  // Ids each later input's measurements and assumptions were merged into, per source
+  const idMaps = {};
+
+  const addConflict = (subject, used, candidate) => {
+    let conflict = conflicts.find(c => c.field_path === subject.field_path);
+    if (!conflict) {
+      conflict = {
+        conflict_id: `conflict-${conflicts.length + 1}`,
+        field_path: subject.field_path,
+        subject: { type: subject.type, id: subject.id },
+        label: subject.label,
+        values: [used],
+        used_source_id: used.source_id,
+        resolution: null
+      };
+      conflicts.push(conflict);
+    }
+    conflict.values.push(candidate);
+  };
+
+  const primaryKey = intake.section_a_workflow_definition?.workflow_key || null;
+
+  others.forEach(other => {
+    const source = sourceOf(other);
+    const ids = { measurement: {}, assumption: {} };
+    idMaps[source.source_id] = ids;
+
+    // Workflows: same key or same name, else an additional workflow
+    const keyMap = {};
+    const otherPrimaryKey = other.intake.section_a_workflow_definition?.workflow_key || null;
+    workflowsOf(other.intake).forEach(({ key, node }, idx) => {
+      const name = node.section_a_workflow_definition?.q01_workflow_name;
+      const match = workflowsOf(intake).find(w => (key && w.key === key)
+        || similarNames(w.node.section_a_workflow_definition?.q01_workflow_name, name));
+
+      if (!match) {
+        intake.additional_workflows = intake.additional_workflows || [];
+        intake.additional_workflows.push({
+          workflow_key: key,
+          ...Object.fromEntries(SECTIONS.filter(section => node[section]).map(section => [section, structuredClone(node[section])])),
+          workflow_steps: structuredClone(node.workflow_steps || [])
+        });
+        keyMap[key] = key;
+        return;
+      }
+      keyMap[key] = match.key;
+      if (idx === 0) keyMap[null] = match.key;
+      mergeWorkflowAnswers(match, node, source, sourceOf(primary), answerSource, addConflict);
+    });
+    const mapKey = key => keyMap[key ?? otherPrimaryKey] ?? key;
+    const sameWorkflow = (a, b) => (a ?? primaryKey) === (b ?? primaryKey);
+
+    // Client details and notes the primary left out
+    Object.entries(other.intake.prepared_for || {}).forEach(([field, value]) => {
+      intake.prepared_for = intake.prepared_for || {};
+      if (isMissing(intake.prepared_for[field]) && !isMissing(value)) intake.prepared_for[field] = value;
+    });
+    const notes = other.intake.attachments?.notes;
+    if (!isMissing(notes) && !String(intake.attachments?.notes || '').includes(notes)) {
+      intake.attachments = { ...intake.attachments, notes: [intake.attachments?.notes, notes].filter(n => !isMissing(n)).join('\n') };
+    }
+
+    (other.measurements.measurements || []).forEach(m => {
+      const workflowKey = mapKey(m.workflow_key);
+      const match = measurements.measurements.find(x => sameWorkflow(x.workflow_key, workflowKey)
+        && (x.id === m.id || (x.metric_type === m.metric_type && similarNames(x.name, m.name))));
+
+      if (!match) {
+        const added = { ...structuredClone(m), id: uniqueId(m.id, measurements.measurements) };
+        if (workflowKey) added.workflow_key = workflowKey;
+        measurements.measurements.push(added);
+        valueSource.set(added, source);
+        ids.measurement[m.id] = added.id;
+        return;
+      }
+
+      ids.measurement[m.id] = match.id;
+      if (agree(comparableValue(match), comparableValue(m))) {
+        match.evidence = [...(match.evidence || []), ...(m.evidence || [])];
+        return;
+      }
+      addConflict(
+        { field_path: `measurements.measurements[${measurements.measurements.indexOf(match)}].value`, type: 'measurement', id: match.id, label: match.name },
+        conflictValue(valueSource.get(match), match.value, match.value_display, match.unit, match.evidence, itemFields(match, MEASUREMENT_FIELDS)),
+        conflictValue(source, m.value, m.value_display, m.unit, m.evidence, itemFields(m, MEASUREMENT_FIELDS))
+      );
+    });
+
+    (other.measurements.bleed_assumptions || []).forEach(a => {
+      const match = measurements.bleed_assumptions.find(x => x.id === a.id || similarNames(x.label, a.label));
+
+      if (!match) {
+        const added = { ...structuredClone(a), id: uniqueId(a.id, measurements.bleed_assumptions) };
+        measurements.bleed_assumptions.push(added);
+        valueSource.set(added, source);
+        ids.assumption[a.id] = added.id;
+        return;
+      }
+
+      ids.assumption[a.id] = match.id;
+      if (agree(comparableValue(match), comparableValue(a))) {
+        match.evidence = [...(match.evidence || []), ...(a.evidence || [])];
+        return;
+      }
+      addConflict(
+        { field_path: `measurements.bleed_assumptions[${measurements.bleed_assumptions.indexOf(match)}].value`, type: 'assumption', id: match.id, label: match.label },
+        conflictValue(valueSource.get(match), match.value, match.value_display, null, match.evidence, itemFields(match, ASSUMPTION_FIELDS)),
+        conflictValue(source, a.value, a.value_display, null, a.evidence, itemFields(a, ASSUMPTION_FIELDS))
+      );
+    });
+
+    // Bleed calculations only for workflows the merged set has none for
+    const covered = new Set(measurements.bleed_calculations.map(c => c.workflow_key ?? primaryKey));
+    (other.measurements.bleed_calculations || [])
+      .filter(c => !covered.has(mapKey(c.workflow_key) ?? primaryKey))
+      .forEach(c => {
+        measurements.bleed_calculations.push({
+          ...structuredClone(c),
+          id: uniqueId(c.id, measurements.bleed_calculations),
+          ...(mapKey(c.workflow_key) ? { workflow_key: mapKey(c.workflow_key) } : {}),
+          inputs: (c.inputs || []).map(id => ids.assumption[id] || id)
+        });
+      });
+    if (!measurements.bleed_total && other.measurements.bleed_total) {
+      measurements.bleed_total = structuredClone(other.measurements.bleed_total);
+    }
+  });
+
+  // Point the later inputs' evidence records at the merged ids
+  const evidenceBundle = mergeEvidenceBundles(extractions.map(extraction => extraction.evidenceBundle));
+  evidenceBundle.evidence_records.forEach(record => {
+    const ids = idMaps[record.source_id];
+    if (!ids) return;
+    record.linked_to = record.linked_to.map(link => ({ ...link, id: ids[link.type]?.[link.id] || link.id }));
+  });
+
+  measurements.evidence_conflicts = conflicts;
+  return { intake, measurements, evidenceBundle };
+}
+
+/**
+ * Fill a workflow's empty answers from another input, and record the
+ * volume/timing answers the two disagree on
+ */
+function mergeWorkflowAnswers(target, node, source, primarySource, answerSource, addConflict) {
+  SECTIONS.forEach(section => {
+    const from = node[section];
+    if (!from) return;
+    target.node[section] = target.node[section] || {};
+    const to = target.node[section];
+
+    Object.entries(from).forEach(([field, value]) => {
+      const path = `${target.path}.${section}.${field}`;
+      const numeric = NUMERIC_ANSWERS[field];
+
+      if (field === 'q10_systems_involved') {
+        const seen = new Set((to[field] || []).map(s => String(s).toLowerCase()));
+        to[field] = [...(to[field] || []), ...(value || []).filter(s => !seen.has(String(s).toLowerCase()))];
+        return;
+      }
+      if (isMissing(to[field])) {
+        if (isMissing(value)) return;
+        to[field] = value;
+        if (numeric) to[numeric.unitField] = from[numeric.unitField];
+        answerSource[path] = source;
+        return;
+      }
+      if (!numeric || isMissing(value)) return;
+
+      const current = parseNumber(to[field]);
+      const given = parseNumber(value);
+      if (current === null || given === null) return;
+      const table = field === 'q06_runs_per_period' ? RUNS_PER_MONTH : DURATION_HOURS;
+      if (agree(inBaseUnit(current, to[numeric.unitField], table), inBaseUnit(given, from[numeric.unitField], table))) return;
+
+      const display = (answer, unit) => `${answer}${unit ? ` ${unit}` : ''}`;
+      addConflict(
+        { field_path: path, type: 'intake', id: field, label: `${target.node.section_a_workflow_definition?.q01_workflow_name || 'Workflow'}: ${numeric.label}` },
+        conflictValue(answerSource[path] || primarySource, to[field], display(to[field], to[numeric.unitField]), to[numeric.unitField], [],
+          { [field]: to[field], [numeric.unitField]: to[numeric.unitField] ?? null }),
+        conflictValue(source, value, display(value, from[numeric.unitField]), from[numeric.unitField], [],
+          { [field]: value, [numeric.unitField]: from[numeric.unitField] ?? null })
+      );
+    });
+  });
+
+  if ((target.node.workflow_steps || []).length === 0 && (node.workflow_steps || []).length > 0) {
+    target.node.workflow_steps = structuredClone(node.workflow_steps);
+  }
+}
+
+/**
+ * Resolve a conflict in favour of one source: writes that source's value
+ * back into the extraction and records who decided and why
+ * @param {Object} state - Extraction state { intake, measurements } (mutated)
+ * @param {string} conflictId - e.g. 'conflict-1'
+ * @param {string} sourceId - Source whose value is authoritative
+ * @param {Object} options - { by, notes } (notes = reasoning, required)
+ * @returns {Object} The resolved conflict
+ */
+export function resolveConflict(state, conflictId, sourceId, options = {}) {
+  const conflicts = state.measurements?.evidence_conflicts || [];
+  const conflict = conflicts.find(c => c.conflict_id === conflictId);
+  if (!conflict) {
+    throw new Error(`Unknown evidence conflict: ${conflictId}. Conflicts: ${conflicts.map(c => c.conflict_id).join(', ') || 'none'}`);
+  }
+  if (!options.notes) {
+    throw new Error('Resolving a conflict needs the reasoning (--notes)');
+  }
+  const chosen = conflict.values.find(v => v.source_id === sourceId);
+  if (!chosen) {
+    throw new Error(`${conflictId} has no value from ${sourceId}. Sources: ${conflict.values.map(v => v.source_id).join(', ')}`);
+  }
+
+  // The value's parent: the measurement, assumption or intake section
+  const parent = getFieldValue(state, conflict.field_path.split('.').slice(0, -1).join('.'));
+  Object.entries(chosen.fields).forEach(([key, value]) => {
+    if (value === null) delete parent[key];
+    else parent[key] = structuredClone(value);
+  });
+
+  conflict.used_source_id = sourceId;
+  conflict.resolution = {
+    source_id: sourceId,
+    value: chosen.value,
+    value_display: chosen.value_display,
+    notes: options.notes,
+    resolved_by: options.by || null,
+    resolved_at: new Date().toISOString()
+  };
+  return conflict;
+}
+
+/**
+ * One-line summary of a conflict for logs and the CLI
+ */
+export function formatConflict(conflict) {
+  const values = conflict.values.map(v => `${v.value_display} (${v.original_filename || v.source_id})`).join(' vs ');
+  const state = conflict.resolution
+    ? `resolved: ${conflict.resolution.value_display}${conflict.resolution.resolved_by ? ` by ${conflict.resolution.resolved_by}` : ''}`
+    : `unresolved, using ${conflict.values.find(v => v.source_id === conflict.used_source_id)?.value_display}`;
+  return `${conflict.conflict_id} ${conflict.label}: ${values} - ${state}`;
+}
+
+export default {
+  AGREEMENT_TOLERANCE,
+  mergeExtractions,
+  resolveConflict,
+  formatConflict
+};
@@ -0,0 +1,329 @@
+/**
+ * system_catalog.js - System Catalog and Integration-Gap Analysis
+ *
+ * Resolves the systems named in the intake ("Tenant portal (AppFolio)",
+ * "Email inbox (Outlook)") against system_catalog.json: canonical name,
+ * system type and what the system can integrate through (API, webhooks,
+ * native connectors). Names the catalog doesn't know keep their own name and
+ * get a keyword-inferred type, with unknown integrations.
+ *
+ * The integration gaps are the manual handoffs between two systems: between
+ * the systems of consecutive extracted steps where a person does the next
+ * step, or, without step systems, between the systems in the order the
+ * manual-transfer answer (q11) mentions them. Each handoff is classified by
+ * the cheapest way to automate it:
+ *
+ *   native_connector  one system syncs with the other out of the box
+ *   webhook           the source pushes an event, the target takes an API write
+ *   api               both have an API, the source has to be polled
+ *   none              one side has no API (phone calls, paper)
+ *   unknown           one side isn't in the catalog
+ *
+ * Usage:
+ *   import { loadSystemCatalog, resolveSystems, analyzeIntegrationGaps } from './lib/system_catalog.js';
+ *   const catalog = loadSystemCatalog();
+ *   const systems = resolveSystems(intake.section_c_systems_handoffs.q10_systems_involved, catalog);
+ *   const gaps = analyzeIntegrationGaps([{ workflow_id, steps, transfers_text }], systems, catalog);
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const SYSTEM_CATALOG_PATH = path.join(__dirname, '..', 'system_catalog.json');
+
+const METHOD_LABELS = {
+  native_connector: 'native connector',
+  webhook: 'webhook + API',
+  api: 'API polling',
+  none: 'no API',
+  unknown: 'not in catalog'
+};
+
+/**
+ * Load the system catalog
+ * @param {string} catalogPath - JSON file (default: system_catalog.json in the repo root)
+ * @returns {Object}
+ */
+export function loadSystemCatalog(catalogPath = SYSTEM_CATALOG_PATH) {
+  try {
+    return JSON.parse(fs.readFileSync(catalogPath, 'utf8'));
+  } catch (err) {
+    throw new Error(`Could not load system catalog ${catalogPath}: ${err.message}`);
+  }
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function wordPattern(phrase, flags = 'i') {
+  return new RegExp(`(?<![a-z0-9])${escapeRegExp(phrase.toLowerCase())}(?![a-z0-9])`, flags);
+}
+
+/**
+ * System type from keywords in the name, for systems the catalog doesn't know
+ * @param {string} name - System name from the intake
+ * @returns {string} systems_involved[].system_type
+ */
+export function inferSystemType(name) {
+  const lower = String(name).toLowerCase();
+  const has = (...words) => words.some(word => wordPattern(word).test(lower));
+  if (has('crm')) return 'crm';
+  if (has('calendar', 'calendars', 'scheduler')) return 'calendar';
+  if (has('email', 'e-mail', 'mail', 'inbox')) return 'email';
+  if (has('excel', 'spreadsheet', 'spreadsheets', 'sheet', 'sheets')) return 'spreadsheet';
+  if (has('call tracking')) return 'call_tracking';
+  if (has('phone', 'phones', 'call', 'calls', 'voicemail')) return 'phone';
+  if (has('ticket', 'tickets', 'ticketing', 'helpdesk', 'help desk')) return 'ticketing';
+  if (has('sms', 'text', 'texts', 'texting')) return 'sms';
+  if (has('form', 'forms')) return 'forms';
+  if (has('database', 'sql', 'postgres', 'mysql')) return 'database';
+  if (has('payment', 'payments', 'invoicing')) return 'payment';
+  if (has('marketing')) return 'marketing_automation';
+  if (has('portal')) return 'portal';
+  if (has('app', 'application', 'internal tool')) return 'custom_app';
+  return 'other';
+}
+
+/**
+ * Catalog entry for a system name: the entry with an alias in the name
+ * (whole words), products before generic entries, then the longest alias
+ * @param {string} name - System name from the intake or a step
+ * @param {Object} catalog - Loaded system catalog
+ * @returns {Object|null}
+ */
+export function findCatalogSystem(name, catalog) {
+  const lower = String(name || '').toLowerCase();
+  if (!lower) return null;
+
+  let best = null;
+  (catalog.systems || []).forEach(system => {
+    [system.name, ...(system.aliases || [])].forEach(alias => {
+      if (!wordPattern(alias).test(lower)) return;
+      const better = !best ||
+        (best.system.generic && !system.generic) ||
+        (Boolean(best.system.generic) === Boolean(system.generic) && alias.length > best.alias.length);
+      if (better) best = { system, alias };
+    });
+  });
+  return best?.system || null;
+}
+
+/**
+ * systems_involved entry for an intake system name
+ * @param {string} name - System name from the intake
+ * @param {Object} catalog - Loaded system catalog
+ * @returns {Object} { system_name, system_type, environment, intake_name, catalog_id, integrations }
+ */
+export function resolveSystem(name, catalog) {
+  const entry = findCatalogSystem(name, catalog);
+  const base = {
+    system_name: entry?.generic ? String(name).split('(')[0].trim() : entry?.name || String(name).split('(')[0].trim(),
+    system_type: entry?.system_type || inferSystemType(name),
+    environment: "prod",
+    intake_name: name,
+    catalog_id: entry?.system_id || null
+  };
+  if (!entry) return { ...base, integrations: null };
+
+  return {
+    ...base,
+    integrations: {
+      api: Boolean(entry.integrations?.api),
+      webhooks: Boolean(entry.integrations?.webhooks),
+      native_connectors: entry.integrations?.native_connectors || [],
+      ...(entry.notes ? { notes: entry.notes } : {})
+    }
+  };
+}
+
+/**
+ * systems_involved for a list of intake system names, each system once
+ * @param {string[]} names - q10_systems_involved across workflows
+ * @param {Object} catalog - Loaded system catalog
+ * @returns {Object[]}
+ */
+export function resolveSystems(names, catalog) {
+  const seen = new Set();
+  return names
+    .map(name => resolveSystem(name, catalog))
+    .filter(system => {
+      const key = system.catalog_id || system.system_name.toLowerCase();
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+}
+
+/**
+ * Listed system a step's system refers to: same catalog entry, otherwise a
+ * listed name containing it (or contained in it); unlisted systems resolve
+ * on their own
+ */
+function matchSystem(name, systems, catalog) {
+  if (!name) return null;
+  const entry = findCatalogSystem(name, catalog);
+  const lower = name.toLowerCase();
+  return (entry && systems.find(system => system.catalog_id === entry.system_id)) ||
+    systems.find(system => [system.system_name, system.intake_name]
+      .filter(Boolean)
+      .some(label => label.toLowerCase().includes(lower) || lower.includes(label.toLowerCase()))) ||
+    resolveSystem(name, catalog);
+}
+
+/**
+ * Systems in the order a text mentions them: catalog names and aliases,
+ * plus the catalog's generic words for a system type ("inbox", "portal")
+ * when only one listed system has that type. Overlapping mentions keep the
+ * longer one ("google calendar" over "calendar").
+ */
+function systemsInText(text, systems, catalog) {
+  const lower = String(text || '').toLowerCase();
+  const typeTerms = catalog.type_terms || {};
+  const mentions = [];
+
+  systems.forEach(system => {
+    const entry = (catalog.systems || []).find(s => s.system_id === system.catalog_id);
+    const terms = [system.system_name, ...(entry?.aliases || [])];
+    if (systems.filter(s => s.system_type === system.system_type).length === 1) {
+      terms.push(...(typeTerms[system.system_type] || []));
+    }
+    terms.forEach(term => {
+      for (const match of lower.matchAll(wordPattern(term, 'gi'))) {
+        mentions.push({ system, start: match.index, end: match.index + term.length });
+      }
+    });
+  });
+
+  const accepted = [];
+  mentions
+    .sort((a, b) => a.start - b.start || (b.end - b.start) - (a.end - a.start))
+    .forEach(mention => {
+      const last = accepted[accepted.length - 1];
+      if (last && mention.start < last.end) return;
+      accepted.push(mention);
+    });
+
+  return accepted
+    .map(mention => mention.system)
+    .filter((system, idx, list) => idx === 0 || system !== list[idx - 1]);
+}
+
+/**
+ * Manual handoffs between systems in one workflow
+ * @param {Object} workflow - { steps, transfers_text }
+ * @param {Object[]} systems - systems_involved
+ * @param {Object} catalog - Loaded system catalog
+ * @returns {Object[]} { from, to, step_ids, source }
+ */
+export function findSystemHandoffs(workflow, systems, catalog) {
+  const steps = [...(workflow.steps || [])].sort((a, b) => a.sequence - b.sequence);
+
+  if (steps.some(step => step.system)) {
+    const handoffs = [];
+    let previous = null;
+    steps.forEach(step => {
+      const system = matchSystem(step.system, systems, catalog);
+      if (!system) return;
+      // A person carries the work from the last system into this one
+      if (previous && previous.system.system_name !== system.system_name && step.owner_type !== 'automation') {
+        handoffs.push({ from: previous.system, to: system, step_ids: [previous.step.step_id, step.step_id], source: 'steps' });
+      }
+      previous = { step, system };
+    });
+    return handoffs;
+  }
+
+  const mentioned = systemsInText(workflow.transfers_text, systems, catalog);
+  return mentioned.slice(1).map((to, idx) => ({ from: mentioned[idx], to, step_ids: [], source: 'intake_text' }));
+}
+
+/**
+ * How a handoff from one system to another can be automated
+ * @param {Object} from - systems_involved entry the data comes from
+ * @param {Object} to - systems_involved entry the data goes to
+ * @returns {{automatable: boolean, method: string, detail: string}}
+ */
+export function classifyHandoff(from, to) {
+  const unknown = [from, to].find(system => !system.integrations);
+  if (unknown) {
+    return { automatable: false, method: 'unknown', detail: `${unknown.system_name} is not in the system catalog - check whether it has an API` };
+  }
+
+  const noApi = [from, to].find(system => !system.integrations.api);
+  if (noApi) {
+    return {
+      automatable: false,
+      method: 'none',
+      detail: `${noApi.system_name} has no API${noApi.integrations.notes ? `. ${noApi.integrations.notes}` : ''}`
+    };
+  }
+
+  if (from.integrations.native_connectors.includes(to.catalog_id)) {
+    return { automatable: true, method: 'native_connector', detail: `${from.system_name} has a native ${to.system_name} connector` };
+  }
+  if (to.integrations.native_connectors.includes(from.catalog_id)) {
+    return { automatable: true, method: 'native_connector', detail: `${to.system_name} has a native ${from.system_name} connector` };
+  }
+  if (from.integrations.webhooks) {
+    return { automatable: true, method: 'webhook', detail: `A ${from.system_name} webhook triggers the write to ${to.system_name} through its API` };
+  }
+  return { automatable: true, method: 'api', detail: `Poll the ${from.system_name} API and write to ${to.system_name} through its API` };
+}
+
+/**
+ * Integration gaps across the audit's workflows
+ * @param {Object[]} workflows - { workflow_id, steps, transfers_text }
+ * @param {Object[]} systems - systems_involved
+ * @param {Object} catalog - Loaded system catalog
+ * @returns {Object[]} integration_gaps.items
+ */
+export function analyzeIntegrationGaps(workflows, systems, catalog) {
+  const gaps = [];
+
+  workflows.forEach(workflow => {
+    const merged = new Map();
+    findSystemHandoffs(workflow, systems, catalog).forEach(handoff => {
+      const key = `${handoff.from.system_name}→${handoff.to.system_name}`;
+      const existing = merged.get(key);
+      if (existing) {
+        existing.step_ids.push(...handoff.step_ids.filter(id => !existing.step_ids.includes(id)));
+        return;
+      }
+      merged.set(key, { ...handoff, step_ids: [...handoff.step_ids] });
+    });
+
+    merged.forEach(({ from, to, step_ids, source }) => {
+      const { automatable, method, detail } = classifyHandoff(from, to);
+      gaps.push({
+        gap_id: `gap-${gaps.length + 1}`,
+        workflow_id: workflow.workflow_id,
+        from_system: from.system_name,
+        to_system: to.system_name,
+        source,
+        step_ids,
+        automatable,
+        method,
+        detail,
+        display: `${from.system_name} → ${to.system_name}: ${METHOD_LABELS[method]}`
+      });
+    });
+  });
+
+  return gaps;
+}
+
+export default {
+  SYSTEM_CATALOG_PATH,
+  loadSystemCatalog,
+  inferSystemType,
+  findCatalogSystem,
+  resolveSystem,
+  resolveSystems,
+  findSystemHandoffs,
+  classifyHandoff,
+  analyzeIntegrationGaps
+};
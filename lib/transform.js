@@ -4,6 +4,16 @@
  * This is the deterministic transformation layer. It does NOT generate
  * narrative content - that's handled by the LLM executor.
  *
+ * An intake can describe several workflows (additional_workflows); each
+ * becomes an audit.workflows[] entry with its own steps, measurements and
+ * scorecard rows, and the bleed total is rolled up per workflow.
+ *
+ * With an evidence bundle from extraction (evidence_bundle.js), measurement
+ * evidence, assumptions and findings link to its records, the inputs become
+ * the methodology's data sources and the bundle is kept at the root.
+ * Values merged sources disagree on (source_merge.js) are listed in
+ * evidence_conflicts[] with their resolution, if a person has made one.
+ *
  * Usage:
  *   import { transform } from './lib/transform.js';
  *   const reportJson = transform(intakePacket, measurements, config);
@@ -15,6 +25,16 @@ import {
   formatDateDisplay,
   formatCurrency
 } from '../../unified_presales_report/project_identity.js';
+import { auditBleedMath, labelOverlap, projectBleed } from './bleed_math.js';
+import { analyzeBleedSensitivity } from './bleed_sensitivity.js';
+import { calculateFixRoi, rankFixesByPayback } from './fix_roi.js';
+import { loadEffortModel, countHandoffs, estimateFixEffort, mentionedSystems } from './effort_model.js';
+import { buildRoadmap } from './roadmap.js';
+import { loadFixRules, groupMeasurements } from './fix_rules.js';
+import { loadBenchmarks, applyBenchmarks } from './benchmarks.js';
+import { loadIndustryProfiles, resolveIndustryProfile } from './industry_profiles.js';
+import { renderProcessMap } from './process_map.js';
+import { loadSystemCatalog, resolveSystems, analyzeIntegrationGaps } from './system_catalog.js';
 
 /**
  * Default configuration for the transformer
@@ -45,6 +65,33 @@ const DEFAULT_CONFIG = {
     page_size: "letter",
     margins: { top: 0.35, right: 0.35, bottom: 0.45, left: 0.35 },
     max_pages: 1
+  },
+  bleed_math: {
+    mode: "correct"  // correct | flag - see bleed_math.js
+  },
+  projections: {
+    horizons_months: [3, 6, 12]  // cost of waiting: months without a fix
+  },
+  sensitivity: {
+    variation: 0.25,   // ±25% on assumptions without an extracted range
+    show_band: false   // render the low-high range under the headline number
+  },
+  rate_card: {},       // hourly rates per skill for fix ROI - see DEFAULT_RATE_CARD in fix_roi.js
+  effort_model: null,  // fix effort/turnaround model (default: effort_model.json)
+  fix_rules: null,     // fix grouping rules (default: fix_rules.json)
+  industry: null,      // industry key; null detects it (industry_profiles.js)
+  industry_profiles: null, // industry audit profiles (default: industry_profiles.json)
+  benchmarks: null,    // benchmark dataset (default: benchmarks.json)
+  system_catalog: null, // systems and their integrations (default: system_catalog.json)
+  evidence_bundle: null, // evidence bundle from extraction; null keeps the intake-call source
+  roadmap: {
+    render: false      // render the roadmap section (the JSON is always built)
+  },
+  process_map: {
+    render: false      // render the swimlane map per workflow (the SVG is always built)
+  },
+  integration_gaps: {
+    render: false      // render the manual handoffs and how to automate them (always analyzed)
   }
 };
 
@@ -61,6 +108,8 @@ function getYear(isoString) {
 
 // buildProjectIdentity replaced by generateProjectIdentity from unified_presales_report
 
+const STATUS_RANK = { healthy: 0, warning: 1, critical: 2 };
+
 /**
  * Determine status from measurement thresholds
  */
@@ -85,43 +134,60 @@ function deriveStatus(measurement) {
 }
 
 /**
- * Build systems_involved from intake
+ * Build systems_involved from intake (every workflow's systems, once each),
+ * resolved against the system catalog
  */
-function buildSystemsInvolved(intake) {
-  const systems = intake.section_c_systems_handoffs?.q10_systems_involved || [];
-  return systems.map((name, idx) => ({
-    system_name: name.split('(')[0].trim(),
-    system_type: inferSystemType(name),
-    environment: "prod"
-  }));
+function buildSystemsInvolved(intake, catalog) {
+  const names = [intake, ...(intake.additional_workflows || [])]
+    .flatMap(workflow => workflow.section_c_systems_handoffs?.q10_systems_involved || []);
+  return resolveSystems(names, catalog);
+}
+
+/**
+ * Workflows in the intake: the primary one (top-level sections) first, then
+ * the additional_workflows the extraction found. Sections an additional
+ * workflow leaves out fall back to the primary workflow's.
+ * @returns {Object[]} { workflow_id, key, name, intake }
+ */
+function listWorkflows(intake) {
+  const additional = (intake.additional_workflows || [])
+    .filter(workflow => workflow.section_a_workflow_definition?.q01_workflow_name)
+    .map((workflow, idx) => ({
+      key: workflow.workflow_key || `workflow_${idx + 2}`,
+      // Steps describe one workflow only, so they never fall back
+      intake: { ...intake, workflow_steps: [], ...workflow }
+    }));
+
+  return [{ key: intake.section_a_workflow_definition?.workflow_key || 'primary', intake }, ...additional]
+    .map(workflow => ({
+      workflow_id: `wf-${randomUUID().slice(0, 8)}`,
+      key: workflow.key,
+      name: workflow.intake.section_a_workflow_definition?.q01_workflow_name || "Unnamed Workflow",
+      intake: workflow.intake
+    }));
 }
 
 /**
- * Infer system type from name
- * Valid enum values: crm, marketing_automation, email, sms, forms,
- * call_tracking, ticketing, spreadsheet, database, payment, calendar, custom_app, other
+ * Workflow of a measurement or calculation: the one matching its
+ * workflow_key, otherwise the primary workflow
  */
-function inferSystemType(name) {
-  const lower = name.toLowerCase();
-  if (lower.includes('crm') || lower.includes('hubspot') || lower.includes('salesforce')) return 'crm';
-  if (lower.includes('email') || lower.includes('outlook') || lower.includes('gmail') || lower.includes('mail')) return 'email';
-  if (lower.includes('calendar') || lower.includes('google calendar') || lower.includes('outlook calendar')) return 'calendar';
-  if (lower.includes('excel') || lower.includes('spreadsheet') || lower.includes('sheets') || lower.includes('airtable')) return 'spreadsheet';
-  if (lower.includes('phone') || lower.includes('call') || lower.includes('twilio') || lower.includes('ringcentral')) return 'call_tracking';
-  if (lower.includes('portal') || lower.includes('app')) return 'custom_app';
-  if (lower.includes('ticket') || lower.includes('zendesk') || lower.includes('freshdesk')) return 'ticketing';
-  if (lower.includes('sms') || lower.includes('text')) return 'sms';
-  if (lower.includes('form') || lower.includes('typeform') || lower.includes('jotform')) return 'forms';
-  if (lower.includes('database') || lower.includes('sql') || lower.includes('postgres') || lower.includes('mysql')) return 'database';
-  if (lower.includes('payment') || lower.includes('stripe') || lower.includes('paypal')) return 'payment';
-  if (lower.includes('marketing') || lower.includes('mailchimp') || lower.includes('klaviyo')) return 'marketing_automation';
-  return 'other';
+function workflowOf(item, workflows) {
+  return workflows.find(w => w.key === item.workflow_key) || workflows[0];
 }
 
 /**
- * Build workflow steps from intake
+ * "Lead Response", "Lead Response & Onboarding", "A, B & C"
  */
-function buildWorkflowSteps(intake) {
+function joinWorkflowNames(workflows) {
+  const names = workflows.map(w => w.name);
+  return names.length > 1 ? `${names.slice(0, -1).join(', ')} & ${names[names.length - 1]}` : names[0];
+}
+
+/**
+ * Generic steps inferred from the intake answers, for intakes without
+ * extracted workflow_steps
+ */
+function inferWorkflowSteps(intake) {
   const steps = [];
   let seq = 1;
 
@@ -166,6 +232,123 @@ function buildWorkflowSteps(intake) {
   return steps;
 }
 
+const OWNER_TYPES = ['human', 'automation', 'hybrid'];
+
+/**
+ * Step a measurement belongs to when the extraction didn't link them: the
+ * step whose name and system share the most words with the measurement name
+ */
+function findMeasurementStep(m, steps) {
+  let best = null;
+  let bestScore = 0;
+  steps.forEach(step => {
+    const score = labelOverlap(m.name, `${step.name} ${step.system || ''}`);
+    if (score > bestScore) {
+      best = step;
+      bestScore = score;
+    }
+  });
+  return bestScore >= 0.5 ? best : null;
+}
+
+/**
+ * Build workflow steps: the extracted steps (owner, system, handoff, wait)
+ * when the intake has them, otherwise inferred ones. Each step lists the
+ * measurements it causes - the extraction's links, or for a workflow without
+ * any, the best name match of each actionable measurement - and takes the
+ * worst status among them; a step behind a critical measurement is a bottleneck.
+ * @returns {{steps: Object[], source: 'extracted'|'inferred'}}
+ */
+function buildWorkflowSteps(intake, measurements) {
+  const extracted = intake.workflow_steps || [];
+  const steps = extracted.length === 0 ? inferWorkflowSteps(intake) : [...extracted]
+    .sort((a, b) => (a.sequence ?? 0) - (b.sequence ?? 0))
+    .map((step, idx) => {
+      const wait = typeof step.wait_time?.value === 'number' && step.wait_time.value > 0
+        ? {
+          value: step.wait_time.value,
+          unit: normalizeDurationUnit(step.wait_time.unit),
+          display: `${step.wait_time.value}${normalizeDurationUnit(step.wait_time.unit)} wait`
+        }
+        : null;
+      return {
+        step_id: `step-${idx + 1}`,
+        sequence: idx + 1,
+        name: step.name || `Step ${idx + 1}`,
+        owner_type: OWNER_TYPES.includes(step.owner_type) ? step.owner_type : 'human',
+        owner: step.owner || null,
+        system: step.system || null,
+        handoff: Boolean(step.handoff),
+        wait,
+        measurement_ids: (step.measurement_ids || []).filter(id => measurements.some(m => m.id === id))
+      };
+    });
+
+  steps.forEach(step => { step.measurement_ids = step.measurement_ids || []; });
+  if (steps.every(step => step.measurement_ids.length === 0)) {
+    measurements
+      .filter(m => deriveStatus(m) !== 'healthy' && !isBaselineMetric(m))
+      .forEach(m => findMeasurementStep(m, steps)?.measurement_ids.push(m.id));
+  }
+
+  steps.forEach(step => {
+    const statuses = measurements.filter(m => step.measurement_ids.includes(m.id)).map(deriveStatus);
+    step.status = statuses.length > 0
+      ? statuses.reduce((worst, s) => (STATUS_RANK[s] > STATUS_RANK[worst] ? s : worst), 'healthy')
+      : null;
+    step.is_bottleneck = step.status === 'critical';
+  });
+
+  return { steps, source: extracted.length > 0 ? 'extracted' : 'inferred' };
+}
+
+/**
+ * Bundle record ids of extracted evidence items
+ */
+function evidenceIds(evidence) {
+  return (evidence || []).map(e => e.evidence_id).filter(Boolean);
+}
+
+/**
+ * Methodology data sources: the bundle's inputs, or the intake call
+ */
+function buildDataSources(evidenceBundle, now) {
+  if (!evidenceBundle?.sources?.length) {
+    return [{
+      source_id: "src-intake-call",
+      source_type: "interview",
+      source_label: `Intake interview (${formatDateDisplay(now)})`
+    }];
+  }
+
+  return evidenceBundle.sources.map(source => ({
+    source_id: source.source_id,
+    source_type: source.source_type,
+    source_label: `${source.original_filename || 'Submitted text'} (received ${formatDateDisplay(source.received_at)}, sha256 ${source.sha256_hash.slice(0, 12)})`
+  }));
+}
+
+/**
+ * Report evidence conflicts: each source's value with its evidence records
+ */
+function buildEvidenceConflicts(conflicts) {
+  return (conflicts || []).map(conflict => ({
+    conflict_id: conflict.conflict_id,
+    field_path: conflict.field_path,
+    subject: conflict.subject,
+    label: conflict.label,
+    values: conflict.values.map(value => ({
+      source_id: value.source_id,
+      value: value.value,
+      unit: value.unit ?? null,
+      value_display: value.value_display,
+      evidence_ids: value.evidence_ids || []
+    })),
+    used_source_id: conflict.used_source_id,
+    resolution: conflict.resolution || null
+  }));
+}
+
 /**
  * Build measurements array for workflow
  */
@@ -180,8 +363,9 @@ function buildWorkflowMeasurements(measurements) {
     ...(m.threshold?.target_display ? { target: m.threshold.target_display } : {}),
     method: m.source?.includes('intake') ? 'stakeholder_interview' : 'system_analysis',
     evidence: m.evidence?.map(e => ({
-      evidence_id: `ev-${randomUUID().slice(0, 8)}`,
-      source_id: "src-intake-call",
+      // Extraction links evidence to bundle records; older measurements files don't
+      evidence_id: e.evidence_id || `ev-${randomUUID().slice(0, 8)}`,
+      source_id: e.source_id || "src-intake-call",
       evidence_type: e.type || "client_statement",
       summary: e.summary
     })) || []
@@ -279,8 +463,8 @@ function isBaselineMetric(m) {
 }
 
 /**
- * Generate a sensible default target for a measurement when none is provided
- * Uses industry-standard benchmarks based on metric type
+ * Heuristic target for a measurement when neither the client nor the
+ * benchmark dataset (benchmarks.js) provides one
  */
 function generateDefaultTarget(m) {
   const metricType = m.metric_type;
@@ -361,8 +545,8 @@ function generateDefaultTarget(m) {
     return `< ${improved}${unit}`;
   }
 
-  // Fallback: use industry benchmark language
-  return 'Industry Benchmark';
+  // Fallback: no basis for a target
+  return 'No target set';
 }
 
 /**
@@ -370,7 +554,7 @@ function generateDefaultTarget(m) {
  * Filters to show only actionable findings (critical/warning) and limits rows for one-page report
  * Maximum 3 rows to fit on single page without cutting off bottom content
  */
-function buildScorecardRows(measurements, maxRows = 3) {
+function buildScorecardRows(measurements, benchmarks = [], maxRows = 3) {
   // Filter out baseline/context metrics and healthy items
   const actionableMeasurements = measurements.measurements.filter(m => {
     const status = deriveStatus(m);
@@ -399,6 +583,10 @@ function buildScorecardRows(measurements, maxRows = 3) {
 
   return limited.map(m => {
     const status = deriveStatus(m);
+    // Rows cite a benchmark only when it supplied the target or thresholds they were judged by
+    const benchmark = m.benchmark?.applied.length > 0
+      ? benchmarks.find(b => b.benchmark_id === m.benchmark.benchmark_id)
+      : null;
     const hasTarget = m.threshold?.target_display || m.threshold?.target != null;
 
     // Build metrics array - always include target (generate sensible default if missing)
@@ -414,12 +602,12 @@ function buildScorecardRows(measurements, maxRows = 3) {
     // Always add a target metric - generate default if none exists
     if (hasTarget) {
       metrics.push({
-        label: "Target",
+        label: m.benchmark?.applied.includes('target') ? "Benchmark" : "Target",
         value_display: m.threshold?.target_display || String(m.threshold?.target),
         is_benchmark: true
       });
     } else {
-      // Generate sensible default target based on metric type and current value
+      // No client or benchmark target: heuristic based on metric type and current value
       const defaultTarget = generateDefaultTarget(m);
       metrics.push({
         label: "Target",
@@ -436,7 +624,10 @@ function buildScorecardRows(measurements, maxRows = 3) {
       has_metrics: true,
       finding: {
         summary: `[LLM_PLACEHOLDER: finding_summary for ${m.name}]`,
-        risk: status !== 'healthy' ? `[LLM_PLACEHOLDER: finding_risk for ${m.name}]` : null
+        risk: status !== 'healthy' ? `[LLM_PLACEHOLDER: finding_risk for ${m.name}]` : null,
+        benchmark_reference_id: benchmark?.benchmark_id || null,
+        meta: benchmark ? `Benchmark: ${benchmark.name} ${benchmark.value} (${benchmark.source})` : null,
+        evidence_ids: evidenceIds(m.evidence)
       },
       metrics: metrics,
       measurement_ids: [m.id]
@@ -444,41 +635,277 @@ function buildScorecardRows(measurements, maxRows = 3) {
   });
 }
 
+const MAX_ROWS_PER_WORKFLOW = 2;
+
+/**
+ * Scorecard rows per workflow, in workflow order. A single-workflow report
+ * keeps up to 3 rows; with several workflows each gets up to
+ * MAX_ROWS_PER_WORKFLOW and its first row carries the workflow heading.
+ */
+function buildWorkflowScorecardRows(workflows, measurements, benchmarks) {
+  const multi = workflows.length > 1;
+
+  return workflows.flatMap(workflow => {
+    const own = measurements.measurements.filter(m => workflowOf(m, workflows) === workflow);
+    const rows = buildScorecardRows({ measurements: own }, benchmarks, multi ? MAX_ROWS_PER_WORKFLOW : 3);
+    return rows.map((row, idx) => ({
+      row_id: row.row_id,
+      workflow_id: workflow.workflow_id,
+      workflow_header: multi && idx === 0 ? workflow.name : null,
+      ...row
+    }));
+  });
+}
+
+/**
+ * Bleed categories, checked in order against a calculation's label and formula
+ */
+const BLEED_CATEGORIES = [
+  { key: 'penalties', label: 'Penalties & Credits', pattern: /penalt|credit|refund|chargeback|fine\b|breach/ },
+  { key: 'lost-revenue', label: 'Lost Revenue', pattern: /churn|revenue|lost|lifetime value|ltv|deal|cancel|conversion/ },
+  { key: 'labor-waste', label: 'Labor Waste', pattern: /labor|labour|staff|manual|hour|wage|salary|fte|overtime|effort/ },
+  { key: 'rework', label: 'Rework & Errors', pattern: /rework|error|correction|redo|defect/ }
+];
+
+
+/**
+ * Measurements behind a calculation: for each input assumption, the
+ * measurement whose name matches its label best (a matching value display
+ * breaks ties). A calculation with a workflow_key only draws on that
+ * workflow's measurements.
+ */
+function findDriverMeasurements(calc, assumptions, measurements, workflows) {
+  const ids = new Set();
+  const ownWorkflow = workflows.find(w => w.key === calc.workflow_key);
+  const candidates = ownWorkflow
+    ? measurements.filter(m => workflowOf(m, workflows) === ownWorkflow)
+    : measurements;
+
+  (calc.inputs || []).forEach(inputId => {
+    const assumption = assumptions.find(a => a.id === inputId);
+    if (!assumption) return;
+
+    let best = null;
+    let bestScore = 0;
+    candidates.forEach(m => {
+      let score = labelOverlap(assumption.label || assumption.id, m.name);
+      if (score > 0 && assumption.value_display && assumption.value_display === m.value_display) {
+        score += 0.5;
+      }
+      if (score > bestScore) {
+        best = m;
+        bestScore = score;
+      }
+    });
+
+    if (best && bestScore >= 0.6) ids.add(best.id);
+  });
+
+  return [...ids];
+}
+
+/**
+ * Build bleed breakdown: one item per calculation feeding the total (lost
+ * revenue, labor waste, penalties...) with the measurements that drive it, plus an
+ * "Other" item for any part of the total the calculations don't cover.
+ * An item's status is the worst status among its actionable drivers, and
+ * its workflow the calculation's workflow_key (else its first driver's).
+ * @param {string[]} totalCalcIds - Calculations that feed the total (bleed math audit roles)
+ * @returns {{items: Object[], itemIdByCalc: Object}} Breakdown items and calc_id → item_id
+ */
+function buildBleedBreakdown(measurements, bleedData, workflows, totalCalcIds) {
+  const assumptions = measurements.bleed_assumptions || [];
+  // Only a single-workflow audit can attribute the uncovered remainder
+  const fallbackWorkflowId = workflows.length === 1 ? workflows[0].workflow_id : null;
+  const calcWorkflowId = (calc, driverIds) => {
+    if (workflows.some(w => w.key === calc.workflow_key)) return workflowOf(calc, workflows).workflow_id;
+    const driver = measurements.measurements.find(m => driverIds.includes(m.id));
+    return driver ? workflowOf(driver, workflows).workflow_id : workflows[0].workflow_id;
+  };
+  const currency = bleedData.currency || 'USD';
+  const money = (amount) => ({ amount, currency, display: `$${Math.round(amount).toLocaleString()}` });
+
+  const drafts = (measurements.bleed_calculations || [])
+    .filter(calc => totalCalcIds.includes(calc.id) && typeof calc.result === 'number')
+    .map(calc => {
+      const category = BLEED_CATEGORIES.find(c => c.pattern.test(`${calc.label || ''} ${calc.formula || ''}`.toLowerCase()));
+      const driverIds = findDriverMeasurements(calc, assumptions, measurements.measurements, workflows);
+      const drivers = measurements.measurements.filter(m => driverIds.includes(m.id) && !isBaselineMetric(m));
+
+      return {
+        calc_id: calc.id,
+        category: category?.key || 'other',
+        category_label: category?.label || null,
+        calc_label: (calc.label || 'Other').replace(/^(daily|weekly|monthly|quarterly|annual)?\s*bleed from\s*/i, ''),
+        status: drivers.length > 0
+          ? drivers.map(deriveStatus).reduce((worst, s) => (STATUS_RANK[s] > STATUS_RANK[worst] ? s : worst), 'healthy')
+          : 'warning',
+        amount: money(calc.result),
+        driver_measurement_ids: driverIds,
+        workflow_id: calcWorkflowId(calc, driverIds)
+      };
+    });
+
+  // No usable calculations: the whole total is one item, driven by the critical measurements
+  if (drafts.length === 0) {
+    return {
+      items: [{
+        item_id: "bleed-primary",
+        label: "Primary Bleed",
+        category: "other",
+        status: "critical",
+        amount: {
+          amount: bleedData.value,
+          currency,
+          display: bleedData.display || `$${bleedData.value.toLocaleString()}`
+        },
+        driver_measurement_ids: measurements.measurements.filter(m => m.status === 'critical').map(m => m.id),
+        workflow_id: fallbackWorkflowId
+      }],
+      itemIdByCalc: {}
+    };
+  }
+
+  const uncovered = bleedData.value - drafts.reduce((sum, d) => sum + d.amount.amount, 0);
+  if (uncovered >= 1) {
+    drafts.push({
+      calc_id: null,
+      category: 'other',
+      category_label: 'Other',
+      calc_label: 'Other',
+      status: 'warning',
+      amount: money(uncovered),
+      driver_measurement_ids: [],
+      workflow_id: fallbackWorkflowId
+    });
+  }
+
+  // Categories with more than one calculation fall back to the calculation labels
+  const perCategory = {};
+  const itemIdByCalc = {};
+  const items = drafts.map(draft => {
+    const sameCategory = drafts.filter(d => d.category === draft.category).length;
+    perCategory[draft.category] = (perCategory[draft.category] || 0) + 1;
+    const itemId = `bleed-${draft.category}${perCategory[draft.category] > 1 ? `-${perCategory[draft.category]}` : ''}`;
+    if (draft.calc_id) itemIdByCalc[draft.calc_id] = itemId;
+
+    return {
+      item_id: itemId,
+      label: sameCategory === 1 && draft.category_label ? draft.category_label : draft.calc_label,
+      category: draft.category,
+      status: draft.status,
+      amount: draft.amount,
+      driver_measurement_ids: draft.driver_measurement_ids,
+      workflow_id: draft.workflow_id
+    };
+  });
+
+  return { items, itemIdByCalc };
+}
+
+/**
+ * Breakdown item a calculation feeds: its own item, or for intermediate
+ * calculations (counts, hours, cost per miss) the item of the total
+ * calculation sharing the most inputs
+ */
+function attributeCalculation(calc, calculations, itemIdByCalc, fallbackId) {
+  if (itemIdByCalc[calc.id]) return itemIdByCalc[calc.id];
+
+  let best = fallbackId;
+  let bestShared = 0;
+  calculations
+    .filter(other => itemIdByCalc[other.id])
+    .forEach(other => {
+      const shared = (calc.inputs || []).filter(id => (other.inputs || []).includes(id)).length;
+      if (shared > bestShared) {
+        best = itemIdByCalc[other.id];
+        bestShared = shared;
+      }
+    });
+
+  return best;
+}
+
+/**
+ * Bleed range from varying each assumption (see bleed_sensitivity.js)
+ */
+function buildSensitivity(measurements, sensitivityConfig, totalCalcIds) {
+  const sensitivity = analyzeBleedSensitivity(measurements, {
+    variation: sensitivityConfig.variation ?? DEFAULT_CONFIG.sensitivity.variation,
+    totalCalcIds
+  });
+  if (!sensitivity) return null;
+  return { ...sensitivity, show_band: Boolean(sensitivityConfig.show_band) };
+}
+
+/**
+ * Bleed total rolled up per workflow from the breakdown items, plus a
+ * "Not attributed" entry for the part no workflow's calculation covers
+ */
+function buildBleedByWorkflow(breakdown, workflows, total, currency) {
+  const money = (amount) => ({ amount, currency, display: `$${Math.round(amount).toLocaleString()}` });
+  const entry = (workflowId, name) => {
+    const amount = breakdown
+      .filter(item => item.workflow_id === workflowId)
+      .reduce((sum, item) => sum + item.amount.amount, 0);
+    const share = total > 0 ? Math.round((amount / total) * 1000) / 1000 : 0;
+    return { workflow_id: workflowId, name, amount: money(amount), share, share_display: `${Math.round(share * 100)}%` };
+  };
+
+  const entries = workflows.map(w => entry(w.workflow_id, w.name));
+  const unattributed = entry(null, "Not attributed");
+  return unattributed.amount.amount >= 1 ? [...entries, unattributed] : entries;
+}
+
+const PERIOD_LABELS = { day: 'Day', week: 'Week', month: 'Month', quarter: 'Quarter', year: 'Year' };
+
 /**
  * Build bleed section from measurements
+ * (after auditBleedMath, so results and total are recomputed and the period normalized)
  */
-function buildBleed(measurements) {
+function buildBleed(measurements, mathAudit, workflows, projectionConfig = {}, sensitivityConfig = {}) {
   const bleedData = measurements.bleed_total || { value: 0, currency: 'USD', period: 'month' };
   const assumptions = measurements.bleed_assumptions || [];
   const calculations = measurements.bleed_calculations || [];
+  const totalCalcIds = mathAudit.calculations.filter(calc => calc.role === 'total').map(calc => calc.calc_id);
+  const { items: breakdown, itemIdByCalc } = buildBleedBreakdown(measurements, bleedData, workflows, totalCalcIds);
+
+  const currency = bleedData.currency || 'USD';
+  const money = (amount) => ({ amount, currency, display: `$${amount.toLocaleString()}` });
+  const projection = projectBleed(bleedData.value, bleedData.period, {
+    horizonsMonths: projectionConfig.horizons_months
+  });
 
   return {
-    currency: bleedData.currency || 'USD',
-    period: bleedData.period || 'month',
-    period_display: bleedData.period === 'month' ? 'Per Month' : `Per ${bleedData.period}`,
+    currency,
+    period: projection.period,
+    period_display: `Per ${PERIOD_LABELS[projection.period]}`,
+    periods_per_year: projection.periods_per_year,
     total: {
       amount: bleedData.value,
-      currency: bleedData.currency || 'USD',
+      currency,
       display: bleedData.display || `$${bleedData.value.toLocaleString()}`
     },
-    breakdown: [{
-      item_id: "bleed-primary",
-      label: "Primary Bleed",
-      status: "critical",
-      amount: {
-        amount: bleedData.value,
-        currency: bleedData.currency || 'USD',
-        display: bleedData.display || `$${bleedData.value.toLocaleString()}`
-      },
-      driver_measurement_ids: measurements.measurements.filter(m => m.status === 'critical').map(m => m.id)
-    }],
+    normalized: Object.fromEntries(
+      Object.entries(projection.per_period).map(([period, amount]) => [period, money(amount)])
+    ),
+    annual: money(projection.annual),
+    annual_display: money(projection.annual).display,
+    cost_of_waiting: projection.cost_of_waiting.map(({ months, amount }) => ({
+      months,
+      label: `${months} ${months === 1 ? 'month' : 'months'}`,
+      amount: money(amount)
+    })),
+    breakdown,
+    by_workflow: buildBleedByWorkflow(breakdown, workflows, bleedData.value, currency),
     assumptions: assumptions.map(a => ({
       assumption_id: a.id,
       name: a.label,
       value: a.value,
       unit: a.value_display?.replace(String(a.value), '').trim() || '',
       source_or_basis: a.source || 'Client-provided estimate',
-      confidence: 'medium'
+      confidence: 'medium',
+      evidence_ids: evidenceIds(a.evidence)
     })),
     calculations: calculations.map(c => ({
       calc_id: c.id,
@@ -489,54 +916,62 @@ function buildBleed(measurements) {
         amount: c.result,
         currency: 'USD'
       },
-      attribution_breakdown_item_id: "bleed-primary"
+      attribution_breakdown_item_id: attributeCalculation(c, calculations, itemIdByCalc, breakdown[0].item_id)
     })),
+    math_audit: mathAudit,
+    sensitivity: buildSensitivity(measurements, sensitivityConfig, totalCalcIds),
     math_defender_text: "[LLM_PLACEHOLDER: math_defender_text]"
   };
 }
 
 /**
- * Group related measurements into fix categories
- * This consolidates multiple symptoms of the same root problem
+ * Breakdown items a fix recovers: the items of its workflows driven by its
+ * measurements, or the largest item of its workflows when none of them
+ * drive a calculation
  */
-function groupMeasurementsForFixes(measurements) {
-  const groups = {
-    sla_latency: { label: 'SLA/Latency Issues', measurements: [], priority: 1 },
-    automation: { label: 'Manual Process Automation', measurements: [], priority: 2 },
-    visibility: { label: 'Process Visibility', measurements: [], priority: 3 },
-    quality: { label: 'Quality Issues', measurements: [], priority: 4 }
-  };
-
-  measurements.forEach(m => {
-    const name = m.name.toLowerCase();
-    const id = m.id?.toLowerCase() || '';
-
-    // Skip baseline metrics
-    if (isBaselineMetric(m)) return;
-
-    // Categorize by type
-    if (name.includes('sla') || name.includes('delay') || name.includes('time') ||
-        m.metric_type === 'latency') {
-      groups.sla_latency.measurements.push(m);
-    } else if (name.includes('manual') || name.includes('sync') || name.includes('wasted') ||
-               name.includes('systems')) {
-      groups.automation.measurements.push(m);
-    } else if (name.includes('visibility') || name.includes('miss rate') ||
-               m.metric_type === 'error_rate') {
-      groups.visibility.measurements.push(m);
-    } else {
-      groups.quality.measurements.push(m);
-    }
-  });
+function mapFixToBreakdown(relatedIds, breakdown, workflowIds) {
+  const ownItems = breakdown.filter(item => workflowIds.includes(item.workflow_id));
+  const mapped = ownItems
+    .filter(item => item.driver_measurement_ids.some(id => relatedIds.includes(id)))
+    .map(item => item.item_id);
+  if (mapped.length > 0) return mapped;
+
+  const largest = ownItems.reduce((max, item) => (item.amount.amount > max.amount.amount ? item : max), ownItems[0]);
+  return largest ? [largest.item_id] : [];
+}
 
-  return groups;
+/**
+ * What each fix recovers, per bleed period: the amounts of the breakdown
+ * items it maps to, each item split among the fixes that map to it by how
+ * many of the item's drivers they address. A fix can't recover more than its
+ * items, and the fixes together no more than the bleed total.
+ * @returns {number[]} Recovery per fix, in the order of fixItems
+ */
+function allocateRecovery(fixItems, breakdown, totalBleed) {
+  const weightOf = (fix, item) =>
+    Math.max(1, item.driver_measurement_ids.filter(id => fix.related_measurement_ids.includes(id)).length);
+
+  const recoveries = fixItems.map(fix => fix.impact.maps_to_breakdown_item_ids.reduce((sum, itemId) => {
+    const item = breakdown.find(i => i.item_id === itemId);
+    if (!item) return sum;
+    const sharing = fixItems.filter(other => other.impact.maps_to_breakdown_item_ids.includes(itemId));
+    const totalWeight = sharing.reduce((w, other) => w + weightOf(other, item), 0);
+    return sum + item.amount.amount * weightOf(fix, item) / totalWeight;
+  }, 0));
+
+  // Breakdown items only exceed the total when the bleed math was left unreconciled
+  const allocated = recoveries.reduce((sum, r) => sum + r, 0);
+  const scale = allocated > totalBleed ? totalBleed / allocated : 1;
+  return recoveries.map(r => Math.floor(r * scale));
 }
 
 /**
  * Build fixes section from measurements and intake
- * Limits to 3-4 consolidated fixes for one-page report
+ * Limits to 3-4 consolidated fixes for one-page report, ranked by payback.
+ * Measurements are grouped by the fix rules (fix_rules.js); effort and
+ * turnaround come from the effort model (effort_model.js).
  */
-function buildFixes(intake, measurements, maxFixes = 4) {
+function buildFixes(intake, measurements, { breakdown, rateCard, effortModel, fixRules, industry, workflows, systems, maxFixes = 4 }) {
   const criticalMeasurements = measurements.measurements.filter(m =>
     deriveStatus(m) === 'critical' && !isBaselineMetric(m)
   );
@@ -546,7 +981,8 @@ function buildFixes(intake, measurements, maxFixes = 4) {
   const totalBleed = measurements.bleed_total?.value || 0;
 
   // Group measurements into fix categories
-  const groups = groupMeasurementsForFixes(criticalMeasurements);
+  const grouping = groupMeasurements(criticalMeasurements, fixRules, { industry, systems, statusOf: deriveStatus });
+  const groups = grouping.groups;
 
   // Build fix items from groups (only groups with measurements)
   const activeGroups = Object.entries(groups)
@@ -554,60 +990,102 @@ function buildFixes(intake, measurements, maxFixes = 4) {
     .sort((a, b) => a[1].priority - b[1].priority)
     .slice(0, maxFixes);
 
-  // Calculate total weight for proportional distribution
-  const totalWeight = activeGroups.reduce((sum, [_, g]) => sum + g.measurements.length, 0);
+  // A fix removes the manual handoffs of the workflows it covers, counted from each one's own intake
+  const handoffsByWorkflow = new Map(workflows.map(workflow => [
+    workflow.workflow_id,
+    countHandoffs(workflow.intake, measurements.measurements.filter(m => workflowOf(m, workflows) === workflow))
+  ]));
 
   const items = activeGroups.map(([key, group], idx) => {
     const primaryMeasurement = group.measurements[0];
     const relatedIds = group.measurements.map(m => m.id);
-    // Proportional share of total bleed based on measurement weight
-    const impactShare = relatedIds.length / totalWeight;
-    const recoveryAmount = Math.round(totalBleed * impactShare);
+    const workflowIds = workflows
+      .filter(w => group.measurements.some(m => workflowOf(m, workflows) === w))
+      .map(w => w.workflow_id);
+    const { effort, turnaround } = estimateFixEffort({
+      groupKey: group.effort_group,
+      measurements: group.measurements,
+      systems,
+      handoffs: workflowIds.reduce((sum, id) => sum + handoffsByWorkflow.get(id), 0)
+    }, effortModel);
 
     return {
       fix_id: `fix-${idx + 1}`,
+      title: group.label,
+      fix_group: key,
       status: "proposed",
       severity: "critical",
       bleed_period: bleedPeriod,
       problem: `[LLM_PLACEHOLDER: fix_problem for ${group.label}]`,
       solution: `[LLM_PLACEHOLDER: fix_solution for ${group.label}]`,
-      quick_win: idx === 0,
+      quick_win: false,
       impact: {
-        estimated_recovery: {
-          amount: recoveryAmount,
-          currency: "USD",
-          display: `$${recoveryAmount.toLocaleString()}`
-        },
+        estimated_recovery: null,
         basis: "[LLM_PLACEHOLDER: impact_basis]",
-        maps_to_breakdown_item_ids: ["bleed-primary"],
-        tier: impactShare > 0.3 ? "high" : "medium"
-      },
-      effort: {
-        tier: idx === 0 ? "low" : (relatedIds.length > 2 ? "high" : "medium"),
-        estimated_hours_range: {
-          min_hours: idx === 0 ? 8 : (relatedIds.length > 2 ? 24 : 16),
-          most_likely_hours: idx === 0 ? 16 : (relatedIds.length > 2 ? 40 : 24),
-          max_hours: idx === 0 ? 24 : (relatedIds.length > 2 ? 60 : 40)
-        },
-        skills_required: ["automation", "API"]
-      },
-      turnaround: {
-        label: idx === 0 ? "7-14 Days" : (relatedIds.length > 2 ? "30-45 Days" : "14-21 Days"),
-        business_days_min: idx === 0 ? 7 : (relatedIds.length > 2 ? 30 : 14),
-        business_days_max: idx === 0 ? 14 : (relatedIds.length > 2 ? 45 : 21)
+        maps_to_breakdown_item_ids: mapFixToBreakdown(relatedIds, breakdown, workflowIds),
+        tier: null
       },
+      effort,
+      turnaround,
       dependencies: [],
       acceptance_criteria: ["[LLM_PLACEHOLDER: acceptance_criteria]"],
-      related_measurement_ids: relatedIds
+      related_measurement_ids: relatedIds,
+      workflow_ids: workflowIds,
+      integration_gap_ids: [],
+      grouping: group.grouping
     };
   });
 
+  const recoveries = allocateRecovery(items, breakdown, totalBleed);
+  items.forEach((fix, idx) => {
+    const recoveryAmount = recoveries[idx];
+    fix.impact.estimated_recovery = {
+      amount: recoveryAmount,
+      currency: "USD",
+      display: `$${recoveryAmount.toLocaleString()}`
+    };
+    fix.impact.tier = totalBleed > 0 && recoveryAmount / totalBleed > 0.3 ? "high" : "medium";
+    fix.roi = calculateFixRoi(fix, { rateCard, bleedPeriod });
+  });
+  const { items: ranked, quick_win_fix_id } = rankFixesByPayback(items);
+
   return {
-    quick_win_fix_id: items[0]?.fix_id || null,
-    items
+    quick_win_fix_id,
+    ranked_by: "payback",
+    grouping_rules: {
+      version: grouping.version,
+      industry: grouping.industry
+    },
+    items: ranked
   };
 }
 
+/**
+ * Link integration gaps to the fixes that cover them: fixes addressing a
+ * measurement of the handoff's steps, otherwise fixes in the same workflow
+ * whose measurements name one of the two systems
+ */
+function linkIntegrationGaps(gaps, fixItems, auditWorkflows, measurements, systems) {
+  gaps.forEach(gap => {
+    const steps = auditWorkflows.find(w => w.workflow_id === gap.workflow_id)?.steps || [];
+    const measurementIds = steps
+      .filter(step => gap.step_ids.includes(step.step_id))
+      .flatMap(step => step.measurement_ids);
+    const gapSystems = systems.filter(system => [gap.from_system, gap.to_system].includes(system.system_name));
+
+    let covering = fixItems.filter(fix => fix.related_measurement_ids.some(id => measurementIds.includes(id)));
+    if (covering.length === 0) {
+      covering = fixItems.filter(fix =>
+        fix.workflow_ids.includes(gap.workflow_id) &&
+        mentionedSystems(measurements.filter(m => fix.related_measurement_ids.includes(m.id)), gapSystems).length > 0
+      );
+    }
+
+    gap.fix_ids = covering.map(fix => fix.fix_id);
+    covering.forEach(fix => fix.integration_gap_ids.push(gap.gap_id));
+  });
+}
+
 /**
  * Build CTA section
  */
@@ -635,13 +1113,32 @@ function buildCTA(config) {
  * @param {Object} userConfig - Optional configuration overrides
  * @returns {Object} The report JSON (with LLM placeholders for narrative fields)
  */
-export function transform(intake, measurements, userConfig = {}) {
+export function transform(intake, extractedMeasurements, userConfig = {}) {
   const config = { ...DEFAULT_CONFIG, ...userConfig };
   const now = new Date().toISOString();
-  const workflowName = intake.section_a_workflow_definition?.q01_workflow_name || "Unnamed Workflow";
+
+  // Recompute the extracted bleed math before any of it reaches the report
+  const { measurements: checkedMeasurements, audit: bleedMathAudit } = auditBleedMath(extractedMeasurements, config.bleed_math);
+
+  // The industry profile selects benchmarks and fix categories
+  const industryProfile = resolveIndustryProfile(intake, config.industry_profiles || loadIndustryProfiles(), {
+    industry: config.industry
+  });
+
+  // Benchmarks fill targets and thresholds the extraction left out
+  const { measurements: benchmarkedMeasurements, benchmarks, sources } = applyBenchmarks(
+    checkedMeasurements.measurements,
+    config.benchmarks || loadBenchmarks(),
+    { industry: industryProfile.key }
+  );
+  const measurements = { ...checkedMeasurements, measurements: benchmarkedMeasurements };
+  const workflows = listWorkflows(intake);
+  const multiWorkflow = workflows.length > 1;
+  const systemCatalog = config.system_catalog || loadSystemCatalog();
+  const systems = buildSystemsInvolved(intake, systemCatalog);
 
   // Build scorecard rows first so we can count statuses from filtered results
-  const scorecardRows = buildScorecardRows(measurements);
+  const scorecardRows = buildWorkflowScorecardRows(workflows, measurements, benchmarks);
 
   // Count statuses from the filtered scorecard rows (what's actually shown)
   const statusCounts = { critical: 0, warning: 0, healthy: 0 };
@@ -649,6 +1146,76 @@ export function transform(intake, measurements, userConfig = {}) {
     statusCounts[row.status]++;
   });
 
+  // Bleed before fixes: fixes map to the breakdown items they recover
+  const bleed = buildBleed(measurements, bleedMathAudit, workflows, config.projections, config.sensitivity);
+  const fixes = buildFixes(intake, measurements, {
+    breakdown: bleed.breakdown,
+    rateCard: config.rate_card,
+    effortModel: config.effort_model || loadEffortModel(),
+    fixRules: config.fix_rules || loadFixRules(),
+    industry: industryProfile.key,
+    workflows,
+    systems
+  });
+  const cta = buildCTA(config);
+
+  // Roadmap fills in fix dependencies and schedules fixes into the CTA phases
+  const roadmap = {
+    ...buildRoadmap(fixes.items, measurements.measurements, cta.phases),
+    render: Boolean(config.roadmap?.render)
+  };
+
+  // A quick win can't wait on another fix: fastest payback among fixes that can start now
+  const quickWin = fixes.items.find(fix => fix.dependencies.length === 0 && fix.roi.payback_weeks !== null);
+  if (quickWin && quickWin.fix_id !== fixes.quick_win_fix_id) {
+    fixes.items.forEach(fix => { fix.quick_win = fix === quickWin; });
+    fixes.quick_win_fix_id = quickWin.fix_id;
+  }
+
+  // Per-workflow detail: steps, measurements and process map
+  const auditWorkflows = workflows.map((workflow, idx) => {
+    const own = measurements.measurements.filter(m => workflowOf(m, workflows) === workflow);
+    const { amount, share, share_display } = bleed.by_workflow.find(b => b.workflow_id === workflow.workflow_id);
+    const statusDistribution = { critical: 0, warning: 0, healthy: 0 };
+    own.filter(m => !isBaselineMetric(m)).forEach(m => { statusDistribution[deriveStatus(m)]++; });
+    const { steps, source } = buildWorkflowSteps(workflow.intake, own);
+
+    const entry = {
+      workflow_id: workflow.workflow_id,
+      workflow_key: workflow.key,
+      is_primary: idx === 0,
+      name: workflow.name,
+      trigger: workflow.intake.section_a_workflow_definition?.q02_trigger_event || "Unknown trigger",
+      objective: workflow.intake.section_a_workflow_definition?.q03_business_objective || "Unknown objective",
+      primary_kpi: `${own[0]?.name || 'Primary metric'} target`,
+      bleed: { amount, share, share_display },
+      status_distribution: statusDistribution,
+      steps_source: source,
+      steps,
+      measurements: buildWorkflowMeasurements({ measurements: own })
+    };
+    entry.process_map = {
+      svg: renderProcessMap(entry),
+      bottleneck_step_ids: steps.filter(step => step.is_bottleneck).map(step => step.step_id)
+    };
+    return entry;
+  });
+
+  // Manual handoffs between systems, and the fixes that cover them
+  const integrationGaps = analyzeIntegrationGaps(
+    workflows.map((workflow, idx) => ({
+      workflow_id: workflow.workflow_id,
+      steps: auditWorkflows[idx].steps,
+      transfers_text: workflow.intake.section_c_systems_handoffs?.q11_manual_data_transfers
+    })),
+    systems,
+    systemCatalog
+  );
+  linkIntegrationGaps(integrationGaps, fixes.items, auditWorkflows, measurements.measurements, systems);
+  auditWorkflows.forEach(workflow => {
+    workflow.integration_gaps = integrationGaps.filter(gap => gap.workflow_id === workflow.workflow_id);
+  });
+
   return {
     schema_version: "1.0.0",
     document: {
@@ -656,7 +1223,7 @@ export function transform(intake, measurements, userConfig = {}) {
       created_at: now,
       report_date: formatDateDisplay(now),
       report_year: getYear(now),
-      title: `AI Process Audit: ${workflowName}`,
+      title: `AI Process Audit: ${joinWorkflowNames(workflows)}`,
       subtitle: "",
       confidentiality: "confidential",
       locale: "en-US",
@@ -666,7 +1233,7 @@ export function transform(intake, measurements, userConfig = {}) {
     prepared_for: {
       account_id: intake.prepared_for?.account_id || "unknown",
       account_name: intake.prepared_for?.account_name || "Unknown Client",
-      industry: "Unknown",
+      industry: industryProfile.label,
       primary_contact: {
         name: "Unknown",
         title: "Unknown",
@@ -689,7 +1256,7 @@ export function transform(intake, measurements, userConfig = {}) {
         scope_statement: "[LLM_PLACEHOLDER: scope_statement]",
         in_scope: ["[LLM_PLACEHOLDER: scope_items]"],
         out_of_scope: ["[LLM_PLACEHOLDER: out_of_scope]"],
-        systems_involved: buildSystemsInvolved(intake),
+        systems_involved: systems,
         time_window: {
           start: new Date(Date.now() - 30*24*60*60*1000).toISOString(),
           end: now,
@@ -702,26 +1269,14 @@ export function transform(intake, measurements, userConfig = {}) {
           details: "30-minute intake call",
           sample_size: 1
         }],
-        data_sources: [{
-          source_id: "src-intake-call",
-          source_type: "interview",
-          source_label: `Intake interview (${formatDateDisplay(now)})`
-        }],
+        data_sources: buildDataSources(config.evidence_bundle, now),
         limitations: ["[LLM_PLACEHOLDER: limitations]"],
         confidence: {
           rating: "medium",
           rationale: "Client-provided estimates without system log validation"
         }
       },
-      workflows: [{
-        workflow_id: `wf-${randomUUID().slice(0, 8)}`,
-        name: workflowName,
-        trigger: intake.section_a_workflow_definition?.q02_trigger_event || "Unknown trigger",
-        objective: intake.section_a_workflow_definition?.q03_business_objective || "Unknown objective",
-        primary_kpi: `${measurements.measurements[0]?.name || 'Primary metric'} target`,
-        steps: buildWorkflowSteps(intake),
-        measurements: buildWorkflowMeasurements(measurements)
-      }]
+      workflows: auditWorkflows
     },
     scorecard: {
       executive_summary: {
@@ -733,20 +1288,34 @@ export function transform(intake, measurements, userConfig = {}) {
         status_distribution: statusCounts
       }
     },
-    bleed: buildBleed(measurements),
-    fixes: buildFixes(intake, measurements),
-    cta: buildCTA(config),
-    benchmarks: [],
-    sources: [],
+    bleed,
+    fixes,
+    roadmap,
+    integration_gaps: {
+      catalog_version: systemCatalog.version,
+      automatable_count: integrationGaps.filter(gap => gap.automatable).length,
+      items: integrationGaps
+    },
+    cta,
+    benchmarks,
+    sources,
+    industry_profile: industryProfile,
+    ...(config.evidence_bundle ? { evidence_bundle: config.evidence_bundle } : {}),
+    evidence_conflicts: buildEvidenceConflicts(extractedMeasurements.evidence_conflicts),
     rendering: {
       mode: config.rendering.mode,
       is_conversion_mode: config.rendering.mode === "conversion",
+      // Several workflows don't fit one page: page 2 has the per-workflow detail
+      multi_workflow: multiWorkflow,
+      two_page: multiWorkflow || config.rendering.max_pages >= 2,
+      process_map: Boolean(config.process_map?.render),
+      integration_gaps: Boolean(config.integration_gaps?.render) && integrationGaps.length > 0,
       page: {
         size: config.rendering.page_size,
         margins_in: config.rendering.margins
       },
       layout_guards: {
-        max_pages: config.rendering.max_pages
+        max_pages: multiWorkflow ? Math.max(config.rendering.max_pages, 2) : config.rendering.max_pages
       }
     },
     offer: config.offer
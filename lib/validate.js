@@ -2,7 +2,8 @@
  * validate.js - JSON Schema validation layer using AJV
  *
  * Validates report JSON against the big_json_schema.json schema.
- * Also provides custom validation for business rules not expressible in JSON Schema.
+ * Also provides custom validation for business rules not expressible in JSON Schema,
+ * including numeric grounding of the LLM narrative (see numeric_grounding.js).
  *
  * Usage:
  *   import { validateReport, validateIntake, validateMeasurements } from './lib/validate.js';
@@ -15,6 +16,7 @@ import addFormats from 'ajv-formats';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { findUngroundedNumbers } from './numeric_grounding.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
@@ -63,7 +65,8 @@ function getIntakeSchema() {
           "required": ["account_name"],
           "properties": {
             "account_id": { "type": "string" },
-            "account_name": { "type": "string" }
+            "account_name": { "type": "string" },
+            "industry": { "type": ["string", "null"] }
           }
         },
         "section_a_workflow_definition": {
@@ -116,6 +119,50 @@ function getIntakeSchema() {
             "evidence_uris": { "type": "array", "items": { "type": "string" } },
             "notes": { "type": "string" }
           }
+        },
+        "workflow_steps": { "$ref": "#/$defs/workflow_steps" },
+        "additional_workflows": {
+          "type": "array",
+          "items": {
+            "type": "object",
+            "required": ["section_a_workflow_definition"],
+            "properties": {
+              "workflow_key": { "type": "string" },
+              "section_a_workflow_definition": {
+                "type": "object",
+                "required": ["q01_workflow_name"],
+                "properties": {
+                  "q01_workflow_name": { "type": "string", "minLength": 1 }
+                }
+              },
+              "workflow_steps": { "$ref": "#/$defs/workflow_steps" }
+            }
+          }
+        }
+      },
+      "$defs": {
+        "workflow_steps": {
+          "type": "array",
+          "items": {
+            "type": "object",
+            "required": ["name"],
+            "properties": {
+              "sequence": { "type": "integer" },
+              "name": { "type": "string", "minLength": 1 },
+              "owner_type": { "type": "string", "enum": ["human", "automation", "hybrid"] },
+              "owner": { "type": ["string", "null"] },
+              "system": { "type": ["string", "null"] },
+              "handoff": { "type": "boolean" },
+              "wait_time": {
+                "type": ["object", "null"],
+                "properties": {
+                  "value": { "type": "number" },
+                  "unit": { "type": "string" }
+                }
+              },
+              "measurement_ids": { "type": "array", "items": { "type": "string" } }
+            }
+          }
         }
       }
     };
@@ -165,7 +212,10 @@ function getMeasurementsSchema() {
                 "type": "object",
                 "properties": {
                   "type": { "type": "string" },
-                  "summary": { "type": "string" }
+                  "quote": { "type": "string" },
+                  "summary": { "type": "string" },
+                  "evidence_id": { "type": "string" },
+                  "source_id": { "type": "string" }
                 }
               }
             }
@@ -174,6 +224,19 @@ function getMeasurementsSchema() {
       },
       "bleed_assumptions": { "type": "array" },
       "bleed_calculations": { "type": "array" },
+      "evidence_conflicts": {
+        "type": "array",
+        "items": {
+          "type": "object",
+          "required": ["conflict_id", "field_path", "values"],
+          "properties": {
+            "conflict_id": { "type": "string" },
+            "field_path": { "type": "string" },
+            "values": { "type": "array", "minItems": 2 },
+            "resolution": { "type": ["object", "null"] }
+          }
+        }
+      },
       "bleed_total": {
         "type": "object",
         "required": ["value"],
@@ -254,6 +317,87 @@ function validateBusinessRules(reportJson) {
     });
   }
 
+  // Rule 6: Bleed math must recompute (bleed_math.js) - mismatches are only left in 'flag' mode
+  const mathAudit = reportJson.bleed?.math_audit;
+  mathAudit?.calculations?.forEach((calc, idx) => {
+    if (calc.status === 'mismatch') {
+      errors.push({
+        rule: 'bleed_math_mismatch',
+        message: `${calc.label || calc.calc_id} = ${calc.extracted_result}, but ${calc.expression} = ${calc.computed_result}`,
+        path: `bleed.calculations[${idx}].result_amount`,
+        severity: 'error'
+      });
+    } else if (calc.status === 'unverifiable') {
+      errors.push({
+        rule: 'bleed_math_unverifiable',
+        message: `Could not recompute ${calc.label || calc.calc_id}: ${calc.reason}`,
+        path: `bleed.calculations[${idx}].formula`,
+        severity: 'warning'
+      });
+    }
+  });
+  if (mathAudit?.total?.status === 'mismatch') {
+    errors.push({
+      rule: 'bleed_math_mismatch',
+      message: `Bleed total ${mathAudit.total.extracted} does not match the sum of its calculations (${mathAudit.total.computed})${mathAudit.total.reason ? `: ${mathAudit.total.reason}` : ''}`,
+      path: 'bleed.total.amount',
+      severity: 'error'
+    });
+  }
+
+  // Rule 7: Every figure in the narrative must come from the measurements or bleed data
+  findUngroundedNumbers(reportJson).forEach(number => {
+    errors.push({
+      rule: 'ungrounded_number',
+      message: `"${number.raw}" does not match any measurement, assumption, calculation or bleed total`,
+      path: number.path,
+      severity: 'error'
+    });
+  });
+
+  // Rule 8: Evidence links must resolve to bundle records, and cited quotes must be in the input
+  const bundle = reportJson.evidence_bundle;
+  if (bundle) {
+    const records = new Map(bundle.evidence_records.map(record => [record.evidence_id, record]));
+    const links = [
+      ...(reportJson.audit?.workflows || []).flatMap((workflow, w) => (workflow.measurements || []).flatMap((m, i) =>
+        (m.evidence || []).map((e, j) => ({ id: e.evidence_id, path: `audit.workflows[${w}].measurements[${i}].evidence[${j}]` })))),
+      ...(reportJson.bleed?.assumptions || []).flatMap((a, i) =>
+        (a.evidence_ids || []).map((id, j) => ({ id, path: `bleed.assumptions[${i}].evidence_ids[${j}]` }))),
+      ...(reportJson.scorecard?.rows || []).flatMap((row, i) =>
+        (row.finding?.evidence_ids || []).map((id, j) => ({ id, path: `scorecard.rows[${i}].finding.evidence_ids[${j}]` })))
+    ];
+    links.filter(link => !records.has(link.id)).forEach(link => {
+      errors.push({
+        rule: 'evidence_unresolved',
+        message: `Evidence ${link.id} is not in evidence bundle ${bundle.bundle_id}`,
+        path: link.path,
+        severity: 'error'
+      });
+    });
+    bundle.evidence_records.forEach((record, idx) => {
+      if (record.match === 'not_found') {
+        errors.push({
+          rule: 'evidence_not_in_source',
+          message: `Quote "${record.extracted_text}" (${record.linked_to.map(link => link.id).join(', ')}) was not found in ${record.original_ref || record.source_id}`,
+          path: `evidence_bundle.evidence_records[${idx}]`,
+          severity: 'warning'
+        });
+      }
+    });
+  }
+
+  // Rule 9: Values the sources disagree on need a person's decision before delivery
+  (reportJson.evidence_conflicts || []).forEach((conflict, idx) => {
+    if (conflict.resolution) return;
+    errors.push({
+      rule: 'evidence_conflict',
+      message: `Sources disagree on ${conflict.label}: ${conflict.values.map(v => `${v.value_display} (${v.source_id})`).join(' vs ')} - resolve with: node cli.js resolve <run-dir> --conflict ${conflict.conflict_id}`,
+      path: `evidence_conflicts[${idx}]`,
+      severity: 'warning'
+    });
+  });
+
   return errors;
 }
 
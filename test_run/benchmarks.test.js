@@ -0,0 +1,86 @@
+/**
+ * benchmarks.test.js - Benchmark targets, thresholds and citations
+ *
+ * Usage:
+ *   node --test test_run/benchmarks.test.js
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { loadBenchmarks, formatBenchmarkTarget, findBenchmark, applyBenchmarks } from '../lib/benchmarks.js';
+import { transform } from '../lib/transform.js';
+import { loadExtractionScripts } from './replay.js';
+
+const dataset = loadBenchmarks();
+
+const inquiry = { id: 'm_inquiry', name: 'Inquiry Response Time', metric_type: 'latency', unit: 'minutes', value: 180, value_display: '3h', threshold: {} };
+const denials = { id: 'm_denials', name: 'Claim Denial Error Rate', metric_type: 'error_rate', unit: 'percent', value: 0.08, value_display: '8%' };
+
+test('targets display as a bound in the benchmark unit', () => {
+  assert.equal(formatBenchmarkTarget({ kind: 'duration', direction: 'lower_is_better', target: 0.25 }), '< 15m');
+  assert.equal(formatBenchmarkTarget({ kind: 'duration', direction: 'lower_is_better', target: 336 }), '< 14d');
+  assert.equal(formatBenchmarkTarget({ kind: 'percent', direction: 'higher_is_better', target: 95 }), '> 95%');
+});
+
+test("the audit's industry wins over the default benchmark", () => {
+  assert.equal(findBenchmark(inquiry, dataset).benchmark_id, 'bm-lead-response');
+  assert.equal(findBenchmark(inquiry, dataset, 'healthcare').benchmark_id, 'bm-healthcare-intake-response');
+  assert.equal(findBenchmark(inquiry, dataset, 'legal').benchmark_id, 'bm-legal-intake-response');
+});
+
+test('a benchmark only applies to a measurement of the same kind', () => {
+  assert.equal(findBenchmark({ ...inquiry, unit: 'count' }, dataset), null);
+  assert.equal(findBenchmark({ ...denials, metric_type: 'latency', unit: 'hours' }, dataset, 'healthcare'), null);
+});
+
+test('missing targets and thresholds are filled in the measurement unit', () => {
+  const { measurements: [time, rate] } = applyBenchmarks([inquiry, denials], dataset, { industry: 'healthcare' });
+
+  // 4h / 24h in minutes
+  assert.deepEqual(time.threshold, { target: 240, target_display: '< 4h', healthy_max: 240, warning_max: 1440, direction: 'lower_is_better' });
+  assert.deepEqual(time.benchmark, { benchmark_id: 'bm-healthcare-intake-response', applied: ['target', 'threshold'] });
+  // 8% stored as 0.08, so 1% / 3% become fractions too
+  assert.deepEqual([rate.threshold.target, rate.threshold.healthy_max, rate.threshold.warning_max], [0.01, 0.01, 0.03]);
+  assert.equal(inquiry.threshold.target, undefined, 'input is not mutated');
+});
+
+test("a client's own target is kept", () => {
+  const own = { ...inquiry, threshold: { target: 120, target_display: '< 2h' } };
+  const { measurements: [time] } = applyBenchmarks([own], dataset, { industry: 'healthcare' });
+
+  assert.deepEqual([time.threshold.target, time.threshold.target_display], [120, '< 2h']);
+  assert.deepEqual(time.benchmark.applied, ['threshold']);
+});
+
+test('matched benchmarks and their sources become benchmarks[] and sources[]', () => {
+  const { benchmarks, sources } = applyBenchmarks([inquiry, { ...inquiry, id: 'm_callback', name: 'Callback Time' }], dataset);
+
+  assert.equal(benchmarks.length, 1);
+  assert.deepEqual(benchmarks[0].measurements.map(m => m.measurement_id), ['m_inquiry', 'm_callback']);
+  assert.deepEqual([benchmarks[0].value, benchmarks[0].source, benchmarks[0].dataset_version], ['< 1h', 'HBR 2011', dataset.version]);
+  assert.deepEqual(sources.map(s => s.source_id), ['src-hbr-lead-response']);
+  assert.match(sources[0].url, /^https:\/\/hbr\.org\//);
+});
+
+test('a scorecard row judged by a benchmark cites it', () => {
+  const { intake, measurements_data: measurements } = structuredClone(loadExtractionScripts()
+    .find(script => script.input === 'samples/healthcare_intake.txt').response);
+  const scheduling = measurements.measurements.find(m => m.id === 'm_call_to_appointment_time');
+  Object.assign(scheduling, { value: 96, value_display: '96h', threshold: {} });
+  delete scheduling.status;
+
+  const { scorecard } = transform(intake, measurements, {});
+  const row = scorecard.rows.find(r => r.row_id === 'row-m_call_to_appointment_time');
+
+  // 96h against < 1d healthy / 3d warning
+  assert.equal(row.status, 'critical');
+  assert.deepEqual(row.metrics[1], { label: 'Benchmark', value_display: '< 1d', is_benchmark: true });
+  assert.equal(row.finding.benchmark_reference_id, 'bm-scheduling-delay');
+  assert.equal(row.finding.meta, 'Benchmark: Time to schedule a call or appointment < 1d (Wranngle practice target)');
+  // Rows whose extracted thresholds were kept cite nothing
+  assert.equal(scorecard.rows.find(r => r.row_id === 'row-m_intake_sla_miss_rate').finding.benchmark_reference_id, null);
+});
+
+test('a missing dataset names the path', () => {
+  assert.throws(() => loadBenchmarks('/nonexistent/benchmarks.json'), /Could not load benchmarks \/nonexistent\/benchmarks\.json/);
+});
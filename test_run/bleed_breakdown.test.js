@@ -0,0 +1,67 @@
+/**
+ * bleed_breakdown.test.js - Bleed breakdown items and the fixes mapped to them
+ *
+ * Usage:
+ *   node --test test_run/bleed_breakdown.test.js
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { transform } from '../lib/transform.js';
+import { loadExtractionScripts } from './replay.js';
+
+const scriptFor = (sample) => loadExtractionScripts().find(script => script.input === `samples/${sample}.txt`).response;
+
+test('each calculation feeding the total becomes one breakdown item', () => {
+  const { intake, measurements_data: measurements } = scriptFor('legal_contract_review');
+  const { bleed } = transform(intake, measurements, {});
+
+  assert.deepEqual(bleed.breakdown.map(item => [item.label, item.amount.amount]), [
+    ['Monthly Partner Time on Delays', 76500],
+    ['Labor Waste', 12000],
+    ['Lost Revenue', 12000]
+  ]);
+  assert.equal(bleed.breakdown.reduce((sum, item) => sum + item.amount.amount, 0), bleed.total.amount);
+  assert.deepEqual(bleed.breakdown.find(item => item.label === 'Labor Waste').driver_measurement_ids, ['m_billing_leakage']);
+});
+
+test('a total the calculations do not cover gets an "Other" item', () => {
+  const { intake, measurements_data: measurements } = scriptFor('stress_test_mixed_messy');
+  const flagged = structuredClone(measurements);
+  flagged.bleed_total = { ...flagged.bleed_total, value: 25000, display: '$25,000/mo' };
+
+  const { bleed } = transform(intake, flagged, { bleed_math: { mode: 'flag' } });
+  const other = bleed.breakdown.find(item => item.label === 'Other');
+
+  assert.equal(other.amount.amount, 25000 - 19700);
+  assert.equal(other.workflow_id, bleed.breakdown[0].workflow_id);
+});
+
+test('without calculations the whole total is one item driven by the critical measurements', () => {
+  const { intake, measurements_data: measurements } = scriptFor('stress_test_minimal_edge');
+  const bare = { ...structuredClone(measurements), bleed_calculations: [] };
+
+  const { bleed } = transform(intake, bare, {});
+
+  assert.equal(bleed.breakdown.length, 1);
+  assert.deepEqual([bleed.breakdown[0].label, bleed.breakdown[0].amount.amount], ['Primary Bleed', 5000]);
+  assert.deepEqual(bleed.breakdown[0].driver_measurement_ids, ['m_processing_time', 'm_error_rate']);
+});
+
+test('fixes sharing a breakdown item split it instead of each claiming all of it', () => {
+  const { intake, measurements_data: measurements } = scriptFor('legal_contract_review');
+  const { bleed, fixes } = transform(intake, measurements, {});
+  const itemIds = bleed.breakdown.map(item => item.item_id);
+
+  fixes.items.forEach(fix => {
+    assert.ok(fix.impact.maps_to_breakdown_item_ids.length > 0, `${fix.fix_id} maps to an item`);
+    fix.impact.maps_to_breakdown_item_ids.forEach(id => assert.ok(itemIds.includes(id)));
+  });
+
+  // Two fixes address the delay item's drivers: each recovers a share, together no more than the item
+  const delays = bleed.breakdown[0];
+  const sharing = fixes.items.filter(fix => fix.impact.maps_to_breakdown_item_ids.includes(delays.item_id));
+  assert.equal(sharing.length, 2);
+  sharing.forEach(fix => assert.ok(fix.impact.estimated_recovery.amount < delays.amount.amount));
+  assert.ok(sharing.reduce((sum, fix) => sum + fix.impact.estimated_recovery.amount, 0) <= delays.amount.amount);
+});
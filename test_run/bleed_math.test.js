@@ -0,0 +1,121 @@
+/**
+ * bleed_math.test.js - Bleed formula evaluation and total reconciliation
+ *
+ * Usage:
+ *   node --test test_run/bleed_math.test.js
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { evaluateFormula, calculationRole, auditBleedMath } from '../lib/bleed_math.js';
+
+// 40 missed leads × ($500 deal × 20% close) = $4,000/mo, with the cost per lead as an intermediate
+const leads = () => ({
+  bleed_assumptions: [
+    { id: 'a_leads', label: 'Missed Leads per Month', value: 40, value_display: '40' },
+    { id: 'a_value', label: 'Average Deal Value', value: 500, value_display: '$500' },
+    { id: 'a_close', label: 'Close Rate', value: 0.2, value_display: '20%' }
+  ],
+  bleed_calculations: [
+    { id: 'c_cost', label: 'Cost per Missed Lead', formula: 'Average Deal Value × Close Rate', inputs: ['a_value', 'a_close'], result: 100, result_display: '$100' },
+    { id: 'c_lost', label: 'Lost Revenue', formula: 'Missed Leads per Month × Cost per Missed Lead', inputs: ['a_leads', 'c_cost'], result: 4000, result_display: '$4,000' }
+  ],
+  bleed_total: { value: 4000, period: 'monthly', display: '$4,000/mo' }
+});
+
+test('formulas resolve labels, literals, division and parentheses', () => {
+  const assumptions = leads().bleed_assumptions;
+
+  assert.equal(evaluateFormula('Missed Leads per Month × Average Deal Value × Close Rate', assumptions).value, 4000);
+  assert.equal(evaluateFormula('(Average Deal Value + $100) × 3 ÷ 12', assumptions).value, 150);
+  assert.throws(() => evaluateFormula('Average Deal Value × Churn Rate', assumptions), /cannot resolve "Churn Rate"/);
+});
+
+test('an intermediate calculation is recomputed but left out of the total', () => {
+  const { audit, measurements } = auditBleedMath(leads());
+
+  assert.deepEqual(audit.calculations.map(c => [c.calc_id, c.role, c.status]), [
+    ['c_cost', 'intermediate', 'verified'],
+    ['c_lost', 'total', 'verified']
+  ]);
+  assert.deepEqual([audit.total.computed, audit.total.status, audit.status], [4000, 'verified', 'verified']);
+  assert.equal(measurements.bleed_total.period, 'month');
+});
+
+test('a wrong result is corrected and the total follows it', () => {
+  const input = leads();
+  input.bleed_calculations[1].result = 5000;
+  input.bleed_total = { value: 5000, period: 'month', display: '$5,000/mo' };
+
+  const { audit, measurements } = auditBleedMath(input);
+
+  assert.equal(audit.calculations[1].status, 'corrected');
+  assert.equal(measurements.bleed_calculations[1].result, 4000);
+  assert.deepEqual([audit.total.status, measurements.bleed_total.value, measurements.bleed_total.display], ['corrected', 4000, '$4,000/mo']);
+  assert.equal(input.bleed_total.value, 5000, 'input is not mutated');
+});
+
+test('a calculation using a corrected one is checked the same in either extraction order', () => {
+  // The cost per lead is wrong ($120); the lost revenue was computed from it (40 × $120)
+  const input = leads();
+  input.bleed_calculations[0].result = 120;
+  input.bleed_calculations[1].result = 4800;
+  input.bleed_total.value = 4800;
+  const reversed = { ...structuredClone(input), bleed_calculations: structuredClone(input.bleed_calculations).reverse() };
+
+  [input, reversed].forEach(measurements => {
+    const { audit } = auditBleedMath(measurements);
+    const byId = Object.fromEntries(audit.calculations.map(c => [c.calc_id, [c.status, c.computed_result]]));
+
+    assert.deepEqual(byId, { c_cost: ['corrected', 100], c_lost: ['corrected', 4000] });
+    assert.deepEqual([audit.total.computed, audit.total.status], [4000, 'corrected']);
+  });
+  ['flag', 'correct'].forEach(mode => {
+    const statuses = (measurements) => auditBleedMath(measurements, { mode }).audit.calculations
+      .map(c => [c.calc_id, c.status])
+      .sort(([a], [b]) => a.localeCompare(b));
+    assert.deepEqual(statuses(input), statuses(reversed));
+  });
+});
+
+test('flag mode marks the mismatch and keeps the extracted figures', () => {
+  const input = leads();
+  input.bleed_total.value = 4500;
+
+  const { audit, measurements } = auditBleedMath(input, { mode: 'flag' });
+
+  assert.deepEqual([audit.total.computed, audit.total.status, audit.status], [4000, 'mismatch', 'mismatch']);
+  assert.equal(measurements.bleed_total.value, 4500);
+  assert.throws(() => auditBleedMath(input, { mode: 'fix' }), /Unknown bleed math mode: fix/);
+});
+
+test('feeds_total decides the role over the result display', () => {
+  const [cost] = leads().bleed_calculations;
+
+  assert.equal(calculationRole({ ...cost, feeds_total: true }), 'total');
+  assert.equal(calculationRole({ ...cost, feeds_total: false, result_display: '$100' }), 'intermediate');
+  assert.equal(calculationRole({ ...cost, result_display: undefined }), 'unknown');
+});
+
+test('an unclassified calculation that makes the total add up is counted in it', () => {
+  const input = leads();
+  input.bleed_calculations.push({ id: 'c_rework', label: 'Rework', formula: 'Missed Leads per Month × Average Deal Value', inputs: ['a_leads', 'a_value'], result: 20000 });
+  input.bleed_total.value = 24000;
+
+  const { audit } = auditBleedMath(input);
+
+  assert.equal(audit.calculations[2].role, 'total');
+  assert.deepEqual([audit.total.computed, audit.total.status], [24000, 'verified']);
+});
+
+test('an ambiguous total is flagged with a reason, never rewritten', () => {
+  const input = leads();
+  input.bleed_calculations.push({ id: 'c_rework', label: 'Rework', formula: 'Missed Leads per Month × Average Deal Value', inputs: ['a_leads', 'a_value'], result: 20000 });
+  input.bleed_total.value = 9000;
+
+  const { audit, measurements } = auditBleedMath(input);
+
+  assert.equal(audit.total.status, 'mismatch');
+  assert.equal(audit.total.reason, "can't tell whether Rework feeds the total (no result_display or feeds_total)");
+  assert.equal(measurements.bleed_total.value, 9000);
+});
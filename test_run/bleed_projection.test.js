@@ -0,0 +1,55 @@
+/**
+ * bleed_projection.test.js - Bleed periods, annual rate and cost of waiting
+ *
+ * Usage:
+ *   node --test test_run/bleed_projection.test.js
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizePeriod, convertBleed, projectBleed } from '../lib/bleed_math.js';
+import { transform } from '../lib/transform.js';
+import { loadExtractionScripts } from './replay.js';
+
+test('extracted periods normalize to day, week, month, quarter or year', () => {
+  assert.deepEqual(
+    ['daily', 'per week', '/yr', 'Quarterly', 'months', 'annually', 'fortnight', null].map(normalizePeriod),
+    ['day', 'week', 'year', 'quarter', 'month', 'year', 'month', 'month']
+  );
+});
+
+test('amounts convert through their annual rate', () => {
+  assert.equal(convertBleed(1000, 'week', 'year'), 52000);
+  assert.equal(convertBleed(12000, 'year', 'month'), 1000);
+  assert.equal(convertBleed(3000, 'quarter', 'month'), 1000);
+});
+
+test('a weekly bleed projects to every period and the cost of waiting', () => {
+  const projection = projectBleed(2500, 'weekly');
+
+  assert.equal(projection.period, 'week');
+  assert.deepEqual(projection.per_period, { week: 2500, month: 10833, quarter: 32500, year: 130000 });
+  assert.equal(projection.annual, 130000);
+  // $130,000 / 12 = $10,833.33 a month
+  assert.deepEqual(projection.cost_of_waiting, [
+    { months: 3, amount: 32500 },
+    { months: 6, amount: 65000 },
+    { months: 12, amount: 130000 }
+  ]);
+  assert.deepEqual(projectBleed(1000, 'month', { horizonsMonths: [1, 24] }).cost_of_waiting, [
+    { months: 1, amount: 1000 },
+    { months: 24, amount: 24000 }
+  ]);
+});
+
+test('the report carries the projections of its total', () => {
+  const { intake, measurements_data: measurements } = loadExtractionScripts()
+    .find(script => script.input === 'samples/support_ticket_routing.txt').response;
+
+  const { bleed } = transform(intake, measurements, { projections: { horizons_months: [6] } });
+
+  assert.equal(bleed.period_display, 'Per Month');
+  assert.equal(bleed.annual_display, '$378,000');
+  assert.equal(bleed.normalized.week.amount, 7269);
+  assert.deepEqual(bleed.cost_of_waiting.map(c => [c.label, c.amount.amount]), [['6 months', 189000]]);
+});
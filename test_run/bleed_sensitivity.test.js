@@ -0,0 +1,71 @@
+/**
+ * bleed_sensitivity.test.js - Bleed range from varying each assumption
+ *
+ * Usage:
+ *   node --test test_run/bleed_sensitivity.test.js
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { analyzeBleedSensitivity } from '../lib/bleed_sensitivity.js';
+import { loadExtractionScripts } from './replay.js';
+
+const healthcare = () => structuredClone(loadExtractionScripts()
+  .find(script => script.input === 'samples/healthcare_intake.txt').response.measurements_data);
+
+// 40 missed leads × ($500 deal × 20% close) = $4,000/mo
+const leads = () => ({
+  bleed_assumptions: [
+    { id: 'a_leads', label: 'Missed Leads per Month', value: 40, value_display: '40', range: { low: 20, high: 60 } },
+    { id: 'a_value', label: 'Average Deal Value', value: 500, value_display: '$500' },
+    { id: 'a_close', label: 'Close Rate', value: 90, value_display: '90%' }
+  ],
+  bleed_calculations: [
+    { id: 'c_cost', label: 'Cost per Missed Lead', formula: 'Average Deal Value × Close Rate', inputs: ['a_value', 'a_close'], result: 450, result_display: '$450', feeds_total: false },
+    { id: 'c_lost', label: 'Lost Revenue', formula: 'Missed Leads per Month × Cost per Missed Lead', inputs: ['a_leads', 'c_cost'], result: 18000, result_display: '$18,000', feeds_total: true }
+  ],
+  bleed_total: { value: 18000, currency: 'USD', period: 'month' }
+});
+
+test('each assumption moves ±25% and the swings combine in quadrature', () => {
+  const sensitivity = analyzeBleedSensitivity(healthcare());
+
+  // 450 × 30% × $200 = $27,000; every input at ±25% gives $20,250 – $33,750
+  assert.equal(sensitivity.base.amount, 27000);
+  sensitivity.assumptions.forEach(a => {
+    assert.deepEqual([a.basis, a.bleed_low, a.bleed_high, a.swing, a.share], ['variation', 20250, 33750, 13500, 0.33]);
+  });
+  // 27,000 ± √3 × 6,750
+  assert.deepEqual([sensitivity.low.amount, sensitivity.high.amount], [15309, 38691]);
+  assert.equal(sensitivity.range_display, '$15,309 – $38,691');
+});
+
+test('an extracted range is used as is and can dominate', () => {
+  const sensitivity = analyzeBleedSensitivity(leads());
+  const byId = Object.fromEntries(sensitivity.assumptions.map(a => [a.assumption_id, a]));
+
+  assert.deepEqual([byId.a_leads.basis, byId.a_leads.bleed_low, byId.a_leads.bleed_high], ['range', 9000, 27000]);
+  assert.equal(sensitivity.dominant_assumption_id, 'a_leads');
+  assert.equal(sensitivity.dominant_label, 'Missed Leads per Month');
+});
+
+test('a varied input reaches the total through intermediate calculations', () => {
+  const byId = Object.fromEntries(analyzeBleedSensitivity(leads()).assumptions.map(a => [a.assumption_id, a]));
+
+  // $500 ± 25% through the cost per lead: 40 × $375 × 90% to 40 × $625 × 90%
+  assert.deepEqual([byId.a_value.bleed_low, byId.a_value.bleed_high], [13500, 22500]);
+});
+
+test('percentages are capped at 100%', () => {
+  const byId = Object.fromEntries(analyzeBleedSensitivity(leads()).assumptions.map(a => [a.assumption_id, a]));
+
+  assert.deepEqual([byId.a_close.low, byId.a_close.high], [67.5, 100]);
+  assert.equal(byId.a_close.bleed_high, 20000);
+});
+
+test('there is no range without calculations feeding the total', () => {
+  const input = leads();
+  input.bleed_calculations.forEach(calc => { calc.feeds_total = false; });
+
+  assert.equal(analyzeBleedSensitivity(input), null);
+});
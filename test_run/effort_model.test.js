@@ -0,0 +1,92 @@
+/**
+ * effort_model.test.js - Fix effort and turnaround estimation
+ *
+ * Usage:
+ *   node --test test_run/effort_model.test.js
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { loadEffortModel, countHandoffs, mentionedSystems, estimateFixEffort } from '../lib/effort_model.js';
+
+const model = loadEffortModel();
+
+const systems = [
+  { system_name: 'HubSpot', system_type: 'crm', intake_name: 'the sales pipeline' },
+  { system_name: 'Gmail', system_type: 'email' },
+  { system_name: 'Typeform', system_type: 'forms' },
+  { system_name: 'Google Sheets', system_type: 'spreadsheet' }
+];
+
+const latency = {
+  name: 'Lead Response Time',
+  metric_type: 'latency',
+  status_reason: 'Leads wait in HubSpot until someone checks it',
+  evidence: [{ summary: 'About 4 hours on average' }]
+};
+
+test('every factor is recorded and adds up to the most likely hours', () => {
+  const { effort, turnaround } = estimateFixEffort({ groupKey: 'sla_latency', measurements: [latency], systems, handoffs: 2 }, model);
+
+  // 10h SLA fix + 4h latency + 6h for the CRM it mentions + 2 handoffs × 3h, single system
+  assert.deepEqual(effort.derivation.factors.map(f => [f.factor, f.hours]), [
+    ['fix_group', 10], ['metric_type', 4], ['system', 6], ['handoffs', 6]
+  ]);
+  assert.equal(effort.derivation.integration_multiplier, 1);
+  assert.deepEqual(effort.estimated_hours_range, { min_hours: 16, most_likely_hours: 26, max_hours: 39 });
+  assert.equal(effort.tier, 'medium');
+  assert.deepEqual(effort.skills_required, ['automation', 'API', 'CRM']);
+  // ceil(16 / 4) + 3 buffer to ceil(39 / 4) + 3
+  assert.deepEqual(turnaround, { label: '7-13 Days', business_days_min: 7, business_days_max: 13 });
+});
+
+test('an integration fix touches every system and pays the complexity multiplier', () => {
+  const { effort, turnaround } = estimateFixEffort({ groupKey: 'automation', measurements: [latency], systems, handoffs: 8 }, model);
+
+  // (12 + 4 + 6 + 3 + 2 + 2 + 6 handoffs max × 3) × 1.3 for 4+ systems = 61.1
+  assert.equal(effort.derivation.factors.filter(f => f.factor === 'system').length, 4);
+  assert.equal(effort.derivation.factors.find(f => f.factor === 'handoffs').hours, 18);
+  assert.equal(effort.derivation.integration_multiplier, 1.3);
+  assert.deepEqual(effort.estimated_hours_range, { min_hours: 37, most_likely_hours: 61, max_hours: 92 });
+  assert.equal(effort.tier, 'high');
+  assert.equal(turnaround.label, '13-26 Days');
+  assert.match(effort.derivation.summary, /= 47h, × 1\.3 for 4\+ systems → 61h likely \(37-92h\)/);
+});
+
+test('a small fix stays low tier with the minimum turnaround', () => {
+  const { effort, turnaround } = estimateFixEffort({ groupKey: 'visibility', handoffs: 5 }, model);
+
+  // Visibility fixes do not count handoffs; 8h likely (5-12h) is ceil(5 / 4) + 3 to ceil(12 / 4) + 3 days
+  assert.deepEqual(effort.derivation.factors.map(f => f.factor), ['fix_group']);
+  assert.equal(effort.tier, 'low');
+  assert.deepEqual(turnaround, { label: '5-6 Days', business_days_min: 5, business_days_max: 6 });
+  assert.equal(estimateFixEffort({ groupKey: 'unknown' }, model).effort.derivation.factors[0].detail, 'Other');
+});
+
+test('systems are matched by catalog or intake name, else the first one is assumed', () => {
+  assert.deepEqual(mentionedSystems([latency], systems).map(s => s.system_name), ['HubSpot']);
+  assert.deepEqual(mentionedSystems([{ name: 'Deals moved through the pipeline by hand' }], systems).map(s => s.system_name), ['HubSpot']);
+
+  const { effort } = estimateFixEffort({ groupKey: 'quality', measurements: [{ name: 'Typos', metric_type: 'error_rate' }], systems }, model);
+  assert.equal(effort.derivation.factors.find(f => f.factor === 'system').detail, 'HubSpot (crm)');
+});
+
+test('handoffs come from a measurement, the workflow steps or the intake text', () => {
+  const intake = {
+    workflow_steps: [{ step: 'Intake', handoff: true }, { step: 'Review' }, { step: 'Send', handoff: true }],
+    section_c_systems_handoffs: {
+      q11_manual_data_transfers: 'copies the form into the CRM, then checks the calendar; emails the client',
+      q12_human_decision_gates: 'Manager approves discounts'
+    }
+  };
+
+  assert.equal(countHandoffs(intake, [{ name: 'Manual Handoffs', value: 7 }]), 7);
+  assert.equal(countHandoffs(intake), 2);
+  // Three transfers plus the decision gate
+  assert.equal(countHandoffs({ ...intake, workflow_steps: [] }), 4);
+  assert.equal(countHandoffs({}), 0);
+});
+
+test('a missing model file names the path', () => {
+  assert.throws(() => loadEffortModel('/nonexistent/effort_model.json'), /Could not load effort model \/nonexistent\/effort_model\.json/);
+});
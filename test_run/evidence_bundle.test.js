@@ -0,0 +1,136 @@
+/**
+ * evidence_bundle.test.js - Evidence records traced to spans of the input
+ *
+ * Usage:
+ *   node --test test_run/evidence_bundle.test.js
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  sha256, locateQuote, lineOf, guessSourceType, createEvidenceSource, buildEvidenceBundle,
+  mergeEvidenceBundles, saveEvidenceBundle, loadEvidenceBundle, verifyEvidenceBundle, excerptSpan
+} from '../lib/evidence_bundle.js';
+import { replaySample, ROOT } from './replay.js';
+
+const NOTES = 'Call notes\nWe get about 120 leads a month.\nReps take “around 4 hours” to reply.\n';
+const CHAT = 'Sam: honestly half the leads go cold\nSam: we lose maybe 30% of them\n';
+
+const extracted = () => ({
+  measurements: [
+    { id: 'm_volume', evidence: [{ summary: 'Lead volume', quote: 'about 120 leads a month' }] },
+    { id: 'm_response', evidence: [{ summary: 'Reply time', quote: 'Reps take "around 4 hours" to reply.' }] },
+    { id: 'm_lost', evidence: [{ summary: 'Lost leads', quote: 'we lose 30% of leads' }] }
+  ],
+  bleed_assumptions: [
+    { id: 'a_leads', evidence: [{ summary: 'Lead volume', quote: 'about 120 leads a month' }] }
+  ]
+});
+
+const inputFor = (text, originalRef) => ({ source: createEvidenceSource(text, { originalRef, receivedAt: '2026-01-05T00:00:00Z' }), text });
+
+test('quotes are located exactly, then ignoring case, spacing and typographic quotes', () => {
+  assert.deepEqual(locateQuote(NOTES, 'about 120 leads'), { start: 18, end: 33, match: 'exact' });
+
+  const loose = locateQuote(NOTES, '"Reps take "around  4 hours" to reply."');
+  assert.equal(loose.match, 'normalized');
+  assert.equal(NOTES.slice(loose.start, loose.end), 'Reps take “around 4 hours” to reply');
+  assert.equal(locateQuote(NOTES, 'we reply within minutes'), null);
+  assert.deepEqual(lineOf(NOTES, loose.start), { line: 3, column: 1 });
+});
+
+test('source types are guessed from the shape of the input', () => {
+  assert.equal(guessSourceType('From: ana@example.com\nTo: ops@example.com\n\nHi'), 'email');
+  assert.equal(guessSourceType('Q: volume?\nA: 120\nQ: reply time?\nA: 4h'), 'transcript');
+  assert.equal(guessSourceType(NOTES), 'file');
+});
+
+test('each cited quote becomes one record with its span and hash', () => {
+  const data = extracted();
+  const bundle = buildEvidenceBundle([inputFor(NOTES, 'notes.txt')], data, { capturedAt: '2026-01-05T00:00:00Z' });
+  const [volume, response, lost] = bundle.evidence_records;
+
+  // The same quote from a measurement and an assumption is one record linked to both
+  assert.equal(bundle.evidence_records.length, 3);
+  assert.deepEqual(volume.linked_to, [{ type: 'measurement', id: 'm_volume' }, { type: 'assumption', id: 'a_leads' }]);
+  assert.deepEqual(volume.tags, ['measurements', 'assumptions']);
+  assert.deepEqual([volume.span.line, volume.match, volume.sha256_hash], [2, 'exact', sha256('about 120 leads a month')]);
+  assert.equal(data.bleed_assumptions[0].evidence[0].evidence_id, volume.evidence_id);
+  assert.equal(data.measurements[0].evidence[0].source_id, bundle.sources[0].source_id);
+
+  assert.deepEqual([response.match, response.extraction_confidence], ['normalized', 0.8]);
+  // An invented quote is kept for review, without a span
+  assert.deepEqual([lost.match, lost.span, lost.extracted_text], ['not_found', null, 'we lose 30% of leads']);
+});
+
+test('record ids are stable across runs', () => {
+  const first = buildEvidenceBundle([inputFor(NOTES, 'notes.txt')], extracted());
+  const second = buildEvidenceBundle([inputFor(NOTES, 'notes.txt')], extracted());
+
+  assert.equal(first.bundle_id, second.bundle_id);
+  assert.deepEqual(first.evidence_records.map(r => r.evidence_id), second.evidence_records.map(r => r.evidence_id));
+});
+
+test('bundles from several inputs merge, each input once', () => {
+  const notes = buildEvidenceBundle([inputFor(NOTES, 'notes.txt')], extracted());
+  const chat = buildEvidenceBundle([inputFor(CHAT, 'chat.txt')], {
+    measurements: [{ id: 'm_lost', evidence: [{ quote: 'we lose maybe 30% of them' }] }]
+  });
+  const merged = mergeEvidenceBundles([notes, chat, notes]);
+
+  assert.deepEqual(merged.sources.map(s => s.original_filename), ['notes.txt', 'chat.txt']);
+  assert.equal(merged.evidence_records.length, 4);
+  assert.ok(merged.evidence_records.every(r => r.bundle_ref === merged.bundle_id));
+  const fromChat = merged.evidence_records.at(-1);
+  assert.deepEqual([fromChat.source_id, fromChat.extracted_text], [chat.sources[0].source_id, 'we lose maybe 30% of them']);
+});
+
+test('a saved bundle verifies against its inputs and catches edits', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'evidence-'));
+  try {
+    const input = inputFor(NOTES, 'notes.txt');
+    const bundle = buildEvidenceBundle([input], extracted());
+    const bundlePath = saveEvidenceBundle(bundle, { [input.source.source_id]: NOTES }, path.join(dir, 'evidence_bundle.json'));
+
+    const stored = fs.readFileSync(path.join(dir, input.source.stored_ref), 'utf8');
+    const loaded = loadEvidenceBundle(bundlePath);
+    assert.equal(verifyEvidenceBundle(loaded, { [input.source.source_id]: stored }).ok, true);
+
+    const edited = verifyEvidenceBundle(loaded, { [input.source.source_id]: NOTES.replace('120', '210') });
+    assert.equal(edited.ok, false);
+    assert.equal(edited.sources[0].status, 'hash_mismatch');
+    assert.deepEqual(edited.records.map(r => r.status), ['span_mismatch', 'ok', 'not_found']);
+
+    // A report JSON carries the bundle in evidence_bundle
+    fs.writeFileSync(path.join(dir, 'report.json'), JSON.stringify({ evidence_bundle: bundle }));
+    assert.equal(loadEvidenceBundle(path.join(dir, 'report.json')).bundle_id, bundle.bundle_id);
+    fs.writeFileSync(path.join(dir, 'empty.json'), '{}');
+    assert.throws(() => loadEvidenceBundle(path.join(dir, 'empty.json')), /no evidence_records/);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('an excerpt marks the span inside its context', () => {
+  const bundle = buildEvidenceBundle([inputFor(NOTES, 'notes.txt')], extracted());
+
+  assert.equal(excerptSpan(NOTES, bundle.evidence_records[0], 8), '… We get [about 120 leads a month]. Reps t…');
+});
+
+test("a replayed report's evidence ids all resolve to records on the sample", async () => {
+  const { result, script } = await replaySample('healthcare_intake');
+  const report = result.reportJson;
+  const bundle = report.evidence_bundle;
+  const ids = new Set(bundle.evidence_records.map(r => r.evidence_id));
+
+  const cited = report.audit.workflows.flatMap(w => w.measurements).flatMap(m => m.evidence.map(e => e.evidence_id));
+  assert.ok(cited.length > 0);
+  cited.forEach(id => assert.ok(ids.has(id), id));
+  report.scorecard.rows.flatMap(row => row.finding.evidence_ids).forEach(id => assert.ok(ids.has(id), id));
+
+  const text = fs.readFileSync(path.join(ROOT, script.input), 'utf8');
+  assert.equal(verifyEvidenceBundle(bundle, { [bundle.sources[0].source_id]: text }).ok, true);
+});
@@ -0,0 +1,85 @@
+/**
+ * fix_roi.test.js - Fix recovery and ROI
+ *
+ * Usage:
+ *   node --test test_run/fix_roi.test.js
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { transform } from '../lib/transform.js';
+import { calculateFixRoi, rankFixesByPayback } from '../lib/fix_roi.js';
+
+const readJson = (file) => JSON.parse(fs.readFileSync(new URL(file, import.meta.url), 'utf8'));
+const intake = readJson('../old/test_run/intake_packet_filled.json');
+const measurements = readJson('../old/test_run/measurements_extracted.json');
+
+test('fix recoveries stay within their breakdown items and the bleed total', () => {
+  const report = transform(intake, measurements, {});
+  const itemAmount = (id) => report.bleed.breakdown.find(item => item.item_id === id).amount.amount;
+
+  report.fixes.items.forEach(fix => {
+    const mapped = fix.impact.maps_to_breakdown_item_ids.reduce((sum, id) => sum + itemAmount(id), 0);
+    assert.ok(fix.impact.estimated_recovery.amount <= mapped, `${fix.fix_id} recovers more than its items`);
+  });
+
+  const recovered = report.fixes.items.reduce((sum, fix) => sum + fix.impact.estimated_recovery.amount, 0);
+  assert.ok(recovered <= report.bleed.total.amount, `fixes recover ${recovered} of ${report.bleed.total.amount}`);
+});
+
+test('a fix mapped to the labor item recovers that item, not a share of the total', () => {
+  const report = transform(intake, measurements, {});
+  const labor = report.bleed.breakdown.find(item => item.item_id === 'bleed-labor-waste');
+  const fixes = report.fixes.items.filter(fix => fix.impact.maps_to_breakdown_item_ids.includes(labor.item_id));
+
+  assert.ok(fixes.length > 0);
+  const recovered = fixes.reduce((sum, fix) => sum + fix.impact.estimated_recovery.amount, 0);
+  assert.ok(recovered <= labor.amount.amount);
+});
+
+test('payback, net benefit and ROI match hand-computed values', () => {
+  const fix = {
+    impact: { estimated_recovery: { amount: 3375 } },
+    effort: { estimated_hours_range: { min_hours: 30, most_likely_hours: 40, max_hours: 60 }, skills_required: ['automation'] }
+  };
+  const roi = calculateFixRoi(fix, { bleedPeriod: 'month' });
+
+  // $150/h × 40h = $6,000; $3,375/mo = $778.85/wk → 7.7 weeks
+  assert.equal(roi.hourly_rate, 150);
+  assert.equal(roi.cost.likely.amount, 6000);
+  assert.equal(roi.cost.low.amount, 4500);
+  assert.equal(roi.cost.high.amount, 9000);
+  assert.equal(roi.payback_weeks, 7.7);
+  assert.equal(roi.payback_display, '7.7 weeks');
+  // 12 × $3,375 - $6,000
+  assert.equal(roi.net_benefit_12mo.amount, 34500);
+  assert.equal(roi.roi_percent, 575);
+});
+
+test('payback follows the bleed period of the recovery', () => {
+  const fix = {
+    impact: { estimated_recovery: { amount: 1000 } },
+    effort: { estimated_hours_range: { most_likely_hours: 20 }, skills_required: ['API', 'data'] }
+  };
+  const roi = calculateFixRoi(fix, { bleedPeriod: 'week' });
+
+  // ($175 + $160) / 2 = $167.50 → $168/h × 20h = $3,360 at $1,000/wk
+  assert.equal(roi.hourly_rate, 168);
+  assert.equal(roi.payback_weeks, 3.4);
+  assert.equal(roi.net_benefit_12mo.amount, Math.round(1000 * 52 - 3360));
+});
+
+test('fixes without recovery rank last and are never the quick win', () => {
+  const withRoi = (recovery, hours) => {
+    const fix = { impact: { estimated_recovery: { amount: recovery } }, effort: { estimated_hours_range: { most_likely_hours: hours } } };
+    fix.roi = calculateFixRoi(fix);
+    return fix;
+  };
+  const { items, quick_win_fix_id } = rankFixesByPayback([withRoi(0, 5), withRoi(2000, 40), withRoi(4000, 20)]);
+
+  assert.deepEqual(items.map(fix => fix.impact.estimated_recovery.amount), [4000, 2000, 0]);
+  assert.equal(quick_win_fix_id, 'fix-1');
+  assert.equal(items[2].roi.payback_display, 'No recovery estimate');
+  assert.equal(items[2].quick_win, false);
+});
@@ -0,0 +1,79 @@
+/**
+ * fix_rules.test.js - Rule-based grouping of measurements into fixes
+ *
+ * Usage:
+ *   node --test test_run/fix_rules.test.js
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { loadFixRules, resolveFixRules, findKeywords, classifyMeasurement, groupMeasurements } from '../lib/fix_rules.js';
+
+const ruleSet = loadFixRules();
+const rules = resolveFixRules(ruleSet);
+
+test('keywords match whole words, with a plural allowed', () => {
+  assert.deepEqual(findKeywords('overtime cost', ['time', 'overtime']), ['overtime']);
+  assert.deepEqual(findKeywords('approval delays', ['delay', 'lay']), ['delay']);
+});
+
+test('"Overtime cost" is labor to automate, not a latency issue', () => {
+  const result = classifyMeasurement({ name: 'Overtime Cost', metric_type: 'cost', unit: 'USD' }, rules);
+
+  assert.equal(result.category, 'automation');
+  assert.equal(result.confidence, 0.6);
+  assert.deepEqual(result.matched_rules.map(r => r.rule_id), ['labor_keywords']);
+});
+
+test('the weights of matching rules combine into the confidence', () => {
+  const result = classifyMeasurement({ name: 'Lead Response Time', metric_type: 'latency', unit: 'hours' }, rules);
+
+  // 1 - (1 - 0.6)(1 - 0.5)(1 - 0.2)
+  assert.equal(result.category, 'sla_latency');
+  assert.equal(result.confidence, 0.84);
+  assert.equal(result.reason, 'Latency metric; Name describes a delay or SLA; Measured as a duration');
+});
+
+test('a weak or missing match falls back to "Other Issues" with the reason', () => {
+  const weak = classifyMeasurement({ name: 'Setup', metric_type: 'volume', unit: 'days' }, rules);
+  assert.deepEqual([weak.category, weak.confidence], ['default', 0.2]);
+  assert.equal(weak.reason, 'Best match sla_latency (0.2) is below min_confidence 0.35');
+
+  const none = classifyMeasurement({ name: 'Widgets', metric_type: 'volume' }, rules);
+  assert.deepEqual([none.category, none.confidence, none.reason], ['default', 0, 'No rule matched']);
+});
+
+test('an industry category takes precedence over a stronger generic one', () => {
+  const measurement = { name: 'Prior Authorization Delay', metric_type: 'latency' };
+
+  assert.equal(classifyMeasurement(measurement, rules).category, 'sla_latency');
+  assert.equal(classifyMeasurement(measurement, resolveFixRules(ruleSet, 'healthcare')).category, 'compliance');
+  assert.equal(resolveFixRules(ruleSet, 'retail').industry, null);
+});
+
+test('groups record why each measurement landed there', () => {
+  const measurements = [
+    { id: 'm_missed', name: 'Missed Callbacks in Google Sheets', metric_type: 'volume' },
+    { id: 'm_auth', name: 'Prior Authorization Delay', metric_type: 'latency' }
+  ];
+  const { groups, industry } = groupMeasurements(measurements, ruleSet, {
+    industry: 'healthcare',
+    systems: [{ system_name: 'Google Sheets', system_type: 'spreadsheet' }],
+    statusOf: () => 'critical'
+  });
+
+  assert.equal(industry, 'healthcare');
+  assert.deepEqual(Object.keys(groups), ['visibility', 'compliance']);
+  // The spreadsheet rule needs the system mention and the critical status
+  assert.deepEqual(groups.visibility.grouping, [{
+    measurement_id: 'm_missed',
+    confidence: 0.68,
+    rule_ids: ['visibility_keywords', 'spreadsheet_tracked'],
+    reason: 'Name describes missing visibility or missed work; Critical metric tracked in a spreadsheet'
+  }]);
+  assert.deepEqual([groups.compliance.label, groups.compliance.effort_group], ['Compliance & Documentation', 'quality']);
+});
+
+test('a missing rules file names the path', () => {
+  assert.throws(() => loadFixRules('/nonexistent/fix_rules.json'), /Could not load fix rules \/nonexistent\/fix_rules\.json/);
+});
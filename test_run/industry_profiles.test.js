@@ -0,0 +1,72 @@
+/**
+ * industry_profiles.test.js - Industry detection and audit profiles
+ *
+ * Usage:
+ *   node --test test_run/industry_profiles.test.js
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { loadIndustryProfiles, detectIndustry, resolveIndustryProfile, withIndustryGuidance, withIndustryOutOfScope } from '../lib/industry_profiles.js';
+import { transform } from '../lib/transform.js';
+import { loadExtractionScripts } from './replay.js';
+
+const profiles = loadIndustryProfiles();
+
+const intakeFor = (sample) => structuredClone(loadExtractionScripts()
+  .find(script => script.input === `samples/${sample}.txt`).response.intake);
+
+test('an explicit industry wins over the extracted one, in any spelling', () => {
+  const intake = { prepared_for: { industry: 'Health care' } };
+  const extracted = resolveIndustryProfile(intake, profiles);
+
+  assert.deepEqual([extracted.key, extracted.detected_by], ['healthcare', 'extraction']);
+  const explicit = resolveIndustryProfile(intake, profiles, { industry: 'E-commerce' });
+  assert.deepEqual([explicit.key, explicit.label, explicit.detected_by], ['ecommerce', 'E-commerce', 'config']);
+});
+
+test('an industry without a profile is detected from the intake text', () => {
+  // Extracted as "retail", which has no profile of its own
+  const profile = resolveIndustryProfile(intakeFor('stress_test_email_thread'), profiles);
+
+  assert.deepEqual([profile.key, profile.detected_by], ['ecommerce', 'keywords']);
+  assert.deepEqual(profile.matched_keywords, ['orders', 'warehouse', 'shipping', 'inventory']);
+});
+
+test('too few keywords or a tie is no detection', () => {
+  assert.equal(detectIndustry({ notes: 'One patient called' }, profiles), null);
+  // patient(s) and clinic against Shopify, orders and shipping
+  assert.equal(detectIndustry({ notes: 'Patients and clinic staff; Shopify orders and shipping' }, profiles), null);
+  assert.equal(detectIndustry({ notes: 'Patients wait for the clinic to call back' }, profiles).key, 'healthcare');
+
+  const fallback = resolveIndustryProfile({ notes: 'Invoices are typed in by hand' }, profiles);
+  assert.deepEqual([fallback.key, fallback.detected_by, fallback.out_of_scope], ['general', 'default', []]);
+});
+
+test('tone guidance and out-of-scope boilerplate are added once', () => {
+  const profile = resolveIndustryProfile({}, profiles, { industry: 'healthcare' });
+
+  assert.match(withIndustryGuidance('Write the report.', profile), /^Write the report\.\n\nINDUSTRY \(Healthcare\):\nPatient information is protected/);
+  assert.equal(withIndustryGuidance('Write the report.', resolveIndustryProfile({}, profiles)), 'Write the report.');
+  assert.deepEqual(withIndustryOutOfScope(['Hiring', 'clinical decision-making and care protocols'], profile), [
+    'Hiring',
+    'clinical decision-making and care protocols',
+    'Changes to the EHR/EMR system of record',
+    'Legal determination of HIPAA compliance'
+  ]);
+});
+
+test("the profile selects the report's industry benchmarks", () => {
+  const { intake, measurements_data: measurements } = loadExtractionScripts()
+    .find(script => script.input === 'samples/healthcare_intake.txt').response;
+  const benchmarkIds = (config) => transform(intake, measurements, config).benchmarks.map(b => b.benchmark_id);
+
+  assert.equal(transform(intake, measurements, {}).industry_profile.key, 'healthcare');
+  assert.ok(benchmarkIds({}).includes('bm-healthcare-error-rate'));
+  assert.ok(benchmarkIds({ industry: 'general' }).includes('bm-error-rate'));
+  assert.ok(!benchmarkIds({ industry: 'general' }).includes('bm-healthcare-error-rate'));
+});
+
+test('a missing profiles file names the path', () => {
+  assert.throws(() => loadIndustryProfiles('/nonexistent/industry_profiles.json'), /Could not load industry profiles \/nonexistent\/industry_profiles\.json/);
+});
@@ -0,0 +1,271 @@
+/**
+ * mock_adapter.js - Deterministic Scripted LLM Adapter
+ *
+ * A test double that never touches the network. It answers the pipeline's
+ * own prompts:
+ *
+ *   extraction   scripted intake + measurements per input text, read from
+ *                <extractionsDir>/*.json ({ input, input_sha256, response })
+ *   narratives   the master prompt's JSON skeleton, filled with sentences
+ *                built only from the figures the prompt carries
+ *   refinement   the generated content, unchanged
+ *   retries      each violating field cut to its length limit, with the
+ *                forbidden phrases removed
+ *
+ * Any other prompt fails: there is nothing scripted for it.
+ * Recorded through FixtureAdapter (record_fixtures.js), its responses are
+ * the fixtures the sample replay tests run on (test_run/fixtures). It is
+ * not a registered provider: pass an instance as the pipeline's provider.
+ *
+ * Usage:
+ *   import { MockAdapter } from './test_run/mock_adapter.js';
+ *   const pipeline = new Pipeline({ provider: new MockAdapter() });
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { sha256 } from '../lib/evidence_bundle.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const DEFAULT_EXTRACTIONS_DIR = path.join(__dirname, 'extractions');
+
+const SKELETON_START = 'Generate this exact JSON structure with all narrative fields filled:';
+const SKELETON_END = 'Output ONLY the JSON object:';
+
+/**
+ * Cut text to at most max characters, at a word boundary
+ */
+function fit(text, max) {
+  if (text.length <= max) return text;
+  const cut = text.slice(0, max - 1);
+  return `${cut.slice(0, cut.lastIndexOf(' ')).replace(/[,;:]$/, '')}.`;
+}
+
+function lineValue(prompt, label) {
+  return prompt.match(new RegExp(`^${label}: (.*)$`, 'm'))?.[1]?.trim() || null;
+}
+
+function section(prompt, tag) {
+  return prompt.match(new RegExp(`<${tag}>\\n?([\\s\\S]*?)\\n?</${tag}>`))?.[1] || '';
+}
+
+function jsonLine(prompt, label) {
+  try {
+    return JSON.parse(prompt.match(new RegExp(`^${label}[^:]*: (\\[.*\\])$`, 'm'))?.[1] || '[]');
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * An assumption as it would be written in a sentence (68% stored as 0.68 or 68)
+ */
+function formatAssumption(assumption) {
+  const unit = String(assumption.unit || '');
+  const value = assumption.value;
+  if (/%|percent/i.test(unit)) return `${value > 1 ? value : Math.round(value * 1000) / 10}%`;
+  if (/usd|dollar|\$/i.test(unit)) return `$${value.toLocaleString('en-US')}`;
+  return value.toLocaleString('en-US');
+}
+
+/**
+ * What the master prompt says about the audit
+ */
+function parseMasterPrompt(prompt) {
+  const context = section(prompt, 'audit_context');
+  const multi = context.match(/^Workflows \(one report covers all of them\):\n((?:- .*\n?)+)/m);
+  const workflows = multi
+    ? multi[1].trim().split('\n').map(line => line.replace(/^- /, '').replace(/: trigger ".*$/, ''))
+    : [lineValue(context, 'Workflow') || 'the audited workflow'];
+
+  const rows = section(prompt, 'scorecard_rows').split('\n')
+    .map(line => line.match(/^Row \d+: (?:\[.*?\] )?(.+?) - Status: (\w+) - Metrics: ([^-]*)/))
+    .filter(Boolean)
+    .map(([, category, status, metrics]) => ({ category, status, metric: metrics.split(',')[0].trim() }));
+
+  const fixes = section(prompt, 'fixes').split('\n')
+    .map(line => ({
+      recovers: line.match(/Recovers: (.*?), Quick win:/)?.[1] || 'the bleed',
+      handoffs: (line.match(/Handoffs: (.*)$/)?.[1] || 'none').split('; ').filter(h => h !== 'none')
+    }));
+
+  return {
+    client: lineValue(context, 'Client') || 'the client',
+    workflows,
+    steps: context.split('\n').filter(line => line.startsWith('Steps')).flatMap(line =>
+      line.replace(/^Steps[^:]*: /, '').split(' → ').map(step => step.replace(/ \[bottleneck\]$/, ''))
+    ).filter(step => step !== 'Unknown'),
+    systems: lineValue(context, 'Systems') || 'the systems involved',
+    total: lineValue(section(prompt, 'bleed_data'), 'Total Bleed') || '$0',
+    assumptions: jsonLine(prompt, 'Assumptions'),
+    calculations: jsonLine(prompt, 'Calculations'),
+    rows,
+    fixes
+  };
+}
+
+/**
+ * The narrative JSON for a master prompt, built from its own figures
+ */
+function writeNarratives(prompt) {
+  const skeleton = JSON.parse(prompt.slice(prompt.indexOf(SKELETON_START) + SKELETON_START.length, prompt.indexOf(SKELETON_END)));
+  const audit = parseMasterPrompt(prompt);
+  const workflowNames = audit.workflows.length > 1
+    ? `${audit.workflows.slice(0, -1).join(', ')} & ${audit.workflows[audit.workflows.length - 1]}`
+    : audit.workflows[0];
+  const bottleneck = audit.rows.find(row => row.status === 'critical') || audit.rows[0];
+
+  // Each input named in the formula gets its figure; other terms ("÷ 12") stay as written
+  const calcLines = audit.calculations.map(calc => {
+    const inputs = (calc.inputs || [])
+      .map(id => audit.assumptions.find(a => a.assumption_id === id))
+      .filter(a => a && typeof a.value === 'number' && a.name);
+    const formula = String(calc.formula || '').split('=')[0].trim();
+    const result = calc.result_amount?.amount;
+    if (inputs.length === 0 || typeof result !== 'number') return null;
+    const operand = (a) => `${formatAssumption(a)} ${a.name.toLowerCase()}`;
+    const written = inputs.every(a => formula.toLowerCase().includes(a.name.toLowerCase()))
+      ? inputs
+        .map((a, idx) => ({ a, idx }))
+        .sort((x, y) => y.a.name.length - x.a.name.length)
+        .reduce((text, { a, idx }) => text.replace(new RegExp(a.name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i'), `{${idx}}`), formula)
+        .replace(/\{(\d+)\}/g, (_, idx) => operand(inputs[idx]))
+      : inputs.map(operand).join(' × ');
+    return `${written} = $${Math.round(result).toLocaleString('en-US')}`;
+  }).filter(Boolean);
+
+  return {
+    document_title: fit(`AI Process Audit: ${workflowNames}`, 80),
+    scope_statement: fit(`This audit covers ${audit.client}'s ${workflowNames} workflow from trigger to completion. It reviews the steps, handoffs and figures the team reported across ${audit.systems}.`, 400),
+    in_scope: (audit.steps.length > 0 ? audit.steps.slice(0, 4) : audit.workflows).map(item => fit(item, 100)),
+    out_of_scope: ['Processes outside the audited workflow', 'Staffing and hiring decisions', 'Software licensing and pricing'],
+    limitations: [
+      'Figures are client-reported and were not checked against system logs',
+      'Bleed assumptions the client did not state are conservative estimates'
+    ],
+    executive_summary: fit(`${bottleneck?.metric ? `${bottleneck.category} stands at <strong>${bottleneck.metric}</strong>, the critical bottleneck in ${workflowNames}. ` : ''}The process costs ${audit.client} <strong>${audit.total}</strong>, and the loss grows every month it stays manual.`, 500),
+    scorecard_findings: skeleton.scorecard_findings.map((finding, idx) => {
+      const row = audit.rows[idx] || { category: finding.category, status: 'warning', metric: '' };
+      return {
+        row_index: finding.row_index,
+        category: finding.category,
+        summary: fit(`${row.category}${row.metric ? ` is at <strong>${row.metric}</strong>, which` : ''} slows the workflow and costs ${audit.client} time and revenue.`, 200),
+        risk: row.status === 'critical'
+          ? fit(`Risk: ${row.category} problems keep driving the bleed and push customers away.`, 150)
+          : fit(`Risk: ${row.category} slips into a critical problem as volume grows.`, 150)
+      };
+    }),
+    math_defender: fit(calcLines.length > 0
+      ? `Based on ${calcLines.join('; ')}. Total: ${audit.total}.`
+      : `The bleed of ${audit.total} comes from the client's reported volumes and costs.`, 600),
+    fixes: skeleton.fixes.map((fix, idx) => {
+      const { recovers, handoffs } = audit.fixes[idx] || { recovers: 'the bleed', handoffs: [] };
+      const automatable = handoffs.find(handoff => !/: (no API|not in catalog)$/.test(handoff));
+      return {
+        fix_index: fix.fix_index,
+        problem: fit(`Manual handoffs drive the ${recovers.toLowerCase()} bleed`, 100),
+        solution: fit(automatable
+          ? `Automate the ${automatable.replace(/: ([^:]*)$/, ' handoff through its $1')} and alert the owner when an item stalls.`
+          : `Automate the manual steps behind the ${recovers.toLowerCase()} bleed with workflow rules and alert the owner when an item stalls.`, 200),
+        impact_basis: fit(`Removes manual re-entry and waiting between steps, so fewer items stall and the ${recovers.toLowerCase()} bleed shrinks.`, 200),
+        acceptance_criteria: ['Items reach the next step without manual re-entry', 'Stalled items raise an alert the same business day']
+      };
+    }),
+    cta_headline: fit(`Stop losing ${audit.total}`, 60),
+    cta_subtext: 'Book a call to plan the Stabilize phase and start recovering this bleed.'
+  };
+}
+
+/**
+ * Constraint retry: each field cut to its length limit, forbidden phrases removed
+ */
+function correctFields(prompt) {
+  const corrected = {};
+  for (const [, fieldPath, current, rules] of prompt.matchAll(/<field path="([^"]+)">\nCurrent value: (.*)\n[\s\S]*?Rules: (.*)\n<\/field>/g)) {
+    const max = Number(rules.match(/at most (\d+) characters/)?.[1]) || Infinity;
+    const forbidden = [...rules.matchAll(/"([^"]+)"/g)].map(match => match[1]).filter(() => /must not contain/.test(rules));
+    const clean = (text) => fit(forbidden.reduce((acc, phrase) => acc.split(phrase).join(''), text).replace(/\s{2,}/g, ' ').trim(), max);
+    const value = JSON.parse(current);
+    corrected[fieldPath] = Array.isArray(value) ? value.map(clean) : clean(value);
+  }
+  return corrected;
+}
+
+/**
+ * Mock (scripted) Adapter
+ */
+export class MockAdapter {
+  constructor(options = {}) {
+    this.name = 'mock';
+    this.model = 'scripted';
+    this.extractionsDir = options.extractionsDir || DEFAULT_EXTRACTIONS_DIR;
+    this.verbose = options.verbose !== false;
+
+    this.stats = {
+      tokensUsed: 0,
+      requestCount: 0,
+      modelUsed: this.model
+    };
+  }
+
+  describe() {
+    return `${this.name}:${this.model} (${this.extractionsDir})`;
+  }
+
+  /**
+   * Nothing is rate limited
+   */
+  getRequestDelay() {
+    return 0;
+  }
+
+  /**
+   * Scripted extraction for an input text
+   */
+  findExtraction(text) {
+    const hash = sha256(text);
+    const files = fs.existsSync(this.extractionsDir) ? fs.readdirSync(this.extractionsDir).filter(f => f.endsWith('.json')) : [];
+    for (const file of files) {
+      const script = JSON.parse(fs.readFileSync(path.join(this.extractionsDir, file), 'utf8'));
+      if (script.input_sha256 === hash) return script;
+    }
+    throw new Error(`Mock provider has no scripted extraction for this input (sha256 ${hash.slice(0, 12)}) in ${this.extractionsDir}`);
+  }
+
+  respond(user) {
+    const input = user.match(/<input_text>\n([\s\S]*?)\n<\/input_text>/);
+    if (input) {
+      const timestamp = user.match(/<timestamp>(.*?)<\/timestamp>/)?.[1] || new Date().toISOString();
+      return JSON.stringify(this.findExtraction(input[1]).response).replace(/\{\{timestamp\}\}/g, timestamp);
+    }
+    if (user.includes(SKELETON_START)) {
+      return JSON.stringify(writeNarratives(user));
+    }
+    const generated = user.match(/<generated_content>\n([\s\S]*?)\n<\/generated_content>/);
+    if (generated) {
+      return generated[1];
+    }
+    if (user.includes('violate their output constraints')) {
+      return JSON.stringify(correctFields(user));
+    }
+    throw new Error('Mock provider has no scripted response for this prompt');
+  }
+
+  async generate({ user }) {
+    const content = this.respond(user || '');
+    const tokens = Math.ceil(content.length / 4);
+
+    this.stats.requestCount++;
+    this.stats.tokensUsed += tokens;
+
+    return { content, tokens, model: this.model, provider: this.name };
+  }
+
+  getStats() {
+    return { ...this.stats };
+  }
+}
+
+export default { MockAdapter, DEFAULT_EXTRACTIONS_DIR };
@@ -0,0 +1,114 @@
+/**
+ * multi_workflow.test.js - Several workflows audited in one report
+ *
+ * Usage:
+ *   node --test test_run/multi_workflow.test.js
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { transform } from '../lib/transform.js';
+import { loadExtractionScripts } from './replay.js';
+
+const healthcare = () => structuredClone(loadExtractionScripts()
+  .find(script => script.input === 'samples/healthcare_intake.txt').response);
+
+// The healthcare intake plus a lead response workflow losing 100 leads × $200 a month
+function twoWorkflows() {
+  const { intake, measurements_data: measurements } = healthcare();
+
+  intake.additional_workflows = [{
+    workflow_key: 'lead_response',
+    section_a_workflow_definition: { q01_workflow_name: 'Lead Response', q02_trigger_event: 'Web form' },
+    section_c_systems_handoffs: { q10_systems_involved: ['HubSpot', 'Gmail'] },
+    workflow_steps: [
+      { sequence: 1, name: 'Rep reads HubSpot lead', system: 'HubSpot', handoff: true, owner_type: 'human' },
+      { sequence: 2, name: 'Rep emails lead from Gmail', system: 'Gmail', owner_type: 'human' }
+    ]
+  }];
+  measurements.measurements.push(
+    // Same name in the primary workflow: the lead calculation must not draw on it
+    { id: 'm_lost_callers', name: 'Leads Lost per Month', metric_type: 'volume', value: 100, unit: 'count', value_display: '100', status: 'healthy', evidence: [] },
+    { id: 'm_lost_leads', workflow_key: 'lead_response', name: 'Leads Lost per Month', metric_type: 'error_rate', value: 100, unit: 'count', value_display: '100', status: 'critical', evidence: [] },
+    { id: 'm_lead_resp', workflow_key: 'lead_response', name: 'Lead Response Time', metric_type: 'latency', value: 26, unit: 'hours', value_display: '26h', status: 'critical', threshold: { target: 1, target_display: '< 1h' }, evidence: [] }
+  );
+  measurements.bleed_assumptions.push(
+    { id: 'a_leads', label: 'Leads Lost per Month', value: 100, value_display: '100' },
+    { id: 'a_lead_value', label: 'Lost Lead Value', value: 200, value_display: '$200' }
+  );
+  measurements.bleed_calculations.push({
+    id: 'c_leads', workflow_key: 'lead_response', label: 'Monthly Bleed from lost leads',
+    formula: 'Leads Lost per Month × Lost Lead Value', inputs: ['a_leads', 'a_lead_value'],
+    result: 20000, result_display: '$20,000', feeds_total: true
+  });
+  measurements.bleed_total.value = 47000;
+
+  return transform(intake, measurements, {});
+}
+
+test('each workflow gets its own steps and share of the bleed', () => {
+  const report = twoWorkflows();
+  const [intake, leads] = report.audit.workflows;
+
+  assert.deepEqual([intake.name, intake.steps.length, intake.bleed.amount.amount], ['New Patient Intake and Scheduling', 7, 27000]);
+  assert.deepEqual([leads.name, leads.steps.length, leads.bleed.amount.amount], ['Lead Response', 2, 20000]);
+  assert.deepEqual(report.bleed.by_workflow.map(b => [b.name, b.share_display]), [
+    ['New Patient Intake and Scheduling', '57%'],
+    ['Lead Response', '43%']
+  ]);
+  assert.equal(report.bleed.total.amount, 47000);
+});
+
+test("a workflow's calculation is driven by its own measurements", () => {
+  const report = twoWorkflows();
+  const leadsId = report.audit.workflows[1].workflow_id;
+  const item = report.bleed.breakdown.find(i => i.workflow_id === leadsId);
+
+  assert.deepEqual([item.amount.amount, item.driver_measurement_ids], [20000, ['m_lost_leads']]);
+});
+
+test('fixes only map to breakdown items of their workflows', () => {
+  const report = twoWorkflows();
+  const workflowOfItem = Object.fromEntries(report.bleed.breakdown.map(i => [i.item_id, i.workflow_id]));
+
+  report.fixes.items.forEach(fix => {
+    fix.impact.maps_to_breakdown_item_ids.forEach(id => assert.ok(fix.workflow_ids.includes(workflowOfItem[id]), `${fix.fix_id} → ${id}`));
+  });
+  const lostLeads = report.fixes.items.find(fix => fix.related_measurement_ids.includes('m_lost_leads'));
+  assert.deepEqual(lostLeads.impact.maps_to_breakdown_item_ids.map(id => workflowOfItem[id]), [report.audit.workflows[1].workflow_id]);
+});
+
+test("a fix's effort counts the handoffs of the workflows it covers", () => {
+  const report = twoWorkflows();
+  const handoffsOf = (fix) => fix.effort.derivation.factors.find(f => f.factor === 'handoffs')?.detail;
+  const latency = report.fixes.items.find(fix => fix.related_measurement_ids.includes('m_lead_resp'));
+  const automation = report.fixes.items.find(fix => fix.fix_group === 'automation');
+
+  // 3 handoff steps in the intake workflow, 1 in lead response
+  assert.equal(latency.workflow_ids.length, 2);
+  assert.equal(handoffsOf(latency), '4 manual handoffs');
+  assert.deepEqual([automation.workflow_ids, handoffsOf(automation)], [[report.audit.workflows[0].workflow_id], '3 manual handoffs']);
+});
+
+test('scorecard rows are grouped under a heading per workflow', () => {
+  const report = twoWorkflows();
+
+  assert.deepEqual(report.scorecard.rows.map(r => [r.row_id, r.workflow_header]), [
+    ['row-m_call_to_appointment_time', 'New Patient Intake and Scheduling'],
+    ['row-m_intake_sla_miss_rate', null],
+    ['row-m_lost_leads', 'Lead Response'],
+    ['row-m_lead_resp', null]
+  ]);
+  assert.deepEqual([report.rendering.multi_workflow, report.rendering.two_page], [true, true]);
+  assert.equal(report.document.title, 'AI Process Audit: New Patient Intake and Scheduling & Lead Response');
+});
+
+test('a single workflow keeps the one-page layout', () => {
+  const { intake, measurements_data: measurements } = healthcare();
+  const report = transform(intake, measurements, {});
+
+  assert.equal(report.audit.workflows.length, 1);
+  assert.equal(report.rendering.multi_workflow, false);
+  assert.ok(report.scorecard.rows.every(r => r.workflow_header === null));
+  assert.equal(report.scorecard.rows.length, 3);
+});
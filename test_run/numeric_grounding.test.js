@@ -0,0 +1,71 @@
+/**
+ * numeric_grounding.test.js - Numbers in narratives vs source data
+ *
+ * Usage:
+ *   node --test test_run/numeric_grounding.test.js
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { extractNumbers, findUngroundedNumbers, groundingFeedback } from '../lib/numeric_grounding.js';
+import { replaySample } from './replay.js';
+
+const { result } = await replaySample('healthcare_intake');
+
+const withSummary = (body) => {
+  const report = structuredClone(result.reportJson);
+  report.scorecard.executive_summary.body = body;
+  return report;
+};
+
+test('numbers are parsed with their kind and written precision', () => {
+  const [k, percent, hours, plain] = extractNumbers('<strong>$52k</strong> lost, 68% late, 4.5 hours, 1,200 tickets, 24/7 coverage');
+
+  assert.deepEqual([k.value, k.kind, k.tolerance], [52000, 'currency', 500]);
+  assert.deepEqual([percent.value, percent.kind], [68, 'percent']);
+  assert.deepEqual([hours.value, hours.kind, hours.tolerance], [4.5, 'duration', 0.05]);
+  assert.deepEqual([plain.value, plain.kind], [1200, 'number']);
+  assert.equal(extractNumbers('24/7 coverage').length, 0);
+});
+
+test('a replayed report has no ungrounded numbers', () => {
+  assert.deepEqual(findUngroundedNumbers(result.reportJson), []);
+});
+
+test('figures from the source data and their rounding are grounded', () => {
+  // $27,000 total, 30% no-show rate, 450 × 30% = 135 no-shows, 3 locations and a year are prose
+  const report = withSummary('No-shows cost <strong>$27k</strong> a month: 30% of 450 patients, 135 no-shows across 3 locations in 2024.');
+
+  assert.deepEqual(findUngroundedNumbers(report), []);
+});
+
+test('an invented figure is rejected with retry feedback for its field', () => {
+  const report = withSummary('No-shows cost <strong>$48,000</strong> a month and 64% of patients.');
+  const ungrounded = findUngroundedNumbers(report);
+
+  assert.deepEqual(ungrounded.map(n => [n.path, n.raw]), [
+    ['scorecard.executive_summary.body', '$48,000'],
+    ['scorecard.executive_summary.body', '64%']
+  ]);
+  assert.deepEqual(groundingFeedback(ungrounded, 'scorecard.executive_summary.body'), [
+    'Number "$48,000" is not in the source data - use only figures from the measurements and bleed data',
+    'Number "64%" is not in the source data - use only figures from the measurements and bleed data'
+  ]);
+  assert.deepEqual(groundingFeedback(ungrounded, 'cta.headline'), []);
+});
+
+test("the run's timestamps do not ground a figure", () => {
+  const report = withSummary('Each day 57 callers wait and 53 hang up.');
+  report.audit.scope.time_window = { start: '2026-09-18T21:53:57.123Z', end: '2026-10-18T21:53:57.123Z', timezone: 'America/Indiana/Indianapolis' };
+
+  assert.deepEqual(findUngroundedNumbers(report).map(n => n.raw), ['57', '53']);
+});
+
+test('feedback for a list field covers its items only', () => {
+  const ungrounded = [
+    { path: 'fixes.items[0].acceptance_criteria[1]', raw: '$900' },
+    { path: 'fixes.items[0].acceptance_criteria_note', raw: '$800' }
+  ];
+
+  assert.equal(groundingFeedback(ungrounded, 'fixes.items[0].acceptance_criteria').length, 1);
+});
@@ -0,0 +1,75 @@
+/**
+ * output_constraints.test.js - Registry output constraints and targeted retries
+ *
+ * Usage:
+ *   node --test test_run/output_constraints.test.js
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { BatchLLMExecutor } from '../lib/llm_batch_executor.js';
+import { loadPromptRegistry, getPrompt, checkOutputConstraints } from '../lib/prompt_registry.js';
+import { replaySample } from './replay.js';
+
+const registry = loadPromptRegistry();
+const { result } = await replaySample('healthcare_intake');
+
+/**
+ * Provider that answers every retry with the given corrections and keeps the prompts it saw
+ */
+function scriptedProvider(corrections) {
+  return {
+    prompts: [],
+    describe: () => 'scripted',
+    async generate({ user }) {
+      this.prompts.push(user);
+      return { content: JSON.stringify(corrections), tokens: 1, model: 'scripted', provider: 'scripted' };
+    }
+  };
+}
+
+test('length, required and forbidden phrases are checked per prompt', () => {
+  const risk = getPrompt(registry, 'finding_risk_v1');
+
+  assert.deepEqual(checkOutputConstraints(registry, risk, 'Risk: intake delays keep driving no-shows.'), []);
+  assert.match(checkOutputConstraints(registry, risk, 'Intake delays keep driving no-shows.').join(), /missing required phrase: "Risk:"/);
+  assert.match(checkOutputConstraints(registry, risk, `Risk: ${'x'.repeat(200)}`).join(), /exceeds max length/);
+});
+
+test('global forbidden phrases match whole words only', () => {
+  const summary = getPrompt(registry, 'finding_summary_v1');
+
+  assert.match(checkOutputConstraints(registry, summary, 'Costs around 40 hours a month.').join(), /forbidden phrase: "around"/);
+  assert.deepEqual(checkOutputConstraints(registry, summary, 'Turnaround takes 72 hours.'), []);
+});
+
+test('only the violating field is re-prompted and the correction is applied', async () => {
+  const report = structuredClone(result.reportJson);
+  report.cta.headline = `Stop losing money on manual intake before it costs ${report.bleed.total.amount.toLocaleString('en-US')} more`;
+  const provider = scriptedProvider({ 'cta.headline': 'Stop losing $27,000/mo' });
+  const executor = new BatchLLMExecutor({ provider, verbose: false });
+
+  const outcome = await executor.enforceConstraints(report);
+
+  assert.equal(outcome.retries, 1);
+  assert.equal(outcome.unresolved, 0);
+  assert.deepEqual(outcome.fields.map(f => [f.path, f.resolved, f.attempts]), [['cta.headline', true, 1]]);
+  assert.equal(report.cta.headline, 'Stop losing $27,000/mo');
+  assert.match(provider.prompts[0], /<field path="cta.headline">/);
+  assert.doesNotMatch(provider.prompts[0], /<field path="cta.subtext">/);
+});
+
+test('a field still violating after the retry limit is kept and reported', async () => {
+  const report = structuredClone(result.reportJson);
+  const tooLong = `Stop losing ${'money '.repeat(12).trim()}`;
+  report.cta.headline = tooLong;
+  const executor = new BatchLLMExecutor({ provider: scriptedProvider({ 'cta.headline': tooLong }), verbose: false });
+
+  const outcome = await executor.enforceConstraints(report);
+
+  assert.equal(outcome.retries, registry.global_guardrails.max_retry_on_validation_fail);
+  assert.equal(outcome.unresolved, 1);
+  assert.equal(outcome.fields[0].resolved, false);
+  assert.match(outcome.fields[0].remaining.join(), /exceeds max length/);
+  assert.equal(report.cta.headline, tooLong);
+});
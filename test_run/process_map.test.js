@@ -0,0 +1,70 @@
+/**
+ * process_map.test.js - Swimlane process map SVG
+ *
+ * Usage:
+ *   node --test test_run/process_map.test.js
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { laneOf, renderProcessMap } from '../lib/process_map.js';
+import { transform } from '../lib/transform.js';
+import { loadExtractionScripts } from './replay.js';
+
+const workflow = {
+  workflow_id: 'wf-leads',
+  name: 'Lead Response',
+  measurements: [{ measurement_id: 'm_resp', name: 'Lead Response Time' }],
+  steps: [
+    { sequence: 2, name: 'Rep calls back', owner: 'Sales rep', system: 'Phone', status: 'critical', is_bottleneck: true, measurement_ids: ['m_resp'] },
+    { sequence: 1, name: 'Form lands in <Inbox> & waits', owner_type: 'automation', system: 'Gmail', handoff: true, wait: { value: 4, unit: 'h' } },
+    { sequence: 3, name: 'Deal logged', owner: 'Sales rep', status: 'warning' }
+  ]
+};
+
+const count = (svg, pattern) => (svg.match(pattern) || []).length;
+
+test('lanes are the owner, else the owner type', () => {
+  assert.equal(laneOf({ owner: 'Front desk', owner_type: 'human' }), 'Front desk');
+  assert.equal(laneOf({ owner_type: 'hybrid' }), 'Staff + System');
+  assert.equal(laneOf({}), 'Staff');
+});
+
+test('steps are drawn in sequence with one lane per owner', () => {
+  const svg = renderProcessMap(workflow);
+
+  assert.match(svg, /^<svg class="process-map" [^>]*viewBox="0 0 720 92"[^>]*aria-label="Process map: Lead Response"/);
+  assert.ok(svg.indexOf('Form lands in') < svg.indexOf('Rep calls back'));
+  assert.equal(count(svg, /font-weight="700"[^>]*>(Automation|Sales rep)</g), 2);
+  // Two arrows for three steps; only the handoff is dashed and carries the wait
+  assert.equal(count(svg, /<path d="M[^"]*" fill="none"/g), 2);
+  assert.equal(count(svg, /stroke-dasharray/g), 1);
+  assert.match(svg, />4h<\/text>/);
+});
+
+test('bottlenecks and warnings are coloured, and text is escaped', () => {
+  const svg = renderProcessMap(workflow);
+
+  assert.match(svg, /<title>Rep calls back - Phone - Lead Response Time<\/title>\s*<rect [^>]*fill="#fff0f5" stroke="#cf3c69" stroke-width="1.75"/);
+  assert.match(svg, /<title>Deal logged<\/title>\s*<rect [^>]*stroke="#ff9e33" stroke-width="1"/);
+  assert.match(svg, /&lt;Inbox&gt; &amp;/);
+  assert.ok(!svg.includes('<Inbox>'));
+  assert.match(svg, /marker-end="url\(#pm-arrow-wf-leads\)"/);
+});
+
+test('a workflow without steps has no map', () => {
+  assert.equal(renderProcessMap({ ...workflow, steps: [] }), '');
+});
+
+test("the report's map marks the steps behind critical measurements", () => {
+  const { intake, measurements_data: measurements } = loadExtractionScripts()
+    .find(script => script.input === 'samples/healthcare_intake.txt').response;
+  const [primary] = transform(intake, measurements, { process_map: { render: true } }).audit.workflows;
+  const { svg, bottleneck_step_ids: bottlenecks } = primary.process_map;
+
+  assert.deepEqual(bottlenecks, ['step-2', 'step-3', 'step-4', 'step-5', 'step-6']);
+  assert.equal(count(svg, /stroke="#cf3c69" stroke-width="1.75"/g), bottlenecks.length);
+  // Receptionist, Patient and Front desk lanes; handoffs after steps 2, 3 and 5
+  assert.equal(count(svg, /font-weight="700"/g), 3);
+  assert.equal(count(svg, /stroke-dasharray/g), 3);
+});
@@ -0,0 +1,56 @@
+/**
+ * record_fixtures.js - Re-record the sample replay fixtures
+ *
+ * Runs each sample through Pipeline.generate() with the mock provider
+ * (mock_adapter.js) wrapped in a recording FixtureAdapter, replacing
+ * test_run/fixtures/<sample>. The fixtures are the mock's output, not a
+ * live model's: replaying them pins the pipeline's behaviour around the
+ * LLM calls, not the quality of any model's answers.
+ *
+ * Usage:
+ *   node --import ./test_run/stubs/register.js test_run/record_fixtures.js [sample ...]
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { Pipeline } from '../lib/pipeline.js';
+import { FixtureAdapter } from '../lib/fixture_adapter.js';
+import { MockAdapter } from './mock_adapter.js';
+import { loadExtractionScripts, ROOT, FIXTURES_DIR } from './replay.js';
+
+const requested = process.argv.slice(2);
+const scripts = loadExtractionScripts()
+  .filter(script => requested.length === 0 || requested.includes(path.basename(script.input, '.txt')));
+
+if (scripts.length === 0) {
+  console.error(`No extraction script for: ${requested.join(', ')}`);
+  process.exit(1);
+}
+
+for (const script of scripts) {
+  const sample = path.basename(script.input, '.txt');
+  const dir = path.join(FIXTURES_DIR, sample);
+  const outDir = fs.mkdtempSync(path.join(os.tmpdir(), `record-${sample}-`));
+
+  fs.rmSync(dir, { recursive: true, force: true });
+  try {
+    const pipeline = new Pipeline({
+      provider: new FixtureAdapter({ mode: 'record', dir, inner: new MockAdapter({ verbose: false }), verbose: false }),
+      checkpoints: false,
+      skipPDF: true,
+      verbose: false
+    });
+    const result = await pipeline.generate(path.join(ROOT, script.input), path.join(outDir, `${sample}.html`), {
+      skipPDF: true,
+      skipHtmlPolish: true,
+      organize: false
+    });
+    if (!result.success) {
+      throw new Error(`${sample}: ${result.error?.message}`);
+    }
+    console.log(`${sample}: ${fs.readdirSync(dir).length} fixtures`);
+  } finally {
+    fs.rmSync(outDir, { recursive: true, force: true });
+  }
+}
@@ -0,0 +1,86 @@
+/**
+ * regenerate_field.test.js - Regenerating one narrative field of a replayed report
+ *
+ * Usage:
+ *   node --test test_run/regenerate_field.test.js
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { execFileSync } from 'child_process';
+import { Pipeline } from '../lib/pipeline.js';
+import { FixtureAdapter } from '../lib/fixture_adapter.js';
+import { replaySample, ROOT } from './replay.js';
+
+const { result } = await replaySample('healthcare_intake');
+const replayed = () => structuredClone(result.reportJson);
+
+const FIELD = 'scorecard.rows[0].finding.summary';
+const GROUNDED = 'Call to Scheduled Appointment is at 72h, so new patients wait days to book.';
+
+// Answers each request with the next scripted reply
+function scriptedProvider(replies) {
+  const requests = [];
+  return {
+    name: 'scripted',
+    requests,
+    async generate(request) {
+      requests.push(request);
+      return { content: replies[requests.length - 1], tokens: 10, model: 'scripted-1', provider: 'scripted' };
+    },
+    getStats: () => ({ requestCount: requests.length })
+  };
+}
+
+test('only the requested field is regenerated, and the edit is recorded', async () => {
+  const report = replayed();
+  const provider = scriptedProvider([GROUNDED]);
+  const pipeline = new Pipeline({ provider, verbose: false });
+
+  const regen = await pipeline.regenerateField(report, FIELD, { by: 'ana' });
+
+  assert.deepEqual([regen.value, regen.previous, regen.attempts, regen.errors], [GROUNDED, result.reportJson.scorecard.rows[0].finding.summary, 1, []]);
+  assert.equal(report.scorecard.rows[0].finding.summary, GROUNDED);
+  report.scorecard.rows[0].finding.summary = result.reportJson.scorecard.rows[0].finding.summary;
+  assert.deepEqual({ ...report, review: null }, { ...result.reportJson, review: null });
+  assert.deepEqual([report.review.history.at(-1).action, report.review.history.at(-1).actor, report.review.history.at(-1).notes], ['edited', 'ana', FIELD]);
+  assert.match(provider.requests[0].user, /Measured Value: 72/);
+  assert.deepEqual([pipeline.stats.stages.regen.field, pipeline.stats.stages.regen.promptId], [FIELD, 'finding_summary_v1']);
+
+  await assert.rejects(pipeline.regenerateField(report, 'scorecard.rows[9].finding.summary'), /Field not found in report: scorecard\.rows\[9\]/);
+});
+
+test('a figure that is not in the source data is sent back for another attempt', async () => {
+  const report = replayed();
+  const provider = scriptedProvider(['Call to Scheduled Appointment is at 72h, costing 85 bookings a month.', GROUNDED]);
+
+  const regen = await new Pipeline({ provider, verbose: false }).regenerateField(report, FIELD);
+
+  assert.equal(regen.attempts, 2);
+  assert.deepEqual(regen.errors, []);
+  assert.equal(report.scorecard.rows[0].finding.summary, GROUNDED);
+  assert.doesNotMatch(provider.requests[0].user, /previous_attempt_rejected/);
+  assert.match(provider.requests[1].user, /<previous_attempt_rejected>\n- Number "85" is not in the source data/);
+});
+
+test('regen on the command line replays a recorded response and saves the report', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'regen-cli-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const reportPath = path.join(dir, 'report.json');
+  const fixturesDir = path.join(dir, 'fixtures');
+  fs.writeFileSync(reportPath, JSON.stringify(result.reportJson));
+
+  // Record the prompt the CLI will send against the same report
+  const recorder = new FixtureAdapter({ mode: 'record', dir: fixturesDir, inner: scriptedProvider([GROUNDED]), verbose: false });
+  await new Pipeline({ provider: recorder, verbose: false }).regenerateField(replayed(), FIELD);
+
+  const stdout = execFileSync(process.execPath, [
+    '--import', './test_run/stubs/register.js', 'cli.js', 'regen', reportPath, '--field', FIELD, '--replay-fixtures', fixturesDir
+  ], { cwd: ROOT, encoding: 'utf8', timeout: 120000 });
+
+  assert.ok(stdout.includes(`After:  ${JSON.stringify(GROUNDED)}`), stdout);
+  assert.equal(JSON.parse(fs.readFileSync(reportPath, 'utf8')).scorecard.rows[0].finding.summary, GROUNDED);
+});
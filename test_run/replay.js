@@ -0,0 +1,60 @@
+/**
+ * replay.js - Run a sample through the pipeline from its recorded fixtures
+ *
+ * Shared by the tests that need a filled report; see replay_samples.test.js
+ * for how the fixtures are recorded.
+ *
+ * Usage:
+ *   import { replaySample } from './replay.js';
+ *   const { result, script } = await replaySample('healthcare_intake');
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { Pipeline } from '../lib/pipeline.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const ROOT = path.join(__dirname, '..');
+export const EXTRACTIONS_DIR = path.join(__dirname, 'extractions');
+export const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+
+/**
+ * Scripted extractions, one per sample ({ input, input_sha256, response })
+ */
+export function loadExtractionScripts() {
+  return fs.readdirSync(EXTRACTIONS_DIR)
+    .filter(file => file.endsWith('.json'))
+    .map(file => JSON.parse(fs.readFileSync(path.join(EXTRACTIONS_DIR, file), 'utf8')));
+}
+
+/**
+ * Generate the sample's report in replay mode (no PDF, temp output)
+ * @param {string} sample - Sample name, e.g. 'healthcare_intake'
+ * @returns {Promise<{result: Object, script: Object, html: string|null}>}
+ */
+export async function replaySample(sample) {
+  const script = loadExtractionScripts().find(s => path.basename(s.input, '.txt') === sample);
+  const outDir = fs.mkdtempSync(path.join(os.tmpdir(), `replay-${sample}-`));
+  try {
+    const pipeline = new Pipeline({
+      fixtures: { mode: 'replay', dir: path.join(FIXTURES_DIR, sample) },
+      checkpoints: false,
+      skipPDF: true,
+      verbose: false
+    });
+    const result = await pipeline.generate(path.join(ROOT, script.input), path.join(outDir, `${sample}.html`), {
+      skipPDF: true,
+      skipHtmlPolish: true,
+      organize: false
+    });
+    const html = result.outputPath && fs.existsSync(result.outputPath) ? fs.readFileSync(result.outputPath, 'utf8') : null;
+    return { result, script, html };
+  } finally {
+    fs.rmSync(outDir, { recursive: true, force: true });
+  }
+}
+
+export default { replaySample, loadExtractionScripts, ROOT, EXTRACTIONS_DIR, FIXTURES_DIR };
@@ -0,0 +1,40 @@
+/**
+ * replay_samples.test.js - Full pipeline over samples/, replayed from fixtures
+ *
+ * Each scripted extraction in test_run/extractions names a sample; the
+ * sample runs through extract → transform → narratives → validate → render
+ * with every LLM call answered from test_run/fixtures/<sample>. No network,
+ * no API key.
+ *
+ * The fixtures are mock fixtures, recorded from mock_adapter.js rather than
+ * a live model, so these tests check the pipeline around the LLM calls, not
+ * the model's answers. Re-record after changing a prompt or the transform:
+ *   node --import ./test_run/stubs/register.js test_run/record_fixtures.js [sample ...]
+ *
+ * Usage:
+ *   node --test test_run/replay_samples.test.js
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { getLLMPlaceholders } from '../lib/transform.js';
+import { replaySample, loadExtractionScripts } from './replay.js';
+
+for (const script of loadExtractionScripts()) {
+  const sample = path.basename(script.input, '.txt');
+
+  test(`${sample} replays to a valid report`, async () => {
+    const { result, html } = await replaySample(sample);
+
+    assert.equal(result.success, true, result.error?.message);
+    const report = result.reportJson;
+    const expected = script.response.measurements_data.bleed_total.value;
+
+    assert.equal(report.bleed.total.amount, expected);
+    assert.equal(report.bleed.math_audit.status, 'verified');
+    assert.deepEqual(getLLMPlaceholders(report), []);
+    assert.equal(result.stats.stages.llm.constraintViolations.unresolved, 0);
+    assert.ok(html, 'HTML report written');
+  });
+}
@@ -0,0 +1,179 @@
+/**
+ * request_scheduler.test.js - Batch request pacing and daily budgets
+ *
+ * Usage:
+ *   node --test test_run/request_scheduler.test.js
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { TokenBucket, ScheduledProvider } from '../lib/request_scheduler.js';
+import { GeminiAdapter } from '../lib/gemini_adapter.js';
+import { MODEL_FALLBACK_ORDER, getModelDelay } from '../lib/model_config.js';
+import { Pipeline } from '../lib/pipeline.js';
+import { MockAdapter } from './mock_adapter.js';
+import { ROOT } from './replay.js';
+
+// Time only moves when the bucket sleeps
+function fakeClock() {
+  const clock = {
+    ms: 0,
+    sleeps: [],
+    now: () => clock.ms,
+    sleep: async (ms) => {
+      clock.sleeps.push(ms);
+      clock.ms += ms;
+    }
+  };
+  return clock;
+}
+
+// A provider that makes one attempt per entry of `attempts` ([model, ok]), announcing each
+function retryingProvider(attempts, delayMs = 1000) {
+  return {
+    name: 'retrying',
+    getRequestDelay: () => delayMs,
+    getRateLimits: () => ({ model: attempts[attempts.length - 1][0], rpm: 60, rpd: 10 }),
+    async generate({ beforeAttempt }) {
+      for (const [model, ok] of attempts) {
+        await beforeAttempt?.(model);
+        if (ok) return { content: 'ok', tokens: 1, model, provider: 'retrying' };
+      }
+      throw new Error('API error 503: overloaded');
+    },
+    getStats: () => ({})
+  };
+}
+
+test('tokens are spaced by the interval, without banking idle time past the burst', async () => {
+  const clock = fakeClock();
+  const bucket = new TokenBucket({ intervalMs: () => 1000, now: clock.now, sleep: clock.sleep });
+
+  await bucket.acquire();
+  await bucket.acquire();
+  await bucket.acquire();
+  assert.deepEqual(clock.sleeps, [1000, 1000]);
+
+  clock.ms += 5000;
+  await bucket.acquire();
+  await bucket.acquire();
+  assert.deepEqual(clock.sleeps, [1000, 1000, 1000]);
+  assert.deepEqual(bucket.stats, { acquired: 5, waits: 3, waitedMs: 3000 });
+});
+
+test('the interval is read on every acquire, so a slower model slows the bucket', async () => {
+  const clock = fakeClock();
+  let interval = 1000;
+  const bucket = new TokenBucket({ intervalMs: () => interval, now: clock.now, sleep: clock.sleep });
+
+  await bucket.acquire();
+  clock.ms += 500;
+  interval = 4000;
+  await bucket.acquire();
+
+  // 500ms refill an eighth of a token at the new rate, leaving 3500ms to wait
+  assert.deepEqual(clock.sleeps, [3500]);
+});
+
+test('concurrent callers are served in the order they asked', async () => {
+  const clock = fakeClock();
+  const bucket = new TokenBucket({ intervalMs: () => 1000, capacity: 2, now: clock.now, sleep: clock.sleep });
+  const served = [];
+
+  await Promise.all([1, 2, 3, 4].map(n => bucket.acquire().then(() => served.push([n, clock.ms]))));
+
+  assert.deepEqual(served, [[1, 0], [2, 0], [3, 1000], [4, 2000]]);
+});
+
+test('retries inside one generate() call each take a token and count against their model', async () => {
+  const clock = fakeClock();
+  const scheduled = new ScheduledProvider(retryingProvider([['model-a', false], ['model-a', false], ['model-b', true]]), clock);
+
+  const result = await scheduled.generate({ user: 'hi' });
+
+  assert.equal(result.model, 'model-b');
+  assert.deepEqual(clock.sleeps, [1000, 1000]);
+  assert.deepEqual(scheduled.getStats().scheduler.requestsByModel, { 'model-a': 2, 'model-b': 1 });
+  assert.equal(scheduled.remainingDailyRequests(), 9);
+});
+
+test('attempts of a call that fails are counted too', async () => {
+  const clock = fakeClock();
+  const scheduled = new ScheduledProvider(retryingProvider([['model-a', false], ['model-a', false]]), clock);
+
+  await assert.rejects(scheduled.generate({ user: 'hi' }), /503/);
+  assert.deepEqual(scheduled.requestsByModel, { 'model-a': 2 });
+  assert.equal(scheduled.remainingDailyRequests(), 8);
+});
+
+test('a provider without attempt hooks is paced and counted once per call', async () => {
+  const clock = fakeClock();
+  let fail = false;
+  const scheduled = new ScheduledProvider({
+    name: 'plain',
+    getRequestDelay: () => 500,
+    getRateLimits: () => ({ model: 'plain-1', rpm: 60, rpd: 5 }),
+    async generate() {
+      if (fail) throw new Error('down');
+      return { content: 'ok', tokens: 1, model: 'plain-1', provider: 'plain' };
+    },
+    getStats: () => ({})
+  }, clock);
+
+  await scheduled.generate({ user: 'a' });
+  fail = true;
+  await assert.rejects(scheduled.generate({ user: 'b' }), /down/);
+
+  assert.deepEqual(clock.sleeps, [500]);
+  assert.deepEqual(scheduled.requestsByModel, { 'plain-1': 2 });
+  assert.equal(scheduled.remainingDailyRequests(), 3);
+});
+
+test("Gemini's rate-limit fallback waits for a token before calling the next model", async (t) => {
+  const clock = fakeClock();
+  const [primary, fallback] = MODEL_FALLBACK_ORDER;
+  const calls = [];
+  t.mock.method(globalThis, 'fetch', async (url) => {
+    calls.push([url.match(/models\/([^:]+):/)[1], clock.ms]);
+    return calls.length === 1
+      ? new Response('{"error": "RESOURCE_EXHAUSTED"}', { status: 429 })
+      : Response.json({ candidates: [{ content: { parts: [{ text: 'ok' }] } }], usageMetadata: { totalTokenCount: 3 } });
+  });
+  const scheduled = new ScheduledProvider(new GeminiAdapter({ apiKey: 'test-key', verbose: false }), clock);
+
+  const result = await scheduled.generate({ user: 'hi' });
+
+  assert.equal(result.model, fallback);
+  assert.deepEqual(calls, [[primary, 0], [fallback, getModelDelay(fallback)]]);
+  assert.deepEqual(scheduled.requestsByModel, { [primary]: 1, [fallback]: 1 });
+});
+
+test('a batch defers the files the daily budget cannot cover', async () => {
+  const mock = new MockAdapter();
+  const provider = Object.assign(mock, { getRateLimits: () => ({ model: mock.model, rpm: 60, rpd: 7 }) });
+  const outDir = fs.mkdtempSync(path.join(os.tmpdir(), 'batch-rpd-'));
+  const inputs = ['healthcare_intake', 'legal_contract_review', 'support_ticket_routing']
+    .map(sample => path.join(ROOT, 'samples', `${sample}.txt`));
+
+  try {
+    const pipeline = new Pipeline({ provider, checkpoints: false, skipPDF: true, verbose: false });
+    const { success, summary, reports } = await pipeline.batch(inputs, outDir, {
+      concurrency: 1,
+      skipPDF: true,
+      skipHtmlPolish: true,
+      organize: false
+    });
+
+    // Each file takes 3 requests: 7 cover two files, leaving 1
+    assert.equal(success, false);
+    assert.deepEqual(reports.map(r => r.status), ['success', 'success', 'deferred']);
+    assert.match(reports[2].error, /RPD/);
+    assert.deepEqual([summary.succeeded, summary.deferred], [2, 1]);
+    assert.deepEqual(summary.scheduler.requestsByModel, { [mock.model]: 6 });
+  } finally {
+    fs.rmSync(outDir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,127 @@
+/**
+ * review.test.js - Review states and approval gates
+ *
+ * Usage:
+ *   node --test test_run/review.test.js
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  createReview, gateForPath, markValidated, getReviewStatus, approveGate, rejectGate,
+  recordEdits, assertDeliverable, markDelivered, formatReviewStatus
+} from '../lib/review.js';
+import { replaySample } from './replay.js';
+
+const { result } = await replaySample('healthcare_intake');
+const replayed = () => structuredClone(result.reportJson);
+const REQUIRED = ['money_math', 'claims_benchmarks', 'cta_pricing'];
+
+function approved() {
+  const report = replayed();
+  REQUIRED.forEach(gateId => approveGate(report, gateId, { by: 'jane' }));
+  return report;
+}
+
+test('a generated report is validated into PENDING with its flagged fields on their gates', () => {
+  const { review } = replayed();
+
+  assert.equal(review.state, 'PENDING');
+  assert.deepEqual(review.history.map(e => [e.action, e.from_state, e.to_state]), [['validated', 'DRAFT', 'PENDING']]);
+  assert.deepEqual(review.gates.map(g => [g.gate_id, g.status, g.flagged_fields.map(f => f.path)]), [
+    ['money_math', 'pending', ['bleed.math_defender_text']],
+    ['claims_benchmarks', 'pending', ['scorecard.executive_summary.body']],
+    ['cta_pricing', 'pending', []],
+    ['client_accuracy', 'pending', []]
+  ]);
+});
+
+test('gates cannot be approved before the report is validated', () => {
+  const report = { review: createReview() };
+
+  assert.throws(() => approveGate(report, 'money_math'), /Cannot approve gates while the report is DRAFT/);
+  markValidated(report);
+  markValidated(report);
+  assert.deepEqual(report.review.history.map(e => e.action), ['validated']);
+  assert.throws(() => approveGate(report, 'pricing'), /Unknown approval gate: pricing\. Gates: money_math, claims_benchmarks, cta_pricing, client_accuracy/);
+});
+
+test('the report is APPROVED once every required gate is signed off', () => {
+  const report = replayed();
+
+  approveGate(report, 'money_math', { by: 'jane' });
+  approveGate(report, 'claims_benchmarks', { by: 'jane' });
+  assert.equal(report.review.state, 'PENDING');
+  assert.throws(() => assertDeliverable(report), /review state is PENDING \(must be APPROVED\); gate "CTA & Pricing" \(cta_pricing\) is pending/);
+
+  // The optional client gate does not hold delivery back
+  approveGate(report, 'cta_pricing', { by: 'jane', notes: 'Price checked' });
+  assert.equal(report.review.state, 'APPROVED');
+  assert.deepEqual(report.review.history.at(-1), {
+    at: report.review.history.at(-1).at, actor: 'jane', action: 'approved',
+    from_state: 'PENDING', to_state: 'APPROVED', gate_id: 'cta_pricing', notes: 'Price checked'
+  });
+  assert.doesNotThrow(() => assertDeliverable(report));
+});
+
+test('editing an approved field makes its approval stale until signed off again', () => {
+  const report = approved();
+
+  report.bleed.total.amount = 30000;
+  recordEdits(report, ['bleed.total.amount'], { by: 'sam' });
+  const status = getReviewStatus(report);
+
+  assert.equal(report.review.state, 'PENDING');
+  assert.deepEqual(status.blocking.map(g => [g.gate_id, g.status]), [['money_math', 'stale']]);
+  assert.throws(() => assertDeliverable(report), /gate "Money Math" \(money_math\) is stale/);
+  assert.match(formatReviewStatus(status), /! money_math {9}stale by jane/);
+
+  approveGate(report, 'money_math', { by: 'jane' });
+  assert.equal(report.review.state, 'APPROVED');
+});
+
+test('edits outside every gate leave an approved report approved', () => {
+  const report = approved();
+
+  report.audit.workflows[0].name = 'Patient Intake';
+  recordEdits(report, ['audit.workflows[0].name']);
+  assert.equal(report.review.state, 'APPROVED');
+  assert.equal(report.review.history.at(-1).action, 'edited');
+  assert.equal(gateForPath('fixes.items[2].impact.basis').gate_id, 'money_math');
+  assert.equal(gateForPath('audit.workflows[0].name'), null);
+});
+
+test('rejecting a gate sends the report back to DRAFT', () => {
+  const report = approved();
+
+  assert.throws(() => rejectGate(report, 'cta_pricing', { by: 'jane' }), /needs a reason/);
+  rejectGate(report, 'cta_pricing', { by: 'jane', notes: 'Wrong price tier' });
+
+  assert.equal(report.review.state, 'DRAFT');
+  assert.deepEqual(getReviewStatus(report).blocking.map(g => [g.gate_id, g.status]), [['cta_pricing', 'rejected']]);
+  assert.throws(() => approveGate(report, 'cta_pricing'), /while the report is DRAFT/);
+
+  markValidated(report);
+  approveGate(report, 'cta_pricing', { by: 'jane' });
+  assert.equal(report.review.state, 'APPROVED');
+});
+
+test('a delivered report cannot be rejected', () => {
+  const report = approved();
+
+  markDelivered(report, { by: 'jane' });
+  assert.equal(report.review.state, 'DELIVERED');
+  assert.doesNotThrow(() => assertDeliverable(report));
+  assert.throws(() => rejectGate(report, 'money_math', { notes: 'Too late' }), /Cannot reject gates on a DELIVERED report/);
+});
+
+test('unresolved evidence conflicts block delivery of an approved report', () => {
+  const report = approved();
+  report.evidence_conflicts = [{ conflict_id: 'conflict-1', resolution: null }];
+
+  assert.deepEqual(getReviewStatus(report).unresolved_conflicts, ['conflict-1']);
+  assert.throws(() => assertDeliverable(report), /unresolved evidence conflicts: conflict-1/);
+
+  report.evidence_conflicts[0].resolution = { source_id: 'src-1' };
+  assert.doesNotThrow(() => assertDeliverable(report));
+});
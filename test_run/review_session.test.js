@@ -0,0 +1,96 @@
+/**
+ * review_session.test.js - Interactive review of a replayed report's narrative fields
+ *
+ * Usage:
+ *   node --test test_run/review_session.test.js
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { Readable, PassThrough } from 'stream';
+import { Pipeline } from '../lib/pipeline.js';
+import { describeFieldSources, runReviewSession } from '../lib/review_session.js';
+import { replaySample } from './replay.js';
+
+const { result } = await replaySample('healthcare_intake');
+
+// Replies to every request with the same text
+function fakeProvider(content) {
+  const calls = [];
+  return {
+    calls,
+    async generate(request) {
+      calls.push(request);
+      return { content, tokens: 10, model: 'fake', provider: 'fake' };
+    },
+    getStats: () => ({ requestCount: calls.length })
+  };
+}
+
+// Saves the replayed report and answers the session's questions from `answers`
+async function review(answers, provider) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'review-session-'));
+  const reportPath = path.join(dir, 'report.json');
+  fs.writeFileSync(reportPath, JSON.stringify(result.reportJson));
+  const output = new PassThrough();
+  let transcript = '';
+  output.on('data', chunk => { transcript += chunk; });
+
+  try {
+    const session = await runReviewSession(reportPath, {
+      pipeline: new Pipeline({ provider, checkpoints: false, skipPDF: true, verbose: false }),
+      by: 'ana',
+      input: Readable.from([answers.map(answer => `${answer}\n`).join('')]),
+      output
+    });
+    const saved = JSON.parse(fs.readFileSync(reportPath, 'utf8'));
+    const html = session.htmlPath && fs.existsSync(session.htmlPath) ? fs.readFileSync(session.htmlPath, 'utf8') : null;
+    return { session, saved, html, transcript };
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+test("a fix's sources include the recovery it is estimated at", () => {
+  const lines = describeFieldSources(result.reportJson, 'fixes.items[0].problem');
+
+  assert.ok(lines.includes(`Impact: ${result.reportJson.fixes.items[0].impact.estimated_recovery.display}`), lines.join('\n'));
+});
+
+test('accepting every field saves nothing', async () => {
+  const provider = fakeProvider('unused');
+  const { session, saved } = await review(['a', 'a', '', 's'], provider);
+
+  assert.deepEqual([session.saved, session.changes], [false, []]);
+  assert.deepEqual(saved, result.reportJson);
+  assert.equal(provider.calls.length, 0);
+});
+
+test('an edited field is saved, recorded as an edit and re-rendered', async () => {
+  const title = 'Riverside Medical Group: New Patient Intake Audit';
+  const { session, saved, html } = await review(['e', title, 'a', 'a', 's'], fakeProvider('unused'));
+
+  assert.equal(session.saved, true);
+  assert.deepEqual(session.changes, [{ path: 'document.title', action: 'edited' }]);
+  assert.equal(saved.document.title, title);
+  assert.equal(saved.audit.scope.scope_statement, result.reportJson.audit.scope.scope_statement);
+  assert.deepEqual(saved.review.history.filter(event => event.action === 'edited').map(event => [event.actor, event.notes]), [['ana', 'document.title']]);
+  assert.ok(html.includes(title));
+});
+
+test('a regenerated field is only used once accepted, keeping the industry exclusions', async () => {
+  const provider = fakeProvider('["Billing and coding", "Insurance eligibility checks"]');
+  const { session, saved, transcript } = await review(['a', 'a', 'a', 'r', 'y', 'a', 's'], provider);
+  const boilerplate = result.reportJson.industry_profile.out_of_scope;
+
+  assert.equal(provider.calls.length, 1);
+  assert.deepEqual(session.changes, [{ path: 'audit.scope.out_of_scope', action: 'regenerated' }]);
+  assert.deepEqual(saved.audit.scope.out_of_scope, ['Billing and coding', 'Insurance eligibility checks', ...boilerplate]);
+  assert.ok(transcript.includes(`• ${boilerplate[0]}`));
+
+  const declined = await review(['a', 'a', 'a', 'r', 'n', 'a', 's'], provider);
+  assert.deepEqual([declined.session.saved, declined.session.changes], [false, []]);
+});
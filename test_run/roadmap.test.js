@@ -0,0 +1,78 @@
+/**
+ * roadmap.test.js - Fix dependencies, phases and timeline
+ *
+ * Usage:
+ *   node --test test_run/roadmap.test.js
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { inferDependencies, buildRoadmap } from '../lib/roadmap.js';
+
+const ctaPhases = [
+  { phase_id: 'phase_2_stabilize', label: 'Stabilize' },
+  { phase_id: 'phase_3_scale', label: 'Scale' }
+];
+
+const fix = (fixId, fixGroup, days, relatedIds = []) => ({
+  fix_id: fixId,
+  title: fixId.replace('f_', ''),
+  fix_group: fixGroup,
+  related_measurement_ids: relatedIds,
+  turnaround: { business_days_max: days },
+  dependencies: []
+});
+
+// Payback ranking puts the response fix first; the roadmap has to reorder it
+const fixes = () => [
+  fix('f_reply', 'sla_latency', 8),
+  fix('f_sync', 'automation', 10),
+  fix('f_alerts', 'visibility', 6)
+];
+
+test('visibility comes before sync, and sync before response automation', () => {
+  assert.deepEqual(inferDependencies(fixes()).map(e => [e.from, e.to]), [
+    ['f_alerts', 'f_reply'],
+    ['f_alerts', 'f_sync'],
+    ['f_sync', 'f_reply']
+  ]);
+});
+
+test('an edge that would close a cycle is dropped', () => {
+  const measurements = [{ id: 'm_dash', name: 'Response dashboard freshness' }];
+  const edges = inferDependencies([fix('f_dash', 'visibility', 5, ['m_dash']), fix('f_sync', 'automation', 5)], measurements);
+
+  // f_dash is tagged "response" too, but f_sync already depends on it
+  assert.deepEqual(edges.map(e => [e.from, e.to]), [['f_dash', 'f_sync']]);
+});
+
+test('fixes are ordered, phased and scheduled after their dependencies', () => {
+  const items = fixes();
+  const roadmap = buildRoadmap(items, [], ctaPhases);
+
+  assert.deepEqual(roadmap.timeline.map(t => [t.fix_id, t.phase_id, t.start_business_day, t.end_business_day, t.weeks_label]), [
+    ['f_alerts', 'phase_2_stabilize', 0, 6, 'Weeks 1-2'],
+    ['f_sync', 'phase_3_scale', 6, 16, 'Weeks 2-4'],
+    ['f_reply', 'phase_3_scale', 16, 24, 'Weeks 4-5']
+  ]);
+  assert.deepEqual(roadmap.phases.map(p => [p.label, p.fix_labels, p.weeks_label]), [
+    ['Stabilize', 'alerts', 'Weeks 1-2'],
+    ['Scale', 'sync, reply', 'Weeks 2-5']
+  ]);
+  assert.deepEqual(roadmap.critical_path, ['f_alerts', 'f_sync', 'f_reply']);
+  assert.equal(roadmap.total_business_days, 24);
+
+  // The fixes themselves carry their dependencies and phase
+  assert.deepEqual(items[0].dependencies.map(d => d.fix_id), ['f_alerts', 'f_sync']);
+  assert.equal(items[0].roadmap_phase_id, 'phase_3_scale');
+});
+
+test('independent fixes run in parallel in the first phase', () => {
+  const roadmap = buildRoadmap([fix('f_typos', 'quality', 7), fix('f_forms', 'quality', 12)], [], ctaPhases);
+
+  assert.deepEqual(roadmap.dependencies, []);
+  assert.deepEqual(roadmap.phases.map(p => p.phase_id), ['phase_2_stabilize']);
+  assert.deepEqual(roadmap.timeline.map(t => t.start_business_day), [0, 0]);
+  assert.deepEqual(roadmap.critical_path, ['f_forms']);
+  assert.equal(roadmap.total_business_days, 12);
+});
@@ -0,0 +1,134 @@
+/**
+ * run_checkpoint.test.js - Stage checkpoints and resuming a failed run
+ *
+ * Usage:
+ *   node --test test_run/run_checkpoint.test.js
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { RunCheckpoint, GENERATE_STAGE_NAMES } from '../lib/run_checkpoint.js';
+import { Pipeline } from '../lib/pipeline.js';
+import { MockAdapter } from './mock_adapter.js';
+import { ROOT } from './replay.js';
+
+function tempDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'run-checkpoint-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+const statuses = (checkpoint) => GENERATE_STAGE_NAMES.map(name => checkpoint.manifest.stages[name].status);
+
+function runWith(t, stages) {
+  const checkpoint = RunCheckpoint.create({ runsDir: tempDir(t), inputPath: 'samples/healthcare_intake.txt', outputPath: 'out.html' });
+  Object.entries(stages).forEach(([name, output]) => (output === 'skipped'
+    ? checkpoint.skipStage(name, 'not requested')
+    : checkpoint.completeStage(name, output)));
+  return checkpoint;
+}
+
+test('the first incomplete stage follows completed and skipped ones', (t) => {
+  const checkpoint = runWith(t, { extract: { intake: 1 }, transform: { reportJson: 1 } });
+
+  assert.match(path.basename(checkpoint.runDir), /^run_.+_healthcare_intake$/);
+  assert.equal(checkpoint.firstIncompleteStage(), 'fill');
+
+  checkpoint.completeStage('fill', {});
+  checkpoint.completeStage('validate', {});
+  checkpoint.completeStage('render', {});
+  checkpoint.skipStage('polish', 'skipHtmlPolish');
+  assert.equal(checkpoint.firstIncompleteStage(), 'pdf');
+
+  checkpoint.skipStage('pdf', 'skipPDF');
+  assert.equal(checkpoint.firstIncompleteStage(), null);
+  assert.equal(RunCheckpoint.load(checkpoint.runDir).firstIncompleteStage(), null);
+});
+
+test('restoring a stage layers the outputs of the stages before it', (t) => {
+  const checkpoint = runWith(t, {
+    extract: { intake: 'extracted', measurements: 'measured' },
+    transform: { reportJson: 'transformed' },
+    fill: { reportJson: 'filled' },
+    validate: { validation: 'ok' },
+    render: { html: '<html>', finalOutputPath: 'out/report.html' },
+    polish: 'skipped'
+  });
+
+  assert.deepEqual(checkpoint.restoreState('fill'), {
+    infoDumpPath: 'samples/healthcare_intake.txt',
+    outputPath: 'out.html',
+    finalOutputPath: null,
+    intake: 'extracted',
+    measurements: 'measured',
+    reportJson: 'transformed'
+  });
+  assert.equal(checkpoint.restoreState('pdf').reportJson, 'filled');
+  assert.equal(checkpoint.restoreState('pdf').finalOutputPath, 'out/report.html');
+  assert.throws(() => checkpoint.restoreState('print'), /Unknown stage: print\. Stages: extract, transform/);
+});
+
+test('a stage cannot be restored past a stage without a checkpoint', (t) => {
+  const checkpoint = runWith(t, { extract: {} });
+  checkpoint.failStage('transform', new Error('bad intake'));
+
+  assert.equal(checkpoint.manifest.status, 'failed');
+  assert.equal(checkpoint.manifest.stages.transform.error, 'bad intake');
+  assert.throws(() => checkpoint.restoreState('fill'), /Cannot resume from "fill": stage "transform" has no checkpoint \(status: failed\)/);
+});
+
+test('resetting reopens a stage and every later one, or just that stage', (t) => {
+  const checkpoint = runWith(t, { extract: {}, transform: {}, fill: {}, validate: {}, render: {}, polish: 'skipped', pdf: 'skipped' });
+  checkpoint.markComplete();
+
+  checkpoint.resetFrom('render', { only: true });
+  assert.deepEqual(statuses(checkpoint), ['complete', 'complete', 'complete', 'complete', 'pending', 'skipped', 'skipped']);
+  assert.equal(checkpoint.manifest.status, 'running');
+
+  checkpoint.resetFrom('fill');
+  assert.deepEqual(statuses(RunCheckpoint.load(checkpoint.runDir)), ['complete', 'complete', 'pending', 'pending', 'pending', 'pending', 'pending']);
+});
+
+test('a run directory without a manifest cannot be opened', (t) => {
+  const dir = tempDir(t);
+  assert.throws(() => RunCheckpoint.load(dir), new RegExp(`No run manifest found in ${dir}`));
+});
+
+test('a run that failed in a stage resumes there from the run directory', async (t) => {
+  const dir = tempDir(t);
+  const config = { runsDir: path.join(dir, 'runs'), skipPDF: true, verbose: false };
+  const options = { skipPDF: true, skipHtmlPolish: true, organize: false };
+
+  // Extraction succeeds; the narrative calls after it fail
+  const flaky = new MockAdapter();
+  const generate = flaky.generate.bind(flaky);
+  flaky.generate = async (request) => {
+    if (flaky.stats.requestCount >= 1) throw new Error('API error 503: overloaded');
+    return generate(request);
+  };
+
+  const failed = await new Pipeline({ ...config, provider: flaky })
+    .generate(path.join(ROOT, 'samples', 'healthcare_intake.txt'), path.join(dir, 'healthcare.html'), options);
+
+  assert.equal(failed.success, false);
+  const manifest = RunCheckpoint.load(failed.runDir).manifest;
+  assert.deepEqual(statuses({ manifest }), ['complete', 'complete', 'failed', 'pending', 'pending', 'pending', 'pending']);
+  assert.match(manifest.stages.fill.error, /503/);
+
+  const provider = new MockAdapter();
+  const resumed = await new Pipeline({ ...config, provider }).resume(failed.runDir);
+  const checkpoint = RunCheckpoint.load(failed.runDir);
+
+  assert.equal(resumed.success, true);
+  assert.equal(resumed.runDir, failed.runDir);
+  assert.ok(provider.stats.requestCount > 0);
+  assert.equal(resumed.stats.stages.extract, undefined);
+  assert.equal(checkpoint.manifest.status, 'complete');
+  assert.deepEqual(statuses(checkpoint), ['complete', 'complete', 'complete', 'complete', 'complete', 'complete', 'skipped']);
+  assert.equal(checkpoint.manifest.stages.extract.completed_at, manifest.stages.extract.completed_at);
+  assert.ok(fs.existsSync(resumed.outputPath));
+  assert.equal(resumed.reportJson.bleed.total.amount, 27000);
+});
@@ -0,0 +1,136 @@
+/**
+ * server.test.js - HTTP API jobs, downloads and request errors
+ *
+ * Usage:
+ *   node --test test_run/server.test.js
+ */
+
+import test, { after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { Readable } from 'stream';
+import { AuditApiServer } from '../lib/server.js';
+import { MockAdapter } from './mock_adapter.js';
+import { ROOT } from './replay.js';
+
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'audit-api-'));
+const server = new AuditApiServer({
+  port: 0,
+  workDir: path.join(workDir, 'jobs'),
+  outputDir: path.join(workDir, 'output'),
+  verbose: false,
+  pipeline: { provider: new MockAdapter(), checkpoints: false, verbose: false }
+});
+await server.listen();
+const baseUrl = `http://127.0.0.1:${server.server.address().port}`;
+
+after(async () => {
+  // Idle keep-alive connections would hold close() open
+  server.server.closeAllConnections();
+  await server.close();
+  fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+const TEXT = fs.readFileSync(path.join(ROOT, 'samples', 'healthcare_intake.txt'), 'utf8');
+
+async function request(method, pathname, body) {
+  const res = await fetch(`${baseUrl}${pathname}`, {
+    method,
+    headers: { 'Content-Type': 'application/json' },
+    body: body === undefined ? undefined : typeof body === 'string' ? body : JSON.stringify(body)
+  });
+  const type = res.headers.get('content-type');
+  return { status: res.status, type, body: type === 'application/json' ? await res.json() : Buffer.from(await res.arrayBuffer()) };
+}
+
+// A finished job, as if a pdf job had written its file
+function pdfJob(pdfPath) {
+  const job = server.jobs.create('pdf');
+  Object.assign(job, { status: 'succeeded', finished_at: new Date().toISOString(), result: { pdf_path: pdfPath } });
+  return job;
+}
+
+test('an LLM endpoint answers 202 with a job to poll until it finishes', async () => {
+  const { status, body } = await request('POST', '/extract', { text: TEXT });
+
+  assert.equal(status, 202);
+  assert.equal(body.status_url, `/jobs/${body.job_id}`);
+
+  let job;
+  for (let i = 0; i < 100; i++) {
+    job = (await request('GET', body.status_url)).body;
+    if (job.finished_at) break;
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+  assert.equal(job.status, 'succeeded');
+  assert.equal(job.type, 'extract');
+  assert.ok(job.result.measurements.measurements.length > 0);
+  assert.ok((await request('GET', '/jobs')).body.jobs.some(j => j.id === body.job_id && j.result === undefined));
+});
+
+test('?wait=true blocks until the job is done and returns it', async () => {
+  const { status, body } = await request('POST', '/extract?wait=true', { text: TEXT });
+
+  assert.equal(status, 200);
+  assert.equal(body.status, 'succeeded');
+  assert.ok(body.result.intake);
+});
+
+test('a failed job reports its error status when waited on', async () => {
+  const { status, body } = await request('POST', '/extract?wait=true', { text: 'Nothing scripted matches this text.' });
+
+  assert.equal(status, 500);
+  assert.equal(body.status, 'failed');
+  assert.equal(body.error.status, 500);
+});
+
+test('unknown jobs, jobs without a PDF and missing PDF files are 404s', async () => {
+  const { body: extracted } = await request('POST', '/extract?wait=true', { text: TEXT });
+  const gone = pdfJob(path.join(workDir, 'deleted.pdf'));
+
+  assert.deepEqual(await request('GET', '/jobs/not-a-job'), { status: 404, type: 'application/json', body: { error: { message: 'Job not found: not-a-job' } } });
+  assert.equal((await request('GET', `/jobs/${extracted.id}/pdf`)).status, 404);
+  assert.deepEqual((await request('GET', `/jobs/${gone.id}/pdf`)).body, { error: { message: `Job ${gone.id} has no PDF` } });
+  assert.equal((await request('GET', '/nope')).status, 404);
+});
+
+test("a job's PDF is downloaded as a file", async () => {
+  const pdfPath = path.join(workDir, 'report.pdf');
+  fs.writeFileSync(pdfPath, '%PDF-1.4 test');
+  const { status, type, body } = await request('GET', `/jobs/${pdfJob(pdfPath).id}/pdf`);
+
+  assert.deepEqual([status, type, body.toString()], [200, 'application/pdf', '%PDF-1.4 test']);
+});
+
+test('a PDF that cannot be read ends the download with a 500', { timeout: 5000 }, async (t) => {
+  const pdfPath = path.join(workDir, 'unreadable.pdf');
+  fs.writeFileSync(pdfPath, '%PDF-1.4 test');
+  t.mock.method(fs, 'createReadStream', () => {
+    const stream = new Readable({ read() {} });
+    process.nextTick(() => stream.destroy(new Error('EIO: i/o error, open')));
+    return stream;
+  });
+
+  const { status, body } = await request('GET', `/jobs/${pdfJob(pdfPath).id}/pdf`);
+
+  assert.deepEqual([status, body], [500, { error: { message: 'EIO: i/o error, open' } }]);
+});
+
+test('bad request bodies are 400s', async () => {
+  const cases = [
+    ['/validate', '{"report": ', /^Invalid JSON body/],
+    ['/validate', '[1, 2]', /^Request body must be a JSON object$/],
+    ['/extract', {}, /^Missing required field: text$/],
+    ['/pdf', { deliver: false }, /^Missing required field: html or report$/]
+  ];
+
+  for (const [pathname, body, message] of cases) {
+    const res = await request('POST', pathname, body);
+    assert.equal(res.status, 400, pathname);
+    assert.match(res.body.error.message, message);
+  }
+  assert.equal((await request('PUT', '/extract', { text: TEXT })).status, 405);
+  assert.equal((await request('POST', '/transform', { intake: {}, measurements: {} })).status, 422);
+});
@@ -0,0 +1,163 @@
+/**
+ * source_merge.test.js - Merging several inputs and their evidence conflicts
+ *
+ * Usage:
+ *   node --test test_run/source_merge.test.js
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { mergeExtractions, resolveConflict, formatConflict } from '../lib/source_merge.js';
+import { createEvidenceSource, buildEvidenceBundle } from '../lib/evidence_bundle.js';
+import { transform } from '../lib/transform.js';
+import { validateReport } from '../lib/validate.js';
+import { loadExtractionScripts } from './replay.js';
+
+// One input's extraction, with its evidence bundle built over the text
+function extraction(text, filename, intake, measurements) {
+  const source = createEvidenceSource(text, { originalRef: filename });
+  const evidenceBundle = buildEvidenceBundle([{ source, text }], measurements);
+  return { intake, measurements, evidenceBundle };
+}
+
+const workflow = (answers = {}) => ({
+  section_a_workflow_definition: { workflow_key: 'lead_response', q01_workflow_name: 'Lead Response' },
+  section_b_volume_timing: answers,
+  section_c_systems_handoffs: { q10_systems_involved: ['HubSpot'] }
+});
+
+const responseTime = (value, unit, display, quote) => ({
+  id: 'm_response', name: 'Lead Response Time', metric_type: 'latency', value, unit, value_display: display,
+  evidence: [{ summary: 'Reply time', quote }]
+});
+
+const CALL = 'Call: reps reply in about 4.2 hours. We get 100 leads a week.';
+const EMAIL = 'Email: honestly it is more like 2.1 hours to reply.';
+
+function callAndEmail() {
+  const call = extraction(CALL, 'call.txt', workflow({ q06_runs_per_period: 100, q06_period_unit: 'week' }), {
+    measurements: [responseTime(4.2, 'hours', '4.2h', 'reps reply in about 4.2 hours')],
+    bleed_assumptions: []
+  });
+  const email = extraction(EMAIL, 'email.txt', {
+    ...workflow({ q06_runs_per_period: 'unknown', q07_avg_trigger_to_end: 2, q07_time_unit: 'days' }),
+    section_c_systems_handoffs: { q10_systems_involved: ['hubspot', 'Gmail'] }
+  }, {
+    measurements: [responseTime(2.1, 'hours', '2.1h', 'more like 2.1 hours to reply')],
+    bleed_assumptions: []
+  });
+  return { call, email, merged: mergeExtractions([call, email]) };
+}
+
+test('values the sources disagree on are recorded, the primary kept provisionally', () => {
+  const { call, email, merged } = callAndEmail();
+  const [conflict] = merged.measurements.evidence_conflicts;
+
+  assert.equal(merged.measurements.evidence_conflicts.length, 1);
+  assert.deepEqual([conflict.conflict_id, conflict.field_path, conflict.label], ['conflict-1', 'measurements.measurements[0].value', 'Lead Response Time']);
+  assert.deepEqual(conflict.values.map(v => [v.source_id, v.value_display, v.evidence_ids.length]), [
+    [call.evidenceBundle.sources[0].source_id, '4.2h', 1],
+    [email.evidenceBundle.sources[0].source_id, '2.1h', 1]
+  ]);
+  assert.deepEqual([conflict.used_source_id, conflict.resolution], [call.evidenceBundle.sources[0].source_id, null]);
+  assert.equal(merged.measurements.measurements[0].value, 4.2);
+  assert.equal(formatConflict(conflict), 'conflict-1 Lead Response Time: 4.2h (call.txt) vs 2.1h (email.txt) - unresolved, using 4.2h');
+});
+
+test('values that agree corroborate each other, across units and rate formats', () => {
+  const call = extraction(CALL, 'call.txt', workflow(), {
+    measurements: [
+      responseTime(4.2, 'hours', '4.2h', 'reps reply in about 4.2 hours'),
+      { id: 'm_lost', name: 'Lost Lead Rate', metric_type: 'error_rate', value: 0.3, unit: 'percent', value_display: '30%', evidence: [] }
+    ]
+  });
+  const chat = extraction('Chat: 250 minutes on average, we lose 31% of leads', 'chat.txt', workflow(), {
+    measurements: [
+      responseTime(250, 'minutes', '250 min', '250 minutes on average'),
+      { id: 'm_lost_rate', name: 'Lost Lead Rate', metric_type: 'error_rate', value: 31, unit: 'percent', value_display: '31%', evidence: [] }
+    ]
+  });
+  const { measurements } = mergeExtractions([call, chat]);
+
+  assert.deepEqual(measurements.evidence_conflicts, []);
+  assert.equal(measurements.measurements.length, 2);
+  assert.equal(measurements.measurements[0].evidence.length, 2);
+});
+
+test('later inputs fill answers and add what the primary lacks', () => {
+  const { merged, email } = callAndEmail();
+  const answers = merged.intake.section_b_volume_timing;
+
+  // "unknown" does not overwrite 100 a week; the missing trigger-to-end time is filled
+  assert.deepEqual([answers.q06_runs_per_period, answers.q07_avg_trigger_to_end, answers.q07_time_unit], [100, 2, 'days']);
+  assert.deepEqual(merged.intake.section_c_systems_handoffs.q10_systems_involved, ['HubSpot', 'Gmail']);
+  assert.deepEqual(merged.evidenceBundle.sources.map(s => s.original_filename), ['call.txt', 'email.txt']);
+  assert.ok(merged.evidenceBundle.evidence_records
+    .filter(r => r.source_id === email.evidenceBundle.sources[0].source_id)
+    .every(r => r.linked_to.every(link => link.id === 'm_response')));
+});
+
+test('a workflow only a later input has is added, its measurements under free ids', () => {
+  const call = extraction(CALL, 'call.txt', workflow(), { measurements: [responseTime(4.2, 'hours', '4.2h', 'about 4.2 hours')] });
+  const chat = extraction('Chat: invoices wait 3 days for approval', 'chat.txt', {
+    section_a_workflow_definition: { workflow_key: 'invoice_approval', q01_workflow_name: 'Invoice Approval' }
+  }, {
+    measurements: [{ id: 'm_response', name: 'Approval Wait', metric_type: 'latency', value: 3, unit: 'days', value_display: '3 days', evidence: [{ quote: 'invoices wait 3 days' }] }]
+  });
+  const { intake, measurements, evidenceBundle } = mergeExtractions([call, chat]);
+
+  assert.deepEqual(intake.additional_workflows.map(w => w.workflow_key), ['invoice_approval']);
+  assert.deepEqual(measurements.measurements.map(m => [m.id, m.workflow_key]), [['m_response', undefined], ['m_response_2', 'invoice_approval']]);
+  assert.deepEqual(measurements.evidence_conflicts, []);
+  const record = evidenceBundle.evidence_records.find(r => r.extracted_text === 'invoices wait 3 days');
+  assert.deepEqual(record.linked_to, [{ type: 'measurement', id: 'm_response_2' }]);
+});
+
+test('intake answers in different units are compared as numbers', () => {
+  const call = extraction(CALL, 'call.txt', workflow({ q06_runs_per_period: 100, q06_period_unit: 'week', q07_avg_trigger_to_end: 48, q07_time_unit: 'hours' }), { measurements: [] });
+  const email = extraction(EMAIL, 'email.txt', workflow({ q06_runs_per_period: '800', q06_period_unit: 'month', q07_avg_trigger_to_end: 2, q07_time_unit: 'days' }), { measurements: [] });
+  const [conflict, ...rest] = mergeExtractions([call, email]).measurements.evidence_conflicts;
+
+  // 48 hours is 2 days; 100 a week is 433 a month, not 800
+  assert.equal(rest.length, 0);
+  assert.deepEqual([conflict.field_path, conflict.label], ['intake.section_b_volume_timing.q06_runs_per_period', 'Lead Response: Runs per period']);
+  assert.deepEqual(conflict.values.map(v => v.value_display), ['100 week', '800 month']);
+});
+
+test('resolving writes the chosen value back and records who decided', () => {
+  const { email, merged } = callAndEmail();
+  const emailId = email.evidenceBundle.sources[0].source_id;
+
+  assert.throws(() => resolveConflict(merged, 'conflict-9', emailId, { notes: 'x' }), /Unknown evidence conflict: conflict-9\. Conflicts: conflict-1/);
+  assert.throws(() => resolveConflict(merged, 'conflict-1', emailId), /needs the reasoning/);
+  assert.throws(() => resolveConflict(merged, 'conflict-1', 'src-nope', { notes: 'x' }), /conflict-1 has no value from src-nope/);
+
+  const conflict = resolveConflict(merged, 'conflict-1', emailId, { by: 'ana', notes: 'CRM export shows 2.1h' });
+  const measurement = merged.measurements.measurements[0];
+
+  assert.deepEqual([measurement.value, measurement.value_display], [2.1, '2.1h']);
+  assert.deepEqual(measurement.evidence.map(e => e.quote), ['more like 2.1 hours to reply']);
+  assert.deepEqual([conflict.used_source_id, conflict.resolution.value, conflict.resolution.notes, conflict.resolution.resolved_by], [emailId, 2.1, 'CRM export shows 2.1h', 'ana']);
+  assert.equal(formatConflict(conflict), 'conflict-1 Lead Response Time: 4.2h (call.txt) vs 2.1h (email.txt) - resolved: 2.1h by ana');
+});
+
+test('an unresolved conflict is carried into the report and flagged until resolved', () => {
+  const { intake, measurements_data: measurements } = structuredClone(loadExtractionScripts()
+    .find(script => script.input === 'samples/support_ticket_routing.txt').response);
+  const primary = extraction('primary notes', 'call.txt', intake, measurements);
+  const other = extraction('Ops lead: first reply takes 9 hours', 'chat.txt', intake, {
+    measurements: [{ ...measurements.measurements.find(m => m.id === 'm_first_response_time'), value: 9, value_display: '9h', evidence: [] }]
+  });
+  const merged = mergeExtractions([primary, other]);
+  const warningsFor = (state) => validateReport(transform(state.intake, state.measurements, {}), { allowPlaceholders: true })
+    .warnings.filter(w => w.rule === 'evidence_conflict');
+
+  const report = transform(merged.intake, merged.measurements, {});
+  assert.deepEqual(report.evidence_conflicts.map(c => [c.label, c.values.map(v => v.value_display), c.resolution]), [
+    ['Time to First Response', ['4.5h', '9h'], null]
+  ]);
+  assert.equal(warningsFor(merged).length, 1);
+
+  resolveConflict(merged, 'conflict-1', primary.evidenceBundle.sources[0].source_id, { notes: 'Zendesk report confirms 4.5h' });
+  assert.equal(warningsFor(merged).length, 0);
+});
@@ -0,0 +1,54 @@
+/**
+ * project_identity.js - Stand-in for unified_presales_report/project_identity.js
+ *
+ * lib/transform.js imports these helpers from the sibling
+ * unified_presales_report checkout. When that checkout is missing,
+ * register.js resolves the import here so the tests still run.
+ *
+ * Usage:
+ *   node --import ./test_run/stubs/register.js --test test_run/
+ */
+
+import { slugify } from '../../lib/file_utils.js';
+
+const DATE_FORMAT = { year: 'numeric', month: 'long', day: 'numeric', timeZone: 'UTC' };
+
+/**
+ * "October 18, 2026" for an ISO string or Date
+ */
+export function formatDateDisplay(date) {
+  return new Date(date || Date.now()).toLocaleDateString('en-US', DATE_FORMAT);
+}
+
+/**
+ * "$27,000" for 27000
+ */
+export function formatCurrency(amount) {
+  return `$${Math.round(Number(amount) || 0).toLocaleString('en-US')}`;
+}
+
+/**
+ * Client, process and document names for the report header and footer
+ * (the project_identity object in big_json_schema.json)
+ */
+export function generateProjectIdentity(intake, options = {}) {
+  const clientName = intake?.prepared_for?.account_name || 'Unknown Client';
+  const processName = intake?.section_a_workflow_definition?.q01_workflow_name || 'Unknown Process';
+  const documentType = options.documentType || 'audit';
+  const now = new Date();
+
+  return {
+    client_name: clientName,
+    client_slug: slugify(clientName),
+    project_name: processName,
+    project_slug: slugify(processName),
+    process_name: processName,
+    document_slug: `${documentType}_${slugify(clientName)}_${slugify(processName)}`,
+    friendly_name: `${clientName} ${processName}`,
+    process_date: now.toISOString(),
+    process_date_display: formatDateDisplay(now),
+    year: now.getUTCFullYear()
+  };
+}
+
+export default { generateProjectIdentity, formatDateDisplay, formatCurrency };
@@ -0,0 +1,15 @@
+/**
+ * register.js - Fall back to test stubs for modules from sibling checkouts
+ *
+ * lib/transform.js imports ../../unified_presales_report/project_identity.js,
+ * which lives in a separate repository. npm test preloads this file so a
+ * clean clone resolves that import to test_run/stubs/project_identity.js.
+ * When the sibling checkout is present, the real module is used.
+ *
+ * Usage:
+ *   node --import ./test_run/stubs/register.js --test test_run/
+ */
+
+import { register } from 'node:module';
+
+register('./resolve_hooks.js', import.meta.url);
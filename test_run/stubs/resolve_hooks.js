@@ -0,0 +1,20 @@
+/**
+ * resolve_hooks.js - Module resolution hooks registered by register.js
+ *
+ * A sibling-checkout import that cannot be found resolves to the stub of
+ * the same name in this directory; everything else resolves as usual.
+ */
+
+const STUBS = {
+  'unified_presales_report/project_identity.js': new URL('./project_identity.js', import.meta.url).href
+};
+
+export async function resolve(specifier, context, nextResolve) {
+  try {
+    return await nextResolve(specifier, context);
+  } catch (err) {
+    const stub = Object.entries(STUBS).find(([suffix]) => specifier.endsWith(suffix));
+    if (err.code !== 'ERR_MODULE_NOT_FOUND' || !stub) throw err;
+    return { url: stub[1], shortCircuit: true };
+  }
+}
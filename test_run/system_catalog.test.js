@@ -0,0 +1,112 @@
+/**
+ * system_catalog.test.js - System resolution and integration gaps
+ *
+ * Usage:
+ *   node --test test_run/system_catalog.test.js
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { loadSystemCatalog, resolveSystem, resolveSystems, findSystemHandoffs, classifyHandoff, analyzeIntegrationGaps } from '../lib/system_catalog.js';
+import { transform } from '../lib/transform.js';
+import { loadExtractionScripts } from './replay.js';
+
+const catalog = loadSystemCatalog();
+const systems = resolveSystems(['Gmail', 'HubSpot CRM', 'Google Sheets', 'Fax machine'], catalog);
+const byName = (name) => systems.find(s => s.system_name === name);
+
+test('intake names resolve to catalog products before generic entries', () => {
+  const portal = resolveSystem('Tenant portal (AppFolio)', catalog);
+  assert.deepEqual([portal.system_name, portal.system_type, portal.catalog_id], ['AppFolio', 'property_management', 'appfolio']);
+  assert.deepEqual([portal.integrations.api, portal.integrations.webhooks], [true, false]);
+
+  assert.equal(resolveSystem('Phone system (RingCentral)', catalog).system_name, 'RingCentral');
+  // A generic entry keeps the intake's own name
+  const fax = resolveSystem('Fax machine', catalog);
+  assert.deepEqual([fax.system_name, fax.catalog_id, fax.integrations.api], ['Fax machine', 'paper', false]);
+});
+
+test('unknown systems get an inferred type and unknown integrations', () => {
+  const ehr = resolveSystem('PointClickCare', catalog);
+  assert.deepEqual([ehr.system_type, ehr.catalog_id, ehr.integrations], ['other', null, null]);
+  assert.equal(resolveSystem('Shared team inbox', catalog).system_type, 'email');
+  assert.equal(resolveSystem('Internal scheduling app', catalog).system_type, 'custom_app');
+});
+
+test('each system is listed once', () => {
+  assert.deepEqual(resolveSystems(['Gmail', 'Google Mail (work)', 'Excel', 'excel'], catalog).map(s => s.system_name), ['Gmail', 'Microsoft Excel']);
+});
+
+test('handoffs are classified by the cheapest way to automate them', () => {
+  const excel = resolveSystem('Excel', catalog);
+  const quickbooks = resolveSystem('QuickBooks', catalog);
+
+  assert.deepEqual(classifyHandoff(byName('Gmail'), byName('HubSpot')), {
+    automatable: true, method: 'native_connector', detail: 'Gmail has a native HubSpot connector'
+  });
+  assert.equal(classifyHandoff(resolveSystem('Google Calendar', catalog), resolveSystem('RingCentral', catalog)).method, 'webhook');
+  assert.equal(classifyHandoff(excel, quickbooks).method, 'api');
+  assert.deepEqual(classifyHandoff(byName('Fax machine'), byName('HubSpot')), {
+    automatable: false,
+    method: 'none',
+    detail: 'Fax machine has no API. Needs digitizing (a web form or document capture) before it can be automated'
+  });
+  assert.equal(classifyHandoff(resolveSystem('PointClickCare', catalog), excel).detail,
+    'PointClickCare is not in the system catalog - check whether it has an API');
+});
+
+test('a person moving work between step systems is a handoff; automation is not', () => {
+  const steps = [
+    { step_id: 'step-1', sequence: 1, system: 'Gmail', owner_type: 'human' },
+    { step_id: 'step-2', sequence: 2, system: 'HubSpot', owner_type: 'human' },
+    { step_id: 'step-3', sequence: 3, system: 'HubSpot', owner_type: 'human' },
+    { step_id: 'step-4', sequence: 4, system: 'Google Sheets', owner_type: 'automation' },
+    { step_id: 'step-5', sequence: 5, owner_type: 'human' }
+  ];
+
+  assert.deepEqual(findSystemHandoffs({ steps }, systems, catalog).map(h => [h.from.system_name, h.to.system_name, h.step_ids]), [
+    ['Gmail', 'HubSpot', ['step-1', 'step-2']]
+  ]);
+});
+
+test('without step systems, handoffs follow the order of the manual-transfer answer', () => {
+  const transfers = 'Copies each lead from the inbox into HubSpot, then adds a row to the spreadsheet';
+
+  assert.deepEqual(findSystemHandoffs({ steps: [], transfers_text: transfers }, systems, catalog).map(h => [h.from.system_name, h.to.system_name, h.source]), [
+    ['Gmail', 'HubSpot', 'intake_text'],
+    ['HubSpot', 'Google Sheets', 'intake_text']
+  ]);
+});
+
+test('repeated handoffs between the same systems are one gap', () => {
+  const steps = ['Gmail', 'HubSpot', 'Gmail', 'HubSpot'].map((system, idx) => ({ step_id: `step-${idx + 1}`, sequence: idx + 1, system }));
+  const gaps = analyzeIntegrationGaps([{ workflow_id: 'wf-1', steps }], systems, catalog);
+
+  assert.deepEqual(gaps.map(g => [g.gap_id, g.display, g.step_ids]), [
+    ['gap-1', 'Gmail → HubSpot: native connector', ['step-1', 'step-2', 'step-3', 'step-4']],
+    ['gap-2', 'HubSpot → Gmail: native connector', ['step-2', 'step-3']]
+  ]);
+});
+
+test("the report's gaps are linked to the fixes that cover them", () => {
+  const { intake, measurements_data: measurements } = loadExtractionScripts()
+    .find(script => script.input === 'samples/healthcare_intake.txt').response;
+  const report = transform(intake, measurements, {});
+  const gaps = report.integration_gaps.items;
+
+  assert.deepEqual(gaps.map(g => g.display), [
+    'RingCentral → Microsoft Outlook: native connector',
+    'Microsoft Outlook → Fax machine: no API',
+    'Fax machine → EHR system: not in catalog',
+    'EHR system → Google Calendar: not in catalog',
+    'Google Calendar → RingCentral: webhook + API'
+  ]);
+  gaps.forEach(gap => gap.fix_ids.forEach(fixId => {
+    assert.ok(report.fixes.items.find(fix => fix.fix_id === fixId).integration_gap_ids.includes(gap.gap_id));
+  }));
+  assert.deepEqual(report.audit.workflows[0].integration_gaps.map(g => g.gap_id), gaps.map(g => g.gap_id));
+});
+
+test('a missing catalog file names the path', () => {
+  assert.throws(() => loadSystemCatalog('/nonexistent/system_catalog.json'), /Could not load system catalog \/nonexistent\/system_catalog\.json/);
+});